@@ -63,6 +63,1613 @@ function throttle(func, limit) {
     };
 }
 
+// Log Query Language
+
+// Field aliases yang dikenal parser, value = nama field kanonik
+const LOG_QUERY_FIELDS = {
+    cc: 'cc',
+    country: 'cc',
+    decision: 'decision',
+    lp: 'lp',
+    ua: 'ua',
+    cid: 'cid',
+    click: 'cid',
+    ip: 'ip',
+    after: 'after',
+    before: 'before'
+};
+
+/**
+ * Parse log search query, mis. `cc:US,CA decision:B lp:promo* ip:10.0.0.0/8 -ua:bot after:2026-10-01`
+ *
+ * Setiap term: ["-"] [field ":"] value ("," value)*. Value boleh di-quote ("summer sale"),
+ * "*" adalah wildcard (tanpa "*" = substring match). Values dalam satu term di-OR,
+ * antar term di-AND. Term tanpa field dicari di click_id, country, ip dan LP.
+ * Hasil terms dikirim apa adanya ke logs.php sehingga filter client dan server sama.
+ *
+ * @param {string} input Query text
+ * @returns {{terms: Array<{field: string, values: string[], negate: boolean}>, errors: Array<{message: string, position: number}>}}
+ */
+function parseLogQuery(input) {
+    const terms = [];
+    const errors = [];
+    const text = String(input || '');
+    const n = text.length;
+    let i = 0;
+
+    while (i < n) {
+        while (i < n && /\s/.test(text[i])) i++;
+        if (i >= n) break;
+
+        const start = i;
+        let negate = false;
+        if (text[i] === '-' && i + 1 < n && !/\s/.test(text[i + 1])) {
+            negate = true;
+            i++;
+        }
+
+        let field = 'text';
+        const fieldMatch = /^([a-z_]+):/i.exec(text.slice(i));
+        if (fieldMatch) {
+            field = LOG_QUERY_FIELDS[fieldMatch[1].toLowerCase()];
+            if (!field) {
+                errors.push({ message: `Unknown field "${fieldMatch[1]}"`, position: start + 1 });
+            }
+            i += fieldMatch[0].length;
+        }
+
+        // Values: comma separated, quotes melindungi spasi dan koma
+        const values = [];
+        let current = '';
+        let quoted = false;
+        while (i < n) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"') quoted = false;
+                else current += ch;
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (/\s/.test(ch)) {
+                break;
+            } else if (ch === ',') {
+                values.push(current);
+                current = '';
+            } else {
+                current += ch;
+            }
+            i++;
+        }
+        values.push(current);
+
+        if (quoted) {
+            errors.push({ message: 'Unterminated quote', position: start + 1 });
+            continue;
+        }
+        if (!field) {
+            continue;
+        }
+
+        const term = validateLogQueryTerm(field, values.map(v => v.trim()).filter(v => v !== ''), negate);
+        if (term.error) {
+            errors.push({ message: term.error, position: start + 1 });
+        } else {
+            terms.push({ field, values: term.values, negate });
+        }
+    }
+
+    return { terms, errors };
+}
+
+/**
+ * Validasi dan normalisasi values untuk satu field query
+ * @param {string} field Field kanonik
+ * @param {string[]} values Raw values
+ * @param {boolean} negate Term diawali "-"
+ * @returns {{values?: string[], error?: string}}
+ */
+function validateLogQueryTerm(field, values, negate) {
+    const label = field === 'text' ? 'search term' : field + ':';
+
+    if (!values.length) {
+        return { error: `Missing value for ${label}` };
+    }
+    if (values.length > 20) {
+        return { error: `Too many values for ${label}` };
+    }
+
+    switch (field) {
+        case 'cc': {
+            const codes = values.map(v => v.toUpperCase());
+            const invalid = codes.find(c => !/^[A-Z]{2}$/.test(c));
+            return invalid ? { error: `Invalid country code "${invalid}"` } : { values: codes };
+        }
+
+        case 'decision': {
+            const map = { A: 'A', REDIRECT: 'A', B: 'B', FALLBACK: 'B' };
+            const invalid = values.find(v => !map[v.toUpperCase()]);
+            return invalid
+                ? { error: `Invalid decision "${invalid}" (use A or B)` }
+                : { values: values.map(v => map[v.toUpperCase()]) };
+        }
+
+        case 'ip': {
+            const invalid = values.find(v => !parseCidrRange(v));
+            return invalid ? { error: `Invalid IP or CIDR "${invalid}"` } : { values };
+        }
+
+        case 'after':
+        case 'before':
+            if (negate) {
+                return { error: `${label} cannot be negated` };
+            }
+            if (values.length !== 1 || logQueryDateToTs(values[0]) === null) {
+                return { error: `${label} expects one date (YYYY-MM-DD)` };
+            }
+            return { values };
+
+        default: {
+            const tooLong = values.find(v => v.length > 100);
+            return tooLong ? { error: `Value too long for ${label}` } : { values };
+        }
+    }
+}
+
+/**
+ * Convert YYYY-MM-DD ke unix timestamp (awal hari di timezone tertentu, sama dengan LogFilter di server)
+ * @param {string} value
+ * @param {string} timeZone IANA timezone
+ * @returns {number|null}
+ */
+function logQueryDateToTs(value, timeZone = 'UTC') {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (!m) return null;
+
+    const date = new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    if (date.getUTCFullYear() !== Number(m[1]) || date.getUTCMonth() !== Number(m[2]) - 1 || date.getUTCDate() !== Number(m[3])) {
+        return null;
+    }
+
+    // Offset dihitung ulang di hasil tebakan pertama supaya benar di hari pergantian DST
+    const utc = date.getTime() / 1000;
+    const guess = utc - getTimeZoneOffset(utc, timeZone);
+    return utc - getTimeZoneOffset(guess, timeZone);
+}
+
+/**
+ * Parse IPv4/IPv6 address ke array of bytes
+ * @param {string} ip
+ * @returns {number[]|null}
+ */
+function ipToBytes(ip) {
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ip)) {
+        const parts = ip.split('.').map(Number);
+        return parts.every(p => p <= 255) ? parts : null;
+    }
+    if (!ip.includes(':')) {
+        return null;
+    }
+
+    // IPv6 dengan embedded IPv4 (::ffff:1.2.3.4)
+    let head = ip;
+    let tail = null;
+    const v4 = /(\d{1,3}(?:\.\d{1,3}){3})$/.exec(ip);
+    if (v4) {
+        tail = ipToBytes(v4[1]);
+        if (!tail) return null;
+        head = ip.slice(0, -v4[1].length) + '0:0';
+    }
+
+    const halves = head.split('::');
+    if (halves.length > 2) return null;
+
+    const split = (s) => (s ? s.split(':') : []);
+    const left = split(halves[0]);
+    const right = halves.length === 2 ? split(halves[1]) : [];
+    if (left.concat(right).some(g => !/^[0-9a-f]{1,4}$/i.test(g))) return null;
+
+    const missing = 8 - left.length - right.length;
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+    const groups = left.concat(new Array(halves.length === 2 ? missing : 0).fill('0'), right);
+    const bytes = [];
+    groups.forEach(g => {
+        const v = parseInt(g, 16);
+        bytes.push(v >> 8, v & 255);
+    });
+    if (tail) {
+        bytes.splice(12, 4, ...tail);
+    }
+    return bytes;
+}
+
+/**
+ * Parse IP atau CIDR notation
+ * @param {string} value e.g. "10.0.0.0/8", "2001:db8::/32", "1.2.3.4"
+ * @returns {{bytes: number[], prefix: number}|null}
+ */
+function parseCidrRange(value) {
+    const [ip, prefixRaw] = String(value).split('/');
+    const bytes = ipToBytes(ip);
+    if (!bytes) return null;
+
+    const bits = bytes.length * 8;
+    if (prefixRaw === undefined) return { bytes, prefix: bits };
+    if (!/^\d+$/.test(prefixRaw) || Number(prefixRaw) > bits) return null;
+    return { bytes, prefix: Number(prefixRaw) };
+}
+
+/**
+ * Check apakah IP berada di dalam CIDR range
+ * @param {string} cidr
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function cidrContains(cidr, ip) {
+    const range = parseCidrRange(cidr);
+    const bytes = ip ? ipToBytes(String(ip)) : null;
+    if (!range || !bytes || bytes.length !== range.bytes.length) return false;
+
+    for (let bit = 0; bit < range.prefix; bit += 8) {
+        const netBits = Math.min(8, range.prefix - bit);
+        const mask = (0xFF << (8 - netBits)) & 0xFF;
+        if ((bytes[bit / 8] & mask) !== (range.bytes[bit / 8] & mask)) return false;
+    }
+    return true;
+}
+
+/**
+ * Wildcard/substring match, case-insensitive (sama dengan LIKE di server)
+ * @param {*} value Column value
+ * @param {string} pattern "*" = wildcard, tanpa "*" = substring
+ * @returns {boolean}
+ */
+function likeMatch(value, pattern) {
+    if (value === null || value === undefined) return false;
+
+    const haystack = String(value).toLowerCase();
+    const needle = pattern.toLowerCase();
+    if (!needle.includes('*')) return haystack.includes(needle);
+
+    const regex = new RegExp('^' + needle.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    return regex.test(haystack);
+}
+
+/**
+ * Evaluate parsed query terms terhadap satu log row
+ * @param {Object} log Log row
+ * @param {Array<{field: string, values: string[], negate: boolean}>} terms
+ * @param {string} timeZone Timezone untuk after:/before:
+ * @returns {boolean}
+ */
+function matchLogQuery(log, terms, timeZone = 'UTC') {
+    const textColumns = { lp: ['user_lp'], ua: ['ua'], cid: ['click_id'], text: ['click_id', 'country_code', 'ip', 'user_lp'] };
+
+    return terms.every(term => {
+        let hit;
+        switch (term.field) {
+            case 'cc':
+                hit = term.values.includes(String(log.country_code || '').toUpperCase());
+                break;
+            case 'decision':
+                hit = term.values.includes(log.decision);
+                break;
+            case 'ip':
+                hit = term.values.some(v => cidrContains(v, log.ip));
+                break;
+            case 'after':
+                return Number(log.ts) >= logQueryDateToTs(term.values[0], timeZone);
+            case 'before':
+                return Number(log.ts) < logQueryDateToTs(term.values[0], timeZone);
+            default:
+                hit = term.values.some(v => textColumns[term.field].some(col => likeMatch(log[col], v)));
+        }
+        return term.negate ? !hit : hit;
+    });
+}
+
+// Time Formatting
+
+// Intl.DateTimeFormat relatif mahal dibuat, jadi di-cache per timezone + options
+const dateTimeFormatCache = new Map();
+let timeZoneList = null;
+
+/**
+ * Get (cached) Intl.DateTimeFormat untuk timezone tertentu
+ * @param {string} timeZone IANA timezone
+ * @param {Object} options Intl.DateTimeFormat options
+ * @returns {Intl.DateTimeFormat}
+ */
+function getDateTimeFormat(timeZone, options) {
+    const key = timeZone + '|' + JSON.stringify(options);
+    if (!dateTimeFormatCache.has(key)) {
+        dateTimeFormatCache.set(key, new Intl.DateTimeFormat(undefined, { ...options, timeZone }));
+    }
+    return dateTimeFormatCache.get(key);
+}
+
+/**
+ * Cek apakah string adalah IANA timezone yang dikenal browser
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Timezone browser (fallback UTC)
+ * @returns {string}
+ */
+function getBrowserTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Daftar IANA timezone untuk autocomplete (kosong jika browser belum support)
+ * @returns {string[]}
+ */
+function listTimeZones() {
+    if (timeZoneList === null) {
+        timeZoneList = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    }
+    return timeZoneList;
+}
+
+/**
+ * Format unix timestamp (detik) di timezone tertentu
+ * @param {number|string} ts Unix timestamp (detik)
+ * @param {string} timeZone IANA timezone
+ * @param {Object} options Intl.DateTimeFormat options
+ * @returns {string}
+ */
+function formatTimestamp(ts, timeZone, options = { dateStyle: 'medium', timeStyle: 'medium' }) {
+    if (!ts) {
+        return '-';
+    }
+    return getDateTimeFormat(timeZone, options).format(new Date(Number(ts) * 1000));
+}
+
+/**
+ * Offset timezone dalam detik pada timestamp tertentu (GMT+7 = 25200)
+ * @param {number} ts Unix seconds
+ * @param {string} timeZone
+ * @returns {number}
+ */
+function getTimeZoneOffset(ts, timeZone) {
+    const parts = {};
+    getDateTimeFormat(timeZone, {
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+        hourCycle: 'h23', numberingSystem: 'latn'
+    }).formatToParts(new Date(ts * 1000)).forEach(p => { parts[p.type] = Number(p.value); });
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second) / 1000;
+    return local - Math.floor(ts);
+}
+
+/**
+ * Label offset timezone, misal "GMT+7"
+ * @param {string} timeZone
+ * @param {Date} date Offset tergantung tanggal (DST)
+ * @returns {string}
+ */
+function formatTimeZoneOffset(timeZone, date = new Date()) {
+    try {
+        const part = getDateTimeFormat(timeZone, { timeZoneName: 'shortOffset' })
+            .formatToParts(date)
+            .find(p => p.type === 'timeZoneName');
+        return part ? part.value : timeZone;
+    } catch (e) {
+        return timeZone;
+    }
+}
+
+/**
+ * Relative hint singkat: "just now", "3m ago", "2h ago", "5d ago" (kosong jika > 30 hari)
+ * @param {number|string} ts Unix timestamp (detik)
+ * @param {number} now Waktu sekarang dalam milidetik
+ * @returns {string}
+ */
+function formatRelativeTime(ts, now = Date.now()) {
+    if (!ts) {
+        return '';
+    }
+
+    const seconds = Math.round(now / 1000 - Number(ts));
+    const abs = Math.abs(seconds);
+    let value;
+
+    if (abs < 45) {
+        return 'just now';
+    } else if (abs < 3600) {
+        value = Math.max(1, Math.round(abs / 60)) + 'm';
+    } else if (abs < 86400) {
+        value = Math.round(abs / 3600) + 'h';
+    } else if (abs < 86400 * 30) {
+        value = Math.round(abs / 86400) + 'd';
+    } else {
+        return '';
+    }
+
+    return seconds >= 0 ? `${value} ago` : `in ${value}`;
+}
+
+// Time-Series Charts
+
+// Series yang bisa di-toggle di Trends chart; axis 'count' di kiri, 'revenue' di kanan
+const CHART_SERIES = [
+    { key: 'clicks', label: 'Clicks', color: '#3b82f6', axis: 'count' },
+    { key: 'decision_a', label: 'Decision A', color: '#10b981', axis: 'count' },
+    { key: 'decision_b', label: 'Decision B', color: '#f59e0b', axis: 'count' },
+    { key: 'conversions', label: 'Conversions', color: '#8b5cf6', axis: 'count' },
+    { key: 'revenue', label: 'Revenue', color: '#16a34a', axis: 'revenue' }
+];
+
+// Ukuran viewBox SVG (chart di-scale via CSS, koordinat tetap)
+const CHART_BOX = { width: 600, height: 200, top: 10, right: 44, bottom: 22, left: 36, brushHeight: 36 };
+
+/**
+ * Format Date ke 'YYYY-MM-DD' (local time)
+ * @param {Date} date
+ * @returns {string}
+ */
+function toDateKey(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Gabungkan traffic counts dan payout stats per tanggal, urut ascending.
+ * Daily view mengisi hari tanpa data dengan 0 supaya sumbu X tidak loncat.
+ * @param {Array<Object>} traffic Rows {date, clicks, decision_a, decision_b}
+ * @param {Array<Object>} stats Rows {date, total_postbacks, total_payout}
+ * @param {{from: string, to: string}|null} range Range tanggal inclusive (YYYY-MM-DD)
+ * @param {boolean} fillGaps Isi tanggal kosong (daily view)
+ * @returns {Array<{date: string, clicks: number, decision_a: number, decision_b: number, conversions: number, revenue: number}>}
+ */
+function buildChartPoints(traffic, stats, range, fillGaps) {
+    const byDate = new Map();
+    const point = date => {
+        if (!byDate.has(date)) {
+            byDate.set(date, { date, clicks: 0, decision_a: 0, decision_b: 0, conversions: 0, revenue: 0 });
+        }
+        return byDate.get(date);
+    };
+
+    traffic.forEach(row => {
+        const p = point(String(row.date));
+        p.clicks = Number(row.clicks) || 0;
+        p.decision_a = Number(row.decision_a) || 0;
+        p.decision_b = Number(row.decision_b) || 0;
+    });
+    stats.forEach(row => {
+        const p = point(String(row.date));
+        p.conversions = Number(row.total_postbacks) || 0;
+        p.revenue = Number(row.total_payout) || 0;
+    });
+
+    if (fillGaps && range && range.from && range.to) {
+        const cursor = new Date(`${range.from}T12:00:00`);
+        for (let i = 0; i < 366 && toDateKey(cursor) <= range.to; i++) {
+            point(toDateKey(cursor));
+            cursor.setDate(cursor.getDate() + 1);
+        }
+    }
+
+    return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Bulatkan nilai max ke angka "rapi" (1, 2, 5 x 10^n) untuk skala sumbu Y
+ * @param {number} value
+ * @returns {number}
+ */
+function niceCeil(value) {
+    if (!(value > 0)) {
+        return 1;
+    }
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+}
+
+/**
+ * Build SVG path 'd' dari list koordinat
+ * @param {Array<[number, number]>} coords
+ * @returns {string}
+ */
+function svgLinePath(coords) {
+    return coords.map(([x, y], i) => `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+}
+
+// Country Analytics
+
+// Metric yang bisa dipakai untuk mewarnai world map
+const COUNTRY_METRICS = {
+    clicks: 'Clicks',
+    conversions: 'Conversions',
+    cr: 'CR %',
+    revenue: 'Revenue',
+    epc: 'EPC'
+};
+
+let regionNames = null;
+
+/**
+ * Nama negara dari ISO alpha-2 (fallback ke kode jika Intl.DisplayNames tidak ada)
+ * @param {string} code
+ * @returns {string}
+ */
+function getCountryName(code) {
+    if (!code || code === 'XX') {
+        return 'Unknown';
+    }
+    try {
+        regionNames = regionNames || new Intl.DisplayNames(['en'], { type: 'region' });
+        return regionNames.of(code) || code;
+    } catch (e) {
+        return code;
+    }
+}
+
+/**
+ * Interpolasi dua warna hex (#rrggbb)
+ * @param {string} from
+ * @param {string} to
+ * @param {number} ratio 0..1
+ * @returns {string}
+ */
+function mixColor(from, to, ratio) {
+    const a = parseInt(from.slice(1), 16);
+    const b = parseInt(to.slice(1), 16);
+    const channel = shift => {
+        const start = (a >> shift) & 255;
+        const end = (b >> shift) & 255;
+        return Math.round(start + (end - start) * ratio);
+    };
+    return '#' + ((1 << 24) | (channel(16) << 16) | (channel(8) << 8) | channel(0)).toString(16).slice(1);
+}
+
+// Redirect Rotation
+
+// Warna segmen di split bar, diulang jika target lebih banyak
+const REDIRECT_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#06b6d4', '#ec4899', '#84cc16'];
+
+/**
+ * Normalisasi satu redirect entry (URL string lama atau object) ke {url, weight, enabled, label}
+ * @param {string|Object} entry
+ * @returns {{url: string, weight: number, enabled: boolean, label: string}}
+ */
+function normalizeRedirectTarget(entry) {
+    const source = typeof entry === 'string' ? { url: entry } : (entry || {});
+    const weight = Number(source.weight ?? 1);
+
+    return {
+        url: String(source.url || ''),
+        weight: Number.isFinite(weight) ? Math.max(0, Math.min(1000, Math.round(weight))) : 1,
+        enabled: source.enabled !== false,
+        label: String(source.label || '')
+    };
+}
+
+// Routing Rules
+
+// Device types yang dikenal DecisionController::detectDevice()
+const ROUTING_DEVICES = ['WAP', 'WEB', 'TABLET', 'BOT'];
+
+// ISO-8601 weekday: 1 = Monday ... 7 = Sunday (sama dengan PHP date('N'))
+const ROUTING_DAYS = [
+    { value: 1, label: 'Mon' }, { value: 2, label: 'Tue' }, { value: 3, label: 'Wed' },
+    { value: 4, label: 'Thu' }, { value: 5, label: 'Fri' }, { value: 6, label: 'Sat' }, { value: 7, label: 'Sun' }
+];
+
+/**
+ * Rule kosong baru (cocok untuk semua traffic sampai kondisi diisi)
+ * @returns {Object}
+ */
+function createRoutingRule() {
+    return {
+        id: 'r' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+        name: '',
+        enabled: true,
+        countries: [],
+        devices: [],
+        user_lp: [],
+        days: [],
+        hours: null,
+        targets: [normalizeRedirectTarget('')]
+    };
+}
+
+/**
+ * Normalisasi rule dari server/editor ke bentuk lengkap
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function normalizeRoutingRule(rule) {
+    const source = rule || {};
+    const hours = source.hours && source.hours.from !== undefined && source.hours.to !== undefined
+        ? { from: Number(source.hours.from), to: Number(source.hours.to) }
+        : null;
+
+    return {
+        id: String(source.id || createRoutingRule().id),
+        name: String(source.name || ''),
+        enabled: source.enabled !== false,
+        countries: parseCountryList(source.countries || []),
+        devices: (source.devices || []).map(d => String(d).toUpperCase()),
+        user_lp: (source.user_lp || []).map(p => String(p).trim().toLowerCase()).filter(Boolean),
+        days: (source.days || []).map(Number),
+        hours,
+        targets: (source.targets || []).map(normalizeRedirectTarget)
+    };
+}
+
+/**
+ * Validasi satu rule (mirror RoutingRules::validateRule di server)
+ * @param {Object} rule
+ * @returns {string[]} Pesan error, kosong jika valid
+ */
+function validateRoutingRule(rule) {
+    const errors = [];
+    const codes = getCountryCodeSet();
+
+    const badCountries = rule.countries.filter(code => !codes.has(code));
+    if (badCountries.length) {
+        errors.push('Unknown country code: ' + badCountries.join(', '));
+    }
+    const badDevices = rule.devices.filter(d => !ROUTING_DEVICES.includes(d));
+    if (badDevices.length) {
+        errors.push('Unknown device: ' + badDevices.join(', '));
+    }
+    const badLp = rule.user_lp.filter(p => !/^[a-z0-9_*.-]{1,100}$/.test(p));
+    if (badLp.length) {
+        errors.push('Invalid landing page pattern: ' + badLp.join(', '));
+    }
+    if (rule.hours) {
+        const { from, to } = rule.hours;
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || from > 23 || to < 0 || to > 24 || from === to) {
+            errors.push('Hours must be a from/to window between 0 and 24');
+        }
+    }
+
+    const targets = rule.targets.filter(t => t.url.trim());
+    targets.forEach(t => {
+        if (!/^https:\/\/[a-z0-9.-]+(?:[:/?#]|$)/i.test(t.url.trim())) {
+            errors.push('Destination must be an HTTPS URL: ' + t.url);
+        }
+    });
+    if (rule.enabled && !targets.some(t => t.enabled && t.weight > 0)) {
+        errors.push('Needs at least one enabled destination URL');
+    }
+
+    return errors;
+}
+
+// Routing Simulator (mirror DecisionController, dijalankan di browser terhadap draft cfg)
+
+/**
+ * Device bucket dari user agent (sama dengan DecisionController::detectDevice)
+ * @param {string} ua
+ * @returns {string} WAP | WEB | TABLET | BOT
+ */
+function detectDeviceFromUa(ua) {
+    const value = String(ua || '');
+    const lower = value.toLowerCase();
+
+    if (value === '') return 'WEB';
+    if (lower === 'wap' || lower === 'mobile') return 'WAP';
+    if (lower === 'web' || lower === 'desktop') return 'WEB';
+    if (lower === 'tablet') return 'TABLET';
+    if (/bot|crawl|spider|facebook|whatsapp|telegram/i.test(value)) return 'BOT';
+    if (/tablet|ipad/i.test(value)) return 'TABLET';
+    if (/mobile|android|iphone|ipod|blackberry|iemobile|opera mini|windows phone/i.test(value)) return 'WAP';
+    return 'WEB';
+}
+
+/**
+ * Hari ISO (1 = Monday) dan jam 0-23 untuk timestamp di timezone tertentu
+ * @param {number} ts Unix seconds
+ * @param {string} timeZone
+ * @returns {{day: number, hour: number}}
+ */
+function getSchedulePoint(ts, timeZone) {
+    const parts = {};
+    getDateTimeFormat(timeZone, {
+        year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', hourCycle: 'h23', numberingSystem: 'latn'
+    }).formatToParts(new Date(ts * 1000)).forEach(p => { parts[p.type] = Number(p.value); });
+
+    const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+    return { day: weekday === 0 ? 7 : weekday, hour: parts.hour % 24 };
+}
+
+/**
+ * Alasan rule TIDAK cocok dengan context (kosong = cocok), sama dengan RoutingRules::matches
+ * @param {{country: ?string, device: ?string, wap: boolean, detectedDevice: string, userLp: string, day: number, hour: number}} ctx
+ * @param {{country: ?string, device: ?string, userLp: string, day: number, hour: number}} ctx
+ * @returns {string[]}
+ */
+function explainRuleMismatch(rule, ctx) {
+    const misses = [];
+
+    if (rule.countries.length && ctx.country === null) {
+        misses.push('country condition set but Geo Filter is disabled');
+    } else if (rule.countries.length && !rule.countries.includes(ctx.country)) {
+        misses.push(`country ${ctx.country} not in ${rule.countries.join(', ')}`);
+    }
+    if (!rule.devices.length && !ctx.wap) {
+        misses.push(`no device condition means WAP only, visitor is ${ctx.detectedDevice}`);
+    } else if (rule.devices.length && ctx.device === null) {
+        misses.push('device condition set but Device Filter is disabled');
+    } else if (rule.devices.length && !rule.devices.includes(ctx.device)) {
+        misses.push(`device ${ctx.device} not in ${rule.devices.join('/')}`);
+    }
+    if (rule.user_lp.length) {
+        const lp = ctx.userLp.toLowerCase();
+        const hit = rule.user_lp.some(pattern => new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\-]/g, '\\$&').replace(/\*/g, '.*') + '$').test(lp));
+        if (!hit) {
+            misses.push(`landing page "${lp || '(empty)'}" does not match ${rule.user_lp.join(', ')}`);
+        }
+    }
+    if (rule.days.length && !rule.days.includes(ctx.day)) {
+        misses.push(`${ROUTING_DAYS[ctx.day - 1].label} is outside ${rule.days.map(d => ROUTING_DAYS[d - 1].label).join(' ')}`);
+    }
+    if (rule.hours) {
+        const { from, to } = rule.hours;
+        const inWindow = from <= to ? (ctx.hour >= from && ctx.hour < to) : (ctx.hour >= from || ctx.hour < to);
+        if (!inWindow) {
+            misses.push(`hour ${ctx.hour} is outside ${from}–${to}h`);
+        }
+    }
+
+    return misses;
+}
+
+/**
+ * Simulasi routing decision untuk satu visitor terhadap config (boleh draft)
+ *
+ * @param {Object} config {system_on, redirect_url, country_filter_mode, country_filter_list[], routing_rules}
+ * @param {Object} visitor {ip, country, ua, lp, click_id, vpn, ts}
+ * @param {Object} env {geoFilter, deviceFilter, timeZone}
+ * @returns {Object} {decision, target, pool, ruleIndex, device, country, steps}
+ */
+function simulateRouting(config, visitor, env) {
+    const steps = [];
+    const step = (label, ok, detail) => steps.push({ label, ok, detail });
+
+    const device = detectDeviceFromUa(visitor.ua);
+    const clickId = String(visitor.click_id || '').replace(/[^a-zA-Z0-9_-]/g, '');
+    const userLp = String(visitor.lp || '').replace(/[^a-zA-Z0-9_-]/g, '');
+    let country = String(visitor.country || 'XX').replace(/[^a-zA-Z]/g, '').toUpperCase();
+
+    let countryAllowed = true;
+    if (country !== '' && country !== 'XX') {
+        if (!getCountryCodeSet().has(country)) {
+            step('Country', true, `${visitor.country} is not a valid code, treated as XX`);
+            country = 'XX';
+        } else {
+            countryAllowed = isCountryAllowedBy(country, config.country_filter_mode, config.country_filter_list);
+        }
+    }
+
+    const fallback = '/_meetups/?' + new URLSearchParams({
+        click_id: clickId.toLowerCase(),
+        country_code: country.toLowerCase(),
+        user_agent: device.toLowerCase(),
+        ip_address: String(visitor.ip || ''),
+        user_lp: userLp.toLowerCase()
+    }).toString();
+
+    const muted = !!config.system_on && Math.floor(visitor.ts / 60) % 5 >= 2;
+    const schedule = getSchedulePoint(visitor.ts, env.timeZone);
+
+    step('System', !!config.system_on, config.system_on ? 'System is ON' : 'System is OFF');
+    step('Auto-mute', !muted, muted ? 'Inside the 3-minute muted part of the 5-minute cycle' : 'Inside the active part of the cycle');
+    step('VPN', !visitor.vpn, visitor.vpn ? 'Visitor flagged as VPN / proxy' : 'No VPN detected');
+    step('Country filter', countryAllowed, country === 'XX'
+        ? 'Unknown country is never filtered'
+        : `${country} is ${countryAllowed ? 'allowed' : 'blocked'} (${config.country_filter_mode})`);
+
+    // Rule matching; rule dengan kondisi yang filternya dimatikan di env di-skip
+    const ctx = {
+        country: env.geoFilter ? country : null,
+        device: env.deviceFilter ? device : null,
+        wap: device === 'WAP',
+        detectedDevice: device,
+        userLp,
+        ...schedule
+    };
+    let ruleIndex = -1;
+    if (device === 'BOT') {
+        step('Routing rules', null, 'Bots never get Decision A, rules skipped');
+    }
+    (device === 'BOT' ? [] : config.routing_rules || []).forEach((rule, index) => {
+        if (ruleIndex !== -1) {
+            return;
+        }
+        const name = rule.name || `Rule ${index + 1}`;
+        if (!rule.enabled) {
+            step(name, null, 'Disabled, skipped');
+            return;
+        }
+        const misses = explainRuleMismatch(rule, ctx);
+        if (misses.length) {
+            step(name, null, 'No match: ' + misses.join('; '));
+        } else {
+            ruleIndex = index;
+            step(name, true, 'Matched, using its URL pool');
+        }
+    });
+
+    let entries;
+    if (ruleIndex !== -1) {
+        entries = config.routing_rules[ruleIndex].targets;
+    } else if (device === 'WAP') {
+        entries = config.redirect_url;
+        step('Fallback pool', true, 'No rule matched, WAP traffic uses Redirect URLs');
+    } else {
+        entries = [];
+        step('Fallback pool', false, `No rule matched and device is ${device}, not WAP`);
+    }
+
+    const active = (entries || []).filter(t => t.enabled && t.weight > 0 && /^https?:\/\//i.test(t.url.trim()));
+    const total = active.reduce((sum, t) => sum + t.weight, 0);
+    const pool = active.map(t => ({ url: t.url.trim(), label: t.label, share: t.weight / total * 100 }));
+    if (entries.length && !pool.length) {
+        step('URL pool', false, 'Every URL in the pool is disabled, weighted 0 or empty');
+    }
+
+    const isA = !!config.system_on && !muted && !visitor.vpn && countryAllowed && pool.length > 0;
+    let target = fallback;
+    if (isA) {
+        let roll = Math.random() * total;
+        target = (active.find(t => (roll -= t.weight) < 0) || active[active.length - 1]).url.trim().replace(/\/+$/, '');
+    }
+
+    return { decision: isA ? 'A' : 'B', target, pool: isA ? pool : [], ruleIndex, device, country, steps };
+}
+
+// Draft / Publish
+
+// Field cfg yang diedit sebagai draft dan baru dikirim saat publish (system_on tetap langsung)
+const ROUTING_DRAFT_FIELDS = ['redirect_url', 'country_filter_mode', 'country_filter_list', 'routing_rules'];
+
+// Nama env key yang nilainya tidak ditampilkan di ringkasan perubahan
+// Daftar secret dari server (EnvConfig::SECRET_KEYS), diisi saat env config dimuat
+let envSecretKeys = [];
+
+// Sama dengan EnvConfig::SECRET_MASK: secret yang sudah di-set tapi belum di-reveal
+const SECRET_MASK = '••••••••';
+
+/**
+ * Random hex secret dari crypto.getRandomValues
+ * @param {number} bytes
+ * @returns {string} Hex string, panjang bytes * 2
+ */
+function generateSecret(bytes = 16) {
+    const buffer = new Uint8Array(bytes);
+    crypto.getRandomValues(buffer);
+    return Array.from(buffer, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Flatten object/array jadi map path -> scalar (redirect_url.0.weight), sama dengan ConfigHistory::flatten
+ * @param {*} value
+ * @param {string} prefix
+ * @param {Object} out
+ * @returns {Object<string, *>}
+ */
+function flattenConfig(value, prefix = '', out = {}) {
+    if (value !== null && typeof value === 'object' && Object.keys(value).length) {
+        Object.keys(value).forEach(key => flattenConfig(value[key], prefix ? `${prefix}.${key}` : key, out));
+    } else if (prefix) {
+        out[prefix] = value !== null && typeof value === 'object' ? '[]' : value;
+    }
+    return out;
+}
+
+/**
+ * Field-level diff antara dua config (nilai dibandingkan sebagai string)
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffConfig(before, after) {
+    const key = v => v === null || v === undefined ? null : (typeof v === 'boolean' ? (v ? '1' : '0') : String(v));
+    const old = flattenConfig(before || {});
+    const next = flattenConfig(after || {});
+
+    return Array.from(new Set([...Object.keys(old), ...Object.keys(next)]))
+        .filter(field => key(old[field]) !== key(next[field]))
+        .map(field => ({ field, from: old[field] ?? null, to: next[field] ?? null }));
+}
+
+/**
+ * Snapshot field routing dari cfg (deep copy, country list dinormalisasi)
+ * @param {Object} cfg
+ * @returns {Object}
+ */
+function routingDraftSnapshot(cfg) {
+    const snapshot = {};
+    ROUTING_DRAFT_FIELDS.forEach(field => {
+        snapshot[field] = JSON.parse(JSON.stringify(cfg[field] ?? null));
+    });
+    snapshot.country_filter_list = parseCountryList(snapshot.country_filter_list).join(',');
+    return snapshot;
+}
+
+// Environment Config Schema
+
+// Section accordion di tab Environment (key sama dengan activeSection di view)
+const ENV_GROUPS = {
+    database: 'Database',
+    domains: 'Domains',
+    apikeys: 'API Keys',
+    application: 'Application',
+    security: 'Session & Security',
+    features: 'Feature Flags',
+    postback: 'Postback',
+    paths: 'Paths',
+    external: 'External Services'
+};
+
+const ENV_BOOL = ['true', 'false'];
+const ENV_ENVIRONMENTS = ['development', 'staging', 'production'];
+
+/**
+ * Schema per env key. Value di envConfig tetap string; schema hanya memvalidasi.
+ * type: string | int | decimal | bool | enum | url | host | timezone | path
+ * required: true | 'production' (wajib jika APP_ENV=production) | function(config) => bool
+ * check: function(value, config) => pesan error untuk aturan antar-key
+ */
+const ENV_SCHEMA = {
+    DB_HOST: { group: 'database', label: 'Database Host', type: 'host', required: true },
+    DB_NAME: { group: 'database', label: 'Database Name', type: 'string', required: true, pattern: /^[A-Za-z0-9_$-]{1,64}$/, hint: 'letters, digits, _ $ - up to 64' },
+    DB_USER: { group: 'database', label: 'Database Username', type: 'string', required: true, max: 80 },
+    DB_PASS: { group: 'database', label: 'Database Password', type: 'string', required: 'production' },
+    DB_PORT: { group: 'database', label: 'Database Port', type: 'int', min: 1, max: 65535, required: true },
+    DB_CHARSET: { group: 'database', label: 'Database Charset', type: 'enum', values: ['utf8mb4', 'utf8'] },
+
+    APP_URL: { group: 'domains', label: 'Main URL', type: 'url', required: 'production' },
+    APP_PANEL_URL: { group: 'domains', label: 'Panel URL', type: 'url' },
+    BRAND_DOMAIN: { group: 'domains', label: 'Brand Domain', type: 'host' },
+    TRACKING_PRIMARY_DOMAIN: { group: 'domains', label: 'Primary Domain', type: 'host', required: 'production' },
+    TRACKING_DOMAIN: { group: 'domains', label: 'Tracking URL', type: 'url' },
+    TRACKING_REDIRECT_URL: { group: 'domains', label: 'Redirect URL', type: 'url' },
+    TRACKING_DECISION_API: { group: 'domains', label: 'Decision API', type: 'url' },
+    TRACKING_POSTBACK_URL: { group: 'domains', label: 'Postback URL', type: 'url' },
+
+    API_KEY_INTERNAL: { group: 'apikeys', label: 'Internal API Key', type: 'string', min: 16, required: 'production' },
+    API_KEY_EXTERNAL: { group: 'apikeys', label: 'External API Key', type: 'string', min: 16 },
+    SRP_API_URL: { group: 'apikeys', label: 'SRP API URL', type: 'url', required: true },
+    SRP_API_KEY: { group: 'apikeys', label: 'SRP API Key', type: 'string', required: 'production' },
+
+    APP_NAME: { group: 'application', label: 'App Name', type: 'string', required: true, max: 100 },
+    APP_ENV: { group: 'application', label: 'Environment', type: 'enum', values: ENV_ENVIRONMENTS, required: true },
+    SRP_ENV: { group: 'application', label: 'SRP Environment', type: 'enum', values: ENV_ENVIRONMENTS, required: true },
+    APP_DEBUG: {
+        group: 'application', label: 'Debug Mode', type: 'bool',
+        check: (value, config) => value === 'true' && config.APP_ENV === 'production' ? 'Debug mode must be disabled in production' : null
+    },
+    APP_TIMEZONE: { group: 'application', label: 'Timezone', type: 'timezone', required: true },
+    MAINTENANCE_MODE: { group: 'application', label: 'Maintenance Mode', type: 'bool' },
+    MAINTENANCE_MESSAGE: {
+        group: 'application', label: 'Maintenance Message', type: 'string', max: 255,
+        required: config => config.MAINTENANCE_MODE === 'true'
+    },
+
+    SESSION_LIFETIME: { group: 'security', label: 'Session Lifetime', type: 'int', min: 300, max: 2592000, required: true },
+    SESSION_NAME: { group: 'security', label: 'Session Name', type: 'string', required: true, pattern: /^[A-Za-z0-9_]{1,64}$/, hint: 'letters, digits and _ only' },
+    SESSION_SECRET: { group: 'security', label: 'Session Secret', type: 'string', min: 32, required: 'production' },
+    RATE_LIMIT_ATTEMPTS: { group: 'security', label: 'Rate Limit Attempts', type: 'int', min: 1, max: 100, required: true },
+    RATE_LIMIT_WINDOW: { group: 'security', label: 'Rate Limit Window', type: 'int', min: 60, max: 86400, required: true },
+    SECURE_COOKIES: {
+        group: 'security', label: 'Secure Cookies', type: 'bool',
+        check: (value, config) => value !== 'true' && config.APP_ENV === 'production' ? 'Secure cookies are required in production' : null
+    },
+    HTTP_ONLY: { group: 'security', label: 'HTTP Only', type: 'bool' },
+    SAME_SITE: {
+        group: 'security', label: 'SameSite', type: 'enum', values: ['Strict', 'Lax', 'None'], required: true,
+        check: (value, config) => value === 'None' && config.SECURE_COOKIES !== 'true' ? 'SameSite=None requires Secure Cookies' : null
+    },
+    TRUST_CF_HEADERS: { group: 'security', label: 'Trust CloudFlare Headers', type: 'bool' },
+
+    BRAND_ENABLE_LANDING_PAGE: { group: 'features', label: 'Landing Page', type: 'bool' },
+    BRAND_ENABLE_DOCUMENTATION: { group: 'features', label: 'Documentation', type: 'bool' },
+    BRAND_ENABLE_API_DOCS: { group: 'features', label: 'API Docs', type: 'bool' },
+    TRACKING_ENABLE_VPN_CHECK: { group: 'features', label: 'VPN Check', type: 'bool' },
+    TRACKING_ENABLE_GEO_FILTER: { group: 'features', label: 'Geo Filter', type: 'bool' },
+    TRACKING_ENABLE_DEVICE_FILTER: { group: 'features', label: 'Device Filter', type: 'bool' },
+    TRACKING_ENABLE_AUTO_MUTE: { group: 'features', label: 'Auto Mute', type: 'bool' },
+    RATE_LIMIT_TRACKING_ENABLED: { group: 'features', label: 'Tracking Rate Limit', type: 'bool' },
+
+    POSTBACK_TIMEOUT: { group: 'postback', label: 'Postback Timeout', type: 'int', min: 1, max: 60, required: true },
+    POSTBACK_MAX_RETRIES: { group: 'postback', label: 'Max Retries', type: 'int', min: 0, max: 10, required: true },
+    POSTBACK_RETRY_DELAY: { group: 'postback', label: 'Retry Delay', type: 'int', min: 0, max: 86400, required: true },
+    POSTBACK_HMAC_SECRET: { group: 'postback', label: 'HMAC Secret', type: 'string', min: 16 },
+    POSTBACK_REQUIRE_API_KEY: { group: 'postback', label: 'Require API Key', type: 'bool' },
+    POSTBACK_API_KEY: {
+        group: 'postback', label: 'Postback API Key', type: 'string', min: 16,
+        required: config => config.POSTBACK_REQUIRE_API_KEY === 'true'
+    },
+    POSTBACK_FORWARD_ENABLED: { group: 'postback', label: 'Forward Postbacks', type: 'bool' },
+    POSTBACK_FORWARD_URL: {
+        group: 'postback', label: 'Forward URL', type: 'url',
+        required: config => config.POSTBACK_FORWARD_ENABLED === 'true',
+        check: value => validatePostbackTemplate(value, 'forward')[0] || null
+    },
+    DEFAULT_PAYOUT: { group: 'postback', label: 'Default Payout', type: 'decimal', min: 0, max: 100000 },
+
+    APP_ROOT: { group: 'paths', label: 'App Root', type: 'path' },
+    LOG_PATH: { group: 'paths', label: 'Log Path', type: 'path' },
+
+    VPN_CHECK_URL: {
+        group: 'external', label: 'VPN Check URL', type: 'url',
+        required: config => config.TRACKING_ENABLE_VPN_CHECK === 'true'
+    },
+    VPN_CHECK_TIMEOUT: { group: 'external', label: 'VPN Check Timeout', type: 'int', min: 1, max: 30, required: true }
+};
+
+/**
+ * Apakah value env key tidak boleh ditampilkan (EnvConfig::SECRET_KEYS)
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isEnvSecret(key) {
+    return envSecretKeys.includes(key);
+}
+
+/**
+ * Validasi satu env value terhadap ENV_SCHEMA
+ * @param {string} key
+ * @param {Object<string, string>} config Seluruh envConfig (untuk required/check yang bergantung key lain)
+ * @returns {string|null} Pesan error, null jika valid atau key tidak ada di schema
+ */
+function validateEnvValue(key, config) {
+    const rule = ENV_SCHEMA[key];
+    if (!rule) {
+        return null;
+    }
+
+    const value = String(config[key] ?? '').trim();
+    // Secret ter-mask sudah tersimpan di server dan isinya tidak diketahui di sini
+    if (isEnvSecret(key) && value === SECRET_MASK) {
+        return null;
+    }
+
+    const required = typeof rule.required === 'function'
+        ? rule.required(config)
+        : rule.required === true || (rule.required === 'production' && config.APP_ENV === 'production');
+
+    if (value === '') {
+        if (!required) {
+            return null;
+        }
+        return rule.required === 'production' ? 'Required in production' : 'Required';
+    }
+
+    switch (rule.type) {
+        case 'int':
+        case 'decimal': {
+            const format = rule.type === 'int' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+            if (!format.test(value)) {
+                return rule.type === 'int' ? 'Must be a whole number' : 'Must be a number';
+            }
+            const number = Number(value);
+            if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                return `Must be between ${rule.min} and ${rule.max}`;
+            }
+            break;
+        }
+        case 'bool':
+            if (!ENV_BOOL.includes(value)) {
+                return 'Must be true or false';
+            }
+            break;
+        case 'enum':
+            if (!rule.values.includes(value)) {
+                return `Must be one of ${rule.values.join(', ')}`;
+            }
+            break;
+        case 'url':
+            if (!/^https?:\/\/[^\s/?#]+[^\s]*$/i.test(value)) {
+                return 'Must be a full http(s) URL';
+            }
+            break;
+        case 'host':
+            if (!/^(localhost|(\d{1,3}\.){3}\d{1,3}|([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63})$/i.test(value)) {
+                return 'Must be a hostname without scheme or path';
+            }
+            break;
+        case 'timezone':
+            if (!isValidTimeZone(value)) {
+                return 'Unknown timezone';
+            }
+            break;
+        case 'path':
+            if (!value.startsWith('/') || value.split('/').includes('..')) {
+                return 'Must be an absolute path without ..';
+            }
+            break;
+        default:
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return `Invalid format (${rule.hint})`;
+            }
+            if (rule.min && value.length < rule.min) {
+                return `Must be at least ${rule.min} characters`;
+            }
+            if (rule.max && value.length > rule.max) {
+                return `Must be at most ${rule.max} characters`;
+            }
+    }
+
+    return rule.check ? rule.check(value, config) : null;
+}
+
+/**
+ * Validasi seluruh envConfig
+ * @param {Object<string, string>} config
+ * @returns {Object<string, string>} Map key -> pesan error (object kosong = valid)
+ */
+function validateEnvConfig(config) {
+    const errors = {};
+    Object.keys(ENV_SCHEMA).forEach(key => {
+        const error = validateEnvValue(key, config || {});
+        if (error) {
+            errors[key] = error;
+        }
+    });
+    return errors;
+}
+
+// Env File Import / Export
+
+// Placeholder untuk secret yang di-redact saat export; diabaikan saat import
+const ENV_REDACTED = '__REDACTED__';
+
+/**
+ * Format value untuk baris .env (quote jika ada spasi, #, quote atau newline)
+ * @param {string} value
+ * @returns {string}
+ */
+function formatEnvValue(value) {
+    const str = String(value ?? '');
+    if (/^[A-Za-z0-9_./:@,+=%-]*$/.test(str)) {
+        return str;
+    }
+    return '"' + str.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\$/g, '\\$') + '"';
+}
+
+/**
+ * Susun isi file .env dari envConfig, dikelompokkan per ENV_GROUPS
+ * @param {Object<string, string>} config
+ * @param {{redact?: boolean, source?: string}} options
+ * @returns {string}
+ */
+function buildEnvFile(config, { redact = false, source = '' } = {}) {
+    const lines = [
+        `# SRP environment export${source ? ' from ' + source : ''}`,
+        `# Generated ${new Date().toISOString()}${redact ? ', secrets redacted' : ''}`
+    ];
+    const line = key => {
+        // Secret yang belum di-reveal selalu keluar sebagai placeholder
+        const value = (redact && isEnvSecret(key) && config[key]) || config[key] === SECRET_MASK ? ENV_REDACTED : config[key];
+        return `${key}=${formatEnvValue(value)}`;
+    };
+
+    Object.entries(ENV_GROUPS).forEach(([group, label]) => {
+        const keys = Object.keys(ENV_SCHEMA).filter(key => ENV_SCHEMA[key].group === group && key in config);
+        if (keys.length) {
+            lines.push('', `# ${label}`, ...keys.map(line));
+        }
+    });
+
+    const other = Object.keys(config).filter(key => !ENV_SCHEMA[key]);
+    if (other.length) {
+        lines.push('', '# Other', ...other.map(line));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse isi file .env (KEY=value, "double" dengan escape, 'single' literal, export prefix, # comment)
+ * @param {string} text
+ * @returns {{values: Object<string, string>, errors: Array<{line: number, message: string}>}}
+ */
+function parseEnvFile(text) {
+    const values = {};
+    const errors = [];
+
+    String(text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach((raw, index) => {
+        const lineNo = index + 1;
+        const line = raw.trim();
+        if (!line || line.startsWith('#')) {
+            return;
+        }
+
+        const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+        if (!match) {
+            errors.push({ line: lineNo, message: 'Expected KEY=value' });
+            return;
+        }
+
+        const [, key, rest] = match;
+        let value;
+        if (rest.startsWith('"')) {
+            // Quote penutup = " terakhir yang tidak di-escape, boleh diikuti komentar
+            const end = rest.search(/(?<!\\)"(?=\s*(#.*)?$)/);
+            if (end <= 0) {
+                errors.push({ line: lineNo, message: `Unterminated quote for ${key}` });
+                return;
+            }
+            value = rest.slice(1, end).replace(/\\(["\\$n])/g, (m, c) => c === 'n' ? '\n' : c);
+        } else if (rest.startsWith("'")) {
+            const end = rest.lastIndexOf("'");
+            if (end <= 0) {
+                errors.push({ line: lineNo, message: `Unterminated quote for ${key}` });
+                return;
+            }
+            value = rest.slice(1, end);
+        } else {
+            value = rest.replace(/\s+#.*$/, '').trim();
+        }
+
+        values[key] = value;
+    });
+
+    return { values, errors };
+}
+
+// Postback URL Templates
+
+// Jumlah test run composer yang disimpan (localStorage) untuk dibandingkan
+const POSTBACK_TEST_RUNS_MAX = 10;
+
+// Sama dengan PostbackLog::MAX_RETRY_BATCH: pilihan yang lebih besar dikirim per batch
+const POSTBACK_RETRY_BATCH = 10;
+
+/**
+ * Macro yang di-replace server (PostbackLog::MACROS). targets = URL yang mendukung macro tsb:
+ * postback = postback_url di settings (dikirim saat Decision A), forward = POSTBACK_FORWARD_URL
+ * (dikirim saat conversion diterima dari network, jadi click_id/status/network tersedia)
+ */
+const POSTBACK_MACROS = [
+    { name: 'click_id', label: 'Click ID sent by the network', sample: 'abc123xyz', targets: ['forward'] },
+    { name: 'status', label: 'Conversion status', sample: 'approved', targets: ['forward'] },
+    { name: 'payout', label: 'Payout, 2 decimals', sample: '1.50', targets: ['postback', 'forward'] },
+    { name: 'country', label: 'ISO country code', sample: 'US', targets: ['postback', 'forward'] },
+    { name: 'traffic_type', label: 'Device type (WAP, WEB, TABLET)', sample: 'WAP', targets: ['postback', 'forward'] },
+    { name: 'device', label: 'Alias of traffic_type', sample: 'WAP', targets: ['postback', 'forward'] },
+    { name: 'network', label: 'Network name from the incoming postback', sample: 'network1', targets: ['forward'] },
+    { name: 'timestamp', label: 'Unix time when the postback is sent', sample: '', targets: ['postback', 'forward'] }
+];
+
+/**
+ * @param {string} target postback | forward
+ * @returns {Array<{name: string, label: string, sample: string, targets: string[]}>}
+ */
+function postbackMacrosFor(target) {
+    return POSTBACK_MACROS.filter(macro => macro.targets.includes(target));
+}
+
+/**
+ * Pecah template jadi potongan teks dan macro untuk highlighting
+ * @param {string} template
+ * @param {string} target
+ * @returns {Array<{text: string, macro: string|null, known: boolean}>}
+ */
+function tokenizePostbackTemplate(template, target) {
+    const source = String(template || '');
+    const known = new Set(postbackMacrosFor(target).map(macro => macro.name));
+    const tokens = [];
+    let last = 0;
+
+    for (const match of source.matchAll(/\{([^{}\s]*)\}/g)) {
+        if (match.index > last) {
+            tokens.push({ text: source.slice(last, match.index), macro: null, known: true });
+        }
+        tokens.push({ text: match[0], macro: match[1], known: known.has(match[1]) });
+        last = match.index + match[0].length;
+    }
+    if (last < source.length) {
+        tokens.push({ text: source.slice(last), macro: null, known: true });
+    }
+
+    return tokens;
+}
+
+/**
+ * Render template dengan values (URL-encoded); macro tanpa value dibiarkan apa adanya seperti di server
+ * @param {string} template
+ * @param {Object<string, string|number>} values
+ * @returns {string}
+ */
+function renderPostbackTemplate(template, values) {
+    return String(template || '').replace(/\{([a-z_]+)\}/g, (raw, name) =>
+        Object.prototype.hasOwnProperty.call(values, name) ? encodeURIComponent(String(values[name] ?? '')) : raw
+    );
+}
+
+/**
+ * Values untuk preview: dari row receivedPostbacks jika ada, selain itu sample di POSTBACK_MACROS
+ * @param {Object|null} row
+ * @returns {Object<string, string>}
+ */
+function postbackSampleValues(row = null) {
+    const values = Object.fromEntries(POSTBACK_MACROS.map(macro => [macro.name, macro.sample]));
+    values.timestamp = String(Math.floor(Date.now() / 1000));
+
+    if (row) {
+        Object.assign(values, {
+            click_id: row.click_id || '',
+            status: row.status || '',
+            payout: Number(row.payout || 0).toFixed(2),
+            country: String(row.country_code || '').toUpperCase(),
+            traffic_type: row.traffic_type || '',
+            device: row.traffic_type || '',
+            network: row.network || ''
+        });
+    }
+
+    return values;
+}
+
+/**
+ * Validasi template sebelum disimpan
+ * @param {string} template
+ * @param {string} target
+ * @returns {string[]} Daftar error (kosong = valid); template kosong dianggap valid
+ */
+function validatePostbackTemplate(template, target) {
+    const value = String(template || '').trim();
+    if (value === '') {
+        return [];
+    }
+
+    const errors = [];
+    if ((value.match(/\{/g) || []).length !== (value.match(/\}/g) || []).length) {
+        errors.push('Unbalanced { } braces');
+    }
+
+    tokenizePostbackTemplate(value, target).filter(token => token.macro !== null && !token.known).forEach(token => {
+        const other = POSTBACK_MACROS.find(macro => macro.name === token.macro);
+        errors.push(other
+            ? `${token.text} is not available here (only for ${other.targets.join(', ')} URLs)`
+            : `Unknown macro ${token.text}`);
+    });
+
+    try {
+        const url = new URL(renderPostbackTemplate(value, postbackSampleValues()));
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            errors.push('Must use http:// or https://');
+        }
+    } catch (e) {
+        errors.push('Not a valid URL');
+    }
+
+    return errors;
+}
+
+// Country Filter Editor
+
+// Preset country lists untuk routing filter
+const COUNTRY_PRESETS = {
+    tier1: {
+        label: 'Tier-1',
+        codes: ['US', 'CA', 'GB', 'AU', 'NZ', 'IE', 'DE', 'FR', 'NL', 'BE', 'AT', 'CH', 'SE', 'NO', 'DK', 'FI', 'LU']
+    },
+    eu: {
+        label: 'EU',
+        codes: ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV',
+            'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE']
+    },
+    latam: {
+        label: 'LATAM',
+        codes: ['AR', 'BO', 'BR', 'CL', 'CO', 'CR', 'CU', 'DO', 'EC', 'SV', 'GT', 'HN', 'MX', 'NI', 'PA', 'PY',
+            'PE', 'PR', 'UY', 'VE']
+    }
+};
+
+// Kode yang sering salah ketik -> kode ISO alpha-2 yang benar
+const COUNTRY_CODE_ALIASES = { UK: 'GB', USA: 'US', UAE: 'AE', EL: 'GR', EN: 'GB', KSA: 'SA' };
+
+let countryCodeSet = null;
+
+/**
+ * Set ISO alpha-2 codes yang diterima server (dari meta tag srp-country-codes)
+ * @returns {Set<string>}
+ */
+function getCountryCodeSet() {
+    if (countryCodeSet === null) {
+        const el = document.querySelector('meta[name="srp-country-codes"]');
+        countryCodeSet = new Set(el && el.content ? el.content.split(',') : []);
+    }
+    return countryCodeSet;
+}
+
+/**
+ * Parse country list (comma/space separated string atau array) jadi array kode uppercase unik
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+function parseCountryList(value) {
+    const parts = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+    return Array.from(new Set(parts.map(code => String(code).trim().toUpperCase()).filter(Boolean)));
+}
+
+/**
+ * Apakah country lolos filter (sama dengan Validator::isCountryAllowed di server)
+ * @param {string} code
+ * @param {string} mode all | whitelist | blacklist
+ * @param {string[]} list
+ * @returns {boolean}
+ */
+function isCountryAllowedBy(code, mode, list) {
+    const cc = String(code || '').toUpperCase();
+    // DecisionController tidak memfilter country kosong / XX
+    if (cc === '' || cc === 'XX') {
+        return true;
+    }
+    if (mode === 'whitelist') {
+        return list.includes(cc);
+    }
+    if (mode === 'blacklist') {
+        return !list.includes(cc);
+    }
+    return true;
+}
+
+// Alert Rules (dievaluasi di browser terhadap data yang sudah di-poll komponen dash)
+
+// Jumlah entry alert feed yang disimpan (localStorage)
+const ALERT_FEED_MAX = 50;
+
+// Pilihan snooze di feed, dalam menit
+const ALERT_SNOOZE_MINUTES = [15, 60, 240];
+
+const ALERT_OPERATORS = ['>', '>=', '<', '<=', '='];
+
+// source = list yang harus sudah tersinkron sebelum rule dievaluasi;
+// window 'hits' = N hit terakhir, 'minutes' = N menit terakhir, null = nilai saat ini
+const ALERT_METRICS = {
+    b_share: { label: 'B decision share', unit: '%', window: 'hits', defaultWindow: 200, source: 'logs' },
+    hits: { label: 'Hits', unit: '', window: 'minutes', defaultWindow: 15, source: 'logs' },
+    conversions: { label: 'Conversions', unit: '', window: 'minutes', defaultWindow: 30, source: 'receivedPostbacks' },
+    postback_failures: { label: 'Failed postback forwards', unit: '', window: 'minutes', defaultWindow: 15, source: 'postbackLogs' },
+    muted: { label: 'System muted (0/1)', unit: '', window: null, defaultWindow: null, source: 'logs' }
+};
+
+const ALERT_PRESETS = [
+    { name: 'B share spike', metric: 'b_share', op: '>', threshold: 60, window: 200 },
+    { name: 'Conversions stopped', metric: 'conversions', op: '=', threshold: 0, window: 30 },
+    { name: 'Postback failures', metric: 'postback_failures', op: '>=', threshold: 3, window: 15 },
+    { name: 'Traffic stopped', metric: 'hits', op: '=', threshold: 0, window: 15 },
+    { name: 'System auto-muted', metric: 'muted', op: '=', threshold: 1, window: null }
+];
+
+/**
+ * Normalisasi rule dari localStorage/editor ke bentuk lengkap
+ * @param {Object} rule
+ * @returns {Object}
+ */
+function normalizeAlertRule(rule) {
+    const source = rule || {};
+    const metric = ALERT_METRICS[source.metric] ? source.metric : 'b_share';
+    const def = ALERT_METRICS[metric];
+    const window = def.window === null ? null : parseInt(source.window, 10);
+
+    return {
+        id: String(source.id || 'a' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6)),
+        name: String(source.name || ''),
+        enabled: source.enabled !== false,
+        metric,
+        op: ALERT_OPERATORS.includes(source.op) ? source.op : '>',
+        threshold: Number(source.threshold) || 0,
+        window: def.window === null ? null : (Number.isNaN(window) ? def.defaultWindow : window),
+        snoozedUntil: Number(source.snoozedUntil) || 0
+    };
+}
+
+/**
+ * @param {Object} rule Hasil normalizeAlertRule
+ * @returns {string[]} Pesan error, kosong jika valid
+ */
+function validateAlertRule(rule) {
+    const errors = [];
+    const def = ALERT_METRICS[rule.metric];
+
+    if (def.window === 'hits' && (rule.window < 10 || rule.window > 1000)) {
+        errors.push('Window must be between 10 and 1000 hits');
+    }
+    if (def.window === 'minutes' && (rule.window < 1 || rule.window > 1440)) {
+        errors.push('Window must be between 1 and 1440 minutes');
+    }
+    if (rule.metric === 'b_share' && (rule.threshold < 0 || rule.threshold > 100)) {
+        errors.push('Threshold must be a percentage between 0 and 100');
+    }
+
+    return errors;
+}
+
+/**
+ * Hitung nilai metric dari data dashboard.
+ * Hanya melihat rows yang ada di window komponen (logsWindow, receivedWindow, postbackWindow),
+ * jadi count untuk window waktu yang panjang bisa terpotong saat traffic tinggi.
+ *
+ * @param {Object} rule
+ * @param {{logs: Object[], receivedPostbacks: Object[], postbackLogs: Object[], muteStatus: Object}} data
+ * @param {number} now Unix timestamp (detik)
+ * @returns {{value: number, sample: number}|null} null jika belum ada data untuk dinilai
+ */
+function computeAlertMetric(rule, data, now) {
+    const since = now - (rule.window || 0) * 60;
+    const countSince = rows => rows.filter(row => Number(row.ts) >= since);
+
+    switch (rule.metric) {
+        case 'b_share': {
+            const hits = data.logs.slice(0, rule.window);
+            if (!hits.length) {
+                return null;
+            }
+            const blocked = hits.filter(log => log.decision === 'B').length;
+            return { value: Math.round(blocked / hits.length * 1000) / 10, sample: hits.length };
+        }
+        case 'hits':
+            return { value: countSince(data.logs).length, sample: data.logs.length };
+        case 'conversions':
+            return { value: countSince(data.receivedPostbacks).length, sample: data.receivedPostbacks.length };
+        case 'postback_failures':
+            return { value: countSince(data.postbackLogs).filter(row => !Number(row.success)).length, sample: data.postbackLogs.length };
+        case 'muted':
+            return { value: data.muteStatus.isMuted ? 1 : 0, sample: 1 };
+        default:
+            return null;
+    }
+}
+
+/**
+ * @param {number} value
+ * @param {string} op
+ * @param {number} threshold
+ * @returns {boolean}
+ */
+function compareAlertValue(value, op, threshold) {
+    switch (op) {
+        case '>': return value > threshold;
+        case '>=': return value >= threshold;
+        case '<': return value < threshold;
+        case '<=': return value <= threshold;
+        case '=': return value === threshold;
+        default: return false;
+    }
+}
+
+/**
+ * Kondisi rule dalam kalimat, misal "B decision share > 60% over last 200 hits"
+ * @param {Object} rule
+ * @returns {string}
+ */
+function describeAlertRule(rule) {
+    const def = ALERT_METRICS[rule.metric];
+    const condition = `${def.label} ${rule.op} ${rule.threshold}${def.unit}`;
+
+    if (def.window === 'hits') {
+        return `${condition} over last ${rule.window} hits`;
+    }
+    if (def.window === 'minutes') {
+        return `${condition} in ${rule.window} min`;
+    }
+    return condition;
+}
+
 // Dashboard State Manager
 document.addEventListener('alpine:init', () => {
     Alpine.data('dash', () => ({
@@ -70,845 +1677,3474 @@ document.addEventListener('alpine:init', () => {
         activeTab: 'overview',
         previousTab: null,
 
-        // Configuration State
-        cfg: {
-            system_on: false,
-            redirect_url: [],
-            country_filter_mode: 'all',
-            country_filter_list: '',
-            updated_at: 0,
-            postback_url: '',
-            default_payout: 0
+        // Configuration State
+        cfg: {
+            system_on: false,
+            redirect_url: [],
+            country_filter_mode: 'all',
+            country_filter_list: '',
+            routing_rules: [],
+            updated_at: 0,
+            postback_url: '',
+            default_payout: 0
+        },
+
+        // Environment Configuration
+        envConfig: {
+            // Database
+            DB_HOST: 'localhost',
+            DB_NAME: '',
+            DB_USER: '',
+            DB_PASS: '',
+            DB_PORT: '3306',
+            DB_CHARSET: 'utf8mb4',
+
+            // Domain Configuration
+            APP_NAME: 'Smart Redirect Platform',
+            APP_URL: '',
+            APP_PANEL_URL: '',
+            BRAND_DOMAIN: '',
+            TRACKING_PRIMARY_DOMAIN: '',
+            TRACKING_DOMAIN: '',
+            TRACKING_REDIRECT_URL: '',
+            TRACKING_DECISION_API: '',
+            TRACKING_POSTBACK_URL: '',
+
+            // API Keys
+            API_KEY_INTERNAL: '',
+            API_KEY_EXTERNAL: '',
+            SRP_API_URL: 'https://api.qvtrk.com/decision.php',
+            SRP_API_KEY: '',
+
+            // Application Settings
+            APP_ENV: 'production',
+            SRP_ENV: 'production',
+            APP_DEBUG: 'false',
+            APP_TIMEZONE: 'UTC',
+            MAINTENANCE_MODE: 'false',
+            MAINTENANCE_MESSAGE: 'System under maintenance. Please try again later.',
+
+            // Session & Security
+            SESSION_LIFETIME: '7200',
+            SESSION_NAME: 'SRP_SESSION',
+            SESSION_SECRET: '',
+            RATE_LIMIT_ATTEMPTS: '5',
+            RATE_LIMIT_WINDOW: '900',
+            SECURE_COOKIES: 'true',
+            HTTP_ONLY: 'true',
+            SAME_SITE: 'Strict',
+            TRUST_CF_HEADERS: 'true',
+
+            // Feature Flags
+            BRAND_ENABLE_LANDING_PAGE: 'true',
+            BRAND_ENABLE_DOCUMENTATION: 'true',
+            BRAND_ENABLE_API_DOCS: 'true',
+            TRACKING_ENABLE_VPN_CHECK: 'true',
+            TRACKING_ENABLE_GEO_FILTER: 'true',
+            TRACKING_ENABLE_DEVICE_FILTER: 'true',
+            TRACKING_ENABLE_AUTO_MUTE: 'true',
+            RATE_LIMIT_TRACKING_ENABLED: 'true',
+
+            // Postback Configuration
+            POSTBACK_TIMEOUT: '5',
+            POSTBACK_MAX_RETRIES: '3',
+            POSTBACK_RETRY_DELAY: '60',
+            POSTBACK_HMAC_SECRET: '',
+            POSTBACK_REQUIRE_API_KEY: 'true',
+            POSTBACK_API_KEY: '',
+            POSTBACK_FORWARD_ENABLED: 'false',
+            POSTBACK_FORWARD_URL: '',
+            DEFAULT_PAYOUT: '0.00',
+
+            // Path Configuration
+            APP_ROOT: '',
+            LOG_PATH: '',
+
+            // External Services
+            VPN_CHECK_URL: 'https://blackbox.ipinfo.app/lookup/',
+            VPN_CHECK_TIMEOUT: '2'
+        },
+
+        // UI State
+        showApiKey: false,
+
+        // Env Secrets State: meta dari server (set, rotated_at), key yang sedang di-reveal, prompt re-auth
+        envSecrets: {},
+        revealedSecrets: {},
+        secretPrompt: null,
+        isSavingEnv: false,
+        isSyncingEnv: false,
+        flash: '',
+        flashType: 'success',
+        isSavingCfg: false,
+        selectedAuditFilter: 'all',
+
+        // Data State
+        logs: [],
+        muteStatus: {
+            isMuted: false,
+            timeRemaining: 'Normal',
+            duration: null,
+            autoMuteHistory: []
+        },
+
+        // Postback State
+        postbackLogs: [],
+        receivedPostbacks: [],
+        // Test Postback Composer: target configured = postback_url di settings, custom = URL ad-hoc
+        postbackComposer: {
+            target: 'configured',
+            url: '',
+            click_id: '',
+            payout: '1.00',
+            country: 'US',
+            traffic_type: 'WAP',
+            status: 'confirmed',
+            network: '',
+            sending: false
+        },
+        postbackTestRuns: [],
+        postbackTestSelected: null,
+        postbackTestCompare: null,
+        postbackUrl: '',
+        postbackLoadErrors: 0,
+        maxPostbackErrors: 3,
+        forwardUrl: '',
+        postbackInterval: null,
+        postbackSavedUrl: null,
+        postbackSaving: false,
+
+        // Signature Tester: verify = cek query string yang di-paste, sign = buat contoh URL untuk partner
+        signatureTester: {
+            mode: 'verify',
+            input: '',
+            headerSignature: '',
+            headerApiKey: '',
+            sampleId: '',
+            loading: false,
+            result: null,
+            sign: { base_url: '', click_id: '', status: 'confirmed', payout: '1.00', country: 'US', network: '' },
+            signed: null
+        },
+
+        // URL template builder per target (postback | forward): autocomplete + sample untuk preview
+        postbackBuilder: {
+            postback: { suggest: null, index: 0, sampleId: '' },
+            forward: { suggest: null, index: 0, sampleId: '' }
+        },
+
+        // Failed Postbacks (retry queue): groups per response code, code '' = semua, 'network' = tanpa response
+        failedPostbacks: {
+            groups: [],
+            rows: [],
+            code: '',
+            maxRetries: 3,
+            selected: [],
+            loading: false,
+            retrying: false,
+            expanded: null,
+            attempts: {}
+        },
+
+        // Logs Table State (server-side pagination via logs.php)
+        logsTable: {
+            rows: [],
+            total: 0,
+            page: 1,
+            perPage: 50,
+            sort: 'id',
+            dir: 'desc',
+            loading: false,
+            error: ''
+        },
+        logFilters: {
+            decision: '',
+            countries: [],
+            date_from: '',
+            date_to: '',
+            lp: '',
+            ip: ''
+        },
+        logCountryInput: '',
+        isClearingLogs: false,
+
+        // Statistics State
+        totalDecisionA: 0,
+        totalDecisionB: 0,
+        uniqueCountries: 0,
+        dailyStats: [],
+        statsSummary: {
+            total_postbacks: 0,
+            total_payout: 0,
+            avg_daily_payout: 0,
+            days_count: 0,
+            total_clicks: 0,
+            decision_a: 0,
+            decision_b: 0
+        },
+        statsPeriod: 7,
+        statsView: 'overview',
+        statsLoading: false,
+        trafficStats: [],
+        statsRange: { from: '', to: '' }, // Custom range aktif (kosong = pakai statsPeriod)
+        statsRangeInput: { from: '', to: '' },
+        statsActiveRange: null, // { from, to, days } dari server
+        statsCompare: false,
+        statsPrevious: null, // { range, stats, traffic, summary } window sebelumnya
+
+        // Redirect Rotation State (drag-to-reorder)
+        redirectDrag: { from: null, over: null },
+
+        // Routing Rules State (rules diedit langsung di cfg.routing_rules, ikut draft routing)
+        routingRuleOpen: null,
+
+        // Draft / Publish State: snapshot terakhir yang sudah ada di server
+        cfgPublished: null,
+        envPublished: null,
+        publishDialog: null,
+        tabGuardBypass: false,
+
+        // Env Import State: preview diff file .env sebelum masuk ke draft
+        envImport: null,
+
+        // Click Journey Panel State (hit -> postback diterima -> forward untuk satu click_id)
+        journey: {
+            open: false,
+            clickId: '',
+            loading: false,
+            data: null
+        },
+
+        // Alert Rules State: rules + feed di localStorage, alertMatching = hasil evaluasi terakhir per rule
+        alertsOpen: false,
+        alertRules: [],
+        alertFeed: [],
+        alertMatching: {},
+        alertPreset: '',
+        notificationPermission: typeof Notification === 'undefined' ? 'unsupported' : Notification.permission,
+        syncedLists: {},
+
+        // Web Push State: subscription browser ini di server (push.php), events + min_payout per browser
+        push: {
+            supported: typeof window.srpPush !== 'undefined' && window.srpPush.supported,
+            loaded: false,
+            busy: false,
+            configured: false,
+            publicKey: '',
+            events: {},
+            endpoint: '',
+            subscribed: false,
+            selected: ['postback_failed', 'large_conversion', 'system_off'],
+            minPayout: 50,
+            subscribers: 0
+        },
+
+        // Config History Drawer State
+        historyOpen: false,
+        historyScope: 'settings',
+        historyVersions: [],
+        historyLoading: false,
+        historyHasMore: false,
+        historyExpanded: null,
+        historyRollingBack: null,
+
+        // Routing Simulator State
+        testerOpen: false,
+        testInput: {
+            ip: '203.0.113.10',
+            country: 'US',
+            ua: 'mobile',
+            lp: '',
+            click_id: 'test',
+            vpn: 'no',
+            at: ''
+        },
+        testResult: null,
+        testReplay: null,
+
+        // Country Filter Editor State (draft, baru dikirim ke server saat save)
+        countryEditor: {
+            mode: 'all',
+            codes: [],
+            input: '',
+            error: '',
+            dirty: false
+        },
+
+        // Country Analytics State
+        countryStats: [],
+        countryIndex: {}, // country_code => row, untuk lookup cepat dari world map
+        countryStatsLoading: false,
+        countrySort: { key: 'clicks', dir: 'desc' },
+        countryFilter: '',
+        countryMinClicks: 0,
+        countryMetric: 'cr',
+        countryHover: null,
+        countrySelection: [],
+
+        // Trends Chart State
+        chartAll: [], // Semua points periode aktif (ascending)
+        chartHidden: {}, // series key => true jika disembunyikan
+        chartHover: null, // Index di chartPoints yang sedang di-hover
+        chartZoom: null, // { from, to } tanggal hasil brush
+        chartBrush: null, // { anchor, start, end } index di chartAll selama drag
+
+        // Refresh State
+        autoRefreshEnabled: true,
+        autoRefreshInterval: 10,
+        refreshTimeLeft: 10,
+        refreshIntervalId: null,
+        refreshCountdownId: null,
+
+        // Live Stream State (SSE)
+        liveStream: null,
+        liveState: 'offline', // connecting | live | stale | polling | offline
+        liveLastEventId: '',
+        liveRetryCount: 0,
+        liveAutoRetries: 2, // Reconnect bawaan browser sebelum fallback ke polling
+        liveClosedByServer: false,
+        liveReconnectId: null,
+        liveWatchdogId: null,
+        liveLastMessageAt: 0,
+        liveStaleAfter: 30000,
+        pollingActive: false,
+
+        // Time Display State
+        displayTimezone: 'browser', // browser | app | IANA timezone
+        timezoneInput: '',
+        nowTick: Date.now(), // Di-update berkala supaya relative hints ("3m ago") ikut bergerak
+        clockInterval: null,
+
+        // Delta Sync State (cursor = id terbesar yang sudah dimuat, window = max rows di memory)
+        logsCursor: 0,
+        postbackCursor: 0,
+        receivedCursor: 0,
+        logsWindow: 200,
+        postbackWindow: 50,
+        receivedWindow: 100,
+
+        // Debounced/Throttled Methods
+        throttledRefresh: null,
+        debouncedSearch: null,
+        debouncedStats: null,
+        debouncedLogsTable: null,
+
+        // Initialization
+        init() {
+            // Clean up any existing intervals first
+            this.cleanup();
+
+            // Create debounced/throttled versions of methods
+            this.throttledRefresh = throttle(() => this._refresh(), 2000);
+            this.debouncedSearch = debounce((term) => this._performSearch(term), 300);
+            this.debouncedStats = debounce(() => this.loadDailyStats(), 2000);
+            this.debouncedLogsTable = debounce(() => this.loadLogsTable(), 1000);
+
+            // Logs table page size preference
+            const savedPerPage = parseInt(localStorage.getItem('srp_logsPerPage'));
+            if ([25, 50, 100, 200].includes(savedPerPage)) {
+                this.logsTable.perPage = savedPerPage;
+            }
+
+            // Series chart yang disembunyikan user
+            try {
+                const hidden = JSON.parse(localStorage.getItem('srp_chartHidden') || '[]');
+                if (Array.isArray(hidden)) {
+                    hidden.forEach(key => { this.chartHidden[key] = true; });
+                }
+            } catch (e) {
+                localStorage.removeItem('srp_chartHidden');
+            }
+
+            // Test postback runs dari sesi sebelumnya
+            try {
+                const runs = JSON.parse(localStorage.getItem('srp_postbackTestRuns') || '[]');
+                if (Array.isArray(runs)) {
+                    this.postbackTestRuns = runs.slice(0, POSTBACK_TEST_RUNS_MAX);
+                    this.postbackTestSelected = runs[0]?.id ?? null;
+                }
+            } catch (e) {
+                localStorage.removeItem('srp_postbackTestRuns');
+            }
+
+            // Alert rules + feed
+            try {
+                const rules = JSON.parse(localStorage.getItem('srp_alertRules') || '[]');
+                const feed = JSON.parse(localStorage.getItem('srp_alertFeed') || '[]');
+                this.alertRules = Array.isArray(rules) ? rules.map(normalizeAlertRule) : [];
+                this.alertFeed = Array.isArray(feed) ? feed.slice(0, ALERT_FEED_MAX) : [];
+            } catch (e) {
+                localStorage.removeItem('srp_alertRules');
+                localStorage.removeItem('srp_alertFeed');
+            }
+
+            // Display timezone preference
+            const savedTimezone = localStorage.getItem('srp_displayTimezone');
+            if (savedTimezone === 'browser' || savedTimezone === 'app' || isValidTimeZone(savedTimezone)) {
+                this.displayTimezone = savedTimezone;
+            }
+
+            // Initialize tab state dari URL hash atau localStorage
+            this.initializeTabState();
+
+            // Watch for tab changes dan sync ke URL/localStorage
+            this.$watch('activeTab', (newTab, oldTab) => {
+                if (this.tabGuardBypass) {
+                    // Kembali ke tab lama setelah user membatalkan navigasi
+                    this.tabGuardBypass = false;
+                    this.syncTabState(newTab);
+                    return;
+                }
+                if (newTab !== oldTab && !this.confirmLeaveTab(oldTab)) {
+                    this.tabGuardBypass = true;
+                    this.activeTab = oldTab;
+                    return;
+                }
+                if (newTab !== oldTab) {
+                    this.previousTab = oldTab;
+                    this.syncTabState(newTab);
+                    this.onTabChanged(newTab, oldTab);
+                }
+            });
+
+            // Listen for hash changes (browser back/forward)
+            window.addEventListener('hashchange', () => this.handleHashChange());
+
+            // Initial data load
+            this.refresh();
+            this.loadEnvConfig();
+            this.loadPostbackLogs();
+            this.loadReceivedPostbacks();
+            if (this.activeTab === 'logs') {
+                this.loadLogsTable();
+            }
+
+            // Update mute status every second
+            this.muteInterval = setInterval(() => this.updateMuteStatus(), 1000);
+            this.clockInterval = setInterval(() => { this.nowTick = Date.now(); }, 30000);
+            this.alertInterval = setInterval(() => this.evaluateAlertRules(), 15000);
+            // Daily stats tidak ikut SSE, jadi tetap di-refresh tiap 60 detik (live maupun polling)
+            this.statsInterval = setInterval(() => this.loadDailyStats(), 60000);
+
+            // Klik notifikasi (service worker): alert rule membuka feed, Web Push pindah tab via hash
+            if ('serviceWorker' in navigator) {
+                navigator.serviceWorker.addEventListener('message', (event) => {
+                    if (event.data && event.data.type === 'srp-open-alerts') {
+                        this.alertsOpen = true;
+                    }
+                    if (event.data && event.data.type === 'srp-navigate') {
+                        window.location.hash = new URL(event.data.url, window.location.origin).hash;
+                    }
+                });
+            }
+
+            // Status Web Push baru dimuat saat panel alerts dibuka
+            this.$watch('alertsOpen', open => {
+                if (open) {
+                    this.loadPushStatus();
+                }
+            });
+
+            // Draft country filter mengikuti cfg dari server selama belum diedit
+            this.$watch('cfg.country_filter_mode', () => this.syncCountryEditor());
+            this.$watch('cfg.country_filter_list', () => this.syncCountryEditor());
+
+            // APP_TIMEZONE datang async dari env config; stats bucket ikut berubah
+            this.$watch('envConfig.APP_TIMEZONE', () => {
+                if (this.displayTimezone === 'app' && this.statsActiveRange) {
+                    this.loadDailyStats();
+                }
+            });
+
+            // Check auto-refresh preference
+            const savedAutoRefresh = localStorage.getItem('srp_autoRefresh');
+            if (savedAutoRefresh !== null) {
+                this.autoRefreshEnabled = savedAutoRefresh === 'true';
+            }
+
+            const savedInterval = localStorage.getItem('srp_refreshInterval');
+            if (savedInterval) {
+                this.autoRefreshInterval = parseInt(savedInterval) || 10;
+                this.refreshTimeLeft = this.autoRefreshInterval;
+            }
+
+            // Live updates via SSE, polling hanya sebagai fallback
+            if (this.autoRefreshEnabled) {
+                this.startLiveUpdates();
+            }
+
+            // Cleanup di pagehide, bukan beforeunload: jika user memilih "Stay on page"
+            // pada peringatan draft di bawah, SSE dan interval harus tetap jalan
+            window.addEventListener('pagehide', () => this.cleanup());
+
+            // Peringatkan sebelum meninggalkan halaman dengan draft yang belum di-publish
+            window.addEventListener('beforeunload', (event) => {
+                if (this.hasUnpublishedRouting || this.hasUnpublishedEnv) {
+                    event.preventDefault();
+                    event.returnValue = '';
+                }
+            });
+
+            // Also cleanup when Alpine component is destroyed
+            this.$watch('$destroy', () => this.cleanup());
+        },
+
+        // Cleanup method to prevent memory leaks
+        cleanup() {
+            this.closeLiveStream();
+            this.pollingActive = false;
+
+            // Clear all intervals
+            if (this.refreshIntervalId) {
+                clearInterval(this.refreshIntervalId);
+                this.refreshIntervalId = null;
+            }
+            if (this.refreshCountdownId) {
+                clearInterval(this.refreshCountdownId);
+                this.refreshCountdownId = null;
+            }
+            if (this.postbackInterval) {
+                clearInterval(this.postbackInterval);
+                this.postbackInterval = null;
+            }
+            if (this.muteInterval) {
+                clearInterval(this.muteInterval);
+                this.muteInterval = null;
+            }
+            if (this.clockInterval) {
+                clearInterval(this.clockInterval);
+                this.clockInterval = null;
+            }
+            if (this.alertInterval) {
+                clearInterval(this.alertInterval);
+                this.alertInterval = null;
+            }
+            if (this.statsInterval) {
+                clearInterval(this.statsInterval);
+                this.statsInterval = null;
+            }
+            if (this.receivedInterval) {
+                clearInterval(this.receivedInterval);
+                this.receivedInterval = null;
+            }
+        },
+
+        // Set up background intervals
+        setupIntervals() {
+            // Load postback logs every 10 seconds
+            this.postbackInterval = setInterval(() => {
+                if (this.postbackLoadErrors < this.maxPostbackErrors) {
+                    this.loadPostbackLogs();
+                }
+            }, 10000);
+
+            // Load received postbacks every 10 seconds
+            this.receivedInterval = setInterval(() => this.loadReceivedPostbacks(), 10000);
+        },
+
+        // Live Updates (SSE dengan polling fallback)
+        startLiveUpdates() {
+            if (typeof EventSource === 'undefined') {
+                this.startPolling();
+                return;
+            }
+            this.connectLiveStream();
+        },
+
+        stopLiveUpdates() {
+            this.closeLiveStream();
+            this.stopPolling();
+            this.liveState = 'offline';
+        },
+
+        connectLiveStream() {
+            this.closeLiveStream();
+            this.liveClosedByServer = false;
+            if (!this.pollingActive) {
+                this.liveState = 'connecting';
+            }
+
+            const query = this.liveLastEventId
+                ? '?last_event_id=' + encodeURIComponent(this.liveLastEventId)
+                : '';
+            const es = new EventSource('events.php' + query);
+            this.liveStream = es;
+
+            const on = (type, handler) => {
+                es.addEventListener(type, (e) => {
+                    this.liveLastMessageAt = Date.now();
+                    if (e.lastEventId) {
+                        this.liveLastEventId = e.lastEventId;
+                    }
+                    if (this.liveState === 'stale') {
+                        this.liveState = 'live';
+                    }
+
+                    let payload = {};
+                    try {
+                        payload = JSON.parse(e.data) || {};
+                    } catch (err) {
+                        console.error('Live event parse error:', err);
+                        return;
+                    }
+                    handler(payload);
+                });
+            };
+
+            on('hello', () => {
+                this.liveRetryCount = 0;
+                this.liveClosedByServer = false;
+                this.stopPolling();
+                this.liveState = 'live';
+            });
+            on('logs', (d) => this.applyLiveLogs(d.rows));
+            on('received', (d) => this.applyLiveReceived(d.rows));
+            on('sent', (d) => this.applyLiveSent(d.rows));
+            on('settings', (d) => this.applyLiveSettings(d.cfg));
+            on('ping', () => {});
+            on('bye', () => {
+                this.liveClosedByServer = true;
+            });
+
+            es.onerror = () => this.handleLiveError();
+
+            this.startLiveWatchdog();
+        },
+
+        handleLiveError() {
+            const es = this.liveStream;
+            if (!es) {
+                return;
+            }
+
+            // Server menutup koneksi secara terencana - browser reconnect sendiri dengan Last-Event-ID
+            if (this.liveClosedByServer && es.readyState === EventSource.CONNECTING) {
+                this.liveClosedByServer = false;
+                return;
+            }
+
+            this.liveRetryCount++;
+
+            if (es.readyState === EventSource.CONNECTING && this.liveRetryCount <= this.liveAutoRetries) {
+                this.liveState = this.pollingActive ? 'polling' : 'connecting';
+                return;
+            }
+
+            // Terlalu banyak error: polling sementara, reconnect dengan exponential backoff
+            this.closeLiveStream();
+            this.startPolling();
+            this.scheduleLiveReconnect();
+        },
+
+        scheduleLiveReconnect() {
+            if (this.liveReconnectId) {
+                clearTimeout(this.liveReconnectId);
+            }
+
+            // 2s, 4s, 8s ... max 30s, dengan jitter supaya tab yang banyak tidak reconnect bersamaan
+            const base = Math.min(30000, 1000 * Math.pow(2, Math.min(this.liveRetryCount, 5)));
+            const delay = Math.round(base / 2 + Math.random() * (base / 2));
+
+            this.liveReconnectId = setTimeout(() => {
+                this.liveReconnectId = null;
+                if (this.autoRefreshEnabled) {
+                    this.connectLiveStream();
+                }
+            }, delay);
+        },
+
+        closeLiveStream() {
+            if (this.liveStream) {
+                this.liveStream.onerror = null;
+                this.liveStream.close();
+                this.liveStream = null;
+            }
+            if (this.liveReconnectId) {
+                clearTimeout(this.liveReconnectId);
+                this.liveReconnectId = null;
+            }
+            if (this.liveWatchdogId) {
+                clearInterval(this.liveWatchdogId);
+                this.liveWatchdogId = null;
+            }
+        },
+
+        startLiveWatchdog() {
+            this.liveLastMessageAt = Date.now();
+
+            this.liveWatchdogId = setInterval(() => {
+                if (!this.liveStream) {
+                    return;
+                }
+
+                const silentFor = Date.now() - this.liveLastMessageAt;
+
+                if (silentFor > this.liveStaleAfter * 2) {
+                    // Koneksi "hidup" tapi tidak ada data (proxy buffering dsb) - paksa reconnect
+                    this.liveRetryCount++;
+                    this.closeLiveStream();
+                    this.startPolling();
+                    this.scheduleLiveReconnect();
+                } else if (silentFor > this.liveStaleAfter && this.liveState === 'live') {
+                    this.liveState = 'stale';
+                }
+            }, 5000);
+        },
+
+        startPolling() {
+            this.liveState = 'polling';
+            if (this.pollingActive) {
+                return;
+            }
+
+            this.pollingActive = true;
+            this.setupIntervals();
+            this.startAutoRefresh();
+        },
+
+        stopPolling() {
+            if (!this.pollingActive) {
+                return;
+            }
+
+            this.pollingActive = false;
+            this.stopAutoRefresh();
+
+            if (this.postbackInterval) {
+                clearInterval(this.postbackInterval);
+                this.postbackInterval = null;
+            }
+            if (this.receivedInterval) {
+                clearInterval(this.receivedInterval);
+                this.receivedInterval = null;
+            }
+
+            // Data yang terlewat selama polling disusul via Last-Event-ID, cukup sync sekali
+            this.refresh();
+        },
+
+        applyLiveLogs(rows) {
+            if (!Array.isArray(rows) || !rows.length) {
+                return;
+            }
+
+            this.logs = this.mergeWindow(this.logs, rows, this.logsWindow);
+            this.logsCursor = Math.max(this.logsCursor, this.maxRowId(rows));
+            this.refreshLogsTableIfLive();
+            this.calculateStats();
+            this.uniqueCountries = this.getUniqueCountries().length;
+
+            if (this.searchQuery.terms.length) {
+                this.filteredLogs = this.logs.filter(log => matchLogQuery(log, this.searchQuery.terms, this.activeTimezone));
+            }
+        },
+
+        applyLiveReceived(rows) {
+            if (!Array.isArray(rows) || !rows.length) {
+                return;
+            }
+
+            this.receivedPostbacks = this.mergeWindow(this.receivedPostbacks, rows, this.receivedWindow);
+            this.receivedCursor = Math.max(this.receivedCursor, this.maxRowId(rows));
+
+            // Conversion baru mempengaruhi statistik revenue
+            if (this.debouncedStats) {
+                this.debouncedStats();
+            }
+        },
+
+        applyLiveSent(rows) {
+            if (!Array.isArray(rows) || !rows.length) {
+                return;
+            }
+
+            this.postbackLogs = this.mergeWindow(this.postbackLogs, rows, this.postbackWindow);
+            this.postbackCursor = Math.max(this.postbackCursor, this.maxRowId(rows));
+        },
+
+        applyLiveSettings(cfg) {
+            // Jangan timpa form yang sedang disimpan
+            if (!cfg || this.isSavingCfg) {
+                return;
+            }
+
+            this.applyServerCfg({ ...this.cfg, ...cfg });
+        },
+
+        // Terima cfg dari server tanpa menimpa draft routing yang belum di-publish
+        applyServerCfg(cfg) {
+            const normalized = this.normalizeCfg(cfg);
+
+            // Template yang sedang diedit (belum tersimpan) tidak ditimpa polling
+            if (this.postbackSavedUrl !== null && this.cfg.postback_url !== this.postbackSavedUrl) {
+                normalized.postback_url = this.cfg.postback_url;
+            } else {
+                this.postbackSavedUrl = normalized.postback_url ?? '';
+            }
+
+            // Draft di-rebase ke versi publish terbaru: field yang tidak diedit ikut server,
+            // field yang diedit tetap draft; beri peringatan jika keduanya berubah
+            if (this.cfgPublished && this.routingChanges.length) {
+                const base = this.cfgPublished;
+                const remote = routingDraftSnapshot(normalized);
+                const draft = routingDraftSnapshot(this.cfg);
+                const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+                const conflicts = [];
+
+                ROUTING_DRAFT_FIELDS.forEach(field => {
+                    if (same(draft[field], base[field])) {
+                        return;
+                    }
+                    normalized[field] = this.cfg[field];
+                    if (!same(remote[field], base[field])) {
+                        conflicts.push(field);
+                    }
+                });
+
+                this.cfg = normalized;
+                this.cfgPublished = remote;
+                if (conflicts.length) {
+                    this.setFlash(`Configuration was published elsewhere while you have a draft (${conflicts.join(', ')}). Review the changes before publishing.`, 'error');
+                }
+                return;
+            }
+
+            this.cfg = normalized;
+            this.cfgPublished = routingDraftSnapshot(normalized);
+        },
+
+        // Delta Sync Helpers
+        // Merge rows ke window berdasarkan id (newest first), row lama di-evict saat window penuh.
+        // List yang sama dikembalikan jika tidak ada rows baru supaya Alpine tidak re-render.
+        mergeWindow(list, rows, max) {
+            if (!Array.isArray(rows) || !rows.length) {
+                return list;
+            }
+
+            const byId = new Map(list.map(row => [String(row.id), row]));
+            rows.forEach(row => byId.set(String(row.id), row));
+
+            return Array.from(byId.values())
+                .sort((a, b) => Number(b.id) - Number(a.id))
+                .slice(0, max);
+        },
+
+        maxRowId(rows) {
+            return rows.reduce((max, row) => Math.max(max, Number(row.id) || 0), 0);
+        },
+
+        // Terapkan response list endpoint (full atau delta) ke window + cursor.
+        // Return false jika server punya cursor lebih kecil (rows dihapus) dan perlu full resync.
+        syncWindow(listKey, cursorKey, data, max) {
+            const rows = Array.isArray(data.logs) ? data.logs : [];
+            const latest = Number(data.cursor) || 0;
+
+            if (!data.delta) {
+                this[listKey] = this.mergeWindow([], rows, max);
+                // Hanya dari rows yang benar-benar diterima; row yang masuk setelah query tetap ikut delta berikutnya
+                this[cursorKey] = this.maxRowId(rows);
+                this.syncedLists[listKey] = true;
+                return true;
+            }
+
+            if (latest < this[cursorKey]) {
+                this[cursorKey] = 0;
+                return false;
+            }
+
+            this[listKey] = this.mergeWindow(this[listKey], rows, max);
+            this[cursorKey] = Math.max(this[cursorKey], this.maxRowId(rows));
+            return true;
+        },
+
+        // Build list URL: since_id jika sudah ada cursor, selain itu full window
+        syncUrl(base, cursor, max) {
+            const sep = base.includes('?') ? '&' : '?';
+            return cursor > 0
+                ? `${base}${sep}since_id=${cursor}&limit=${max}`
+                : `${base}${sep}limit=${max}`;
+        },
+
+        // Normalize cfg dari server (redirect_url array, country list string)
+        normalizeCfg(cfg) {
+            // Parse redirect URLs if they're a string
+            if (typeof cfg.redirect_url === 'string' && cfg.redirect_url) {
+                try {
+                    cfg.redirect_url = JSON.parse(cfg.redirect_url);
+                } catch (e) {
+                    cfg.redirect_url = [cfg.redirect_url];
+                }
+            }
+            // API mengirim target lengkap di redirect_targets (redirect_url = URL string aktif saja)
+            if (Array.isArray(cfg.redirect_targets)) {
+                cfg.redirect_url = cfg.redirect_targets;
+            }
+            delete cfg.redirect_targets;
+            // Ensure redirect_url is an array of {url, weight, enabled, label}
+            cfg.redirect_url = Array.isArray(cfg.redirect_url) ? cfg.redirect_url.map(normalizeRedirectTarget) : [];
+            cfg.routing_rules = Array.isArray(cfg.routing_rules) ? cfg.routing_rules.map(normalizeRoutingRule) : [];
+            // Parse country filter list if string
+            if (typeof cfg.country_filter_list === 'string' && cfg.country_filter_list) {
+                try {
+                    const parsed = JSON.parse(cfg.country_filter_list);
+                    cfg.country_filter_list = Array.isArray(parsed) ? parsed.join(', ') : '';
+                } catch (e) {
+                    // Keep as string if not JSON
+                }
+            }
+            return cfg;
+        },
+
+        // CSRF Token Helper
+        csrf() {
+            const el = document.querySelector('meta[name="csrf-token"]');
+            return el && el.content ? el.content : '';
+        },
+
+        // Safe JSON Parser
+        async safeJsonParse(response) {
+            try {
+                const text = await response.text();
+                if (!text) return null;
+                return JSON.parse(text);
+            } catch (e) {
+                console.error('JSON parse error:', e);
+                return null;
+            }
+        },
+
+        // Flash Message Handler
+        setFlash(message, type = 'success') {
+            this.flash = message;
+            this.flashType = type;
+            setTimeout(() => {
+                this.flash = '';
+            }, 5000);
+        },
+
+        // Refresh wrapper - uses throttled version
+        refresh() {
+            if (this.throttledRefresh) {
+                return this.throttledRefresh();
+            }
+            return this._refresh();
+        },
+
+        // Main Refresh Method (internal)
+        async _refresh() {
+            try {
+                const r = await fetch(this.syncUrl('data.php', this.logsCursor, this.logsWindow), {
+                    headers: {
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && !data.error) {
+                    // Update configuration
+                    if (data.cfg) {
+                        this.applyServerCfg(data.cfg);
+                    }
+
+                    // Update logs (delta merge, full resync jika logs dihapus di server)
+                    const previousCursor = this.logsCursor;
+                    if (!this.syncWindow('logs', 'logsCursor', data, this.logsWindow)) {
+                        return this._refresh();
+                    }
+                    if (this.logsCursor !== previousCursor) {
+                        this.refreshLogsTableIfLive();
+                    }
+                    if (this.searchQuery.terms.length) {
+                        this.filteredLogs = this.logs.filter(log => matchLogQuery(log, this.searchQuery.terms, this.activeTimezone));
+                    }
+
+                    // Calculate statistics
+                    this.calculateStats();
+
+                    // Update unique countries
+                    this.uniqueCountries = this.getUniqueCountries().length;
+
+                    // Reset auto-refresh countdown
+                    this.refreshTimeLeft = this.autoRefreshInterval;
+                } else if (data && data.error) {
+                    this.setFlash('Failed to refresh: ' + data.error, 'error');
+                }
+            } catch (e) {
+                console.error('Refresh error:', e);
+                this.setFlash('Failed to refresh data', 'error');
+            }
+        },
+
+        // Save Configuration: kirim routing dari source (default draft cfg) ke server
+        async _save(source = this.cfg) {
+            this.isSavingCfg = true;
+
+            try {
+                const payload = {
+                    system_on: !!source.system_on,
+                    redirect_url: Array.isArray(source.redirect_url)
+                        ? source.redirect_url.map(normalizeRedirectTarget).map(target => ({ ...target, url: target.url.trim() }))
+                        : [],
+                    country_filter_mode: source.country_filter_mode,
+                    country_filter_list: source.country_filter_list || '',
+                    routing_rules: this.routingRulesPayload(source.routing_rules)
+                };
+
+                const r = await fetch('settings.php', {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify(payload)
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    this.cfgPublished = routingDraftSnapshot(source);
+                    this.setFlash('Configuration saved successfully');
+                    return true;
+                }
+                this.setFlash((data && data.error) || 'Failed to save configuration', 'error');
+            } catch (e) {
+                this.setFlash('Failed to save: ' + e.message, 'error');
+            } finally {
+                this.isSavingCfg = false;
+            }
+            return false;
+        },
+
+        // Kill switch: publish system_on saja, draft routing tetap tersimpan di form
+        async toggleSystem() {
+            const systemOn = !this.cfg.system_on;
+            const source = { ...(this.cfgPublished || routingDraftSnapshot(this.cfg)), system_on: systemOn };
+
+            if (await this._save(source)) {
+                this.cfg.system_on = systemOn;
+            }
+        },
+
+        // Draft / Publish
+        get routingChanges() {
+            return this.cfgPublished ? diffConfig(this.cfgPublished, routingDraftSnapshot(this.cfg)) : [];
+        },
+
+        get envChanges() {
+            if (!this.envPublished) {
+                return [];
+            }
+            // Nilai secret disamarkan seperti di history drawer
+            const mask = value => value === null || value === '' ? value : '••••••';
+            return diffConfig(this.envPublished, this.envConfig).map(change =>
+                isEnvSecret(change.field)
+                    ? { ...change, from: mask(change.from), to: mask(change.to), secret: true }
+                    : change
+            );
+        },
+
+        // Draft country editor yang belum di-apply juga dihitung sebagai perubahan
+        get hasUnpublishedRouting() {
+            return this.routingChanges.length > 0 || this.countryEditor.dirty;
+        },
+
+        get hasUnpublishedEnv() {
+            return this.envChanges.length > 0;
+        },
+
+        // Environment Config Validation (ENV_SCHEMA)
+        get envErrors() {
+            return validateEnvConfig(this.envConfig);
+        },
+
+        get envErrorList() {
+            return Object.entries(this.envErrors).map(([key, message]) => ({
+                key,
+                message,
+                label: ENV_SCHEMA[key].label,
+                group: ENV_SCHEMA[key].group,
+                groupLabel: ENV_GROUPS[ENV_SCHEMA[key].group]
+            }));
+        },
+
+        envGroupErrorCount(group) {
+            return this.envErrorList.filter(error => error.group === group).length;
+        },
+
+        // Tolak aksi jika config invalid; pesan menyebut field pertama yang salah
+        assertEnvValid(config, action) {
+            const errors = Object.entries(validateEnvConfig(config));
+            if (!errors.length) {
+                return true;
+            }
+            const [key, message] = errors[0];
+            const more = errors.length > 1 ? ` (+${errors.length - 1} more)` : '';
+            this.setFlash(`Cannot ${action}: ${ENV_SCHEMA[key].label} ${message.charAt(0).toLowerCase() + message.slice(1)}${more}`, 'error');
+            return false;
+        },
+
+        get routingRulesDirty() {
+            return this.routingChanges.some(change => change.field.startsWith('routing_rules'));
+        },
+
+        draftChangeCount(scope) {
+            return scope === 'env'
+                ? this.envChanges.length
+                : this.routingChanges.length + (this.countryEditor.dirty ? 1 : 0);
+        },
+
+        openPublish(scope) {
+            if (scope === 'routing') {
+                if (this.hasRoutingRuleErrors) {
+                    const index = this.routingRuleErrors.findIndex(errors => errors.length > 0);
+                    this.routingRuleOpen = this.cfg.routing_rules[index].id;
+                    this.setFlash(`Fix ${this.routingRuleName(this.cfg.routing_rules[index], index)} before publishing: ${this.routingRuleErrors[index][0]}`, 'error');
+                    return;
+                }
+                if (this.countryEditor.dirty && !this.applyCountryFilter()) {
+                    return;
+                }
+            }
+
+            if (scope === 'env' && !this.assertEnvValid(this.envConfig, 'publish')) {
+                return;
+            }
+
+            const changes = scope === 'env' ? this.envChanges : this.routingChanges;
+            if (!changes.length) {
+                this.setFlash('No unpublished changes');
+                return;
+            }
+
+            this.publishDialog = { scope, changes };
+        },
+
+        async confirmPublish() {
+            const dialog = this.publishDialog;
+            if (!dialog) {
+                return;
+            }
+
+            if (dialog.scope === 'env') {
+                if (await this._saveEnvConfig()) {
+                    this.publishDialog = null;
+                }
+                return;
+            }
+
+            if (await this._save()) {
+                this.publishDialog = null;
+                await this._refresh();
+            }
+        },
+
+        discardDraft(scope) {
+            const count = this.draftChangeCount(scope);
+            if (!count) {
+                return;
+            }
+            if (!confirm(`Discard ${count} unpublished change${count === 1 ? '' : 's'}?`)) {
+                return;
+            }
+
+            if (scope === 'env') {
+                this.envConfig = { ...this.envConfig, ...JSON.parse(JSON.stringify(this.envPublished)) };
+            } else {
+                this.resetRoutingDraft();
+            }
+            this.setFlash('Unpublished changes discarded');
+        },
+
+        // Kembalikan form routing ke versi yang sudah di-publish (tanpa konfirmasi)
+        resetRoutingDraft() {
+            if (this.cfgPublished) {
+                this.cfg = { ...this.cfg, ...this.normalizeCfg(JSON.parse(JSON.stringify(this.cfgPublished))) };
+            }
+            this.routingRuleOpen = null;
+            this.syncCountryEditor(true);
+        },
+
+        // Konfirmasi sebelum meninggalkan tab yang punya draft
+        confirmLeaveTab(tab) {
+            const dirty = (tab === 'routing' && this.hasUnpublishedRouting)
+                || (tab === 'env-config' && this.hasUnpublishedEnv);
+
+            return !dirty || confirm('You have unpublished changes on this tab. They stay as a draft until you publish or discard them. Leave anyway?');
+        },
+
+        // Clear Logs
+        async clearLogs() {
+            if (!confirm('Are you sure you want to clear all logs? This action cannot be undone.')) {
+                return;
+            }
+
+            this.isClearingLogs = true;
+
+            try {
+                const r = await fetch('logs.php', {
+                    method: 'DELETE',
+                    headers: {
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    this.logs = [];
+                    this.logsTable.rows = [];
+                    this.logsTable.total = 0;
+                    this.logsTable.page = 1;
+                    this.totalDecisionA = 0;
+                    this.totalDecisionB = 0;
+                    this.uniqueCountries = 0;
+                    this.setFlash('Logs cleared successfully');
+                } else {
+                    this.setFlash((data && data.error) || 'Failed to clear logs', 'error');
+                }
+            } catch (e) {
+                this.setFlash('Failed to clear logs', 'error');
+            } finally {
+                this.isClearingLogs = false;
+            }
+        },
+
+        // Logs Table Methods (server-side pagination, sorting, filters)
+        async loadLogsTable() {
+            const table = this.logsTable;
+            table.loading = true;
+            table.error = '';
+
+            try {
+                const params = this.getLogsRequestParams();
+                params.set('limit', table.perPage);
+                params.set('offset', (table.page - 1) * table.perPage);
+
+                const r = await fetch('logs.php?' + params.toString(), {
+                    headers: {
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    table.rows = Array.isArray(data.data) ? data.data : [];
+                    table.total = data.pagination ? Number(data.pagination.total) || 0 : table.rows.length;
+
+                    // Halaman di luar range (mis. setelah filter) - kembali ke halaman terakhir
+                    if (!table.rows.length && table.page > 1 && table.total > 0) {
+                        table.page = this.logsTotalPages;
+                        this.syncLogsHash();
+                        return this.loadLogsTable();
+                    }
+                } else {
+                    table.error = (data && data.error) || 'Failed to load traffic logs';
+                }
+            } catch (e) {
+                console.error('Failed to load logs table:', e);
+                table.error = 'Failed to load traffic logs';
+            } finally {
+                table.loading = false;
+            }
+        },
+
+        // Filter + sort state sebagai URLSearchParams (dipakai untuk request dan URL hash)
+        getLogsQueryParams() {
+            const params = new URLSearchParams();
+            const f = this.logFilters;
+
+            if (this.searchTerm.trim() && !this.searchQuery.errors.length) params.set('q', this.searchTerm.trim());
+            if (this.logsTable.sort !== 'id') params.set('sort', this.logsTable.sort);
+            if (this.logsTable.dir !== 'desc') params.set('dir', this.logsTable.dir);
+            if (f.decision) params.set('decision', f.decision);
+            if (f.countries.length) params.set('country', f.countries.join(','));
+            if (f.date_from) params.set('date_from', f.date_from);
+            if (f.date_to) params.set('date_to', f.date_to);
+            if (f.lp.trim()) params.set('lp', f.lp.trim());
+            if (f.ip.trim()) params.set('ip', f.ip.trim());
+
+            return params;
+        },
+
+        // Params untuk logs.php / export.php: query text diganti parsed terms
+        getLogsRequestParams() {
+            const params = this.getLogsQueryParams();
+            params.delete('q');
+            if (this.searchQuery.terms.length) {
+                params.set('terms', JSON.stringify(this.searchQuery.terms));
+            }
+            // Batas hari date_from/date_to dan after:/before: mengikuti display timezone
+            if (params.has('date_from') || params.has('date_to') || params.has('terms')) {
+                params.set('tz', this.activeTimezone);
+            }
+            return params;
+        },
+
+        applyLogsHashParams(params) {
+            const countries = (params.get('country') || '').toUpperCase().split(',').filter(c => /^[A-Z]{2}$/.test(c));
+
+            this.logFilters = {
+                decision: ['A', 'B'].includes(params.get('decision')) ? params.get('decision') : '',
+                countries: countries,
+                date_from: params.get('date_from') || '',
+                date_to: params.get('date_to') || '',
+                lp: params.get('lp') || '',
+                ip: params.get('ip') || ''
+            };
+            this.searchTerm = params.get('q') || '';
+            this.searchQuery = parseLogQuery(this.searchTerm);
+            this.logsTable.sort = params.get('sort') || 'id';
+            this.logsTable.dir = params.get('dir') === 'asc' ? 'asc' : 'desc';
+            this.logsTable.page = Math.max(1, parseInt(params.get('page')) || 1);
+        },
+
+        logsHashQuery() {
+            const params = this.getLogsQueryParams();
+            if (this.logsTable.page > 1) {
+                params.set('page', this.logsTable.page);
+            }
+            return params.toString();
+        },
+
+        // Tulis state tabel ke hash (#logs?page=2&country=US) tanpa menambah history entry
+        syncLogsHash() {
+            if (this.activeTab !== 'logs') {
+                return;
+            }
+
+            const query = this.logsHashQuery();
+            const hash = '#logs' + (query ? '?' + query : '');
+            if (window.location.hash !== hash) {
+                history.replaceState(null, '', hash);
+            }
+        },
+
+        applyLogFilters() {
+            this.logsTable.page = 1;
+            this.syncLogsHash();
+            this.loadLogsTable();
+        },
+
+        resetLogFilters() {
+            this.searchTerm = '';
+            this.searchQuery = { terms: [], errors: [] };
+            this.filteredLogs = [];
+            this.logFilters = { decision: '', countries: [], date_from: '', date_to: '', lp: '', ip: '' };
+            this.logCountryInput = '';
+            this.logsTable.sort = 'id';
+            this.logsTable.dir = 'desc';
+            this.applyLogFilters();
+        },
+
+        get hasLogFilters() {
+            const f = this.logFilters;
+            return !!(this.searchQuery.terms.length || f.decision || f.countries.length || f.date_from || f.date_to || f.lp.trim() || f.ip.trim());
+        },
+
+        addLogCountry() {
+            const codes = this.logCountryInput.toUpperCase().split(/[\s,]+/).filter(c => /^[A-Z]{2}$/.test(c));
+            codes.forEach(code => {
+                if (!this.logFilters.countries.includes(code)) {
+                    this.logFilters.countries.push(code);
+                }
+            });
+            this.logCountryInput = '';
+            if (codes.length) {
+                this.applyLogFilters();
+            }
+        },
+
+        removeLogCountry(code) {
+            this.logFilters.countries = this.logFilters.countries.filter(c => c !== code);
+            this.applyLogFilters();
+        },
+
+        setLogsSort(column) {
+            if (this.logsTable.sort === column) {
+                this.logsTable.dir = this.logsTable.dir === 'asc' ? 'desc' : 'asc';
+            } else {
+                this.logsTable.sort = column;
+                this.logsTable.dir = column === 'id' || column === 'ts' ? 'desc' : 'asc';
+            }
+            this.applyLogFilters();
+        },
+
+        getSortIndicator(column) {
+            if (this.logsTable.sort !== column) {
+                return '';
+            }
+            return this.logsTable.dir === 'asc' ? '\u2191' : '\u2193';
+        },
+
+        setLogsPage(page) {
+            const target = Math.min(Math.max(1, page), this.logsTotalPages);
+            if (target === this.logsTable.page) {
+                return;
+            }
+            this.logsTable.page = target;
+            this.syncLogsHash();
+            this.loadLogsTable();
+        },
+
+        changeLogsPerPage() {
+            this.logsTable.perPage = parseInt(this.logsTable.perPage) || 50;
+            localStorage.setItem('srp_logsPerPage', this.logsTable.perPage);
+            this.applyLogFilters();
+        },
+
+        get logsTotalPages() {
+            return Math.max(1, Math.ceil(this.logsTable.total / this.logsTable.perPage));
+        },
+
+        get logsRangeLabel() {
+            const t = this.logsTable;
+            if (!t.total) {
+                return '0 results';
+            }
+            const from = (t.page - 1) * t.perPage + 1;
+            const to = Math.min(t.total, from + t.rows.length - 1);
+            return `${this.formatNumber(from)}\u2013${this.formatNumber(to)} of ${this.formatNumber(t.total)}`;
+        },
+
+        // Reload tabel saat ada logs baru, hanya jika user melihat halaman pertama (newest first)
+        refreshLogsTableIfLive() {
+            const t = this.logsTable;
+            if (this.activeTab === 'logs' && t.page === 1 && t.sort === 'id' && t.dir === 'desc' && this.debouncedLogsTable) {
+                this.debouncedLogsTable();
+            }
+        },
+
+        // Redirect URL Management
+        addRedirectUrl() {
+            if (!Array.isArray(this.cfg.redirect_url)) {
+                this.cfg.redirect_url = [];
+            }
+            this.cfg.redirect_url.push(normalizeRedirectTarget(''));
+        },
+
+        removeRedirectUrl(index) {
+            if (Array.isArray(this.cfg.redirect_url)) {
+                this.cfg.redirect_url.splice(index, 1);
+            }
+        },
+
+        updateRedirectUrl(index, value) {
+            this.updateRedirectTarget(index, 'url', value);
+        },
+
+        updateRedirectTarget(index, field, value) {
+            const target = this.cfg.redirect_url?.[index];
+            if (!target) {
+                return;
+            }
+            this.cfg.redirect_url[index] = normalizeRedirectTarget({ ...target, [field]: value });
+        },
+
+        // Pindahkan target ke posisi lain (drag & drop atau Alt+Arrow di handle)
+        moveRedirectTarget(from, to) {
+            const list = this.cfg.redirect_url;
+            if (!Array.isArray(list) || from === to || from < 0 || to < 0 || from >= list.length || to >= list.length) {
+                return;
+            }
+            list.splice(to, 0, list.splice(from, 1)[0]);
+        },
+
+        startRedirectDrag(index, event) {
+            this.redirectDrag = { from: index, over: index };
+            event.dataTransfer.effectAllowed = 'move';
+            event.dataTransfer.setData('text/plain', String(index));
+        },
+
+        overRedirectDrag(index) {
+            if (this.redirectDrag.from !== null) {
+                this.redirectDrag.over = index;
+            }
+        },
+
+        endRedirectDrag(drop = false) {
+            const { from, over } = this.redirectDrag;
+            this.redirectDrag = { from: null, over: null };
+            if (drop && from !== null && over !== null) {
+                this.moveRedirectTarget(from, over);
+            }
+        },
+
+        // Routing Rules
+        addRoutingRule() {
+            const rule = createRoutingRule();
+            this.cfg.routing_rules = [...(this.cfg.routing_rules || []), rule];
+            this.routingRuleOpen = rule.id;
+        },
+
+        duplicateRoutingRule(index) {
+            const source = this.cfg.routing_rules[index];
+            const copy = normalizeRoutingRule({ ...JSON.parse(JSON.stringify(source)), id: createRoutingRule().id });
+            copy.name = source.name ? source.name + ' (copy)' : '';
+            this.cfg.routing_rules.splice(index + 1, 0, copy);
+            this.routingRuleOpen = copy.id;
+        },
+
+        removeRoutingRule(index) {
+            const rule = this.cfg.routing_rules[index];
+            if (!rule || !confirm(`Delete rule "${this.routingRuleName(rule, index)}"?`)) {
+                return;
+            }
+            this.cfg.routing_rules.splice(index, 1);
+        },
+
+        // Urutan rules penting: rule pertama yang cocok menang
+        moveRoutingRule(from, to) {
+            const rules = this.cfg.routing_rules;
+            if (to < 0 || to >= rules.length || from === to) {
+                return;
+            }
+            rules.splice(to, 0, rules.splice(from, 1)[0]);
+        },
+
+        updateRoutingRule(index, field, value) {
+            const rule = this.cfg.routing_rules[index];
+            if (!rule) {
+                return;
+            }
+            rule[field] = value;
+        },
+
+        toggleRoutingRuleValue(index, field, value) {
+            const list = this.cfg.routing_rules[index]?.[field] || [];
+            this.updateRoutingRule(index, field, list.includes(value) ? list.filter(v => v !== value) : [...list, value]);
+        },
+
+        setRoutingRuleHours(index, part, value) {
+            const rule = this.cfg.routing_rules[index];
+            if (part === 'enabled') {
+                this.updateRoutingRule(index, 'hours', value ? { from: 9, to: 17 } : null);
+                return;
+            }
+            this.updateRoutingRule(index, 'hours', { ...rule.hours, [part]: parseInt(value, 10) });
+        },
+
+        addRoutingRuleTarget(index) {
+            this.cfg.routing_rules[index].targets.push(normalizeRedirectTarget(''));
+        },
+
+        updateRoutingRuleTarget(index, targetIndex, field, value) {
+            const targets = this.cfg.routing_rules[index].targets;
+            targets[targetIndex] = normalizeRedirectTarget({ ...targets[targetIndex], [field]: value });
+        },
+
+        removeRoutingRuleTarget(index, targetIndex) {
+            this.cfg.routing_rules[index].targets.splice(targetIndex, 1);
+        },
+
+        routingRuleName(rule, index) {
+            return rule.name || `Rule ${index + 1}`;
+        },
+
+        // Ringkasan satu baris: "US, CA · WAP · lp: promo* · Mon Tue · 09–17h → 2 URLs"
+        routingRuleSummary(rule) {
+            const parts = [];
+            const dayLabel = value => ROUTING_DAYS.find(d => d.value === value)?.label;
+
+            parts.push(rule.countries.length ? rule.countries.slice(0, 5).join(', ') + (rule.countries.length > 5 ? ` +${rule.countries.length - 5}` : '') : 'Any country');
+            parts.push(rule.devices.length ? rule.devices.join('/') : 'WAP only');
+            if (rule.user_lp.length) {
+                parts.push('lp: ' + rule.user_lp.join(', '));
+            }
+            if (rule.days.length && rule.days.length < 7) {
+                parts.push(rule.days.map(dayLabel).join(' '));
+            }
+            if (rule.hours) {
+                parts.push(`${String(rule.hours.from).padStart(2, '0')}–${String(rule.hours.to).padStart(2, '0')}h`);
+            }
+
+            const urls = rule.targets.filter(t => t.enabled && t.url.trim()).length;
+            return parts.join(' · ') + ` → ${urls} URL${urls === 1 ? '' : 's'}`;
+        },
+
+        get routingDays() {
+            return ROUTING_DAYS;
+        },
+
+        get routingDevices() {
+            return ROUTING_DEVICES;
+        },
+
+        // Error per rule (index sama dengan cfg.routing_rules)
+        get routingRuleErrors() {
+            return (this.cfg.routing_rules || []).map(rule => validateRoutingRule(rule));
+        },
+
+        get hasRoutingRuleErrors() {
+            return this.routingRuleErrors.some(errors => errors.length > 0);
+        },
+
+        routingRulesPayload(rules = this.cfg.routing_rules) {
+            return (rules || []).map(rule => ({
+                ...rule,
+                targets: rule.targets
+                    .map(target => ({ ...target, url: target.url.trim() }))
+                    .filter(target => target.url)
+            }));
+        },
+
+        // Config History (snapshot per save, diff dan rollback)
+        openHistory(scope) {
+            this.historyScope = scope;
+            this.historyOpen = true;
+            this.historyExpanded = null;
+            this.loadHistory();
+        },
+
+        async loadHistory(more = false) {
+            if (this.historyLoading) {
+                return;
+            }
+            this.historyLoading = true;
+
+            try {
+                const params = new URLSearchParams({ scope: this.historyScope, limit: '30' });
+                if (more && this.historyVersions.length) {
+                    params.set('before_id', String(this.historyVersions[this.historyVersions.length - 1].id));
+                }
+
+                const r = await fetch('config-history.php?' + params.toString(), {
+                    headers: {
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                });
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    this.historyVersions = more ? [...this.historyVersions, ...data.versions] : data.versions;
+                    this.historyHasMore = !!data.has_more;
+                    if (!more && this.historyExpanded === null && data.versions.length) {
+                        this.historyExpanded = data.versions[0].id;
+                    }
+                } else {
+                    this.setFlash((data && data.error) || 'Failed to load history', 'error');
+                }
+            } catch (e) {
+                this.setFlash('Failed to load history: ' + e.message, 'error');
+            } finally {
+                this.historyLoading = false;
+            }
+        },
+
+        async rollbackVersion(version) {
+            const label = this.historyScope === 'env' ? 'environment configuration' : 'routing settings';
+            if (!confirm(`Roll back ${label} to version #${version.id} (${version.actor}, ${this.fmt(version.ts)})?`)) {
+                return;
+            }
+
+            this.historyRollingBack = version.id;
+            try {
+                const r = await fetch('config-history.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({ id: version.id })
+                });
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    this.setFlash(data.version ? `Rolled back to version #${version.id}` : 'Already at this version');
+                    if (data.scope === 'env') {
+                        await this.loadEnvConfig(true);
+                    } else {
+                        this.cfgPublished = null;
+                        this.countryEditor.dirty = false;
+                        await this._refresh();
+                        this.resetRoutingDraft();
+                    }
+                    this.historyExpanded = null;
+                    await this.loadHistory();
+                } else {
+                    this.setFlash((data && data.error) || 'Rollback failed', 'error');
+                }
+            } catch (e) {
+                this.setFlash('Rollback failed: ' + e.message, 'error');
+            } finally {
+                this.historyRollingBack = null;
+            }
+        },
+
+        formatHistoryValue(value) {
+            if (value === null || value === undefined) {
+                return '—';
+            }
+            if (value === '') {
+                return '(empty)';
+            }
+            if (typeof value === 'boolean') {
+                return value ? 'true' : 'false';
+            }
+            return String(value);
+        },
+
+        historySummary(version) {
+            const fields = Array.from(new Set(version.changes.map(c => c.field.split('.')[0])));
+            return fields.slice(0, 3).join(', ') + (fields.length > 3 ? ` +${fields.length - 3} more` : '');
+        },
+
+        // Routing Simulator
+        // Config yang disimulasikan: cfg saat ini + draft country filter yang belum disimpan
+        get simulationConfig() {
+            const editor = this.countryEditor;
+            return {
+                system_on: this.cfg.system_on,
+                redirect_url: this.cfg.redirect_url || [],
+                country_filter_mode: editor.dirty ? editor.mode : this.cfg.country_filter_mode,
+                country_filter_list: editor.dirty ? editor.codes : parseCountryList(this.cfg.country_filter_list),
+                routing_rules: this.cfg.routing_rules || []
+            };
+        },
+
+        get testDevice() {
+            return detectDeviceFromUa(this.testInput.ua);
+        },
+
+        runTest() {
+            const input = this.testInput;
+            const at = input.at ? Date.parse(input.at) : NaN;
+
+            this.testResult = simulateRouting(this.simulationConfig, {
+                ip: input.ip.trim(),
+                country: input.country.trim(),
+                ua: input.ua,
+                lp: input.lp.trim(),
+                click_id: input.click_id.trim(),
+                vpn: input.vpn === 'yes',
+                ts: Math.floor((Number.isFinite(at) ? at : Date.now()) / 1000)
+            }, {
+                geoFilter: this.envConfig.TRACKING_ENABLE_GEO_FILTER !== 'false',
+                deviceFilter: this.envConfig.TRACKING_ENABLE_DEVICE_FILTER !== 'false',
+                timeZone: isValidTimeZone(this.envConfig.APP_TIMEZONE) ? this.envConfig.APP_TIMEZONE : 'UTC'
+            });
+        },
+
+        // Replay satu row logs terhadap draft config (VPN tidak tercatat di logs, diasumsikan tidak)
+        replayLog(log) {
+            const at = new Date(log.ts * 1000);
+            const pad = n => String(n).padStart(2, '0');
+
+            this.testInput = {
+                ip: log.ip || '',
+                country: log.country_code || 'XX',
+                ua: log.ua || '',
+                lp: log.user_lp || '',
+                click_id: log.click_id || '',
+                vpn: 'no',
+                // datetime-local memakai waktu lokal browser
+                at: `${at.getFullYear()}-${pad(at.getMonth() + 1)}-${pad(at.getDate())}T${pad(at.getHours())}:${pad(at.getMinutes())}`
+            };
+            this.testReplay = { id: log.id, ts: log.ts, decision: log.decision };
+            this.testerOpen = true;
+            this.navigateToTab('routing');
+            this.runTest();
+            this.$nextTick(() => document.getElementById('routing-simulator')?.scrollIntoView({ behavior: 'smooth', block: 'start' }));
+        },
+
+        clearTestReplay() {
+            this.testReplay = null;
+            this.testInput.at = '';
+        },
+
+        // Total weight dari target yang ikut rotasi (enabled, URL terisi)
+        get redirectWeightTotal() {
+            return (this.cfg.redirect_url || [])
+                .filter(t => t.enabled && t.url.trim())
+                .reduce((sum, t) => sum + t.weight, 0);
+        },
+
+        get activeRedirectCount() {
+            return (this.cfg.redirect_url || []).filter(t => t.enabled && t.weight > 0 && t.url.trim()).length;
+        },
+
+        // Persentase traffic Decision A untuk target ke-index (0 jika tidak ikut rotasi)
+        redirectShare(index) {
+            const target = this.cfg.redirect_url?.[index];
+            const total = this.redirectWeightTotal;
+            if (!target || !target.enabled || !target.url.trim() || total === 0) {
+                return 0;
+            }
+            return target.weight / total * 100;
+        },
+
+        formatRedirectShare(index) {
+            const share = this.redirectShare(index);
+            return share > 0 && share < 0.1 ? '<0.1%' : share.toFixed(share % 1 === 0 ? 0 : 1) + '%';
+        },
+
+        redirectColor(index) {
+            return REDIRECT_COLORS[index % REDIRECT_COLORS.length];
+        },
+
+        redirectTargetName(target, index) {
+            if (target.label) {
+                return target.label;
+            }
+            try {
+                return new URL(target.url).hostname;
+            } catch (e) {
+                return 'URL ' + (index + 1);
+            }
+        },
+
+        // Segmen split bar (hanya target dengan share > 0)
+        get redirectSplit() {
+            return (this.cfg.redirect_url || [])
+                .map((target, index) => ({
+                    index,
+                    name: this.redirectTargetName(target, index),
+                    share: this.redirectShare(index),
+                    color: this.redirectColor(index)
+                }))
+                .filter(segment => segment.share > 0);
+        },
+
+        // Environment Config Methods
+        // force = timpa draft env yang belum di-publish (mis. setelah rollback)
+        async loadEnvConfig(force = false) {
+            if (this.hasUnpublishedEnv && !force) {
+                return;
+            }
+
+            try {
+                const r = await fetch('env-config.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({ action: 'get' })
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok && data.config) {
+                    envSecretKeys = Array.isArray(data.secret_keys) ? data.secret_keys : [];
+                    this.envConfig = { ...this.envConfig, ...data.config };
+                    this.envPublished = JSON.parse(JSON.stringify(this.envConfig));
+                    this.envSecrets = data.secrets || {};
+                    this.revealedSecrets = {};
+                }
+            } catch (e) {
+                console.error('Failed to load env config:', e);
+            }
+        },
+
+        async _saveEnvConfig() {
+            if (!this.assertEnvValid(this.envConfig, 'save')) {
+                return false;
+            }
+
+            this.isSavingEnv = true;
+
+            try {
+                const r = await fetch('env-config.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({
+                        action: 'update',
+                        config: this.envConfig
+                    })
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    this.envPublished = JSON.parse(JSON.stringify(this.envConfig));
+                    this.setFlash('Environment configuration saved successfully');
+                    // Reload to apply changes
+                    setTimeout(() => window.location.reload(), 1500);
+                    return true;
+                }
+                this.setFlash((data && data.error) || 'Failed to save configuration', 'error');
+            } catch (e) {
+                this.setFlash('Failed to save: ' + e.message, 'error');
+            } finally {
+                this.isSavingEnv = false;
+            }
+            return false;
+        },
+
+        // Env Secrets (masked by default, reveal dengan re-auth, rotate di browser)
+        isSecretMasked(key) {
+            return this.envConfig[key] === SECRET_MASK;
+        },
+
+        secretRotatedLabel(key) {
+            if (this.envPublished && this.envConfig[key] !== this.envPublished[key]) {
+                return 'Changed, not published';
+            }
+            const meta = this.envSecrets[key];
+            if (!meta || !meta.set) {
+                return 'Not set';
+            }
+            return meta.rotated_at ? 'Rotated ' + (this.fmtRelative(meta.rotated_at) || this.fmt(meta.rotated_at)) : '';
+        },
+
+        async toggleSecret(key) {
+            if (this.revealedSecrets[key]) {
+                this.hideSecret(key);
+            } else if (this.isSecretMasked(key)) {
+                await this.revealSecret(key, '');
+            } else {
+                // Nilai yang diketik/di-generate di browser tidak perlu re-auth
+                this.revealedSecrets = { ...this.revealedSecrets, [key]: true };
+            }
+        },
+
+        // Password kosong = coba pakai re-auth yang masih berlaku; server minta password jika tidak
+        async revealSecret(key, password) {
+            try {
+                const r = await fetch('env-config.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({ action: 'reveal', key, password })
+                });
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    if (this.envConfig[key] === SECRET_MASK) {
+                        this.envConfig[key] = data.value;
+                    }
+                    if (this.envPublished && this.envPublished[key] === SECRET_MASK) {
+                        this.envPublished[key] = data.value;
+                    }
+                    this.revealedSecrets = { ...this.revealedSecrets, [key]: true };
+                    this.secretPrompt = null;
+                    return;
+                }
+                if (data && data.logout) {
+                    window.location.reload();
+                    return;
+                }
+                if (data && data.reauth) {
+                    this.secretPrompt = { key, password: '', error: password ? data.error : '', busy: false };
+                    return;
+                }
+                this.setFlash((data && data.error) || 'Failed to reveal secret', 'error');
+            } catch (e) {
+                this.setFlash('Failed to reveal secret: ' + e.message, 'error');
+            }
+        },
+
+        async submitSecretPrompt() {
+            const prompt = this.secretPrompt;
+            if (!prompt || !prompt.password || prompt.busy) {
+                return;
+            }
+            prompt.busy = true;
+            await this.revealSecret(prompt.key, prompt.password);
+            if (this.secretPrompt) {
+                this.secretPrompt.busy = false;
+            }
+        },
+
+        // Sembunyikan lagi; nilai yang tidak diubah dikembalikan ke mask supaya tidak tinggal di memory
+        hideSecret(key) {
+            if (this.envPublished && this.envConfig[key] === this.envPublished[key] && this.envSecrets[key]?.set) {
+                this.envConfig[key] = SECRET_MASK;
+                this.envPublished[key] = SECRET_MASK;
+            }
+            const revealed = { ...this.revealedSecrets };
+            delete revealed[key];
+            this.revealedSecrets = revealed;
+        },
+
+        replaceSecret(key, input) {
+            this.envConfig[key] = '';
+            this.revealedSecrets = { ...this.revealedSecrets, [key]: true };
+            this.$nextTick(() => input && input.focus());
+        },
+
+        rotateSecret(key) {
+            const label = ENV_SCHEMA[key]?.label || key;
+            if (this.envSecrets[key]?.set
+                && !confirm(`Generate a new ${label}? The current value stops working once you publish, so update every client that uses it.`)) {
+                return;
+            }
+            this.envConfig[key] = generateSecret(key === 'SESSION_SECRET' || key === 'POSTBACK_HMAC_SECRET' ? 32 : 16);
+            this.revealedSecrets = { ...this.revealedSecrets, [key]: true };
+        },
+
+        // Download envConfig yang sedang dimuat sebagai file .env
+        exportEnvFile(redact = true) {
+            const text = buildEnvFile(this.envConfig, { redact, source: this.envConfig.APP_URL || window.location.host });
+            const env = (this.envConfig.APP_ENV || 'env').replace(/[^a-z0-9_-]/gi, '');
+            const link = document.createElement('a');
+
+            link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+            link.download = `srp-${env}-${new Date().toISOString().slice(0, 10)}${redact ? '-redacted' : ''}.env`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        },
+
+        // Baca file .env dan siapkan preview diff terhadap nilai yang dimuat
+        async importEnvFile(event) {
+            const file = event.target.files?.[0];
+            event.target.value = '';
+            if (!file) {
+                return;
+            }
+            if (file.size > 65536) {
+                this.setFlash('.env file is too large (max 64 KB)', 'error');
+                return;
+            }
+
+            try {
+                const { values, errors } = parseEnvFile(await file.text());
+                const known = key => key in this.envConfig || !!ENV_SCHEMA[key];
+                const incoming = {};
+                const redacted = [];
+                const unknown = [];
+
+                Object.entries(values).forEach(([key, value]) => {
+                    if (!known(key)) {
+                        unknown.push(key);
+                    } else if (value === ENV_REDACTED) {
+                        redacted.push(key);
+                    } else {
+                        incoming[key] = value;
+                    }
+                });
+
+                const current = {};
+                Object.keys(incoming).forEach(key => { current[key] = this.envConfig[key] ?? ''; });
+                const mask = value => value === null || value === '' ? value : '••••••';
+                const changes = diffConfig(current, incoming).map(change =>
+                    isEnvSecret(change.field) ? { ...change, from: mask(change.from), to: mask(change.to), secret: true } : change
+                );
+
+                this.envImport = {
+                    fileName: file.name,
+                    values: incoming,
+                    changes,
+                    redacted,
+                    unknown,
+                    errors,
+                    invalid: Object.keys(validateEnvConfig({ ...this.envConfig, ...incoming }))
+                };
+            } catch (e) {
+                this.setFlash('Failed to read .env file: ' + e.message, 'error');
+            }
+        },
+
+        // Terapkan import ke draft env; tetap harus di-publish (dengan validasi schema)
+        applyEnvImport() {
+            if (!this.envImport) {
+                return;
+            }
+            const count = this.envImport.changes.length;
+            this.envConfig = { ...this.envConfig, ...this.envImport.values };
+            this.envImport = null;
+            this.setFlash(count
+                ? `Imported ${count} change${count === 1 ? '' : 's'} into the draft. Review and publish to apply.`
+                : 'Imported file matches the loaded configuration');
+        },
+
+        async syncEnvToFile() {
+            // Yang ditulis ke .env adalah versi tersimpan, bukan draft di form
+            if (!this.assertEnvValid(this.envPublished || this.envConfig, 'write .env')) {
+                return;
+            }
+            if (!confirm('This will update the .env file with current database values. Continue?')) {
+                return;
+            }
+
+            this.isSyncingEnv = true;
+
+            try {
+                const r = await fetch('env-config.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({ action: 'sync' })
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    this.setFlash('.env file updated successfully');
+                } else {
+                    this.setFlash(data.error || 'Failed to sync configuration', 'error');
+                }
+            } catch (e) {
+                this.setFlash('Failed to sync: ' + e.message, 'error');
+            } finally {
+                this.isSyncingEnv = false;
+            }
+        },
+
+        // Search Methods (query language, lihat parseLogQuery)
+        searchTerm: '',
+        searchQuery: { terms: [], errors: [] },
+        filteredLogs: [],
+
+        search(term) {
+            this.searchTerm = term;
+            this.searchQuery = parseLogQuery(term);
+            if (this.debouncedSearch) {
+                this.debouncedSearch(term);
+            } else {
+                this._performSearch(term);
+            }
+        },
+
+        _performSearch(term) {
+            const query = parseLogQuery(term);
+            this.searchQuery = query;
+
+            // Query invalid: tampilkan hint, jangan ubah hasil yang sedang tampil
+            if (query.errors.length) {
+                return;
+            }
+
+            this.filteredLogs = query.terms.length
+                ? this.logs.filter(log => matchLogQuery(log, query.terms, this.activeTimezone))
+                : [];
+
+            if (this.activeTab === 'logs') {
+                this.applyLogFilters();
+            }
+        },
+
+        clearSearch() {
+            this.searchTerm = '';
+            this.searchQuery = { terms: [], errors: [] };
+            this.filteredLogs = [];
+            this.applyLogFilters();
+        },
+
+        get searchErrorHint() {
+            const error = this.searchQuery.errors[0];
+            return error ? `${error.message} (at character ${error.position})` : '';
+        },
+
+        get displayLogs() {
+            return this.searchQuery.terms.length ? this.filteredLogs : this.logs;
+        },
+
+        // Auto-refresh Methods
+        toggleAutoRefresh() {
+            this.autoRefreshEnabled = !this.autoRefreshEnabled;
+            localStorage.setItem('srp_autoRefresh', this.autoRefreshEnabled);
+
+            if (this.autoRefreshEnabled) {
+                this.startLiveUpdates();
+                this.setFlash('Live updates enabled');
+            } else {
+                this.stopLiveUpdates();
+                this.setFlash('Live updates paused');
+            }
+        },
+
+        updateRefreshInterval() {
+            localStorage.setItem('srp_refreshInterval', this.autoRefreshInterval);
+            this.refreshTimeLeft = this.autoRefreshInterval;
+
+            if (this.pollingActive) {
+                this.stopAutoRefresh();
+                this.startAutoRefresh();
+            }
+        },
+
+        startAutoRefresh() {
+            this.stopAutoRefresh();
+
+            this.refreshIntervalId = setInterval(() => {
+                this.refresh();
+                this.refreshTimeLeft = this.autoRefreshInterval;
+            }, this.autoRefreshInterval * 1000);
+
+            this.refreshCountdownId = setInterval(() => {
+                this.refreshTimeLeft--;
+                if (this.refreshTimeLeft <= 0) {
+                    this.refreshTimeLeft = this.autoRefreshInterval;
+                }
+            }, 1000);
+        },
+
+        stopAutoRefresh() {
+            if (this.refreshIntervalId) {
+                clearInterval(this.refreshIntervalId);
+                this.refreshIntervalId = null;
+            }
+            if (this.refreshCountdownId) {
+                clearInterval(this.refreshCountdownId);
+                this.refreshCountdownId = null;
+            }
+        },
+
+        // Statistics Calculation
+        calculateStats() {
+            this.totalDecisionA = 0;
+            this.totalDecisionB = 0;
+
+            this.logs.forEach(log => {
+                if (log.decision === 'A') {
+                    this.totalDecisionA++;
+                } else if (log.decision === 'B') {
+                    this.totalDecisionB++;
+                }
+            });
+        },
+
+        // Country Statistics
+        // Country Filter Editor
+        syncCountryEditor(force = false) {
+            if (this.countryEditor.dirty && !force) {
+                return;
+            }
+            this.countryEditor = {
+                mode: this.cfg.country_filter_mode || 'all',
+                codes: parseCountryList(this.cfg.country_filter_list),
+                input: '',
+                error: '',
+                dirty: false
+            };
+        },
+
+        setCountryEditorMode(mode) {
+            this.countryEditor.mode = mode;
+            this.countryEditor.dirty = true;
+        },
+
+        // Tambah kode dari input (boleh beberapa sekaligus, "US, CA GB"); kode invalid ditolak
+        addCountryChips(value = this.countryEditor.input) {
+            const editor = this.countryEditor;
+            const valid = getCountryCodeSet();
+            const rejected = [];
+
+            parseCountryList(value).forEach(code => {
+                if (!valid.has(code)) {
+                    rejected.push(COUNTRY_CODE_ALIASES[code] ? `${code} (did you mean ${COUNTRY_CODE_ALIASES[code]}?)` : code);
+                    return;
+                }
+                if (!editor.codes.includes(code)) {
+                    editor.codes.push(code);
+                    editor.dirty = true;
+                }
+            });
+
+            editor.error = rejected.length ? `Not an ISO alpha-2 code: ${rejected.join(', ')}` : '';
+            editor.input = rejected.length ? rejected.map(r => r.split(' ')[0]).join(', ') : '';
+        },
+
+        removeCountryChip(code) {
+            this.countryEditor.codes = this.countryEditor.codes.filter(c => c !== code);
+            this.countryEditor.dirty = true;
+        },
+
+        clearCountryChips() {
+            this.countryEditor.codes = [];
+            this.countryEditor.dirty = true;
+        },
+
+        get countryPresets() {
+            return COUNTRY_PRESETS;
+        },
+
+        applyCountryPreset(key) {
+            const preset = COUNTRY_PRESETS[key];
+            if (preset) {
+                this.addCountryChips(preset.codes);
+            }
         },
 
-        // Environment Configuration
-        envConfig: {
-            // Database
-            DB_HOST: 'localhost',
-            DB_NAME: '',
-            DB_USER: '',
-            DB_PASS: '',
-            DB_PORT: '3306',
-            DB_CHARSET: 'utf8mb4',
+        // Saran autocomplete: cocok prefix kode atau bagian nama negara
+        get countryChipSuggestions() {
+            const term = this.countryEditor.input.trim().toLowerCase();
+            if (!term || /[\s,;]/.test(term)) {
+                return [];
+            }
+            return Array.from(getCountryCodeSet())
+                .filter(code => !this.countryEditor.codes.includes(code))
+                .filter(code => code.toLowerCase().startsWith(term) || getCountryName(code).toLowerCase().includes(term))
+                .slice(0, 8);
+        },
 
-            // Domain Configuration
-            APP_NAME: 'Smart Redirect Platform',
-            APP_URL: '',
-            APP_PANEL_URL: '',
-            BRAND_DOMAIN: '',
-            TRACKING_PRIMARY_DOMAIN: '',
-            TRACKING_DOMAIN: '',
-            TRACKING_REDIRECT_URL: '',
-            TRACKING_DECISION_API: '',
-            TRACKING_POSTBACK_URL: '',
+        // Preview: berapa recent logs yang lolos/terblokir dengan draft vs config yang aktif
+        get countryFilterPreview() {
+            const editor = this.countryEditor;
+            const currentList = parseCountryList(this.cfg.country_filter_list);
+            const changed = {};
+            let allowed = 0;
+            let currentAllowed = 0;
 
-            // API Keys
-            API_KEY_INTERNAL: '',
-            API_KEY_EXTERNAL: '',
-            SRP_API_URL: 'https://api.qvtrk.com/decision.php',
-            SRP_API_KEY: '',
+            this.logs.forEach(log => {
+                const code = String(log.country_code || 'XX').toUpperCase();
+                const next = isCountryAllowedBy(code, editor.mode, editor.codes);
+                const current = isCountryAllowedBy(code, this.cfg.country_filter_mode, currentList);
+
+                allowed += next ? 1 : 0;
+                currentAllowed += current ? 1 : 0;
+                if (next !== current) {
+                    changed[code] = changed[code] || { code, count: 0, allowed: next };
+                    changed[code].count++;
+                }
+            });
 
-            // Application Settings
-            APP_ENV: 'production',
-            SRP_ENV: 'production',
-            APP_DEBUG: 'false',
-            APP_TIMEZONE: 'UTC',
-            MAINTENANCE_MODE: 'false',
-            MAINTENANCE_MESSAGE: 'System under maintenance. Please try again later.',
+            return {
+                total: this.logs.length,
+                allowed,
+                blocked: this.logs.length - allowed,
+                delta: allowed - currentAllowed,
+                changed: Object.values(changed).sort((a, b) => b.count - a.count).slice(0, 8)
+            };
+        },
 
-            // Session & Security
-            SESSION_LIFETIME: '7200',
-            SESSION_NAME: 'SRP_SESSION',
-            SESSION_SECRET: '',
-            RATE_LIMIT_ATTEMPTS: '5',
-            RATE_LIMIT_WINDOW: '900',
-            SECURE_COOKIES: 'true',
-            HTTP_ONLY: 'true',
-            SAME_SITE: 'Strict',
-            TRUST_CF_HEADERS: 'true',
+        resetCountryEditor() {
+            this.syncCountryEditor(true);
+        },
 
-            // Feature Flags
-            BRAND_ENABLE_LANDING_PAGE: 'true',
-            BRAND_ENABLE_DOCUMENTATION: 'true',
-            BRAND_ENABLE_API_DOCS: 'true',
-            TRACKING_ENABLE_VPN_CHECK: 'true',
-            TRACKING_ENABLE_GEO_FILTER: 'true',
-            TRACKING_ENABLE_DEVICE_FILTER: 'true',
-            TRACKING_ENABLE_AUTO_MUTE: 'true',
-            RATE_LIMIT_TRACKING_ENABLED: 'true',
+        // Masukkan isi editor ke draft routing; dikirim ke server saat publish
+        applyCountryFilter() {
+            const editor = this.countryEditor;
 
-            // Postback Configuration
-            POSTBACK_TIMEOUT: '5',
-            POSTBACK_MAX_RETRIES: '3',
-            POSTBACK_RETRY_DELAY: '60',
-            POSTBACK_HMAC_SECRET: '',
-            POSTBACK_REQUIRE_API_KEY: 'true',
-            POSTBACK_API_KEY: '',
-            POSTBACK_FORWARD_ENABLED: 'false',
-            POSTBACK_FORWARD_URL: '',
-            DEFAULT_PAYOUT: '0.00',
+            if (editor.input.trim()) {
+                this.addCountryChips();
+                if (editor.error) {
+                    return false;
+                }
+            }
+            if (editor.mode === 'whitelist' && !editor.codes.length
+                && !confirm('An empty whitelist blocks all traffic. Apply anyway?')) {
+                return false;
+            }
 
-            // Path Configuration
-            APP_ROOT: '',
-            LOG_PATH: '',
+            this.cfg.country_filter_mode = editor.mode;
+            this.cfg.country_filter_list = editor.codes.join(',');
+            editor.dirty = false;
+            return true;
+        },
 
-            // External Services
-            VPN_CHECK_URL: 'https://blackbox.ipinfo.app/lookup/',
-            VPN_CHECK_TIMEOUT: '2'
+        // Country Analytics (clicks x conversions per country untuk stats period)
+        async loadCountryStats() {
+            if (this.countryStatsLoading) {
+                return;
+            }
+
+            this.countryStatsLoading = true;
+
+            try {
+                const params = this.getStatsParams();
+                params.delete('compare');
+
+                const r = await fetch('postback-config.php?action=countries&' + params.toString(), {
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok && Array.isArray(data.countries)) {
+                    this.countryStats = data.countries;
+                    this.countryIndex = Object.fromEntries(data.countries.map(row => [row.country_code, row]));
+                }
+            } catch (e) {
+                // Silent fail for background refresh
+                console.error('Failed to load country stats:', e);
+            } finally {
+                this.countryStatsLoading = false;
+            }
         },
 
-        // UI State
-        showApiKey: false,
-        showInternalKey: false,
-        showExternalKey: false,
-        showSrpKey: false,
-        isSavingEnv: false,
-        isSyncingEnv: false,
-        flash: '',
-        flashType: 'success',
-        isSavingCfg: false,
-        selectedAuditFilter: 'all',
+        get countryMetrics() {
+            return COUNTRY_METRICS;
+        },
 
-        // Data State
-        logs: [],
-        muteStatus: {
-            isMuted: false,
-            timeRemaining: 'Normal',
-            duration: null,
-            autoMuteHistory: []
+        get countryRows() {
+            const term = this.countryFilter.trim().toLowerCase();
+            const minClicks = Number(this.countryMinClicks) || 0;
+            const { key, dir } = this.countrySort;
+            const factor = dir === 'asc' ? 1 : -1;
+
+            return this.countryStats
+                .filter(row => row.clicks >= minClicks)
+                .filter(row => !term
+                    || row.country_code.toLowerCase().includes(term)
+                    || getCountryName(row.country_code).toLowerCase().includes(term))
+                .sort((a, b) => {
+                    if (key === 'country_code') {
+                        return factor * a.country_code.localeCompare(b.country_code);
+                    }
+                    // null (tanpa clicks) selalu di bawah
+                    if (a[key] === null || b[key] === null) {
+                        return (a[key] === null) - (b[key] === null);
+                    }
+                    return factor * (a[key] - b[key]);
+                });
         },
 
-        // Postback State
-        postbackLogs: [],
-        receivedPostbacks: [],
-        testPostbackLoading: false,
-        postbackUrl: '',
-        postbackLoadErrors: 0,
-        maxPostbackErrors: 3,
-        forwardUrl: '',
-        postbackInterval: null,
+        setCountrySort(key) {
+            if (this.countrySort.key === key) {
+                this.countrySort.dir = this.countrySort.dir === 'asc' ? 'desc' : 'asc';
+            } else {
+                this.countrySort = { key, dir: key === 'country_code' ? 'asc' : 'desc' };
+            }
+        },
 
-        // Statistics State
-        totalDecisionA: 0,
-        totalDecisionB: 0,
-        uniqueCountries: 0,
-        dailyStats: [],
-        statsSummary: {
-            total: 0,
-            confirmed: 0,
-            revenue: 0
+        getCountrySortIndicator(key) {
+            if (this.countrySort.key !== key) {
+                return '';
+            }
+            return this.countrySort.dir === 'asc' ? '\u25B2' : '\u25BC';
         },
-        statsPeriod: 7,
-        statsView: 'overview',
-        statsLoading: false,
 
-        // Refresh State
-        autoRefreshEnabled: true,
-        autoRefreshInterval: 10,
-        refreshTimeLeft: 10,
-        refreshIntervalId: null,
-        refreshCountdownId: null,
+        countryName(code) {
+            return getCountryName(code);
+        },
 
-        // Debounced/Throttled Methods
-        debouncedSave: null,
-        debouncedSaveEnv: null,
-        throttledRefresh: null,
-        debouncedSearch: null,
+        formatCountryMetric(row, key) {
+            const value = row ? row[key] : null;
+            if (value === null || value === undefined) {
+                return '-';
+            }
+            switch (key) {
+                case 'cr':
+                    return Number(value).toFixed(2) + '%';
+                case 'revenue':
+                    return '$' + Number(value).toFixed(2);
+                case 'epc':
+                    return '$' + Number(value).toFixed(4);
+                default:
+                    return this.formatNumber(value);
+            }
+        },
 
-        // Initialization
-        init() {
-            // Clean up any existing intervals first
-            this.cleanup();
+        get countryMetricMax() {
+            const metric = this.countryMetric;
+            return this.countryStats.reduce((max, row) => Math.max(max, Number(row[metric]) || 0), 0);
+        },
+
+        // Warna tile world map untuk metric aktif (abu-abu = tidak ada traffic)
+        countryFill(code) {
+            const row = this.countryIndex[code];
+            const value = row ? row[this.countryMetric] : null;
+            const max = this.countryMetricMax;
+
+            if (value === null || value === undefined) {
+                return '#f1f5f9';
+            }
+            if (!(value > 0) || !max) {
+                return '#e2e8f0';
+            }
+            return mixColor('#d1fae5', '#047857', Math.sqrt(value / max));
+        },
+
+        get countryHoverRow() {
+            return this.countryHover ? this.countryIndex[this.countryHover] || { country_code: this.countryHover } : null;
+        },
+
+        isCountrySelected(code) {
+            return this.countrySelection.includes(code);
+        },
+
+        toggleCountrySelection(code) {
+            if (code === 'XX' || !getCountryCodeSet().has(code)) {
+                return;
+            }
+            this.countrySelection = this.isCountrySelected(code)
+                ? this.countrySelection.filter(c => c !== code)
+                : [...this.countrySelection, code];
+        },
+
+        // Status country terhadap filter routing saat ini
+        countryRoutingStatus(code) {
+            const mode = this.cfg.country_filter_mode;
+            if (mode !== 'whitelist' && mode !== 'blacklist') {
+                return '';
+            }
+            const listed = String(this.cfg.country_filter_list || '')
+                .split(',')
+                .map(c => c.trim().toUpperCase())
+                .includes(code);
+            if (mode === 'whitelist') {
+                return listed ? 'allowed' : 'blocked';
+            }
+            return listed ? 'blocked' : 'allowed';
+        },
+
+        // Tambahkan country yang dipilih ke whitelist/blacklist routing
+        addSelectedCountriesToFilter(mode) {
+            const codes = this.countrySelection;
+            if (!codes.length) {
+                return;
+            }
+
+            const current = this.cfg.country_filter_mode;
+            if (current !== 'all' && current !== mode) {
+                this.setFlash(`Routing uses a ${current}. Switch the filter mode in the Routing tab first.`, 'error');
+                return;
+            }
+
+            const list = String(this.cfg.country_filter_list || '')
+                .split(',')
+                .map(c => c.trim().toUpperCase())
+                .filter(Boolean);
+            const added = codes.filter(code => !list.includes(code));
+
+            this.cfg.country_filter_mode = mode;
+            this.cfg.country_filter_list = [...list, ...added].join(', ');
+            this.countrySelection = [];
+            this.syncCountryEditor(true);
+
+            this.setFlash(added.length
+                ? `Added ${added.join(', ')} to the ${mode} draft. Publish it in the Routing tab.`
+                : `Selected countries are already in the ${mode}`);
+        },
+
+        getUniqueCountries() {
+            const countries = new Set();
+            this.logs.forEach(log => {
+                if (log.country_code) {
+                    countries.add(log.country_code);
+                }
+            });
+            return Array.from(countries).sort();
+        },
+
+        // Mute Status Update
+        updateMuteStatus() {
+            if (!this.cfg || !this.cfg.system_on) {
+                this.muteStatus = {
+                    isMuted: false,
+                    timeRemaining: 'System OFF',
+                    duration: null,
+                    autoMuteHistory: []
+                };
+                return;
+            }
+
+            const lastReset = this.cfg.updated_at || 0;
+            const now = Date.now() / 1000;
+            const elapsed = now - lastReset;
+            const cycleLength = 1800; // 30 minutes
+
+            if (elapsed < cycleLength) {
+                const remaining = Math.floor(cycleLength - elapsed);
+                const minutes = Math.floor(remaining / 60);
+                const seconds = remaining % 60;
+                this.muteStatus = {
+                    isMuted: false,
+                    timeRemaining: `Next cycle: ${minutes}:${seconds.toString().padStart(2, '0')}`,
+                    duration: null,
+                    autoMuteHistory: this.muteStatus.autoMuteHistory || []
+                };
+            } else {
+                this.muteStatus = {
+                    isMuted: true,
+                    timeRemaining: 'Cycle ended - Waiting for reset',
+                    duration: elapsed,
+                    autoMuteHistory: this.muteStatus.autoMuteHistory || []
+                };
+            }
+        },
+
+        // Postback Methods
+        async loadPostbackLogs() {
+            if (this.postbackLoadErrors >= this.maxPostbackErrors) {
+                return;
+            }
+
+            try {
+                const url = this.syncUrl('postback-config.php?action=logs', this.postbackCursor, this.postbackWindow);
+                const r = await fetch(url, {
+                    headers: {
+                        'X-Requested-With': 'XMLHttpRequest'
+                    }
+                });
+
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    // Load postback URL
+                    if (data.postback_url !== undefined) {
+                        this.postbackUrl = data.postback_url || '';
+                    }
 
-            // Create debounced/throttled versions of methods
-            this.debouncedSave = debounce(() => this._save(), 500);
-            this.debouncedSaveEnv = debounce(() => this._saveEnvConfig(), 500);
-            this.throttledRefresh = throttle(() => this._refresh(), 2000);
-            this.debouncedSearch = debounce((term) => this._performSearch(term), 300);
+                    // Load forward URL
+                    if (data.forward_url !== undefined) {
+                        this.forwardUrl = data.forward_url || '';
+                    }
 
-            // Initialize tab state dari URL hash atau localStorage
-            this.initializeTabState();
+                    this.postbackLoadErrors = 0;
 
-            // Watch for tab changes dan sync ke URL/localStorage
-            this.$watch('activeTab', (newTab, oldTab) => {
-                if (newTab !== oldTab) {
-                    this.previousTab = oldTab;
-                    this.syncTabState(newTab);
-                    this.onTabChanged(newTab, oldTab);
+                    if (!this.syncWindow('postbackLogs', 'postbackCursor', data, this.postbackWindow)) {
+                        return this.loadPostbackLogs();
+                    }
+                } else {
+                    this.postbackLoadErrors++;
                 }
-            });
+            } catch (e) {
+                this.postbackLoadErrors++;
+                console.error('Failed to load postback logs:', e);
+            }
+        },
 
-            // Listen for hash changes (browser back/forward)
-            window.addEventListener('hashchange', () => this.handleHashChange());
+        // Postback URL Template Builder
+        postbackMacros(target) {
+            return postbackMacrosFor(target);
+        },
 
-            // Initial data load
-            this.refresh();
-            this.loadEnvConfig();
+        postbackTemplateTokens(template, target) {
+            return tokenizePostbackTemplate(template, target);
+        },
 
-            // Set up refresh intervals with proper cleanup tracking
-            this.setupIntervals();
+        postbackTemplateErrors(template, target) {
+            return validatePostbackTemplate(template, target);
+        },
 
-            // Update mute status every second
-            this.muteInterval = setInterval(() => this.updateMuteStatus(), 1000);
+        postbackTemplatePreview(template, target) {
+            const sampleId = this.postbackBuilder[target].sampleId;
+            const row = sampleId ? this.receivedPostbacks.find(item => String(item.id) === sampleId) : null;
+            return renderPostbackTemplate(String(template || '').trim(), postbackSampleValues(row || null));
+        },
 
-            // Check auto-refresh preference
-            const savedAutoRefresh = localStorage.getItem('srp_autoRefresh');
-            if (savedAutoRefresh !== null) {
-                this.autoRefreshEnabled = savedAutoRefresh === 'true';
-            }
+        // Suggest macro saat kursor berada setelah "{" yang belum ditutup
+        updateMacroSuggestions(target, input) {
+            const state = this.postbackBuilder[target];
+            const before = input.value.slice(0, input.selectionStart ?? input.value.length);
+            const match = before.match(/\{([a-z_]*)$/i);
 
-            const savedInterval = localStorage.getItem('srp_refreshInterval');
-            if (savedInterval) {
-                this.autoRefreshInterval = parseInt(savedInterval) || 10;
-                this.refreshTimeLeft = this.autoRefreshInterval;
+            if (!match) {
+                state.suggest = null;
+                return;
             }
 
-            if (this.autoRefreshEnabled) {
-                this.startAutoRefresh();
+            const prefix = match[1].toLowerCase();
+            const items = postbackMacrosFor(target).filter(macro => macro.name.startsWith(prefix));
+            state.suggest = items.length ? { start: before.length - match[0].length, items } : null;
+            state.index = 0;
+        },
+
+        macroSuggestKeydown(target, event) {
+            const state = this.postbackBuilder[target];
+            if (!state.suggest) {
+                return;
             }
 
-            // Set up window unload handler for cleanup
-            window.addEventListener('beforeunload', () => this.cleanup());
+            const count = state.suggest.items.length;
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                state.index = (state.index + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+            } else if (event.key === 'Enter' || event.key === 'Tab') {
+                event.preventDefault();
+                this.insertPostbackMacro(target, event.target, state.suggest.items[state.index].name);
+            } else if (event.key === 'Escape') {
+                state.suggest = null;
+            }
+        },
 
-            // Also cleanup when Alpine component is destroyed
-            this.$watch('$destroy', () => this.cleanup());
+        // Sisipkan {name} di posisi kursor (menggantikan "{prefix" yang sedang diketik jika ada)
+        insertPostbackMacro(target, input, name) {
+            const state = this.postbackBuilder[target];
+            const caret = input.selectionStart ?? input.value.length;
+            const start = state.suggest ? state.suggest.start : caret;
+            const rest = input.value.slice(caret);
+            // Saat autocomplete, sisa nama macro dan "}" setelah kursor ikut diganti
+            const after = state.suggest ? rest.replace(/^[a-z_]*\}/i, '') : rest;
+            const macro = `{${name}}`;
+
+            input.value = input.value.slice(0, start) + macro + after;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            state.suggest = null;
+
+            this.$nextTick(() => {
+                input.focus();
+                input.setSelectionRange(start + macro.length, start + macro.length);
+            });
         },
 
-        // Cleanup method to prevent memory leaks
-        cleanup() {
-            // Clear all intervals
-            if (this.refreshIntervalId) {
-                clearInterval(this.refreshIntervalId);
-                this.refreshIntervalId = null;
-            }
-            if (this.refreshCountdownId) {
-                clearInterval(this.refreshCountdownId);
-                this.refreshCountdownId = null;
-            }
-            if (this.postbackInterval) {
-                clearInterval(this.postbackInterval);
-                this.postbackInterval = null;
+        async savePostback() {
+            const url = String(this.cfg.postback_url || '').trim();
+            if (validatePostbackTemplate(url, 'postback').length) {
+                // Error sudah tampil inline di builder, jangan simpan template yang tidak valid
+                return;
             }
-            if (this.muteInterval) {
-                clearInterval(this.muteInterval);
-                this.muteInterval = null;
+
+            this.postbackSaving = true;
+            try {
+                const r = await fetch('postback-config.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({
+                        postback_url: url,
+                        default_payout: Number(this.cfg.default_payout) || 0
+                    })
+                });
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    this.postbackSavedUrl = this.cfg.postback_url;
+                } else {
+                    this.setFlash(data?.error || 'Failed to save postback configuration', 'error');
+                }
+            } catch (e) {
+                this.setFlash('Failed to save postback configuration', 'error');
+            } finally {
+                this.postbackSaving = false;
             }
-            if (this.statsInterval) {
-                clearInterval(this.statsInterval);
-                this.statsInterval = null;
+        },
+
+        // Test Postback Composer
+        async testPostback() {
+            const composer = this.postbackComposer;
+            if (composer.sending) {
+                return;
             }
-            if (this.receivedInterval) {
-                clearInterval(this.receivedInterval);
-                this.receivedInterval = null;
+            if (composer.target === 'custom' && validatePostbackTemplate(composer.url, 'forward').length) {
+                this.setFlash(validatePostbackTemplate(composer.url, 'forward')[0], 'error');
+                return;
             }
-        },
 
-        // Set up background intervals
-        setupIntervals() {
-            // Load postback logs every 10 seconds
-            this.postbackInterval = setInterval(() => {
-                if (this.postbackLoadErrors < this.maxPostbackErrors) {
-                    this.loadPostbackLogs();
-                }
-            }, 10000);
+            const params = {
+                click_id: composer.click_id.trim() || `test_${Date.now().toString(36)}`,
+                payout: composer.payout,
+                country: String(composer.country || '').trim().toUpperCase(),
+                traffic_type: composer.traffic_type,
+                status: composer.status.trim(),
+                network: composer.network.trim()
+            };
 
-            // Load received postbacks every 10 seconds
-            this.receivedInterval = setInterval(() => this.loadReceivedPostbacks(), 10000);
+            composer.sending = true;
+            try {
+                const r = await fetch('postback-config.php', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-CSRF-Token': this.csrf(),
+                        'X-Requested-With': 'XMLHttpRequest'
+                    },
+                    body: JSON.stringify({ action: 'compose', target: composer.target, url: composer.url.trim(), ...params })
+                });
+                const data = await this.safeJsonParse(r);
 
-            // Load daily stats every 60 seconds
-            this.statsInterval = setInterval(() => this.loadDailyStats(), 60000);
-        },
+                if (!data || !data.ok) {
+                    this.setFlash(data?.error || 'Failed to send test postback', 'error');
+                    return;
+                }
 
-        // CSRF Token Helper
-        csrf() {
-            const el = document.querySelector('meta[name="csrf-token"]');
-            return el && el.content ? el.content : '';
+                const run = {
+                    id: Date.now(),
+                    ts: Math.floor(Date.now() / 1000),
+                    params,
+                    target: data.target,
+                    template: data.template,
+                    success: data.success,
+                    request: data.request,
+                    response: data.response,
+                    timing: data.timing,
+                    error: data.error
+                };
+                this.postbackTestRuns = [run, ...this.postbackTestRuns].slice(0, POSTBACK_TEST_RUNS_MAX);
+                this.postbackTestSelected = run.id;
+                this.savePostbackTestRuns();
+            } catch (e) {
+                this.setFlash('Failed to send test postback', 'error');
+            } finally {
+                composer.sending = false;
+            }
         },
 
-        // Safe JSON Parser
-        async safeJsonParse(response) {
+        savePostbackTestRuns() {
             try {
-                const text = await response.text();
-                if (!text) return null;
-                return JSON.parse(text);
+                localStorage.setItem('srp_postbackTestRuns', JSON.stringify(this.postbackTestRuns));
             } catch (e) {
-                console.error('JSON parse error:', e);
-                return null;
+                // Quota penuh: runs tetap ada di tab ini, hanya tidak dipersist
+                localStorage.removeItem('srp_postbackTestRuns');
             }
         },
 
-        // Flash Message Handler
-        setFlash(message, type = 'success') {
-            this.flash = message;
-            this.flashType = type;
-            setTimeout(() => {
-                this.flash = '';
-            }, 5000);
+        clearPostbackTestRuns() {
+            this.postbackTestRuns = [];
+            this.postbackTestSelected = null;
+            this.postbackTestCompare = null;
+            localStorage.removeItem('srp_postbackTestRuns');
         },
 
-        // Refresh wrapper - uses throttled version
-        refresh() {
-            if (this.throttledRefresh) {
-                return this.throttledRefresh();
-            }
-            return this._refresh();
+        // Isi ulang composer dari run lama (mis. untuk kirim ulang dengan satu parameter diubah)
+        reusePostbackTestRun(run) {
+            Object.assign(this.postbackComposer, run.params, {
+                target: run.target,
+                url: run.target === 'custom' ? run.template : this.postbackComposer.url
+            });
         },
 
-        // Main Refresh Method (internal)
-        async _refresh() {
+        toggleTestCompare(id) {
+            this.postbackTestCompare = this.postbackTestCompare === id ? null : id;
+        },
+
+        // Run yang ditampilkan di detail: selected, plus compare jika dipilih (kolom kedua)
+        get postbackTestPanels() {
+            return [this.postbackTestSelected, this.postbackTestCompare]
+                .filter((id, index, ids) => id !== null && ids.indexOf(id) === index)
+                .map(id => this.postbackTestRuns.find(run => run.id === id))
+                .filter(Boolean);
+        },
+
+        async savePostbackUrl() {
             try {
-                const r = await fetch('data.php', {
+                const r = await fetch('postback-config.php', {
+                    method: 'POST',
                     headers: {
+                        'Content-Type': 'application/json',
                         'X-CSRF-Token': this.csrf(),
                         'X-Requested-With': 'XMLHttpRequest'
-                    }
+                    },
+                    body: JSON.stringify({
+                        action: 'update_url',
+                        url: this.postbackUrl
+                    })
                 });
 
                 const data = await this.safeJsonParse(r);
 
-                if (data && !data.error) {
-                    // Update configuration
-                    if (data.cfg) {
-                        // Parse redirect URLs if they're a string
-                        if (typeof data.cfg.redirect_url === 'string' && data.cfg.redirect_url) {
-                            try {
-                                data.cfg.redirect_url = JSON.parse(data.cfg.redirect_url);
-                            } catch (e) {
-                                data.cfg.redirect_url = [data.cfg.redirect_url];
-                            }
-                        }
-                        // Ensure redirect_url is an array
-                        if (!Array.isArray(data.cfg.redirect_url)) {
-                            data.cfg.redirect_url = [];
-                        }
-                        // Parse country filter list if string
-                        if (typeof data.cfg.country_filter_list === 'string' && data.cfg.country_filter_list) {
-                            try {
-                                const parsed = JSON.parse(data.cfg.country_filter_list);
-                                data.cfg.country_filter_list = Array.isArray(parsed) ? parsed.join(', ') : '';
-                            } catch (e) {
-                                // Keep as string if not JSON
-                            }
-                        }
-                        this.cfg = data.cfg;
-                    }
-
-                    // Update logs
-                    if (Array.isArray(data.logs)) {
-                        this.logs = data.logs;
-                    }
-
-                    // Calculate statistics
-                    this.calculateStats();
-
-                    // Update unique countries
-                    this.uniqueCountries = this.getUniqueCountries().length;
-
-                    // Reset auto-refresh countdown
-                    this.refreshTimeLeft = this.autoRefreshInterval;
-                } else if (data && data.error) {
-                    this.setFlash('Failed to refresh: ' + data.error, 'error');
+                if (data && data.ok) {
+                    this.setFlash('Postback URL saved successfully');
+                    this.cfg.postback_url = this.postbackUrl;
+                } else {
+                    this.setFlash(data.error || 'Failed to save postback URL', 'error');
                 }
             } catch (e) {
-                console.error('Refresh error:', e);
-                this.setFlash('Failed to refresh data', 'error');
-            }
-        },
-
-        // Save wrapper - uses debounced version
-        save() {
-            if (this.debouncedSave) {
-                return this.debouncedSave();
+                this.setFlash('Failed to save postback URL', 'error');
             }
-            return this._save();
         },
 
-        // Save Configuration (internal)
-        async _save() {
-            this.isSavingCfg = true;
-
+        async saveForwardUrl() {
             try {
-                const payload = {
-                    system_on: this.cfg.system_on,
-                    redirect_url: Array.isArray(this.cfg.redirect_url) ? this.cfg.redirect_url : [],
-                    country_filter_mode: this.cfg.country_filter_mode,
-                    country_filter_list: this.cfg.country_filter_list || ''
-                };
-
-                const r = await fetch('data.php', {
+                const r = await fetch('postback-config.php', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                         'X-CSRF-Token': this.csrf(),
                         'X-Requested-With': 'XMLHttpRequest'
                     },
-                    body: JSON.stringify(payload)
+                    body: JSON.stringify({
+                        action: 'update_forward_url',
+                        url: this.forwardUrl
+                    })
                 });
 
                 const data = await this.safeJsonParse(r);
 
                 if (data && data.ok) {
-                    if (data.cfg) {
-                        this.cfg = data.cfg;
-                    }
-                    this.setFlash('Configuration saved successfully');
+                    this.setFlash('Forward URL saved successfully');
                 } else {
-                    this.setFlash(data.error || 'Failed to save configuration', 'error');
+                    this.setFlash(data.error || 'Failed to save forward URL', 'error');
                 }
             } catch (e) {
-                this.setFlash('Failed to save: ' + e.message, 'error');
+                this.setFlash('Failed to save forward URL', 'error');
+            }
+        },
+
+        async loadFailedPostbacks(code = this.failedPostbacks.code) {
+            const fp = this.failedPostbacks;
+            fp.code = code;
+            fp.loading = true;
+
+            try {
+                const params = new URLSearchParams({ action: 'failed', code });
+                const r = await fetch(`postback-config.php?${params}`, {
+                    headers: { 'X-Requested-With': 'XMLHttpRequest' }
+                });
+                const data = await this.safeJsonParse(r);
+
+                if (data && data.ok) {
+                    fp.groups = data.groups || [];
+                    fp.rows = data.logs || [];
+                    fp.maxRetries = Number(data.max_retries ?? fp.maxRetries);
+                    // Buang selection yang sudah tidak ada di list
+                    fp.selected = fp.selected.filter(id => fp.rows.some(row => row.id === id));
+                } else {
+                    this.setFlash(data?.error || 'Failed to load failed postbacks', 'error');
+                }
+            } catch (e) {
+                console.error('Failed to load failed postbacks:', e);
             } finally {
-                this.isSavingCfg = false;
+                fp.loading = false;
             }
         },
 
-        // Clear Logs
-        async clearLogs() {
-            if (!confirm('Are you sure you want to clear all logs? This action cannot be undone.')) {
+        get failedPostbackTotal() {
+            return this.failedPostbacks.groups.reduce((sum, group) => sum + group.count, 0);
+        },
+
+        get allFailedSelected() {
+            const fp = this.failedPostbacks;
+            return fp.rows.length > 0 && fp.selected.length === fp.rows.length;
+        },
+
+        failedCodeLabel(code) {
+            return !Number(code) ? 'Network error' : `HTTP ${code}`;
+        },
+
+        // attempts = 1 kirim pertama + retry; lewat POSTBACK_MAX_RETRIES dianggap exhausted
+        isRetryExhausted(log) {
+            return Number(log.attempts || 1) > this.failedPostbacks.maxRetries;
+        },
+
+        toggleFailedSelection(id) {
+            const selected = this.failedPostbacks.selected;
+            const index = selected.indexOf(id);
+            if (index === -1) {
+                selected.push(id);
+            } else {
+                selected.splice(index, 1);
+            }
+        },
+
+        toggleAllFailed() {
+            const fp = this.failedPostbacks;
+            fp.selected = this.allFailedSelected ? [] : fp.rows.slice(0, 50).map(row => row.id);
+        },
+
+        async retryPostbacks(ids) {
+            const fp = this.failedPostbacks;
+            if (!ids.length || fp.retrying) {
+                return;
+            }
+            if (ids.length > 50) {
+                this.setFlash('Retry at most 50 postbacks at a time', 'error');
                 return;
             }
 
+            fp.retrying = true;
             try {
-                const r = await fetch('data.php', {
-                    method: 'DELETE',
-                    headers: {
-                        'X-CSRF-Token': this.csrf(),
-                        'X-Requested-With': 'XMLHttpRequest'
+                // Satu request per POSTBACK_RETRY_BATCH supaya tiap request tetap singkat
+                let delivered = 0;
+                let failed = 0;
+                let data = null;
+                for (let i = 0; i < ids.length; i += POSTBACK_RETRY_BATCH) {
+                    const r = await fetch('postback-config.php', {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'X-CSRF-Token': this.csrf(),
+                            'X-Requested-With': 'XMLHttpRequest'
+                        },
+                        body: JSON.stringify({ action: 'retry', ids: ids.slice(i, i + POSTBACK_RETRY_BATCH) })
+                    });
+                    data = await this.safeJsonParse(r);
+                    if (!data || !data.ok) {
+                        break;
                     }
-                });
-
-                const data = await this.safeJsonParse(r);
+                    delivered += data.delivered;
+                    failed += data.failed;
+                }
 
                 if (data && data.ok) {
-                    this.logs = [];
-                    this.totalDecisionA = 0;
-                    this.totalDecisionB = 0;
-                    this.uniqueCountries = 0;
-                    this.setFlash('Logs cleared successfully');
+                    const message = `Retried ${ids.length} postback${ids.length === 1 ? '' : 's'}: ${delivered} delivered, ${failed} still failing`;
+                    this.setFlash(message, failed > 0 ? 'error' : 'success');
+                    fp.selected = fp.selected.filter(id => !ids.includes(id));
+                    ids.forEach(id => delete fp.attempts[id]);
+                    await this.loadFailedPostbacks();
+                    if (fp.expanded !== null && ids.includes(fp.expanded)) {
+                        this.loadPostbackAttempts(fp.expanded);
+                    }
+                    this.loadPostbackLogs();
                 } else {
-                    this.setFlash(data.error || 'Failed to clear logs', 'error');
+                    this.setFlash(data?.error || 'Failed to retry postbacks', 'error');
                 }
             } catch (e) {
-                this.setFlash('Failed to clear logs', 'error');
-            }
-        },
-
-        // Redirect URL Management
-        addRedirectUrl() {
-            if (!Array.isArray(this.cfg.redirect_url)) {
-                this.cfg.redirect_url = [];
-            }
-            this.cfg.redirect_url.push('');
-        },
-
-        removeRedirectUrl(index) {
-            if (Array.isArray(this.cfg.redirect_url)) {
-                this.cfg.redirect_url.splice(index, 1);
+                this.setFlash('Failed to retry postbacks', 'error');
+            } finally {
+                fp.retrying = false;
             }
         },
 
-        updateRedirectUrl(index, value) {
-            if (Array.isArray(this.cfg.redirect_url)) {
-                this.cfg.redirect_url[index] = value;
+        async toggleAttempts(id) {
+            const fp = this.failedPostbacks;
+            fp.expanded = fp.expanded === id ? null : id;
+            if (fp.expanded !== null && !fp.attempts[id]) {
+                await this.loadPostbackAttempts(id);
             }
         },
 
-        // Environment Config Methods
-        async loadEnvConfig() {
+        async loadPostbackAttempts(id) {
             try {
-                const r = await fetch('env-config.php', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-Token': this.csrf(),
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({ action: 'get' })
+                const r = await fetch(`postback-config.php?action=attempts&id=${encodeURIComponent(id)}`, {
+                    headers: { 'X-Requested-With': 'XMLHttpRequest' }
                 });
-
                 const data = await this.safeJsonParse(r);
 
-                if (data && data.ok && data.config) {
-                    this.envConfig = { ...this.envConfig, ...data.config };
+                if (data && data.ok) {
+                    this.failedPostbacks.attempts[id] = data.attempts || [];
+                } else {
+                    this.setFlash(data?.error || 'Failed to load attempt timeline', 'error');
                 }
             } catch (e) {
-                console.error('Failed to load env config:', e);
+                console.error('Failed to load postback attempts:', e);
             }
         },
 
-        // Save Env Config wrapper - uses debounced version
-        saveEnvConfig() {
-            if (this.debouncedSaveEnv) {
-                return this.debouncedSaveEnv();
+        // Postback Signature Tester
+        loadSignatureSample(id) {
+            const tester = this.signatureTester;
+            tester.sampleId = id;
+            const row = this.receivedPostbacks.find(item => String(item.id) === id);
+            if (row) {
+                tester.input = row.query_string || '';
+                tester.result = null;
             }
-            return this._saveEnvConfig();
         },
 
-        async _saveEnvConfig() {
-            this.isSavingEnv = true;
+        async verifyPostbackSignature() {
+            const tester = this.signatureTester;
+            if (!tester.input.trim() || tester.loading) {
+                return;
+            }
 
+            tester.loading = true;
             try {
-                const r = await fetch('env-config.php', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-Token': this.csrf(),
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({
-                        action: 'update',
-                        config: this.envConfig
-                    })
+                const data = await this.postSignatureAction({
+                    action: 'verify_signature',
+                    input: tester.input,
+                    signature: tester.headerSignature.trim(),
+                    api_key: tester.headerApiKey.trim()
                 });
-
-                const data = await this.safeJsonParse(r);
-
-                if (data && data.ok) {
-                    this.setFlash('Environment configuration saved successfully');
-                    // Reload to apply changes
-                    setTimeout(() => window.location.reload(), 1500);
-                } else {
-                    this.setFlash(data.error || 'Failed to save configuration', 'error');
+                if (data) {
+                    tester.result = data.result;
                 }
-            } catch (e) {
-                this.setFlash('Failed to save: ' + e.message, 'error');
             } finally {
-                this.isSavingEnv = false;
+                tester.loading = false;
             }
         },
 
-        async syncEnvToFile() {
-            if (!confirm('This will update the .env file with current database values. Continue?')) {
+        async generateSignedPostback() {
+            const tester = this.signatureTester;
+            if (tester.loading) {
                 return;
             }
 
-            this.isSyncingEnv = true;
+            tester.loading = true;
+            try {
+                const data = await this.postSignatureAction({ action: 'sign', ...tester.sign });
+                tester.signed = data || null;
+            } finally {
+                tester.loading = false;
+            }
+        },
 
+        async postSignatureAction(payload) {
             try {
-                const r = await fetch('env-config.php', {
+                const r = await fetch('postback-config.php', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                         'X-CSRF-Token': this.csrf(),
                         'X-Requested-With': 'XMLHttpRequest'
                     },
-                    body: JSON.stringify({ action: 'sync' })
+                    body: JSON.stringify(payload)
                 });
-
                 const data = await this.safeJsonParse(r);
 
                 if (data && data.ok) {
-                    this.setFlash('.env file updated successfully');
-                } else {
-                    this.setFlash(data.error || 'Failed to sync configuration', 'error');
+                    return data;
                 }
+                this.setFlash(data?.error || 'Signature request failed', 'error');
             } catch (e) {
-                this.setFlash('Failed to sync: ' + e.message, 'error');
-            } finally {
-                this.isSyncingEnv = false;
+                this.setFlash('Signature request failed', 'error');
             }
+            return null;
         },
 
-        // Search Methods
-        searchTerm: '',
-        filteredLogs: [],
+        // Alert Rules
+        saveAlertRules() {
+            localStorage.setItem('srp_alertRules', JSON.stringify(this.alertRules));
+        },
 
-        search(term) {
-            this.searchTerm = term;
-            if (this.debouncedSearch) {
-                this.debouncedSearch(term);
-            } else {
-                this._performSearch(term);
+        saveAlertFeed() {
+            try {
+                localStorage.setItem('srp_alertFeed', JSON.stringify(this.alertFeed));
+            } catch (e) {
+                localStorage.removeItem('srp_alertFeed');
             }
         },
 
-        _performSearch(term) {
-            if (!term || term.length < 2) {
-                this.filteredLogs = [];
+        addAlertRule(presetIndex) {
+            const preset = ALERT_PRESETS[presetIndex];
+            if (!preset) {
                 return;
             }
-
-            const searchLower = term.toLowerCase();
-            this.filteredLogs = this.logs.filter(log => {
-                return (log.click_id && log.click_id.toLowerCase().includes(searchLower)) ||
-                       (log.country_code && log.country_code.toLowerCase().includes(searchLower)) ||
-                       (log.ip && log.ip.toLowerCase().includes(searchLower)) ||
-                       (log.user_lp && log.user_lp.toLowerCase().includes(searchLower));
-            });
+            this.alertRules.push(normalizeAlertRule({ ...preset }));
+            this.alertPreset = '';
+            this.saveAlertRules();
         },
 
-        clearSearch() {
-            this.searchTerm = '';
-            this.filteredLogs = [];
+        removeAlertRule(id) {
+            this.alertRules = this.alertRules.filter(rule => rule.id !== id);
+            delete this.alertMatching[id];
+            this.saveAlertRules();
         },
 
-        get displayLogs() {
-            return this.searchTerm ? this.filteredLogs : this.logs;
+        // Dipanggil setiap field rule diedit; kondisi baru dievaluasi dari nol
+        updateAlertRule(rule) {
+            Object.assign(rule, normalizeAlertRule(rule));
+            delete this.alertMatching[rule.id];
+            this.saveAlertRules();
         },
 
-        // Auto-refresh Methods
-        toggleAutoRefresh() {
-            this.autoRefreshEnabled = !this.autoRefreshEnabled;
-            localStorage.setItem('srp_autoRefresh', this.autoRefreshEnabled);
-
-            if (this.autoRefreshEnabled) {
-                this.startAutoRefresh();
-                this.setFlash('Auto-refresh enabled');
-            } else {
-                this.stopAutoRefresh();
-                this.setFlash('Auto-refresh disabled');
-            }
+        get alertMetrics() {
+            return ALERT_METRICS;
         },
 
-        updateRefreshInterval() {
-            localStorage.setItem('srp_refreshInterval', this.autoRefreshInterval);
-            this.refreshTimeLeft = this.autoRefreshInterval;
+        get alertOperators() {
+            return ALERT_OPERATORS;
+        },
 
-            if (this.autoRefreshEnabled) {
-                this.stopAutoRefresh();
-                this.startAutoRefresh();
-            }
+        get alertPresets() {
+            return ALERT_PRESETS;
         },
 
-        startAutoRefresh() {
-            this.stopAutoRefresh();
+        get alertSnoozeMinutes() {
+            return ALERT_SNOOZE_MINUTES;
+        },
 
-            this.refreshIntervalId = setInterval(() => {
-                this.refresh();
-                this.refreshTimeLeft = this.autoRefreshInterval;
-            }, this.autoRefreshInterval * 1000);
+        alertRuleErrors(rule) {
+            return validateAlertRule(rule);
+        },
 
-            this.refreshCountdownId = setInterval(() => {
-                this.refreshTimeLeft--;
-                if (this.refreshTimeLeft <= 0) {
-                    this.refreshTimeLeft = this.autoRefreshInterval;
-                }
-            }, 1000);
+        alertRuleDescription(rule) {
+            return describeAlertRule(rule);
         },
 
-        stopAutoRefresh() {
-            if (this.refreshIntervalId) {
-                clearInterval(this.refreshIntervalId);
-                this.refreshIntervalId = null;
-            }
-            if (this.refreshCountdownId) {
-                clearInterval(this.refreshCountdownId);
-                this.refreshCountdownId = null;
-            }
+        // Nilai metric saat ini untuk ditampilkan di editor, '' jika data belum ada
+        alertRuleValue(rule) {
+            const result = this.syncedLists[ALERT_METRICS[rule.metric].source]
+                ? computeAlertMetric(rule, this, Math.floor(this.nowTick / 1000))
+                : null;
+            return result ? result.value + ALERT_METRICS[rule.metric].unit : '';
         },
 
-        // Statistics Calculation
-        calculateStats() {
-            this.totalDecisionA = 0;
-            this.totalDecisionB = 0;
+        // Edge-triggered: alert hanya muncul saat rule berubah dari tidak match ke match
+        evaluateAlertRules() {
+            const now = Math.floor(Date.now() / 1000);
 
-            this.logs.forEach(log => {
-                if (log.decision === 'A') {
-                    this.totalDecisionA++;
-                } else if (log.decision === 'B') {
-                    this.totalDecisionB++;
+            this.alertRules.forEach(rule => {
+                if (!rule.enabled || rule.snoozedUntil > now || validateAlertRule(rule).length) {
+                    return;
                 }
-            });
-        },
-
-        // Country Statistics
-        getCountryStats() {
-            const stats = {};
-            this.logs.forEach(log => {
-                const country = log.country_code || 'XX';
-                if (!stats[country]) {
-                    stats[country] = {
-                        country: country,
-                        total: 0,
-                        decisionA: 0,
-                        decisionB: 0
-                    };
-                }
-                stats[country].total++;
-                if (log.decision === 'A') {
-                    stats[country].decisionA++;
-                } else {
-                    stats[country].decisionB++;
+                if (!this.syncedLists[ALERT_METRICS[rule.metric].source]) {
+                    return;
                 }
-            });
 
-            return Object.values(stats).sort((a, b) => b.total - a.total);
-        },
+                const result = computeAlertMetric(rule, this, now);
+                if (result === null) {
+                    return;
+                }
 
-        getUniqueCountries() {
-            const countries = new Set();
-            this.logs.forEach(log => {
-                if (log.country_code) {
-                    countries.add(log.country_code);
+                const matching = compareAlertValue(result.value, rule.op, rule.threshold);
+                if (matching && !this.alertMatching[rule.id]) {
+                    this.fireAlert(rule, result, now);
                 }
+                this.alertMatching[rule.id] = matching;
             });
-            return Array.from(countries).sort();
         },
 
-        // Mute Status Update
-        updateMuteStatus() {
-            if (!this.cfg || !this.cfg.system_on) {
-                this.muteStatus = {
-                    isMuted: false,
-                    timeRemaining: 'System OFF',
-                    duration: null,
-                    autoMuteHistory: []
-                };
+        fireAlert(rule, result, now) {
+            const entry = {
+                id: `${rule.id}-${now}`,
+                ruleId: rule.id,
+                name: rule.name || ALERT_METRICS[rule.metric].label,
+                message: `${describeAlertRule(rule)} (now ${result.value}${ALERT_METRICS[rule.metric].unit})`,
+                ts: now,
+                acknowledged: false
+            };
+
+            this.alertFeed = [entry, ...this.alertFeed].slice(0, ALERT_FEED_MAX);
+            this.saveAlertFeed();
+            this.showAlertNotification(entry);
+        },
+
+        // Pakai service worker jika terdaftar (wajib di Android), fallback ke Notification biasa
+        async showAlertNotification(entry) {
+            if (this.notificationPermission !== 'granted') {
                 return;
             }
 
-            const lastReset = this.cfg.updated_at || 0;
-            const now = Date.now() / 1000;
-            const elapsed = now - lastReset;
-            const cycleLength = 1800; // 30 minutes
+            const options = {
+                body: entry.message,
+                tag: `srp-alert-${entry.ruleId}`,
+                icon: '/assets/icons/icon.svg',
+                data: { url: '/#overview', alerts: true }
+            };
 
-            if (elapsed < cycleLength) {
-                const remaining = Math.floor(cycleLength - elapsed);
-                const minutes = Math.floor(remaining / 60);
-                const seconds = remaining % 60;
-                this.muteStatus = {
-                    isMuted: false,
-                    timeRemaining: `Next cycle: ${minutes}:${seconds.toString().padStart(2, '0')}`,
-                    duration: null,
-                    autoMuteHistory: this.muteStatus.autoMuteHistory || []
-                };
-            } else {
-                this.muteStatus = {
-                    isMuted: true,
-                    timeRemaining: 'Cycle ended - Waiting for reset',
-                    duration: elapsed,
-                    autoMuteHistory: this.muteStatus.autoMuteHistory || []
+            try {
+                const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+                if (registration) {
+                    await registration.showNotification(entry.name, options);
+                    return;
+                }
+                const notification = new Notification(entry.name, options);
+                notification.onclick = () => {
+                    window.focus();
+                    this.alertsOpen = true;
+                    notification.close();
                 };
+            } catch (e) {
+                console.error('Failed to show alert notification:', e);
             }
         },
 
-        // Postback Methods
-        async loadPostbackLogs() {
-            if (this.postbackLoadErrors >= this.maxPostbackErrors) {
+        async requestNotificationPermission() {
+            if (this.notificationPermission === 'unsupported') {
                 return;
             }
-
             try {
-                const r = await fetch('postback-config.php?action=logs', {
-                    headers: {
-                        'X-Requested-With': 'XMLHttpRequest'
-                    }
-                });
-
-                const data = await this.safeJsonParse(r);
-
-                if (data && data.ok) {
-                    // Load postback URL
-                    if (data.postback_url !== undefined) {
-                        this.postbackUrl = data.postback_url || '';
-                    }
+                this.notificationPermission = await Notification.requestPermission();
+            } catch (e) {
+                this.notificationPermission = Notification.permission;
+            }
+        },
 
-                    // Load forward URL
-                    if (data.forward_url !== undefined) {
-                        this.forwardUrl = data.forward_url || '';
-                    }
+        acknowledgeAlert(entry) {
+            entry.acknowledged = true;
+            this.saveAlertFeed();
+        },
 
-                    // Only update if changed to reduce DOM updates
-                    const newLogs = Array.isArray(data.logs) ? data.logs : [];
-                    if (JSON.stringify(this.postbackLogs) !== JSON.stringify(newLogs)) {
-                        this.postbackLogs = newLogs;
-                    }
+        acknowledgeAllAlerts() {
+            this.alertFeed.forEach(entry => { entry.acknowledged = true; });
+            this.saveAlertFeed();
+        },
 
-                    this.postbackLoadErrors = 0;
-                } else {
-                    this.postbackLoadErrors++;
-                }
-            } catch (e) {
-                this.postbackLoadErrors++;
-                console.error('Failed to load postback logs:', e);
+        // Snooze rule milik entry; setelah snooze habis rule dinilai ulang dan bisa fire lagi
+        snoozeAlert(entry, minutes) {
+            const rule = this.alertRules.find(r => r.id === entry.ruleId);
+            if (rule) {
+                rule.snoozedUntil = Math.floor(Date.now() / 1000) + minutes * 60;
+                delete this.alertMatching[rule.id];
+                this.saveAlertRules();
             }
+            this.acknowledgeAlert(entry);
         },
 
-        async testPostback() {
-            this.testPostbackLoading = true;
+        unsnoozeAlertRule(rule) {
+            rule.snoozedUntil = 0;
+            this.saveAlertRules();
+        },
 
-            try {
-                const r = await fetch('postback-config.php', {
+        clearAlertFeed() {
+            this.alertFeed = [];
+            localStorage.removeItem('srp_alertFeed');
+        },
+
+        get unacknowledgedAlertCount() {
+            return this.alertFeed.filter(entry => !entry.acknowledged).length;
+        },
+
+        // Web Push
+        async pushRequest(body = null) {
+            const options = body === null
+                ? { headers: { 'X-Requested-With': 'XMLHttpRequest' } }
+                : {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json',
                         'X-CSRF-Token': this.csrf(),
                         'X-Requested-With': 'XMLHttpRequest'
                     },
-                    body: JSON.stringify({
-                        action: 'test'
-                    })
-                });
+                    body: JSON.stringify(body)
+                };
+            const url = body === null ? `push.php?endpoint=${encodeURIComponent(this.push.endpoint)}` : 'push.php';
 
-                const data = await this.safeJsonParse(r);
+            const r = await fetch(url, options);
+            const data = await this.safeJsonParse(r);
+            if (!data || !data.ok) {
+                throw new Error(data?.error || 'Push request failed');
+            }
+            return data;
+        },
 
-                if (data && data.ok) {
-                    this.setFlash('Test postback sent successfully. Check the logs below.');
-                    // Reload logs after a short delay
-                    setTimeout(() => this.loadPostbackLogs(), 1000);
-                } else {
-                    this.setFlash(data.error || 'Failed to send test postback', 'error');
+        applyPushStatus(data) {
+            const sub = data.subscription;
+            Object.assign(this.push, {
+                loaded: true,
+                configured: data.configured,
+                publicKey: data.public_key,
+                events: data.events || {},
+                subscribed: !!sub,
+                subscribers: data.subscribers
+            });
+            if (sub) {
+                this.push.selected = sub.events;
+                this.push.minPayout = sub.min_payout;
+            }
+        },
+
+        async loadPushStatus() {
+            // register-sw.js di-load dengan defer, jadi cek ulang di sini
+            this.push.supported = typeof window.srpPush !== 'undefined' && window.srpPush.supported;
+            try {
+                if (this.push.supported) {
+                    const subscription = await window.srpPush.getSubscription();
+                    this.push.endpoint = subscription ? subscription.endpoint : '';
                 }
+                this.applyPushStatus(await this.pushRequest());
             } catch (e) {
-                this.setFlash('Failed to send test postback', 'error');
-            } finally {
-                this.testPostbackLoading = false;
+                console.error('Failed to load push status:', e);
             }
         },
 
-        async savePostbackUrl() {
+        async generatePushKeys() {
+            this.push.busy = true;
             try {
-                const r = await fetch('postback-config.php', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-Token': this.csrf(),
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({
-                        action: 'update_url',
-                        url: this.postbackUrl
-                    })
-                });
+                this.applyPushStatus(await this.pushRequest({ action: 'generate_keys' }));
+                this.setFlash('VAPID keys generated');
+            } catch (e) {
+                this.setFlash(e.message, 'error');
+            } finally {
+                this.push.busy = false;
+            }
+        },
 
-                const data = await this.safeJsonParse(r);
+        // Subscribe browser ini, atau simpan ulang events/min payout jika sudah subscribe
+        async savePushSubscription() {
+            if (!this.push.supported || !this.push.configured) {
+                return;
+            }
 
-                if (data && data.ok) {
-                    this.setFlash('Postback URL saved successfully');
-                    this.cfg.postback_url = this.postbackUrl;
-                } else {
-                    this.setFlash(data.error || 'Failed to save postback URL', 'error');
+            this.push.busy = true;
+            try {
+                if (this.notificationPermission !== 'granted') {
+                    await this.requestNotificationPermission();
+                    if (this.notificationPermission !== 'granted') {
+                        this.setFlash('Notification permission is required for push', 'error');
+                        return;
+                    }
                 }
+
+                const subscription = await window.srpPush.subscribe(this.push.publicKey);
+                this.push.endpoint = subscription.endpoint;
+                this.applyPushStatus(await this.pushRequest({
+                    action: 'subscribe',
+                    subscription: subscription.toJSON(),
+                    events: this.push.selected,
+                    min_payout: Number(this.push.minPayout) || 0
+                }));
+                this.setFlash('Push notifications enabled for this browser');
             } catch (e) {
-                this.setFlash('Failed to save postback URL', 'error');
+                this.setFlash(e.message || 'Failed to enable push notifications', 'error');
+            } finally {
+                this.push.busy = false;
             }
         },
 
-        async saveForwardUrl() {
+        async unsubscribePush() {
+            this.push.busy = true;
             try {
-                const r = await fetch('postback-config.php', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-Token': this.csrf(),
-                        'X-Requested-With': 'XMLHttpRequest'
-                    },
-                    body: JSON.stringify({
-                        action: 'update_forward_url',
-                        url: this.forwardUrl
-                    })
-                });
+                const subscription = await window.srpPush.unsubscribe();
+                this.applyPushStatus(await this.pushRequest({ action: 'unsubscribe', endpoint: subscription?.endpoint || this.push.endpoint }));
+                this.push.endpoint = '';
+                this.setFlash('Push notifications disabled for this browser');
+            } catch (e) {
+                this.setFlash(e.message || 'Failed to disable push notifications', 'error');
+            } finally {
+                this.push.busy = false;
+            }
+        },
 
+        async testPush() {
+            this.push.busy = true;
+            try {
+                await this.pushRequest({ action: 'test', endpoint: this.push.endpoint });
+                this.setFlash('Test notification sent');
+            } catch (e) {
+                this.setFlash(e.message, 'error');
+            } finally {
+                this.push.busy = false;
+            }
+        },
+
+        // Click Journey
+        async openJourney(clickId) {
+            const id = String(clickId || '').trim();
+            if (!id || id === '-') {
+                return;
+            }
+
+            Object.assign(this.journey, { open: true, clickId: id, loading: true, data: null });
+            try {
+                const r = await fetch(`postback-config.php?action=journey&click_id=${encodeURIComponent(id)}`, {
+                    headers: { 'X-Requested-With': 'XMLHttpRequest' }
+                });
                 const data = await this.safeJsonParse(r);
 
+                // Panel sudah pindah ke click_id lain selama request berjalan
+                if (this.journey.clickId !== id) {
+                    return;
+                }
                 if (data && data.ok) {
-                    this.setFlash('Forward URL saved successfully');
+                    this.journey.data = data.journey;
                 } else {
-                    this.setFlash(data.error || 'Failed to save forward URL', 'error');
+                    this.setFlash(data?.error || 'Failed to load click journey', 'error');
                 }
             } catch (e) {
-                this.setFlash('Failed to save forward URL', 'error');
+                this.setFlash('Failed to load click journey', 'error');
+            } finally {
+                if (this.journey.clickId === id) {
+                    this.journey.loading = false;
+                }
+            }
+        },
+
+        closeJourney() {
+            this.journey.open = false;
+        },
+
+        // Waktu dari hit pertama ke postback pertama, '' jika salah satu tidak ada
+        get journeyConversionDelay() {
+            const data = this.journey.data;
+            if (!data || !data.hits.length || !data.received.length) {
+                return '';
+            }
+
+            const seconds = Math.max(0, Number(data.received[0].ts) - Number(data.hits[0].ts));
+            if (seconds < 60) {
+                return `${seconds}s`;
             }
+            if (seconds < 3600) {
+                return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+            }
+            return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+        },
+
+        signatureLabel(value) {
+            if (value === null || value === undefined) {
+                return 'Not checked';
+            }
+            return Number(value) ? 'Verified' : 'Invalid';
         },
 
         async clearPostbackLogs() {
@@ -944,7 +5180,8 @@ document.addEventListener('alpine:init', () => {
 
         async loadReceivedPostbacks() {
             try {
-                const r = await fetch('postback-config.php?action=received', {
+                const url = this.syncUrl('postback-config.php?action=received', this.receivedCursor, this.receivedWindow);
+                const r = await fetch(url, {
                     headers: {
                         'X-Requested-With': 'XMLHttpRequest'
                     }
@@ -952,12 +5189,8 @@ document.addEventListener('alpine:init', () => {
 
                 const data = await this.safeJsonParse(r);
 
-                if (data && data.ok) {
-                    // Only update if changed to reduce DOM updates
-                    const newPostbacks = Array.isArray(data.logs) ? data.logs : [];
-                    if (JSON.stringify(this.receivedPostbacks) !== JSON.stringify(newPostbacks)) {
-                        this.receivedPostbacks = newPostbacks;
-                    }
+                if (data && data.ok && !this.syncWindow('receivedPostbacks', 'receivedCursor', data, this.receivedWindow)) {
+                    return this.loadReceivedPostbacks();
                 }
             } catch (e) {
                 // Silent fail for background refresh
@@ -973,7 +5206,7 @@ document.addEventListener('alpine:init', () => {
             this.statsLoading = true;
 
             try {
-                const r = await fetch(`postback-config.php?action=stats&days=${this.statsPeriod}&view=${this.statsView}`, {
+                const r = await fetch('postback-config.php?action=stats&' + this.getStatsParams().toString(), {
                     headers: {
                         'X-Requested-With': 'XMLHttpRequest'
                     }
@@ -983,9 +5216,20 @@ document.addEventListener('alpine:init', () => {
 
                 if (data && data.ok) {
                     this.dailyStats = Array.isArray(data.stats) ? data.stats : [];
+                    this.trafficStats = Array.isArray(data.traffic) ? data.traffic : [];
                     if (data.summary) {
                         this.statsSummary = data.summary;
                     }
+                    this.statsActiveRange = data.range || null;
+                    this.statsPrevious = data.compare || null;
+                    this.buildChart();
+
+                    // Country breakdown memakai period yang sama
+                    if (this.activeTab === 'statistics') {
+                        this.loadCountryStats();
+                    }
+                } else if (data && data.error && r.status === 400) {
+                    this.setFlash(data.error, 'error');
                 }
             } catch (e) {
                 // Silent fail for background refresh
@@ -997,14 +5241,329 @@ document.addEventListener('alpine:init', () => {
 
         async changeStatsPeriod(days) {
             this.statsPeriod = days;
+            this.statsRange = { from: '', to: '' };
+            this.chartZoom = null;
             await this.loadDailyStats();
         },
 
+        // Query params untuk stats endpoint/export: custom range atau preset days
+        getStatsParams() {
+            const params = new URLSearchParams();
+
+            if (this.hasStatsRange) {
+                params.set('from', this.statsRange.from);
+                params.set('to', this.statsRange.to);
+            } else {
+                params.set('days', this.statsPeriod);
+            }
+            params.set('view', this.statsView === 'weekly' ? 'weekly' : 'daily');
+            params.set('tz', this.activeTimezone);
+            if (this.statsCompare) {
+                params.set('compare', '1');
+            }
+
+            return params;
+        },
+
+        get hasStatsRange() {
+            return Boolean(this.statsRange.from && this.statsRange.to);
+        },
+
+        // Isi input picker dengan range yang sedang tampil
+        openStatsRange() {
+            const active = this.statsActiveRange || {};
+            this.statsRangeInput = {
+                from: this.statsRange.from || active.from || '',
+                to: this.statsRange.to || active.to || ''
+            };
+        },
+
+        applyStatsRange() {
+            const { from, to } = this.statsRangeInput;
+
+            if (!from || !to) {
+                this.setFlash('Pick both a start and an end date', 'error');
+                return false;
+            }
+            if (from > to) {
+                this.setFlash('Range start must be before range end', 'error');
+                return false;
+            }
+            if ((Date.parse(to) - Date.parse(from)) / 86400000 + 1 > 365) {
+                this.setFlash('Date range cannot exceed 365 days', 'error');
+                return false;
+            }
+
+            this.statsRange = { from, to };
+            this.chartZoom = null;
+            this.loadDailyStats();
+            return true;
+        },
+
+        clearStatsRange() {
+            this.statsRange = { from: '', to: '' };
+            this.chartZoom = null;
+            this.loadDailyStats();
+        },
+
+        toggleStatsCompare() {
+            this.statsCompare = !this.statsCompare;
+            if (!this.statsCompare) {
+                this.statsPrevious = null;
+            }
+            this.loadDailyStats();
+        },
+
+        get statsRangeLabel() {
+            const range = this.statsActiveRange;
+            return range ? `${range.from} \u2013 ${range.to} (${range.days}d)` : '';
+        },
+
+        get statsPreviousLabel() {
+            const range = this.statsPrevious && this.statsPrevious.range;
+            return range ? `${range.from} \u2013 ${range.to}` : '';
+        },
+
+        // Selisih summary window aktif vs window sebelumnya (null jika compare off)
+        statsDelta(key) {
+            if (!this.statsPrevious || !this.statsPrevious.summary) {
+                return null;
+            }
+            const current = Number(this.statsSummary[key]) || 0;
+            const previous = Number(this.statsPrevious.summary[key]) || 0;
+            const diff = current - previous;
+
+            return { diff, pct: previous !== 0 ? (diff / Math.abs(previous)) * 100 : null };
+        },
+
+        formatStatsDelta(key, money = false) {
+            const delta = this.statsDelta(key);
+            if (!delta) {
+                return '';
+            }
+
+            const sign = delta.diff > 0 ? '+' : (delta.diff < 0 ? '-' : '\u00b1');
+            const abs = Math.abs(delta.diff);
+            const value = money ? '$' + abs.toFixed(2) : this.formatNumber(abs);
+            const pct = delta.pct === null
+                ? (delta.diff === 0 ? '0%' : 'new')
+                : sign + Math.abs(delta.pct).toFixed(1) + '%';
+
+            return `${sign}${value} (${pct})`;
+        },
+
+        statsDeltaClass(key) {
+            const delta = this.statsDelta(key);
+            if (!delta || delta.diff === 0) {
+                return 'text-muted-foreground';
+            }
+            return delta.diff > 0 ? 'text-emerald-600' : 'text-red-600';
+        },
+
         async changeStatsView(view) {
             this.statsView = view;
+            this.chartZoom = null;
             await this.loadDailyStats();
         },
 
+        // Trends Chart (SVG, koordinat dalam CHART_BOX viewBox)
+        buildChart() {
+            this.chartAll = buildChartPoints(this.trafficStats, this.dailyStats, this.statsActiveRange, this.statsView !== 'weekly');
+            this.chartHover = null;
+        },
+
+        get chartSeries() {
+            return CHART_SERIES;
+        },
+
+        // Points yang tampil (range zoom, minimal 2 points)
+        get chartPoints() {
+            if (!this.chartZoom) {
+                return this.chartAll;
+            }
+            const { from, to } = this.chartZoom;
+            const points = this.chartAll.filter(p => p.date >= from && p.date <= to);
+            return points.length >= 2 ? points : this.chartAll;
+        },
+
+        // Max sumbu Y per axis, dihitung dari series yang visible saja
+        get chartScale() {
+            const scale = { count: 0, revenue: 0 };
+            CHART_SERIES.forEach(s => {
+                if (this.chartHidden[s.key]) {
+                    return;
+                }
+                this.chartPoints.forEach(p => {
+                    scale[s.axis] = Math.max(scale[s.axis], p[s.key]);
+                });
+            });
+            return { count: niceCeil(scale.count), revenue: niceCeil(scale.revenue) };
+        },
+
+        get chartHasRevenue() {
+            return !this.chartHidden.revenue;
+        },
+
+        chartX(index, count = this.chartPoints.length) {
+            const plotWidth = CHART_BOX.width - CHART_BOX.left - CHART_BOX.right;
+            if (count <= 1) {
+                return CHART_BOX.left + plotWidth / 2;
+            }
+            return CHART_BOX.left + (index / (count - 1)) * plotWidth;
+        },
+
+        chartY(value, axis, scale = this.chartScale) {
+            const plotHeight = CHART_BOX.height - CHART_BOX.top - CHART_BOX.bottom;
+            return CHART_BOX.top + plotHeight - (Number(value) / scale[axis]) * plotHeight;
+        },
+
+        chartPath(key) {
+            const series = CHART_SERIES.find(s => s.key === key);
+            const points = this.chartPoints;
+            if (!series || this.chartHidden[key] || !points.length) {
+                return '';
+            }
+            const scale = this.chartScale;
+            return svgLinePath(points.map((p, i) => [this.chartX(i, points.length), this.chartY(p[key], series.axis, scale)]));
+        },
+
+        // Label sumbu Y untuk fraction 0..1 dari scale
+        chartTickLabel(fraction, axis) {
+            const value = this.chartScale[axis] * fraction;
+            return axis === 'revenue' ? '$' + this.formatNumber(Math.round(value)) : this.formatNumber(Math.round(value));
+        },
+
+        // Label sumbu X (maks 6, tersebar rata) dengan posisi dalam persen
+        get chartXLabels() {
+            const points = this.chartPoints;
+            const step = Math.max(1, Math.ceil(points.length / 6));
+            const labels = [];
+            for (let i = 0; i < points.length; i += step) {
+                labels.push({ date: points[i].date, label: points[i].date.slice(5), left: (this.chartX(i) / CHART_BOX.width) * 100 });
+            }
+            return labels;
+        },
+
+        chartHoverAt(event) {
+            const points = this.chartPoints;
+            if (!points.length) {
+                return;
+            }
+            const rect = event.currentTarget.getBoundingClientRect();
+            const x = ((event.clientX - rect.left) / rect.width) * CHART_BOX.width;
+            const plotWidth = CHART_BOX.width - CHART_BOX.left - CHART_BOX.right;
+            const index = Math.round(((x - CHART_BOX.left) / plotWidth) * (points.length - 1));
+            this.chartHover = Math.min(points.length - 1, Math.max(0, index));
+        },
+
+        chartDot(key) {
+            const point = this.chartHover !== null ? this.chartPoints[this.chartHover] : null;
+            const series = CHART_SERIES.find(s => s.key === key);
+            if (!point || !series || this.chartHidden[key]) {
+                return null;
+            }
+            return { x: this.chartX(this.chartHover), y: this.chartY(point[key], series.axis) };
+        },
+
+        get chartTooltip() {
+            const point = this.chartHover !== null ? this.chartPoints[this.chartHover] : null;
+            if (!point) {
+                return null;
+            }
+            const left = (this.chartX(this.chartHover) / CHART_BOX.width) * 100;
+            return {
+                title: this.statsView === 'weekly' ? 'Week of ' + point.date : point.date,
+                left,
+                flip: left > 60,
+                rows: CHART_SERIES.filter(s => !this.chartHidden[s.key]).map(s => ({
+                    key: s.key,
+                    label: s.label,
+                    color: s.color,
+                    value: s.key === 'revenue' ? '$' + point.revenue.toFixed(2) : this.formatNumber(point[s.key])
+                }))
+            };
+        },
+
+        toggleChartSeries(key) {
+            this.chartHidden = { ...this.chartHidden, [key]: !this.chartHidden[key] };
+            const hidden = Object.keys(this.chartHidden).filter(k => this.chartHidden[k]);
+            localStorage.setItem('srp_chartHidden', JSON.stringify(hidden));
+        },
+
+        // Overview strip di bawah chart: clicks untuk seluruh periode
+        get chartOverviewPath() {
+            const points = this.chartAll;
+            if (!points.length) {
+                return '';
+            }
+            const max = niceCeil(Math.max(...points.map(p => p.clicks)));
+            const height = CHART_BOX.brushHeight - 4;
+            return svgLinePath(points.map((p, i) => [this.chartX(i, points.length), 2 + height - (p.clicks / max) * height]));
+        },
+
+        // Area yang di-highlight di overview strip (brush aktif atau zoom tersimpan)
+        get chartBrushRect() {
+            let start;
+            let end;
+            if (this.chartBrush) {
+                ({ start, end } = this.chartBrush);
+            } else if (this.chartZoom) {
+                start = this.chartAll.findIndex(p => p.date >= this.chartZoom.from);
+                end = this.chartAll.findLastIndex(p => p.date <= this.chartZoom.to);
+            }
+            if (start === undefined || start < 0 || end < start) {
+                return null;
+            }
+            const x1 = this.chartX(start, this.chartAll.length);
+            const x2 = this.chartX(end, this.chartAll.length);
+            return { x: x1, width: Math.max(2, x2 - x1) };
+        },
+
+        chartBrushIndex(event) {
+            const rect = event.currentTarget.getBoundingClientRect();
+            const x = ((event.clientX - rect.left) / rect.width) * CHART_BOX.width;
+            const plotWidth = CHART_BOX.width - CHART_BOX.left - CHART_BOX.right;
+            const index = Math.round(((x - CHART_BOX.left) / plotWidth) * (this.chartAll.length - 1));
+            return Math.min(this.chartAll.length - 1, Math.max(0, index));
+        },
+
+        startChartBrush(event) {
+            if (this.chartAll.length < 2) {
+                return;
+            }
+            event.currentTarget.setPointerCapture(event.pointerId);
+            const index = this.chartBrushIndex(event);
+            this.chartBrush = { anchor: index, start: index, end: index };
+        },
+
+        moveChartBrush(event) {
+            if (!this.chartBrush) {
+                return;
+            }
+            const index = this.chartBrushIndex(event);
+            this.chartBrush.start = Math.min(this.chartBrush.anchor, index);
+            this.chartBrush.end = Math.max(this.chartBrush.anchor, index);
+        },
+
+        endChartBrush() {
+            if (!this.chartBrush) {
+                return;
+            }
+            const { start, end } = this.chartBrush;
+            this.chartBrush = null;
+
+            // Klik tanpa drag tidak mengubah zoom
+            if (end > start) {
+                this.chartZoom = { from: this.chartAll[start].date, to: this.chartAll[end].date };
+                this.chartHover = null;
+            }
+        },
+
+        resetChartZoom() {
+            this.chartZoom = null;
+            this.chartHover = null;
+        },
+
         // Utility Methods
         getStatsResetInfo() {
             const lastReset = this.cfg.updated_at || 0;
@@ -1021,6 +5580,105 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
+        // Export dataset via export.php (download di-stream server, mengikuti filter/periode aktif)
+        exportData(dataset, format = 'csv') {
+            let params;
+
+            if (dataset === 'logs') {
+                if (this.searchQuery.errors.length) {
+                    this.setFlash('Fix the search query before exporting', 'error');
+                    return;
+                }
+                params = this.getLogsRequestParams();
+            } else {
+                params = new URLSearchParams();
+            }
+
+            if (dataset === 'stats' || dataset === 'countries') {
+                params = this.getStatsParams();
+                params.delete('compare');
+            }
+
+            params.set('dataset', dataset);
+            params.set('format', format);
+
+            const link = document.createElement('a');
+            link.href = 'export.php?' + params.toString();
+            link.rel = 'noopener';
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            this.setFlash(`Exporting ${dataset} as ${format.toUpperCase()}...`);
+        },
+
+        // Time Formatting (semua timestamp dirender di activeTimezone)
+        get browserTimezone() {
+            return getBrowserTimeZone();
+        },
+
+        get activeTimezone() {
+            if (this.displayTimezone === 'browser') {
+                return getBrowserTimeZone();
+            }
+            if (this.displayTimezone === 'app') {
+                return isValidTimeZone(this.envConfig.APP_TIMEZONE) ? this.envConfig.APP_TIMEZONE : 'UTC';
+            }
+            return isValidTimeZone(this.displayTimezone) ? this.displayTimezone : getBrowserTimeZone();
+        },
+
+        get timezoneOffset() {
+            return formatTimeZoneOffset(this.activeTimezone, new Date(this.nowTick));
+        },
+
+        get timezoneLabel() {
+            return `${this.activeTimezone} (${this.timezoneOffset})`;
+        },
+
+        get timezoneOptions() {
+            return listTimeZones();
+        },
+
+        // mode: 'browser', 'app', atau IANA timezone
+        setDisplayTimezone(mode) {
+            const value = String(mode || '').trim();
+
+            if (value !== 'browser' && value !== 'app' && !isValidTimeZone(value)) {
+                this.setFlash(`Unknown timezone: ${value || '(empty)'}`, 'error');
+                return false;
+            }
+
+            this.displayTimezone = value;
+            localStorage.setItem('srp_displayTimezone', value);
+
+            // Bucket harian/mingguan dihitung server di timezone ini
+            this.chartZoom = null;
+            this.loadDailyStats();
+            return true;
+        },
+
+        // Format unix timestamp (detik) untuk display
+        fmt(ts) {
+            return formatTimestamp(ts, this.activeTimezone);
+        },
+
+        // Relative hint, misal "3m ago"
+        fmtRelative(ts) {
+            return formatRelativeTime(ts, this.nowTick);
+        },
+
+        // Tooltip: timestamp absolut + timezone
+        fmtTitle(ts) {
+            return ts ? `${this.fmt(ts)} ${this.timezoneOffset} (${this.activeTimezone})` : '';
+        },
+
+        // Week range label dari dua tanggal YYYY-MM-DD, misal "Oct 12 – Oct 18"
+        formatWeekRange(start, end) {
+            const format = getDateTimeFormat('UTC', { month: 'short', day: 'numeric' });
+            const toDate = value => new Date(`${value}T00:00:00Z`);
+            return `${format.format(toDate(start))} \u2013 ${format.format(toDate(end))}`;
+        },
+
         formatNumber(num) {
             return new Intl.NumberFormat().format(num || 0);
         },
@@ -1069,9 +5727,12 @@ document.addEventListener('alpine:init', () => {
             let initialTab = 'overview';
 
             // Check URL hash first (untuk deep linking)
-            const hash = window.location.hash.slice(1); // Remove #
+            const { tab: hash, params } = this.parseHash();
             if (hash && this.isValidTab(hash)) {
                 initialTab = hash;
+                if (hash === 'logs') {
+                    this.applyLogsHashParams(params);
+                }
             } else {
                 // Fallback ke localStorage (user preference)
                 const savedTab = localStorage.getItem('srp_activeTab');
@@ -1088,9 +5749,19 @@ document.addEventListener('alpine:init', () => {
             }
         },
 
+        // Split hash "#tab?key=value" menjadi tab + params
+        parseHash() {
+            const raw = window.location.hash.slice(1); // Remove #
+            const index = raw.indexOf('?');
+            return {
+                tab: index === -1 ? raw : raw.slice(0, index),
+                params: new URLSearchParams(index === -1 ? '' : raw.slice(index + 1))
+            };
+        },
+
         syncTabState(tab) {
             // Update URL hash (untuk deep linking dan browser history)
-            if (window.location.hash !== '#' + tab) {
+            if (this.parseHash().tab !== tab) {
                 window.location.hash = tab;
             }
 
@@ -1099,8 +5770,19 @@ document.addEventListener('alpine:init', () => {
         },
 
         handleHashChange() {
-            const hash = window.location.hash.slice(1);
-            if (hash && this.isValidTab(hash) && hash !== this.activeTab) {
+            const { tab: hash, params } = this.parseHash();
+            if (!hash || !this.isValidTab(hash)) {
+                return;
+            }
+
+            // Hanya reload jika hash berbeda dari state (mis. back/forward atau link yang di-paste)
+            if (hash === 'logs' && params.toString() && params.toString() !== this.logsHashQuery()) {
+                this.applyLogsHashParams(params);
+                if (this.activeTab === 'logs') {
+                    this.loadLogsTable();
+                }
+            }
+            if (hash !== this.activeTab) {
                 this.activeTab = hash;
             }
         },
@@ -1114,10 +5796,9 @@ document.addEventListener('alpine:init', () => {
             // Tab-specific data loading untuk performance
             switch (newTab) {
                 case 'logs':
-                    // Refresh logs ketika masuk ke tab logs
-                    if (!this.logs.length) {
-                        this.refresh();
-                    }
+                    // Load halaman tabel sesuai state (filter/sort/page) dan tulis ke hash
+                    this.syncLogsHash();
+                    this.loadLogsTable();
                     break;
 
                 case 'postback':
@@ -1128,18 +5809,21 @@ document.addEventListener('alpine:init', () => {
                     if (!this.receivedPostbacks.length) {
                         this.loadReceivedPostbacks();
                     }
+                    this.loadFailedPostbacks();
                     break;
 
                 case 'statistics':
-                    // Load statistics data
+                    // Load statistics data (country breakdown ikut di-load setelahnya)
                     if (!this.dailyStats.length) {
                         this.loadDailyStats();
+                    } else {
+                        this.loadCountryStats();
                     }
                     break;
 
                 case 'env-config':
                     // Ensure env config is loaded
-                    if (!this.envConfig.DB_NAME) {
+                    if (!this.envPublished) {
                         this.loadEnvConfig();
                     }
                     break;
@@ -1174,6 +5858,18 @@ document.addEventListener('alpine:init', () => {
             return labels[tabId] || tabId;
         },
 
+        // Label untuk live indicator di header
+        getLiveLabel() {
+            const labels = {
+                connecting: 'Connecting',
+                live: 'Live',
+                stale: 'Stale',
+                polling: 'Polling',
+                offline: 'Paused'
+            };
+            return labels[this.liveState] || 'Paused';
+        },
+
         // Add destructor for cleanup when component is destroyed
         destroy() {
             this.cleanup();
@@ -1183,8 +5879,8 @@ document.addEventListener('alpine:init', () => {
     }));
 });
 
-// Add beforeunload handler to cleanup intervals
-window.addEventListener('beforeunload', () => {
+// Add pagehide handler to cleanup intervals (beforeunload can still be cancelled)
+window.addEventListener('pagehide', () => {
     // Get Alpine component instance and cleanup
     const dashComponent = document.querySelector('[x-data]')?._x_dataStack?.[0];
     if (dashComponent && dashComponent.cleanup) {
@@ -4,8 +4,10 @@ declare(strict_types=1);
 // Portable path untuk shared hosting: dirname(__DIR__) = /home/username
 require_once dirname(__DIR__) . '/srp/src/bootstrap.php';
 
+use SRP\Controllers\AuthController;
 use SRP\Middleware\Session;
 use SRP\Models\EnvConfig;
+use SRP\Utils\Csrf;
 
 // Require authentication
 Session::requireAuth();
@@ -35,11 +37,46 @@ header('Content-Type: application/json');
 try {
     switch ($action) {
         case 'get':
-            // Get all environment configuration
-            $config = EnvConfig::getAll();
+            // Get all environment configuration (secrets masked)
             echo json_encode([
                 'ok' => true,
-                'config' => $config
+                'config' => EnvConfig::getMasked(),
+                'secrets' => EnvConfig::getSecretMeta(),
+                'secret_keys' => EnvConfig::SECRET_KEYS
+            ]);
+            break;
+
+        case 'reveal':
+            // Reveal satu secret setelah konfirmasi ulang password admin
+            if (!Csrf::validate(throwOnFailure: false)) {
+                http_response_code(403);
+                echo json_encode(['ok' => false, 'error' => 'Invalid CSRF token']);
+                break;
+            }
+
+            $key = (string)($input['key'] ?? '');
+            if (!in_array($key, EnvConfig::SECRET_KEYS, true)) {
+                echo json_encode(['ok' => false, 'error' => 'Unknown secret key']);
+                break;
+            }
+
+            if (!AuthController::reauthenticate((string)($input['password'] ?? ''))) {
+                // Session di-destroy setelah terlalu banyak password salah
+                $loggedOut = !Session::isAuthenticated();
+                http_response_code(403);
+                echo json_encode([
+                    'ok' => false,
+                    'error' => $loggedOut ? 'Too many failed attempts, please log in again' : 'Password is incorrect',
+                    'reauth' => true,
+                    'logout' => $loggedOut
+                ]);
+                break;
+            }
+
+            echo json_encode([
+                'ok' => true,
+                'key' => $key,
+                'value' => EnvConfig::revealSecret($key)
             ]);
             break;
 
@@ -0,0 +1,10 @@
+<?php
+declare(strict_types=1);
+
+// Portable path untuk shared hosting: dirname(__DIR__) = /home/username
+require_once dirname(__DIR__) . '/srp/src/bootstrap.php';
+
+use SRP\Controllers\EventStreamController;
+
+// Live event stream (SSE) - new logs, postbacks and settings changes
+EventStreamController::handle();
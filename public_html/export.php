@@ -0,0 +1,10 @@
+<?php
+declare(strict_types=1);
+
+// Portable path untuk shared hosting: dirname(__DIR__) = /home/username
+require_once dirname(__DIR__) . '/srp/src/bootstrap.php';
+
+use SRP\Controllers\ExportController;
+
+// Export endpoint - logs, postbacks and stats as CSV/JSON/NDJSON downloads
+ExportController::handle();
@@ -21,7 +21,9 @@ use SRP\Config\Database;
 use SRP\Config\Environment;
 use SRP\Models\Validator;
 use SRP\Models\PostbackLog;
+use SRP\Models\PushSubscription;
 use SRP\Utils\CorsHandler;
+use SRP\Utils\PostbackSignature;
 
 // ==========================================
 // SECURITY CONFIGURATION
@@ -91,21 +93,8 @@ function sanitizeInput(string $value, int $maxLength = 255): string
  */
 function verifyHmacSignature(array $data, string $signature, string $secret): bool
 {
-    if (empty($secret)) {
-        return false;
-    }
-
-    // Sort data by keys for consistent signature
-    ksort($data);
-
-    // Create signature payload
-    $payload = http_build_query($data);
-
-    // Calculate expected signature
-    $expectedSignature = hash_hmac('sha256', $payload, $secret);
-
-    // Constant-time comparison
-    return hash_equals($expectedSignature, $signature);
+    // Canonical string + constant-time comparison, sama dengan signature tester di dashboard
+    return PostbackSignature::verify($data, $signature, $secret);
 }
 
 /**
@@ -258,10 +247,11 @@ try {
     }
 
     // Step 3: Parse parameters (support multiple naming conventions)
-    $clickId = sanitizeInput((string)getParam($_REQUEST, ['click_id', 'clickid', 'cid', 's2'], ''), 100);
-    $status = sanitizeInput((string)getParam($_REQUEST, ['status', 'conversion_status', 'action'], 'confirmed'), 50);
-    $payout = (float)getParam($_REQUEST, ['payout', 'amount', 'revenue', 'commission'], 0.00);
-    $country = sanitizeInput(strtoupper((string)getParam($_REQUEST, ['country', 'country_code', 'geo'], 'XX')), 10);
+    $signed = PostbackSignature::extract($_REQUEST);
+    $clickId = $signed['click_id'];
+    $status = $signed['status'];
+    $payout = $signed['payout'];
+    $country = $signed['country'];
     $device = sanitizeInput((string)getParam($_REQUEST, ['device', 'device_type', 'traffic_type'], 'unknown'), 50);
     $network = sanitizeInput((string)getParam($_REQUEST, ['network', 'source', 'partner'], 'unknown'), 50);
 
@@ -305,8 +295,8 @@ try {
 
     Database::execute(
         'INSERT INTO postback_received
-         (ts, status, country_code, traffic_type, payout, click_id, network, ip_address, query_string)
-         VALUES (UNIX_TIMESTAMP(), ?, ?, ?, ?, ?, ?, ?, ?)',
+         (ts, status, country_code, traffic_type, payout, click_id, network, ip_address, query_string, signature_verified)
+         VALUES (UNIX_TIMESTAMP(), ?, ?, ?, ?, ?, ?, ?, ?, ?)',
         [
             $status,
             $country,
@@ -315,10 +305,21 @@ try {
             $clickId,
             $network,
             $clientIp,
-            $queryString
+            $queryString,
+            // NULL = tidak dicek (secret belum di-set); signature invalid sudah ditolak di Step 4
+            !empty($HMAC_SECRET) ? 1 : null
         ]
     );
 
+    if ($payout > 0) {
+        PushSubscription::notify(
+            'large_conversion',
+            sprintf('Conversion $%.2f', $payout),
+            sprintf('%s · %s · %s · click %s', $status, $country, $network, $clickId),
+            (float)$payout
+        );
+    }
+
     // Step 8: Update click record if exists
     if (!empty($clickId)) {
         Database::execute(
@@ -333,15 +334,12 @@ try {
     if (Environment::getBool('POSTBACK_FORWARD_ENABLED', false)) {
         $forwardUrl = Environment::get('POSTBACK_FORWARD_URL', '');
         if (!empty($forwardUrl)) {
-            // Replace placeholders
-            $forwardUrl = str_replace(
-                ['{click_id}', '{status}', '{payout}', '{country}', '{device}'],
-                [$clickId, $status, $payout, $country, $device],
-                $forwardUrl
-            );
-
-            // Send async request (don't wait for response)
-            PostbackLog::sendPostback($country, $device, $payout, $forwardUrl);
+            // Placeholders di-replace oleh PostbackLog (macro 'forward')
+            PostbackLog::sendPostback($country, $device, $payout, $forwardUrl, [
+                'click_id' => (string)$clickId,
+                'status' => (string)$status,
+                'network' => (string)$network,
+            ]);
         }
     }
 
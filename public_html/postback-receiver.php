@@ -22,6 +22,7 @@ declare(strict_types=1);
 require_once dirname(__DIR__) . '/srp/src/bootstrap.php';
 
 use SRP\Config\Database;
+use SRP\Models\PushSubscription;
 
 // Enable error reporting for debugging (disable in production)
 // error_reporting(E_ALL);
@@ -144,6 +145,16 @@ try {
 
     $insertId = $conn->lastInsertId();
 
+    // Web Push dikirim setelah response (lihat PushSubscription::flush)
+    if ($payout > 0) {
+        PushSubscription::notify(
+            'large_conversion',
+            sprintf('Conversion $%.2f', $payout),
+            sprintf('%s · %s · %s', $status, $country ?: 'XX', $network) . ($clickId ? ' · click ' . $clickId : ''),
+            $payout
+        );
+    }
+
     // Return success response
     http_response_code(200);
     header('Content-Type: application/json; charset=utf-8');
@@ -0,0 +1,10 @@
+<?php
+declare(strict_types=1);
+
+// Portable path untuk shared hosting: dirname(__DIR__) = /home/username
+require_once dirname(__DIR__) . '/srp/src/bootstrap.php';
+
+use SRP\Controllers\PushController;
+
+// Web Push endpoint - GET status / POST subscribe, unsubscribe, test, generate_keys
+PushController::handle();
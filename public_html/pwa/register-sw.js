@@ -11,4 +11,53 @@
   } else {
     window.addEventListener('load', register, { once: true });
   }
+
+  // VAPID public key (base64url) -> Uint8Array untuk applicationServerKey
+  const decodeKey = function(key) {
+    const base64 = (key + '='.repeat((4 - key.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), (c) => c.charCodeAt(0));
+  };
+
+  const sameKey = function(buffer, key) {
+    if (!buffer) {
+      return false;
+    }
+    const a = new Uint8Array(buffer);
+    const b = decodeKey(key);
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+  };
+
+  // Subscription management untuk dashboard (Alerts panel)
+  window.srpPush = {
+    supported: 'PushManager' in window && 'Notification' in window,
+
+    async getSubscription() {
+      const registration = await navigator.serviceWorker.ready;
+      return registration.pushManager.getSubscription();
+    },
+
+    // Subscription lama dengan VAPID key lain diganti, kalau tidak push service menolak pesan
+    async subscribe(publicKey) {
+      const registration = await navigator.serviceWorker.ready;
+      const existing = await registration.pushManager.getSubscription();
+      if (existing && sameKey(existing.options.applicationServerKey, publicKey)) {
+        return existing;
+      }
+      if (existing) {
+        await existing.unsubscribe();
+      }
+      return registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: decodeKey(publicKey)
+      });
+    },
+
+    async unsubscribe() {
+      const subscription = await this.getSubscription();
+      if (subscription) {
+        await subscription.unsubscribe();
+      }
+      return subscription;
+    }
+  };
 })();
@@ -1,4 +1,4 @@
-const CACHE_NAME = 'srp-dashboard-v2.1';
+const CACHE_NAME = 'srp-dashboard-v2.2';
 const CORE_ASSETS = [
   '/index.php',
   '/login.php',
@@ -47,6 +47,11 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
+  // Live event stream (SSE) must never be cached or intercepted
+  if ((request.headers.get('Accept') || '').includes('text/event-stream')) {
+    return;
+  }
+
   if (request.mode === 'navigate') {
     event.respondWith(
       fetch(request)
@@ -81,3 +86,42 @@ self.addEventListener('fetch', (event) => {
     })
   );
 });
+
+// Web Push dari server (PushSubscription): {title, body, tab, tag, ts}
+self.addEventListener('push', (event) => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch (err) {
+    message = { body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(message.title || 'SRP', {
+      body: message.body || '',
+      tag: message.tag || 'srp-push',
+      icon: '/assets/icons/icon.svg',
+      timestamp: message.ts ? message.ts * 1000 : Date.now(),
+      data: { url: '/#' + (message.tab || 'overview') }
+    })
+  );
+});
+
+// Klik notifikasi: buka tab dashboard lewat hash routing (data.url = /#tab).
+// Alert rules dari dashboard (data.alerts) membuka feed alert di tab yang sudah ada.
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  const url = data.url || '/';
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const client = clients.find((c) => new URL(c.url).origin === self.location.origin);
+      if (client) {
+        client.postMessage(data.alerts ? { type: 'srp-open-alerts' } : { type: 'srp-navigate', url });
+        return client.focus();
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
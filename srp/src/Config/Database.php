@@ -166,6 +166,7 @@ CREATE TABLE IF NOT EXISTS settings (
   postback_enabled TINYINT(1) NOT NULL DEFAULT 0,
   postback_url VARCHAR(2048) NOT NULL DEFAULT '',
   default_payout DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  routing_rules JSON DEFAULT NULL,
   INDEX idx_updated_at (updated_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
 SQL
@@ -173,7 +174,7 @@ SQL
 
         // Migrasi: tambahkan kolom jika belum ada (ALTER TABLE aman tanpa binding)
         $columns = ['total_decision_a', 'total_decision_b', 'stats_reset_at',
-                    'postback_enabled', 'postback_url', 'default_payout'];
+                    'postback_enabled', 'postback_url', 'default_payout', 'routing_rules'];
 
         foreach ($columns as $col) {
             try {
@@ -266,6 +267,88 @@ SQL
             // Kolom sudah ada, skip
         }
 
+        // Migrasi: postback_logs menyimpan ringkasan delivery (jumlah attempt, latency terakhir)
+        foreach ([
+            'attempts' => 'SMALLINT UNSIGNED NOT NULL DEFAULT 1',
+            'latency_ms' => 'INT UNSIGNED NULL',
+            'last_attempt_at' => 'INT UNSIGNED NULL',
+        ] as $col => $definition) {
+            try {
+                $pdo->exec("ALTER TABLE postback_logs ADD COLUMN IF NOT EXISTS {$col} {$definition}");
+            } catch (PDOException $e) {
+                // Kolom sudah ada, skip
+            }
+        }
+
+        // Migrasi: kolom untuk menghubungkan click -> postback masuk -> forward (journey per click_id)
+        foreach ([
+            "ALTER TABLE postback_received ADD COLUMN IF NOT EXISTS network VARCHAR(50) NOT NULL DEFAULT 'unknown' AFTER click_id",
+            'ALTER TABLE postback_received ADD COLUMN IF NOT EXISTS signature_verified TINYINT(1) NULL',
+            'ALTER TABLE postback_logs ADD COLUMN IF NOT EXISTS click_id VARCHAR(100) NULL',
+            'ALTER TABLE logs ADD INDEX IF NOT EXISTS idx_logs_click_id (click_id)',
+            'ALTER TABLE postback_received ADD INDEX IF NOT EXISTS idx_postback_received_click_id (click_id)',
+            'ALTER TABLE postback_logs ADD INDEX IF NOT EXISTS idx_postback_click_id (click_id)',
+        ] as $sql) {
+            try {
+                $pdo->exec($sql);
+            } catch (PDOException $e) {
+                // Kolom/index sudah ada, skip
+            }
+        }
+
+        // Table: postback_attempts (timeline setiap percobaan kirim, termasuk retry manual)
+        $pdo->exec(<<<'SQL'
+CREATE TABLE IF NOT EXISTS postback_attempts (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  postback_id BIGINT UNSIGNED NOT NULL,
+  ts INT UNSIGNED NOT NULL,
+  attempt SMALLINT UNSIGNED NOT NULL,
+  trigger_type VARCHAR(10) NOT NULL DEFAULT 'auto',
+  actor VARCHAR(100) NOT NULL DEFAULT '',
+  response_code INT NULL,
+  response_body TEXT NULL,
+  latency_ms INT UNSIGNED NULL,
+  success TINYINT(1) NOT NULL DEFAULT 0,
+  INDEX idx_postback_attempts_postback (postback_id, attempt)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+SQL
+        );
+
+        // Table: push_subscriptions (Web Push per browser; events + min_payout diatur dari dashboard)
+        $pdo->exec(<<<'SQL'
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  endpoint_hash CHAR(64) NOT NULL,
+  endpoint VARCHAR(1000) NOT NULL,
+  p256dh VARCHAR(128) NOT NULL,
+  auth VARCHAR(64) NOT NULL,
+  events VARCHAR(255) NOT NULL DEFAULT '',
+  min_payout DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+  user_agent VARCHAR(255) NOT NULL DEFAULT '',
+  created_at INT UNSIGNED NOT NULL,
+  last_success_at INT UNSIGNED NULL,
+  failures SMALLINT UNSIGNED NOT NULL DEFAULT 0,
+  UNIQUE KEY uniq_push_endpoint (endpoint_hash)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+SQL
+        );
+
+        // Table: config_versions (snapshot setiap save settings/env untuk history & rollback)
+        $pdo->exec(<<<'SQL'
+CREATE TABLE IF NOT EXISTS config_versions (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  ts INT UNSIGNED NOT NULL,
+  scope ENUM('settings','env') NOT NULL,
+  action VARCHAR(20) NOT NULL DEFAULT 'save',
+  actor VARCHAR(100) NOT NULL DEFAULT '',
+  snapshot JSON NOT NULL,
+  changes JSON NOT NULL,
+  rollback_of BIGINT UNSIGNED NULL,
+  INDEX idx_config_versions_scope (scope, id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+SQL
+        );
+
         // Table: api_rate_limit (untuk External API rate limiting)
         $pdo->exec(<<<'SQL'
 CREATE TABLE IF NOT EXISTS api_rate_limit (
@@ -303,6 +386,7 @@ SQL
             'postback_enabled' => 'TINYINT(1) NOT NULL DEFAULT 0',
             'postback_url' => 'VARCHAR(2048) NOT NULL DEFAULT \'\'',
             'default_payout' => 'DECIMAL(10,2) NOT NULL DEFAULT 0.00',
+            'routing_rules' => 'JSON DEFAULT NULL',
         ];
 
         return $definitions[$columnName] ?? 'TEXT';
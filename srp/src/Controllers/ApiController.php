@@ -98,7 +98,7 @@ class ApiController
 
             CorsHandler::jsonResponse([
                 'ok'   => true,
-                'cfg'  => $cfg,
+                'cfg'  => Settings::toApi($cfg),
                 'logs' => $logs,
             ], 200, self::ALLOWED_ORIGINS);
         } catch (\PDOException $e) {
@@ -136,6 +136,11 @@ class ApiController
         $redirectUrl = $data['redirect_url']; // Can be array or string
         $filterMode = Validator::sanitizeString($data['country_filter_mode'] ?? 'all', 20);
         $filterList = Validator::sanitizeString($data['country_filter_list'] ?? '', 10000);
+        $routingRules = $data['routing_rules'] ?? null;
+
+        if ($routingRules !== null && !is_array($routingRules)) {
+            CorsHandler::errorResponse('routing_rules must be an array', 400, self::ALLOWED_ORIGINS);
+        }
 
         // Validate filter mode (whitelist)
         if (!in_array($filterMode, ['all', 'whitelist', 'blacklist'], true)) {
@@ -144,7 +149,7 @@ class ApiController
 
         // Update settings
         try {
-            Settings::update($systemOn, $redirectUrl, $filterMode, $filterList);
+            Settings::update($systemOn, $redirectUrl, $filterMode, $filterList, $routingRules);
 
             // Set flash message
             Session::setFlash('success', 'Settings updated successfully.');
@@ -23,6 +23,7 @@ use SRP\Utils\IpDetector;
  */
 class AuthController
 {
+    private const MAX_REAUTH_FAILURES = 5;
 
     /**
      * Display login page
@@ -89,6 +90,39 @@ class AuthController
         exit;
     }
 
+    /**
+     * Konfirmasi ulang password admin untuk aksi sensitif (reveal secret)
+     *
+     * Session yang salah password MAX_REAUTH_FAILURES kali berturut-turut di-destroy,
+     * jadi tebakan password lewat endpoint ini berakhir di halaman login.
+     *
+     * @param string $password
+     * @return bool True jika password benar atau re-auth masih berlaku (REAUTH_WINDOW)
+     */
+    public static function reauthenticate(string $password): bool
+    {
+        if (Session::isRecentlyReauthenticated()) {
+            return true;
+        }
+        if ($password === '' || strlen($password) > 255) {
+            return false;
+        }
+
+        $adminHash = trim(Environment::get('SRP_ADMIN_PASSWORD_HASH'));
+        if (str_starts_with($adminHash, '$2') && password_verify($password, $adminHash)) {
+            Session::markReauthenticated();
+            return true;
+        }
+
+        $failures = Session::recordReauthFailure();
+        error_log("Failed re-authentication ({$failures}) from IP: " . IpDetector::getClientIp());
+        if ($failures >= self::MAX_REAUTH_FAILURES) {
+            Session::destroy();
+        }
+
+        return false;
+    }
+
     /**
      * Handle login attempt dengan validation
      *
@@ -147,7 +181,7 @@ class AuthController
         // Step 8: Handle success/failure
         if ($passwordValid) {
             // Set authenticated session (dengan session regeneration)
-            Session::setAuthenticated(1); // adminId = 1 (single admin system)
+            Session::setAuthenticated(1, $username); // adminId = 1 (single admin system)
 
             // Regenerate CSRF token after login
             Session::regenerateCsrfToken();
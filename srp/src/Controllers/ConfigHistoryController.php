@@ -0,0 +1,113 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Controllers;
+
+use SRP\Middleware\Session;
+use SRP\Models\ConfigHistory;
+use SRP\Models\Validator;
+use SRP\Utils\CorsHandler;
+use SRP\Utils\Csrf;
+use SRP\Utils\RequestBody;
+
+/**
+ * Config History Controller
+ *
+ * GET  ?scope=settings|env&before_id=N : daftar versi + field-level diff
+ * POST {id}                             : rollback ke snapshot versi tersebut
+ */
+class ConfigHistoryController
+{
+    private const ALLOWED_ORIGINS = [
+        'http://localhost',
+        'http://localhost:8000',
+        'http://localhost:3000',
+        'https://localhost',
+    ];
+
+    /**
+     * Handle history request (GET, POST)
+     */
+    public static function handle(): void
+    {
+        Session::start();
+
+        if (!Session::isAuthenticated()) {
+            CorsHandler::errorResponse('Unauthorized', 401, self::ALLOWED_ORIGINS);
+        }
+
+        if (CorsHandler::handle(self::ALLOWED_ORIGINS, ['GET', 'POST', 'OPTIONS'])) {
+            exit; // OPTIONS request handled
+        }
+
+        header('Content-Type: application/json; charset=utf-8');
+        header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+        $method = $_SERVER['REQUEST_METHOD'] ?? '';
+
+        try {
+            switch ($method) {
+                case 'GET':
+                    self::listVersions();
+                    break;
+                case 'POST':
+                    Csrf::protect();
+                    self::rollback();
+                    break;
+                default:
+                    CorsHandler::errorResponse('Method not allowed', 405, self::ALLOWED_ORIGINS);
+            }
+        } catch (\InvalidArgumentException $e) {
+            CorsHandler::errorResponse($e->getMessage(), 400, self::ALLOWED_ORIGINS);
+        } catch (\Throwable $e) {
+            error_log('ConfigHistoryController error: ' . $e->getMessage());
+            CorsHandler::errorResponse('Failed to process history request', 500, self::ALLOWED_ORIGINS);
+        }
+    }
+
+    /**
+     * @return never
+     */
+    private static function listVersions(): never
+    {
+        $scope = (string)($_GET['scope'] ?? 'settings');
+        $limit = Validator::sanitizeInt($_GET['limit'] ?? '30', 30, 1, 100);
+        $beforeId = Validator::sanitizeInt($_GET['before_id'] ?? '0', 0, 0, PHP_INT_MAX);
+
+        $versions = ConfigHistory::list($scope, $limit, $beforeId);
+
+        CorsHandler::jsonResponse([
+            'ok' => true,
+            'scope' => $scope,
+            'versions' => $versions,
+            'has_more' => count($versions) === $limit,
+        ], 200, self::ALLOWED_ORIGINS);
+    }
+
+    /**
+     * @return never
+     */
+    private static function rollback(): never
+    {
+        try {
+            $data = RequestBody::parseJson(true, 1024);
+        } catch (\RuntimeException $e) {
+            CorsHandler::errorResponse($e->getMessage(), 400, self::ALLOWED_ORIGINS);
+        }
+
+        $id = Validator::sanitizeInt($data['id'] ?? 0, 0, 0, PHP_INT_MAX);
+        if ($id === 0) {
+            CorsHandler::errorResponse('Missing version id', 400, self::ALLOWED_ORIGINS);
+        }
+
+        $result = ConfigHistory::rollback($id);
+        Session::setFlash('success', "Configuration rolled back to version #{$id}.");
+
+        CorsHandler::jsonResponse([
+            'ok' => true,
+            'scope' => $result['scope'],
+            'version' => $result['version'],
+        ], 200, self::ALLOWED_ORIGINS);
+    }
+}
@@ -65,6 +65,9 @@ class DashboardApiController
     /**
      * Get combined dashboard data (settings + logs)
      *
+     * Dengan ?since_id=N hanya logs dengan id > N yang dikirim (delta sync);
+     * client memakai 'cursor' dari response sebagai since_id berikutnya.
+     *
      * @return never
      */
     private static function getDashboardData(): never
@@ -72,10 +75,12 @@ class DashboardApiController
         try {
             // Get limit from query string (default 50, max 200)
             $limit = Validator::sanitizeInt($_GET['limit'] ?? '50', 50, 1, 200);
+            $sinceId = Validator::sanitizeInt($_GET['since_id'] ?? '0', 0, 0);
 
-            // Get settings and logs
+            // Get settings and logs; cursor dibaca sebelum rows supaya tidak melewati insert di antaranya
             $cfg = Settings::get();
-            $logs = TrafficLog::getAll($limit);
+            $cursor = TrafficLog::getLatestId();
+            $logs = $sinceId > 0 ? TrafficLog::getSince($sinceId, $limit) : TrafficLog::getAll($limit);
 
             // Get traffic statistics
             $stats = TrafficLog::getStats();
@@ -83,8 +88,10 @@ class DashboardApiController
 
             CorsHandler::jsonResponse([
                 'ok'   => true,
-                'cfg'  => $cfg,
+                'cfg'  => Settings::toApi($cfg),
                 'logs' => $logs,
+                'delta' => $sinceId > 0,
+                'cursor' => $cursor,
                 'stats' => array_merge($stats, [
                     'decision_counts' => $decisionCounts
                 ])
@@ -7,6 +7,7 @@ namespace SRP\Controllers;
 use SRP\Config\Environment;
 use SRP\Middleware\Session;
 use SRP\Middleware\SecurityHeaders;
+use SRP\Models\Validator;
 
 /**
  * Dashboard Controller (Production-Ready)
@@ -40,6 +41,9 @@ class DashboardController
         // Get CSRF token for forms
         $csrfToken = Session::getCsrfToken();
 
+        // Country codes yang diterima server, untuk validasi di country filter editor
+        $countryCodes = Validator::COUNTRY_CODES;
+
         // Render dashboard view
         require __DIR__ . '/../Views/dashboard.view.php';
     }
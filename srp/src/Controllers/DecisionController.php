@@ -4,6 +4,7 @@ declare(strict_types=1);
 namespace SRP\Controllers;
 
 use SRP\Config\Environment;
+use SRP\Models\RoutingRules;
 use SRP\Models\Settings;
 use SRP\Models\TrafficLog;
 use SRP\Models\Validator;
@@ -42,10 +43,10 @@ class DecisionController
      * Decision A Conditions (ALL must be true):
      * - System is ON
      * - Not in auto-mute period
-     * - Device is WAP (mobile)
      * - Not using VPN
      * - Country is allowed
-     * - Valid redirect URL exists
+     * - A routing rule matches (country/device/user_lp/schedule) with an enabled target,
+     *   or no rule matches, device is WAP and redirect_url has an enabled target
      *
      * Decision B (Fallback):
      * - Any condition fails → send to fallback URL
@@ -234,22 +235,34 @@ class DecisionController
         // Check auto-mute status
         $isMuted = self::isSystemMuted($config);
 
-        // Get valid redirect URLs
-        $validUrls = self::getValidRedirectUrls($config);
+        // Routing rule pertama yang cocok menentukan URL pool; tanpa rule yang cocok
+        // berlaku aturan lama (WAP only + redirect_url sebagai fallback pool).
+        // Rule tanpa kondisi device juga WAP only; WEB/TABLET harus dipilih eksplisit.
+        // BOT tidak pernah masuk Decision A, apa pun rule-nya.
+        $rule = $device === 'BOT' ? null : RoutingRules::match($config['routing_rules'] ?? [], [
+            'country' => Environment::isTrackingGeoFilterEnabled() ? $countryCode : null,
+            'device' => Environment::isTrackingDeviceFilterEnabled() ? $device : null,
+            'wap' => $device === 'WAP',
+            'user_lp' => $userLp,
+            'ts' => time(),
+        ]);
+
+        if ($rule !== null) {
+            $targets = self::getRedirectTargets(['redirect_url' => $rule['targets']]);
+        } else {
+            $targets = $device === 'WAP' ? self::getRedirectTargets($config) : [];
+        }
 
         // Decision logic: Send to Decision A if all conditions are met
         if (
             !empty($config['system_on']) &&
             !$isMuted &&
-            $device === 'WAP' &&
             !$isVpn &&
             $countryAllowed &&
-            count($validUrls) > 0
+            count($targets) > 0
         ) {
             $decision = 'A';
-            // Use cryptographically secure random for URL selection
-            $randomIndex = random_int(0, count($validUrls) - 1);
-            $target = rtrim((string)$validUrls[$randomIndex], '/');
+            $target = rtrim(self::pickWeightedTarget($targets), '/');
 
             // Update stats and trigger postback
             self::handleDecisionA($config, $countryCode, $device);
@@ -299,21 +312,48 @@ class DecisionController
     }
 
     /**
-     * Get list of valid redirect URLs from config
+     * Get redirect targets yang aktif dari config (enabled, weight > 0, URL valid)
+     *
+     * @return array<int, array{url: string, weight: int}>
      */
-    private static function getValidRedirectUrls(array $config): array
+    private static function getRedirectTargets(array $config): array
     {
-        $validUrls = [];
+        $targets = [];
 
         if (isset($config['redirect_url']) && is_array($config['redirect_url'])) {
-            foreach ($config['redirect_url'] as $url) {
-                if (is_string($url) && filter_var($url, FILTER_VALIDATE_URL)) {
-                    $validUrls[] = $url;
+            foreach ($config['redirect_url'] as $entry) {
+                if (
+                    is_array($entry) &&
+                    !empty($entry['enabled']) &&
+                    (int)($entry['weight'] ?? 0) > 0 &&
+                    filter_var($entry['url'] ?? '', FILTER_VALIDATE_URL)
+                ) {
+                    $targets[] = ['url' => (string)$entry['url'], 'weight' => (int)$entry['weight']];
                 }
             }
         }
 
-        return $validUrls;
+        return $targets;
+    }
+
+    /**
+     * Weighted random pick: peluang tiap target = weight / total weight
+     *
+     * @param array<int, array{url: string, weight: int}> $targets Non-empty
+     */
+    private static function pickWeightedTarget(array $targets): string
+    {
+        // Use cryptographically secure random for URL selection
+        $roll = random_int(1, array_sum(array_column($targets, 'weight')));
+
+        foreach ($targets as $target) {
+            $roll -= $target['weight'];
+            if ($roll <= 0) {
+                return $target['url'];
+            }
+        }
+
+        return $targets[array_key_last($targets)]['url'];
     }
 
     /**
@@ -0,0 +1,238 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Controllers;
+
+use SRP\Middleware\Session;
+use SRP\Models\PostbackLog;
+use SRP\Models\PostbackReceived;
+use SRP\Models\Settings;
+use SRP\Models\TrafficLog;
+use SRP\Utils\CorsHandler;
+
+/**
+ * Event Stream Controller (Server-Sent Events)
+ *
+ * Push channel untuk dashboard: traffic logs baru, postback masuk/keluar,
+ * dan perubahan settings. Koneksi sengaja dibatasi durasinya supaya tidak
+ * menahan PHP worker terlalu lama di shared hosting; browser akan reconnect
+ * otomatis dan melanjutkan dari Last-Event-ID.
+ *
+ * Event ID format: "{logId}:{receivedId}:{sentId}:{settingsUpdatedAt}"
+ */
+class EventStreamController
+{
+    private const ALLOWED_ORIGINS = [
+        'http://localhost',
+        'http://localhost:8000',
+        'http://localhost:3000',
+        'https://localhost',
+    ];
+
+    private const STREAM_DURATION = 25; // Detik per koneksi sebelum client diminta reconnect
+    private const POLL_INTERVAL = 2;    // Detik antar pengecekan database
+    private const PING_INTERVAL = 10;   // Detik tanpa event sebelum kirim ping
+    private const RETRY_MS = 3000;      // Reconnect delay yang disarankan ke browser
+    private const BATCH_LIMIT = 100;    // Maksimum rows per event
+
+    /**
+     * Handle event stream request (GET only)
+     */
+    public static function handle(): void
+    {
+        Session::start();
+
+        // Authenticate user
+        if (!Session::isAuthenticated()) {
+            CorsHandler::errorResponse('Unauthorized', 401, self::ALLOWED_ORIGINS);
+        }
+
+        $method = $_SERVER['REQUEST_METHOD'] ?? '';
+
+        if ($method !== 'GET') {
+            CorsHandler::errorResponse('Method not allowed', 405, self::ALLOWED_ORIGINS);
+        }
+
+        // Lepas session lock supaya request dashboard lain tidak ter-block selama stream
+        session_write_close();
+
+        try {
+            $cursor = self::resolveCursor(self::getLastEventId());
+        } catch (\Throwable $e) {
+            error_log('EventStreamController cursor error: ' . $e->getMessage());
+            CorsHandler::errorResponse('Failed to open event stream', 500, self::ALLOWED_ORIGINS);
+        }
+
+        self::openStream();
+        self::stream($cursor);
+        exit;
+    }
+
+    /**
+     * Get Last-Event-ID dari header (auto reconnect) atau query string (manual reconnect)
+     *
+     * @return string
+     */
+    private static function getLastEventId(): string
+    {
+        $id = $_SERVER['HTTP_LAST_EVENT_ID'] ?? ($_GET['last_event_id'] ?? '');
+
+        return is_string($id) ? substr(trim($id), 0, 100) : '';
+    }
+
+    /**
+     * Parse cursor dari event ID; tanpa event ID (koneksi baru) mulai dari data terbaru
+     *
+     * Bagian 0 di event ID berarti "setelah id 0" (tabel kosong saat connect),
+     * bukan "mulai dari terbaru", supaya rows pertama tidak terlewat.
+     *
+     * @param string $eventId
+     * @return array{log: int, received: int, sent: int, cfg: int}
+     */
+    private static function resolveCursor(string $eventId): array
+    {
+        if (preg_match('/^\d+:\d+:\d+:\d+$/', $eventId)) {
+            [$log, $received, $sent, $cfg] = array_map('intval', explode(':', $eventId));
+
+            return ['log' => $log, 'received' => $received, 'sent' => $sent, 'cfg' => $cfg];
+        }
+
+        return [
+            'log'      => TrafficLog::getLatestId(),
+            'received' => PostbackReceived::getLatestId(),
+            'sent'     => PostbackLog::getLatestId(),
+            'cfg'      => (int)(Settings::get(true)['updated_at'] ?? 0),
+        ];
+    }
+
+    /**
+     * Send SSE headers dan matikan output buffering
+     *
+     * @return void
+     */
+    private static function openStream(): void
+    {
+        @ini_set('zlib.output_compression', '0');
+        @set_time_limit(self::STREAM_DURATION + 10);
+        ignore_user_abort(false);
+
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+
+        http_response_code(200);
+        header('Content-Type: text/event-stream; charset=utf-8');
+        header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+        header('Connection: keep-alive');
+        header('X-Accel-Buffering: no'); // Nginx: jangan buffer stream
+
+        echo 'retry: ' . self::RETRY_MS . "\n\n";
+        flush();
+    }
+
+    /**
+     * Main stream loop
+     *
+     * @param array{log: int, received: int, sent: int, cfg: int} $cursor
+     * @return void
+     */
+    private static function stream(array $cursor): void
+    {
+        $deadline = time() + self::STREAM_DURATION;
+        $lastSentAt = time();
+
+        self::sendEvent('hello', self::cursorId($cursor), ['cursor' => self::cursorId($cursor)]);
+
+        while (time() < $deadline && !connection_aborted()) {
+            try {
+                $sent = self::pushChanges($cursor);
+            } catch (\Throwable $e) {
+                // Tutup tanpa 'bye' supaya client fallback ke polling + backoff
+                error_log('EventStreamController stream error: ' . $e->getMessage());
+                return;
+            }
+
+            if ($sent) {
+                $lastSentAt = time();
+            } elseif (time() - $lastSentAt >= self::PING_INTERVAL) {
+                self::sendEvent('ping', self::cursorId($cursor), ['ts' => time()]);
+                $lastSentAt = time();
+            }
+
+            sleep(self::POLL_INTERVAL);
+        }
+
+        // Beri tahu client bahwa penutupan ini terencana (bukan error)
+        self::sendEvent('bye', self::cursorId($cursor), ['reconnect' => true]);
+    }
+
+    /**
+     * Query perubahan sejak cursor dan kirim sebagai event
+     *
+     * @param array{log: int, received: int, sent: int, cfg: int} $cursor
+     * @return bool True jika ada event yang dikirim
+     */
+    private static function pushChanges(array &$cursor): bool
+    {
+        $sent = false;
+
+        $logs = TrafficLog::getSince($cursor['log'], self::BATCH_LIMIT);
+        if (!empty($logs)) {
+            $cursor['log'] = (int)end($logs)['id'];
+            self::sendEvent('logs', self::cursorId($cursor), ['rows' => $logs]);
+            $sent = true;
+        }
+
+        $received = PostbackReceived::getSince($cursor['received'], self::BATCH_LIMIT);
+        if (!empty($received)) {
+            $cursor['received'] = (int)end($received)['id'];
+            self::sendEvent('received', self::cursorId($cursor), ['rows' => $received]);
+            $sent = true;
+        }
+
+        $outgoing = PostbackLog::getSince($cursor['sent'], self::BATCH_LIMIT);
+        if (!empty($outgoing)) {
+            $cursor['sent'] = (int)end($outgoing)['id'];
+            self::sendEvent('sent', self::cursorId($cursor), ['rows' => $outgoing]);
+            $sent = true;
+        }
+
+        $cfg = Settings::get(true);
+        $updatedAt = (int)($cfg['updated_at'] ?? 0);
+        if ($updatedAt !== $cursor['cfg']) {
+            $cursor['cfg'] = $updatedAt;
+            self::sendEvent('settings', self::cursorId($cursor), ['cfg' => Settings::toApi($cfg)]);
+            $sent = true;
+        }
+
+        return $sent;
+    }
+
+    /**
+     * Build event ID dari cursor
+     *
+     * @param array{log: int, received: int, sent: int, cfg: int} $cursor
+     * @return string
+     */
+    private static function cursorId(array $cursor): string
+    {
+        return implode(':', [$cursor['log'], $cursor['received'], $cursor['sent'], $cursor['cfg']]);
+    }
+
+    /**
+     * Write single SSE event
+     *
+     * @param string $event
+     * @param string $id
+     * @param array<string, mixed> $data
+     * @return void
+     */
+    private static function sendEvent(string $event, string $id, array $data): void
+    {
+        echo "id: {$id}\n";
+        echo "event: {$event}\n";
+        echo 'data: ' . json_encode($data, JSON_UNESCAPED_UNICODE | JSON_INVALID_UTF8_SUBSTITUTE) . "\n\n";
+        flush();
+    }
+}
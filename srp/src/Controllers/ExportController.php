@@ -0,0 +1,267 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Controllers;
+
+use SRP\Middleware\Session;
+use SRP\Models\CountryStats;
+use SRP\Models\LogFilter;
+use SRP\Models\PostbackLog;
+use SRP\Models\PostbackReceived;
+use SRP\Models\StatsPeriod;
+use SRP\Models\TrafficLog;
+use SRP\Models\Validator;
+use SRP\Utils\CorsHandler;
+
+/**
+ * Export Controller
+ *
+ * Download traffic logs, postback logs (sent/received), payout stats dan country stats
+ * sebagai CSV, JSON atau NDJSON. Rows di-stream langsung ke output per batch,
+ * jadi export besar tidak dibangun sebagai satu string di memory.
+ */
+class ExportController
+{
+    private const ALLOWED_ORIGINS = [
+        'http://localhost',
+        'http://localhost:8000',
+        'http://localhost:3000',
+        'https://localhost',
+    ];
+
+    private const MAX_ROWS = 100000;
+    private const FLUSH_EVERY = 500;
+
+    private const FORMATS = [
+        'csv'    => ['ext' => 'csv', 'type' => 'text/csv; charset=utf-8'],
+        'json'   => ['ext' => 'json', 'type' => 'application/json; charset=utf-8'],
+        'ndjson' => ['ext' => 'ndjson', 'type' => 'application/x-ndjson; charset=utf-8'],
+    ];
+
+    // Kolom per dataset (urutan = urutan kolom CSV) dengan tipe untuk JSON output
+    private const COLUMNS = [
+        'logs' => [
+            'id' => 'int', 'ts' => 'int', 'time_iso' => 'string', 'ip' => 'string',
+            'country_code' => 'string', 'decision' => 'string', 'click_id' => 'string',
+            'user_lp' => 'string', 'ua' => 'string',
+        ],
+        'postbacks' => [
+            'id' => 'int', 'ts' => 'int', 'time_iso' => 'string', 'country_code' => 'string',
+            'traffic_type' => 'string', 'payout' => 'float', 'postback_url' => 'string',
+            'response_code' => 'int', 'response_body' => 'string', 'success' => 'bool',
+        ],
+        'received' => [
+            'id' => 'int', 'ts' => 'int', 'time_iso' => 'string', 'status' => 'string',
+            'country_code' => 'string', 'traffic_type' => 'string', 'payout' => 'float',
+            'click_id' => 'string', 'network' => 'string', 'ip_address' => 'string',
+            'query_string' => 'string', 'signature_verified' => 'bool',
+        ],
+        'stats' => [
+            'date' => 'string', 'week_end' => 'string', 'total_postbacks' => 'int',
+            'total_payout' => 'float', 'avg_payout' => 'float', 'min_payout' => 'float',
+            'max_payout' => 'float', 'unique_traffic_types' => 'int', 'unique_countries' => 'int',
+            'unique_networks' => 'int',
+        ],
+        'countries' => [
+            'country_code' => 'string', 'clicks' => 'int', 'decision_a' => 'int', 'decision_b' => 'int',
+            'conversions' => 'int', 'revenue' => 'float', 'cr' => 'float', 'epc' => 'float',
+        ],
+    ];
+
+    /**
+     * Handle export request (GET only)
+     */
+    public static function handle(): void
+    {
+        Session::start();
+
+        // Authenticate user
+        if (!Session::isAuthenticated()) {
+            CorsHandler::errorResponse('Unauthorized', 401, self::ALLOWED_ORIGINS);
+        }
+
+        // Handle CORS
+        if (CorsHandler::handle(self::ALLOWED_ORIGINS, ['GET', 'OPTIONS'])) {
+            exit; // OPTIONS request handled
+        }
+
+        if (($_SERVER['REQUEST_METHOD'] ?? '') !== 'GET') {
+            CorsHandler::errorResponse('Method not allowed', 405, self::ALLOWED_ORIGINS);
+        }
+
+        $dataset = (string)($_GET['dataset'] ?? '');
+        $format = (string)($_GET['format'] ?? 'csv');
+
+        if (!isset(self::COLUMNS[$dataset])) {
+            CorsHandler::errorResponse('Invalid dataset', 400, self::ALLOWED_ORIGINS);
+        }
+        if (!isset(self::FORMATS[$format])) {
+            CorsHandler::errorResponse('Invalid format, expected csv, json or ndjson', 400, self::ALLOWED_ORIGINS);
+        }
+
+        // Export tidak butuh session lagi; lepas lock selama streaming
+        session_write_close();
+
+        try {
+            $rows = self::getRows($dataset, $_GET);
+        } catch (\InvalidArgumentException $e) {
+            CorsHandler::errorResponse($e->getMessage(), 400, self::ALLOWED_ORIGINS);
+        } catch (\Throwable $e) {
+            error_log('ExportController error: ' . $e->getMessage());
+            CorsHandler::errorResponse('Failed to prepare export', 500, self::ALLOWED_ORIGINS);
+        }
+
+        self::stream($dataset, $format, $rows);
+        exit;
+    }
+
+    /**
+     * Build row source untuk dataset sesuai filter/periode yang sedang aktif di dashboard
+     *
+     * @param string $dataset
+     * @param array<string, mixed> $query
+     * @return iterable<int, array<string, mixed>>
+     * @throws \InvalidArgumentException
+     */
+    private static function getRows(string $dataset, array $query): iterable
+    {
+        switch ($dataset) {
+            case 'logs':
+                $filters = LogFilter::fromQuery($query);
+                $sort = Validator::sanitizeString((string)($query['sort'] ?? 'id'), 20);
+                $dir = ($query['dir'] ?? 'desc') === 'asc' ? 'asc' : 'desc';
+                return TrafficLog::iterateFiltered($filters, $sort, $dir, self::MAX_ROWS);
+
+            case 'postbacks':
+                return PostbackLog::iterateAll(self::MAX_ROWS);
+
+            case 'received':
+                return PostbackReceived::iterateAll(self::MAX_ROWS);
+
+            case 'countries':
+                return CountryStats::forRange(StatsPeriod::fromQuery($query));
+
+            default:
+                $range = StatsPeriod::fromQuery($query);
+                $view = ($query['view'] ?? 'daily') === 'weekly' ? 'weekly' : 'daily';
+                return PostbackReceived::getPeriodStats($range, $view);
+        }
+    }
+
+    /**
+     * Stream rows ke output dalam format yang diminta
+     *
+     * @param string $dataset
+     * @param string $format
+     * @param iterable<int, array<string, mixed>> $rows
+     * @return void
+     */
+    private static function stream(string $dataset, string $format, iterable $rows): void
+    {
+        @set_time_limit(300);
+
+        while (ob_get_level() > 0) {
+            ob_end_clean();
+        }
+
+        $columns = self::COLUMNS[$dataset];
+        $filename = sprintf('srp-%s-%s.%s', $dataset, gmdate('Ymd-His'), self::FORMATS[$format]['ext']);
+
+        http_response_code(200);
+        header('Content-Type: ' . self::FORMATS[$format]['type']);
+        header('Content-Disposition: attachment; filename="' . $filename . '"');
+        header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+        header('X-Content-Type-Options: nosniff');
+
+        $out = fopen('php://output', 'wb');
+        $count = 0;
+
+        if ($format === 'csv') {
+            fputcsv($out, array_keys($columns), ',', '"', '');
+        } elseif ($format === 'json') {
+            fwrite($out, '[');
+        }
+
+        try {
+            foreach ($rows as $row) {
+                $record = self::normalizeRow($row, $columns);
+
+                if ($format === 'csv') {
+                    fputcsv($out, array_map(self::csvCell(...), $record), ',', '"', '');
+                } else {
+                    $json = json_encode($record, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES | JSON_INVALID_UTF8_SUBSTITUTE);
+                    fwrite($out, $format === 'json' ? ($count > 0 ? ",\n" : "\n") . $json : $json . "\n");
+                }
+
+                if (++$count % self::FLUSH_EVERY === 0) {
+                    fflush($out);
+                    flush();
+                }
+            }
+        } catch (\Throwable $e) {
+            // Header sudah terkirim, jadi error hanya bisa di-log; file akan terpotong
+            error_log('ExportController stream error: ' . $e->getMessage());
+        }
+
+        if ($format === 'json') {
+            fwrite($out, ($count > 0 ? "\n" : '') . ']');
+        }
+
+        fclose($out);
+    }
+
+    /**
+     * Map row database ke kolom export dengan tipe yang konsisten
+     *
+     * @param array<string, mixed> $row
+     * @param array<string, string> $columns
+     * @return array<string, mixed>
+     */
+    private static function normalizeRow(array $row, array $columns): array
+    {
+        if (!isset($row['time_iso']) && isset($row['ts'])) {
+            $row['time_iso'] = gmdate('Y-m-d\TH:i:s\Z', (int)$row['ts']);
+        }
+
+        $record = [];
+
+        foreach ($columns as $name => $type) {
+            $value = $row[$name] ?? null;
+
+            if ($value !== null) {
+                $value = match ($type) {
+                    'int'   => (int)$value,
+                    'float' => round((float)$value, 4),
+                    'bool'  => (bool)$value,
+                    default => (string)$value,
+                };
+            }
+
+            $record[$name] = $value;
+        }
+
+        return $record;
+    }
+
+    /**
+     * Format value untuk CSV, dengan proteksi formula injection di spreadsheet
+     *
+     * @param mixed $value
+     * @return string
+     */
+    private static function csvCell($value): string
+    {
+        if ($value === null) {
+            return '';
+        }
+        if (is_bool($value)) {
+            return $value ? '1' : '0';
+        }
+        if (is_string($value) && $value !== '' && strpbrk($value[0], "=+-@\t\r") !== false) {
+            return "'" . $value;
+        }
+
+        return (string)$value;
+    }
+}
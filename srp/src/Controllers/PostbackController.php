@@ -4,12 +4,19 @@ declare(strict_types=1);
 
 namespace SRP\Controllers;
 
-use SRP\Config\Database;
 use SRP\Middleware\Session;
+use SRP\Models\ClickJourney;
+use SRP\Models\CountryStats;
 use SRP\Models\Settings;
 use SRP\Models\PostbackLog;
+use SRP\Models\PostbackReceived;
+use SRP\Models\StatsPeriod;
+use SRP\Models\TrafficLog;
 use SRP\Models\Validator;
+use SRP\Config\Environment;
 use SRP\Utils\Csrf;
+use SRP\Utils\HttpClient;
+use SRP\Utils\PostbackSignature;
 
 /**
  * Postback Controller (Production-Ready)
@@ -73,13 +80,42 @@ class PostbackController
             return;
         }
 
+        if ($action === 'countries') {
+            self::getCountryStats();
+            return;
+        }
+
+        if ($action === 'failed') {
+            self::getFailedPostbacks();
+            return;
+        }
+
+        if ($action === 'attempts') {
+            self::getPostbackAttempts();
+            return;
+        }
+
+        if ($action === 'journey') {
+            self::getClickJourney();
+            return;
+        }
+
         // Get sent postbacks (default)
         try {
             // Get limit from query string (default 20, max 100)
             $limit = Validator::sanitizeInt($_GET['limit'] ?? '20', 20, 1, 100);
+            $sinceId = Validator::sanitizeInt($_GET['since_id'] ?? '0', 0, 0);
 
-            $logs = PostbackLog::getRecent($limit);
-            self::respond(['ok' => true, 'logs' => $logs]);
+            // since_id > 0: delta sync, hanya rows baru. Cursor dibaca sebelum rows
+            // supaya tidak pernah melewati row yang masuk di antara kedua query
+            $cursor = PostbackLog::getLatestId();
+            $logs = $sinceId > 0 ? PostbackLog::getSince($sinceId, $limit) : PostbackLog::getRecent($limit);
+            self::respond([
+                'ok' => true,
+                'logs' => $logs,
+                'delta' => $sinceId > 0,
+                'cursor' => $cursor
+            ]);
         } catch (\Throwable $e) {
             // Log detailed error untuk debugging
             error_log('PostbackController::getPostbackLogs error: ' . $e->getMessage());
@@ -102,8 +138,11 @@ class PostbackController
     /**
      * Get daily/weekly payout statistics
      *
-     * Week start: Monday 07:00 UTC+7 (Monday 00:00 UTC)
-     * Week boundary offset: -7 hours (25200 seconds)
+     * Period: `days` (N hari terakhir) atau `from`/`to` (YYYY-MM-DD, inclusive).
+     * Dengan `compare=1`, response juga berisi window sebelumnya dengan panjang sama.
+     *
+     * Bucket harian/mingguan mengikuti `tz` (IANA, default timezone server);
+     * week start: Monday 00:00 di timezone tersebut.
      *
      * @return void
      */
@@ -111,7 +150,7 @@ class PostbackController
     {
         try {
             // Get parameters
-            $days = Validator::sanitizeInt($_GET['days'] ?? '30', 30, 1, 365);
+            $range = StatsPeriod::fromQuery($_GET);
             $view = Validator::sanitizeString($_GET['view'] ?? 'daily', 10);
 
             // Validate view
@@ -119,106 +158,149 @@ class PostbackController
                 $view = 'daily';
             }
 
-            // Build query based on view
-            if ($view === 'weekly') {
-                // Weekly aggregation: Week starts Monday 07:00 UTC+7
-                // Offset: ts - 25200 (7 hours = 7*3600 seconds)
-                // Formula: Get Monday of (timestamp - 7 hours)
-                $stmt = Database::execute(
-                    'SELECT
-                        DATE_SUB(
-                            DATE(FROM_UNIXTIME(ts - 25200)),
-                            INTERVAL WEEKDAY(FROM_UNIXTIME(ts - 25200)) DAY
-                        ) as date,
-                        DATE_ADD(
-                            DATE_SUB(
-                                DATE(FROM_UNIXTIME(ts - 25200)),
-                                INTERVAL WEEKDAY(FROM_UNIXTIME(ts - 25200)) DAY
-                            ),
-                            INTERVAL 6 DAY
-                        ) as week_end,
-                        COUNT(*) as total_postbacks,
-                        SUM(payout) as total_payout,
-                        AVG(payout) as avg_payout,
-                        MIN(payout) as min_payout,
-                        MAX(payout) as max_payout,
-                        COUNT(DISTINCT traffic_type) as unique_traffic_types,
-                        COUNT(DISTINCT country_code) as unique_countries,
-                        COUNT(DISTINCT network) as unique_networks
-                    FROM postback_received
-                    WHERE ts >= UNIX_TIMESTAMP(DATE_SUB(NOW(), INTERVAL ? DAY))
-                    GROUP BY DATE_SUB(
-                        DATE(FROM_UNIXTIME(ts - 25200)),
-                        INTERVAL WEEKDAY(FROM_UNIXTIME(ts - 25200)) DAY
-                    )
-                    ORDER BY date DESC
-                    LIMIT 365',
-                    [$days]
-                );
-            } else {
-                // Daily aggregation (default)
-                $stmt = Database::execute(
-                    'SELECT
-                        DATE(FROM_UNIXTIME(ts)) as date,
-                        COUNT(*) as total_postbacks,
-                        SUM(payout) as total_payout,
-                        AVG(payout) as avg_payout,
-                        MIN(payout) as min_payout,
-                        MAX(payout) as max_payout,
-                        COUNT(DISTINCT traffic_type) as unique_traffic_types,
-                        COUNT(DISTINCT country_code) as unique_countries,
-                        COUNT(DISTINCT network) as unique_networks
-                    FROM postback_received
-                    WHERE ts >= UNIX_TIMESTAMP(DATE_SUB(NOW(), INTERVAL ? DAY))
-                    GROUP BY DATE(FROM_UNIXTIME(ts))
-                    ORDER BY date DESC
-                    LIMIT 365',
-                    [$days]
-                );
-            }
+            $response = ['ok' => true, 'view' => $view] + self::buildStatsWindow($range, $view);
 
-            $stats = [];
-            while ($row = $stmt->fetch()) {
-                $record = [
-                    'date' => $row['date'],
-                    'total_postbacks' => (int) $row['total_postbacks'],
-                    'total_payout' => (float) $row['total_payout'],
-                    'avg_payout' => (float) $row['avg_payout'],
-                    'min_payout' => (float) $row['min_payout'],
-                    'max_payout' => (float) $row['max_payout'],
-                    'unique_traffic_types' => (int) $row['unique_traffic_types'],
-                    'unique_countries' => (int) $row['unique_countries'],
-                    'unique_networks' => (int) ($row['unique_networks'] ?? 0)
-                ];
-
-                // Add week_end for weekly view
-                if ($view === 'weekly' && isset($row['week_end'])) {
-                    $record['week_end'] = $row['week_end'];
-                }
-
-                $stats[] = $record;
+            if (($_GET['compare'] ?? '') === '1') {
+                $response['compare'] = self::buildStatsWindow(StatsPeriod::previous($range), $view);
             }
 
-            // Calculate totals
-            $totalPostbacks = array_sum(array_column($stats, 'total_postbacks'));
-            $totalPayout = array_sum(array_column($stats, 'total_payout'));
-            $avgDailyPayout = count($stats) > 0 ? $totalPayout / count($stats) : 0;
+            self::respond($response);
+        } catch (\InvalidArgumentException $e) {
+            self::respondError($e->getMessage(), 400);
+        } catch (\Throwable $e) {
+            error_log('Error loading daily stats: ' . $e->getMessage());
+            self::respondError('Failed to load daily statistics', 500);
+        }
+    }
+
+    /**
+     * Get per-country clicks, conversions, revenue, CR% dan EPC
+     *
+     * Period sama dengan getDailyStats() (`days` atau `from`/`to`, plus `tz`).
+     *
+     * @return void
+     */
+    private static function getCountryStats(): void
+    {
+        try {
+            $range = StatsPeriod::fromQuery($_GET);
 
             self::respond([
                 'ok' => true,
-                'view' => $view,
-                'stats' => $stats,
-                'summary' => [
-                    'total_postbacks' => $totalPostbacks,
-                    'total_payout' => round($totalPayout, 2),
-                    'avg_daily_payout' => round($avgDailyPayout, 2),
-                    'days_count' => count($stats),
-                    'period_days' => $days
-                ]
+                'range' => [
+                    'from' => $range['from_date'],
+                    'to' => $range['to_date'],
+                    'days' => $range['days'],
+                    'timezone' => $range['timezone'],
+                ],
+                'countries' => CountryStats::forRange($range),
             ]);
+        } catch (\InvalidArgumentException $e) {
+            self::respondError($e->getMessage(), 400);
         } catch (\Throwable $e) {
-            error_log('Error loading daily stats: ' . $e->getMessage());
-            self::respondError('Failed to load daily statistics', 500);
+            error_log('Error loading country stats: ' . $e->getMessage());
+            self::respondError('Failed to load country statistics', 500);
+        }
+    }
+
+    /**
+     * Stats, traffic counts dan summary untuk satu window
+     *
+     * @param array{from: int, to: int, from_date: string, to_date: string, days: int, timezone: string} $range
+     * @param string $view
+     * @return array<string, mixed>
+     */
+    private static function buildStatsWindow(array $range, string $view): array
+    {
+        $stats = PostbackReceived::getPeriodStats($range, $view);
+        $traffic = TrafficLog::getPeriodCounts($range, $view);
+
+        // Calculate totals
+        $totalPostbacks = array_sum(array_column($stats, 'total_postbacks'));
+        $totalPayout = array_sum(array_column($stats, 'total_payout'));
+        $avgDailyPayout = count($stats) > 0 ? $totalPayout / count($stats) : 0;
+
+        return [
+            'range' => [
+                'from' => $range['from_date'],
+                'to' => $range['to_date'],
+                'days' => $range['days'],
+                'timezone' => $range['timezone'],
+            ],
+            'stats' => $stats,
+            'traffic' => $traffic,
+            'summary' => [
+                'total_postbacks' => $totalPostbacks,
+                'total_payout' => round($totalPayout, 2),
+                'avg_daily_payout' => round($avgDailyPayout, 2),
+                'days_count' => count($stats),
+                'period_days' => $range['days'],
+                'total_clicks' => array_sum(array_column($traffic, 'clicks')),
+                'decision_a' => array_sum(array_column($traffic, 'decision_a')),
+                'decision_b' => array_sum(array_column($traffic, 'decision_b')),
+            ],
+        ];
+    }
+
+    /**
+     * Get failed postbacks: ringkasan per response code plus daftar (opsional filter `code`)
+     *
+     * `code`: kosong = semua, `network` = timeout/koneksi gagal, atau HTTP status.
+     *
+     * @return void
+     */
+    private static function getFailedPostbacks(): void
+    {
+        try {
+            $code = Validator::sanitizeString($_GET['code'] ?? '', 10);
+            $limit = Validator::sanitizeInt($_GET['limit'] ?? '100', 100, 1, 200);
+
+            self::respond([
+                'ok' => true,
+                'groups' => PostbackLog::getFailedSummary(),
+                'logs' => PostbackLog::getFailed($code, $limit),
+                'max_retries' => PostbackLog::getMaxRetries(),
+            ]);
+        } catch (\Throwable $e) {
+            error_log('Error loading failed postbacks: ' . $e->getMessage());
+            self::respondError('Failed to load failed postbacks', 500);
+        }
+    }
+
+    /**
+     * Get attempt timeline untuk satu postback (`id`)
+     *
+     * @return void
+     */
+    private static function getPostbackAttempts(): void
+    {
+        $id = Validator::sanitizeInt($_GET['id'] ?? '0', 0, 0);
+        if ($id === 0) {
+            self::respondError('Postback id is required', 400);
+        }
+
+        try {
+            self::respond(['ok' => true, 'id' => $id, 'attempts' => PostbackLog::getAttempts($id)]);
+        } catch (\Throwable $e) {
+            error_log('Error loading postback attempts: ' . $e->getMessage());
+            self::respondError('Failed to load postback attempts', 500);
+        }
+    }
+
+    /**
+     * Get journey satu click_id: hit di logs, postback diterima dan forward terkirim
+     *
+     * @return void
+     */
+    private static function getClickJourney(): void
+    {
+        try {
+            self::respond(['ok' => true, 'journey' => ClickJourney::forClickId((string)($_GET['click_id'] ?? ''))]);
+        } catch (\InvalidArgumentException $e) {
+            self::respondError($e->getMessage(), 400);
+        } catch (\Throwable $e) {
+            error_log('Error loading click journey: ' . $e->getMessage());
+            self::respondError('Failed to load click journey', 500);
         }
     }
 
@@ -232,32 +314,19 @@ class PostbackController
         try {
             // Get limit from query string (default 50, max 200)
             $limit = Validator::sanitizeInt($_GET['limit'] ?? '50', 50, 1, 200);
+            $sinceId = Validator::sanitizeInt($_GET['since_id'] ?? '0', 0, 0);
 
-            // Query dengan PDO - include network column
-            $stmt = Database::execute(
-                'SELECT
-                    id,
-                    ts,
-                    status,
-                    country_code,
-                    traffic_type,
-                    payout,
-                    click_id,
-                    network,
-                    ip_address,
-                    query_string
-                FROM postback_received
-                ORDER BY ts DESC
-                LIMIT ?',
-                [$limit]
-            );
-
-            $logs = [];
-            while ($row = $stmt->fetch()) {
-                $logs[] = $row;
-            }
+            $cursor = PostbackReceived::getLatestId();
+            $logs = $sinceId > 0
+                ? PostbackReceived::getSince($sinceId, $limit)
+                : PostbackReceived::getRecent($limit);
 
-            self::respond(['ok' => true, 'logs' => $logs]);
+            self::respond([
+                'ok' => true,
+                'logs' => $logs,
+                'delta' => $sinceId > 0,
+                'cursor' => $cursor
+            ]);
         } catch (\Throwable $e) {
             error_log('Error loading received postbacks: ' . $e->getMessage());
             self::respondError('Failed to load received postbacks', 500);
@@ -305,6 +374,26 @@ class PostbackController
             return;
         }
 
+        if ($action === 'compose') {
+            self::handleComposeTest($data);
+            return;
+        }
+
+        if ($action === 'retry') {
+            self::handleRetry($data);
+            return;
+        }
+
+        if ($action === 'verify_signature') {
+            self::handleVerifySignature($data);
+            return;
+        }
+
+        if ($action === 'sign') {
+            self::handleSignSample($data);
+            return;
+        }
+
         // Save postback configuration (default action)
         self::savePostbackConfig($data);
     }
@@ -355,6 +444,167 @@ class PostbackController
         }
     }
 
+    /**
+     * Test postback composer: render template dengan parameter pilihan lalu kirim,
+     * kembalikan request/response lengkap. Tidak dicatat di postback_logs supaya
+     * test ke URL ad-hoc tidak masuk ke outgoing log dan retry queue.
+     *
+     * @param array<string, mixed> $data target (configured|custom), url, click_id, payout, country, traffic_type, status, network
+     * @return void
+     */
+    private static function handleComposeTest(array $data): void
+    {
+        $target = ($data['target'] ?? 'configured') === 'custom' ? 'custom' : 'configured';
+        $template = $target === 'custom'
+            ? Validator::sanitizeString((string)($data['url'] ?? ''), 2048)
+            : (string)(Settings::get()['postback_url'] ?? '');
+
+        if ($template === '') {
+            self::respondError($target === 'custom' ? 'Enter a URL to test' : 'Postback URL is not configured', 400);
+        }
+
+        // Semua macro (termasuk click_id/status/network) boleh dipakai di test
+        $templateError = PostbackLog::validateTemplate($template, 'forward');
+        if ($templateError !== null) {
+            self::respondError($templateError, 400);
+        }
+
+        $payout = (float)($data['payout'] ?? 0);
+        if ($payout < 0 || $payout > 10000) {
+            self::respondError('Invalid payout value', 400);
+        }
+
+        $country = strtoupper(Validator::sanitizeString((string)($data['country'] ?? 'US'), 2));
+        if (!Validator::isValidCountryCode($country)) {
+            self::respondError('Invalid country code', 400);
+        }
+
+        $trafficType = Validator::sanitizeString((string)($data['traffic_type'] ?? 'WAP'), 50);
+        $url = PostbackLog::renderUrl($template, [
+            'click_id' => Validator::sanitizeString((string)($data['click_id'] ?? ''), 100),
+            'status' => Validator::sanitizeString((string)($data['status'] ?? 'confirmed'), 50),
+            'network' => Validator::sanitizeString((string)($data['network'] ?? ''), 50),
+            'payout' => number_format($payout, 2, '.', ''),
+            'country' => $country,
+            'traffic_type' => $trafficType,
+            'device' => $trafficType,
+            'timestamp' => (string)time(),
+        ]);
+
+        $timeout = max(1, min(30, (int)Environment::get('POSTBACK_TIMEOUT', '10')));
+        $result = HttpClient::inspect($url, [], $timeout);
+        $code = $result['response']['code'];
+
+        self::respond([
+            'ok' => true,
+            'target' => $target,
+            'template' => $template,
+            'success' => $result['error'] === '' && $code >= 200 && $code < 300,
+        ] + $result);
+    }
+
+    /**
+     * Retry manual untuk satu atau beberapa postback gagal
+     *
+     * @param array<string, mixed> $data Berisi `ids` (array of int)
+     * @return void
+     */
+    private static function handleRetry(array $data): void
+    {
+        $ids = is_array($data['ids'] ?? null) ? $data['ids'] : [];
+        if ($ids === []) {
+            self::respondError('No postbacks selected', 400);
+        }
+
+        try {
+            $results = PostbackLog::retry($ids);
+            $delivered = count(array_filter($results, static fn (array $r): bool => $r['success'] && !isset($r['skipped'])));
+
+            self::respond([
+                'ok' => true,
+                'results' => $results,
+                'delivered' => $delivered,
+                'failed' => count(array_filter($results, static fn (array $r): bool => !$r['success'])),
+            ]);
+        } catch (\InvalidArgumentException $e) {
+            self::respondError($e->getMessage(), 400);
+        } catch (\Throwable $e) {
+            error_log('Error in handleRetry: ' . $e->getMessage());
+            self::respondError('Failed to retry postbacks', 500);
+        }
+    }
+
+    /**
+     * Signature tester: jalankan cek receiver terhadap query string yang di-paste
+     *
+     * @param array<string, mixed> $data Berisi `input` (URL/query string), opsional `signature` dan `api_key` (header)
+     * @return void
+     */
+    private static function handleVerifySignature(array $data): void
+    {
+        $input = is_string($data['input'] ?? null) ? substr($data['input'], 0, 4096) : '';
+        if (trim($input) === '') {
+            self::respondError('Paste a postback URL or query string', 400);
+        }
+
+        self::respond([
+            'ok' => true,
+            'result' => PostbackSignature::diagnose(
+                $input,
+                Validator::sanitizeString($data['signature'] ?? '', 128),
+                Validator::sanitizeString($data['api_key'] ?? '', 128)
+            ),
+        ]);
+    }
+
+    /**
+     * Buat contoh URL postback yang sudah ditandatangani untuk diberikan ke partner
+     *
+     * @param array<string, mixed> $data base_url, click_id, status, payout, country, network
+     * @return void
+     */
+    private static function handleSignSample(array $data): void
+    {
+        $secret = Environment::get('POSTBACK_HMAC_SECRET', '');
+        if ($secret === '') {
+            self::respondError('POSTBACK_HMAC_SECRET is not set', 400);
+        }
+
+        $baseUrl = Validator::sanitizeString($data['base_url'] ?? '', 2048);
+        if ($baseUrl === '') {
+            $baseUrl = rtrim(Environment::get('APP_URL', ''), '/') . '/postback-receiver-secure.php';
+        }
+        if (!filter_var($baseUrl, FILTER_VALIDATE_URL) || !preg_match('#^https?://#i', $baseUrl)) {
+            self::respondError('Invalid receiver URL', 400);
+        }
+
+        // `action` juga alias status di receiver, jadi jangan ikut di-extract
+        $fields = PostbackSignature::extract(array_diff_key($data, ['action' => true]));
+        if ($fields['click_id'] === '') {
+            self::respondError('click_id is required', 400);
+        }
+
+        $query = [
+            'click_id' => $fields['click_id'],
+            'status' => $fields['status'],
+            'payout' => $fields['payout'],
+            'country' => $fields['country'],
+        ];
+        $network = Validator::sanitizeString($data['network'] ?? '', 50);
+        if ($network !== '') {
+            $query['network'] = $network;
+        }
+        $query['signature'] = PostbackSignature::sign($fields, $secret);
+
+        self::respond([
+            'ok' => true,
+            'url' => $baseUrl . (str_contains($baseUrl, '?') ? '&' : '?') . http_build_query($query),
+            'canonical' => PostbackSignature::canonical($fields),
+            'signature' => $query['signature'],
+            'requires_api_key' => Environment::getBool('POSTBACK_REQUIRE_API_KEY', true),
+        ]);
+    }
+
     /**
      * Save postback configuration
      *
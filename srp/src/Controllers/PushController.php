@@ -0,0 +1,143 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Controllers;
+
+use SRP\Middleware\Session;
+use SRP\Models\EnvConfig;
+use SRP\Models\PushSubscription;
+use SRP\Models\Validator;
+use SRP\Utils\CorsHandler;
+use SRP\Utils\Csrf;
+use SRP\Utils\RequestBody;
+use SRP\Utils\WebPush;
+
+/**
+ * Web Push Controller
+ *
+ * GET  ?endpoint=URL                                   : VAPID public key, events, subscription browser ini
+ * POST {action: subscribe, subscription, events, min_payout}
+ * POST {action: unsubscribe|test, endpoint}
+ * POST {action: generate_keys}                         : hanya jika VAPID belum di-set
+ */
+class PushController
+{
+    private const ALLOWED_ORIGINS = [
+        'http://localhost',
+        'http://localhost:8000',
+        'http://localhost:3000',
+        'https://localhost',
+    ];
+
+    /**
+     * Handle push request (GET, POST)
+     */
+    public static function handle(): void
+    {
+        Session::start();
+
+        if (!Session::isAuthenticated()) {
+            CorsHandler::errorResponse('Unauthorized', 401, self::ALLOWED_ORIGINS);
+        }
+
+        if (CorsHandler::handle(self::ALLOWED_ORIGINS, ['GET', 'POST', 'OPTIONS'])) {
+            exit; // OPTIONS request handled
+        }
+
+        header('Content-Type: application/json; charset=utf-8');
+        header('Cache-Control: no-store, no-cache, must-revalidate, max-age=0');
+
+        $method = $_SERVER['REQUEST_METHOD'] ?? '';
+
+        try {
+            switch ($method) {
+                case 'GET':
+                    self::status((string)($_GET['endpoint'] ?? ''));
+                    break;
+                case 'POST':
+                    Csrf::protect();
+                    self::handlePost();
+                    break;
+                default:
+                    CorsHandler::errorResponse('Method not allowed', 405, self::ALLOWED_ORIGINS);
+            }
+        } catch (\InvalidArgumentException $e) {
+            CorsHandler::errorResponse($e->getMessage(), 400, self::ALLOWED_ORIGINS);
+        } catch (\Throwable $e) {
+            error_log('PushController error: ' . $e->getMessage());
+            CorsHandler::errorResponse('Failed to process push request', 500, self::ALLOWED_ORIGINS);
+        }
+    }
+
+    /**
+     * @return never
+     */
+    private static function status(string $endpoint): never
+    {
+        $vapid = PushSubscription::vapid();
+
+        CorsHandler::jsonResponse([
+            'ok' => true,
+            'configured' => $vapid !== null,
+            'public_key' => $vapid['public'] ?? '',
+            'events' => PushSubscription::EVENTS,
+            'subscription' => $endpoint !== '' ? PushSubscription::find($endpoint) : null,
+            'subscribers' => PushSubscription::count(),
+        ], 200, self::ALLOWED_ORIGINS);
+    }
+
+    /**
+     * @return never
+     */
+    private static function handlePost(): never
+    {
+        try {
+            $data = RequestBody::parseJson(true, 8192);
+        } catch (\RuntimeException $e) {
+            CorsHandler::errorResponse($e->getMessage(), 400, self::ALLOWED_ORIGINS);
+        }
+
+        $action = Validator::sanitizeString($data['action'] ?? '', 20);
+        $endpoint = (string)($data['endpoint'] ?? $data['subscription']['endpoint'] ?? '');
+
+        switch ($action) {
+            case 'subscribe':
+                if (!is_array($data['subscription'] ?? null)) {
+                    throw new \InvalidArgumentException('Missing subscription');
+                }
+                PushSubscription::save(
+                    $data['subscription'],
+                    array_map('strval', is_array($data['events'] ?? null) ? $data['events'] : []),
+                    (float)($data['min_payout'] ?? 0),
+                    (string)($_SERVER['HTTP_USER_AGENT'] ?? '')
+                );
+                self::status($endpoint);
+
+            case 'unsubscribe':
+                PushSubscription::remove($endpoint);
+                self::status('');
+
+            case 'test':
+                $result = PushSubscription::sendTest($endpoint);
+                if ($result['error'] !== '') {
+                    CorsHandler::errorResponse('Push service rejected the test: ' . $result['error'], 502, self::ALLOWED_ORIGINS);
+                }
+                CorsHandler::jsonResponse(['ok' => true, 'code' => $result['code']], 200, self::ALLOWED_ORIGINS);
+
+            case 'generate_keys':
+                // Key baru membuat semua subscription lama tidak valid, jadi hanya untuk setup awal
+                if (PushSubscription::vapid() !== null) {
+                    CorsHandler::errorResponse('VAPID keys are already configured', 409, self::ALLOWED_ORIGINS);
+                }
+                $keys = WebPush::generateVapidKeys();
+                if (!EnvConfig::update(['VAPID_PUBLIC_KEY' => $keys['public'], 'VAPID_PRIVATE_KEY' => $keys['private']])) {
+                    CorsHandler::errorResponse('Failed to save VAPID keys', 500, self::ALLOWED_ORIGINS);
+                }
+                self::status('');
+
+            default:
+                CorsHandler::errorResponse('Unknown action', 400, self::ALLOWED_ORIGINS);
+        }
+    }
+}
@@ -82,7 +82,7 @@ class SettingsApiController
 
             CorsHandler::jsonResponse([
                 'ok' => true,
-                'data' => $settings,
+                'data' => Settings::toApi($settings),
             ], 200, self::ALLOWED_ORIGINS);
         } catch (\PDOException $e) {
             error_log('Database error in getSettings: ' . $e->getMessage());
@@ -102,7 +102,7 @@ class SettingsApiController
     {
         // Parse JSON body
         try {
-            $data = RequestBody::parseJson(true, 10240);
+            $data = RequestBody::parseJson(true, 65536); // routing rules bisa cukup besar
         } catch (\RuntimeException $e) {
             CorsHandler::errorResponse($e->getMessage(), 400, self::ALLOWED_ORIGINS);
         }
@@ -119,6 +119,11 @@ class SettingsApiController
         $redirectUrl = $data['redirect_url']; // Can be array or string
         $filterMode = Validator::sanitizeString($data['country_filter_mode'] ?? 'all', 20);
         $filterList = Validator::sanitizeString($data['country_filter_list'] ?? '', 10000);
+        $routingRules = $data['routing_rules'] ?? null;
+
+        if ($routingRules !== null && !is_array($routingRules)) {
+            CorsHandler::errorResponse('routing_rules must be an array', 400, self::ALLOWED_ORIGINS);
+        }
 
         // Validate filter mode (whitelist)
         if (!in_array($filterMode, ['all', 'whitelist', 'blacklist'], true)) {
@@ -127,7 +132,7 @@ class SettingsApiController
 
         // Update settings
         try {
-            Settings::update($systemOn, $redirectUrl, $filterMode, $filterList);
+            Settings::update($systemOn, $redirectUrl, $filterMode, $filterList, $routingRules);
 
             // Set flash message
             Session::setFlash('success', 'Settings updated successfully.');
@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace SRP\Controllers;
 
 use SRP\Middleware\Session;
+use SRP\Models\LogFilter;
 use SRP\Models\TrafficLog;
 use SRP\Models\Validator;
 use SRP\Utils\CorsHandler;
@@ -70,7 +71,11 @@ class TrafficLogApiController
     }
 
     /**
-     * Get traffic logs with pagination
+     * Get traffic logs with pagination, sorting dan filters
+     *
+     * Query params: limit, offset, sort, dir, decision, country (comma list),
+     * date_from, date_to (Y-m-d), lp, ip (IP atau CIDR), terms (JSON hasil
+     * parseLogQuery() di dashboard.js)
      *
      * @return never
      */
@@ -80,17 +85,16 @@ class TrafficLogApiController
             // Get parameters from query string
             $limit = Validator::sanitizeInt($_GET['limit'] ?? '50', 50, 1, 200);
             $offset = Validator::sanitizeInt($_GET['offset'] ?? '0', 0, 0, PHP_INT_MAX);
+            $sort = Validator::sanitizeString((string)($_GET['sort'] ?? 'id'), 20);
+            $dir = ($_GET['dir'] ?? 'desc') === 'asc' ? 'asc' : 'desc';
 
-            // Optional filters
-            $country = isset($_GET['country']) ? Validator::sanitizeString($_GET['country'], 2, 2) : null;
-            $dateFrom = isset($_GET['date_from']) ? Validator::sanitizeString($_GET['date_from'], 20) : null;
-            $dateTo = isset($_GET['date_to']) ? Validator::sanitizeString($_GET['date_to'], 20) : null;
+            $filters = LogFilter::fromQuery($_GET);
 
             // Get logs with filters
-            $logs = TrafficLog::getAll($limit, $offset);
+            $logs = TrafficLog::search($filters, $sort, $dir, $limit, $offset);
 
             // Get total count for pagination
-            $totalCount = TrafficLog::getCount();
+            $totalCount = TrafficLog::countFiltered($filters);
 
             CorsHandler::jsonResponse([
                 'ok' => true,
@@ -100,8 +104,11 @@ class TrafficLogApiController
                     'offset' => $offset,
                     'total' => $totalCount,
                     'hasMore' => ($offset + $limit) < $totalCount
-                ]
+                ],
+                'sort' => ['column' => $sort, 'dir' => $dir]
             ], 200, self::ALLOWED_ORIGINS);
+        } catch (\InvalidArgumentException $e) {
+            CorsHandler::errorResponse($e->getMessage(), 400, self::ALLOWED_ORIGINS);
         } catch (\PDOException $e) {
             error_log('Database error in getLogs: ' . $e->getMessage());
             CorsHandler::errorResponse('Database error occurred', 500, self::ALLOWED_ORIGINS);
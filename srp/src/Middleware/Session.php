@@ -21,6 +21,7 @@ use SRP\Models\Validator;
 class Session
 {
     private const REGENERATE_INTERVAL = 300; // 5 minutes (regenerate session ID)
+    private const REAUTH_WINDOW = 300; // 5 minutes (reveal secret tanpa minta password lagi)
 
     /**
      * Start session dengan secure configuration
@@ -258,9 +259,10 @@ class Session
      * Set user as authenticated
      *
      * @param int $adminId
+     * @param string $username Dipakai sebagai "who" di config history
      * @return void
      */
-    public static function setAuthenticated(int $adminId): void
+    public static function setAuthenticated(int $adminId, string $username = ''): void
     {
         self::start();
 
@@ -268,6 +270,7 @@ class Session
         session_regenerate_id(true);
 
         $_SESSION['srp_admin_id'] = $adminId;
+        $_SESSION['srp_admin_user'] = $username;
         $_SESSION['AUTH_TIME'] = time();
         $_SESSION['LAST_REGENERATION'] = time();
 
@@ -276,6 +279,61 @@ class Session
         $_SESSION['INITIAL_IP'] = self::getClientIpHash();
     }
 
+    /**
+     * Nama admin yang sedang login (fallback "admin #id"), atau "system" tanpa session
+     *
+     * @return string
+     */
+    public static function getActorName(): string
+    {
+        if (session_status() !== PHP_SESSION_ACTIVE || empty($_SESSION['srp_admin_id'])) {
+            return 'system';
+        }
+
+        $username = (string)($_SESSION['srp_admin_user'] ?? '');
+        return $username !== '' ? $username : 'admin #' . (int)$_SESSION['srp_admin_id'];
+    }
+
+    // =========================================================================
+    // RE-AUTHENTICATION (aksi sensitif seperti reveal secret)
+    // =========================================================================
+
+    /**
+     * Tandai password admin baru saja dikonfirmasi ulang
+     *
+     * @return void
+     */
+    public static function markReauthenticated(): void
+    {
+        self::start();
+        $_SESSION['REAUTH_TIME'] = time();
+        $_SESSION['REAUTH_FAILURES'] = 0;
+    }
+
+    /**
+     * Apakah re-auth terakhir masih dalam REAUTH_WINDOW
+     *
+     * @return bool
+     */
+    public static function isRecentlyReauthenticated(): bool
+    {
+        self::start();
+        return time() - (int)($_SESSION['REAUTH_TIME'] ?? 0) < self::REAUTH_WINDOW;
+    }
+
+    /**
+     * Catat password re-auth yang salah
+     *
+     * @return int Jumlah kegagalan berturut-turut di session ini
+     */
+    public static function recordReauthFailure(): int
+    {
+        self::start();
+        $_SESSION['REAUTH_FAILURES'] = (int)($_SESSION['REAUTH_FAILURES'] ?? 0) + 1;
+
+        return $_SESSION['REAUTH_FAILURES'];
+    }
+
     // =========================================================================
     // CSRF TOKEN MANAGEMENT
     // =========================================================================
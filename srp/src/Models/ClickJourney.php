@@ -0,0 +1,69 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Models;
+
+use SRP\Config\Database;
+use InvalidArgumentException;
+
+/**
+ * Click-to-Conversion Journey
+ *
+ * Menghubungkan satu click_id lintas tabel: hit asli di logs, postback yang
+ * diterima dari network (postback_received) dan forward yang dikirim ulang
+ * (postback_logs). Postback tanpa hit yang cocok ditandai orphan; ini juga
+ * terjadi jika log traffic sudah terhapus oleh retention cleanup.
+ */
+class ClickJourney
+{
+    private const MAX_ROWS = 50;
+
+    /**
+     * @param string $clickId
+     * @return array{click_id: string, hits: array, received: array, forwards: array, orphan: bool}
+     * @throws InvalidArgumentException click_id kosong atau format tidak valid
+     */
+    public static function forClickId(string $clickId): array
+    {
+        $clickId = trim($clickId);
+        if ($clickId === '' || strlen($clickId) > 100 || preg_match('/[\x00-\x1F]/', $clickId) === 1) {
+            throw new InvalidArgumentException('Invalid click_id');
+        }
+
+        $hits = Database::fetchAll(
+            'SELECT id, ts, ip, ua, country_code, user_lp, decision
+               FROM logs
+              WHERE click_id = ?
+              ORDER BY id ASC
+              LIMIT ?',
+            [$clickId, self::MAX_ROWS]
+        );
+
+        $received = Database::fetchAll(
+            'SELECT id, ts, status, payout, network, country_code, traffic_type, ip_address, signature_verified
+               FROM postback_received
+              WHERE click_id = ?
+              ORDER BY id ASC
+              LIMIT ?',
+            [$clickId, self::MAX_ROWS]
+        );
+
+        $forwards = Database::fetchAll(
+            'SELECT id, ts, postback_url, response_code, success, attempts, latency_ms, last_attempt_at
+               FROM postback_logs
+              WHERE click_id = ?
+              ORDER BY id ASC
+              LIMIT ?',
+            [$clickId, self::MAX_ROWS]
+        );
+
+        return [
+            'click_id' => $clickId,
+            'hits' => $hits,
+            'received' => $received,
+            'forwards' => $forwards,
+            'orphan' => $hits === [] && $received !== [],
+        ];
+    }
+}
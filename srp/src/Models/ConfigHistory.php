@@ -0,0 +1,288 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Models;
+
+use SRP\Config\Database;
+use SRP\Middleware\Session;
+use InvalidArgumentException;
+use Throwable;
+
+/**
+ * Configuration Version History
+ *
+ * Setiap Settings::update() dan EnvConfig::update() menyimpan snapshot lengkap
+ * plus field-level diff (who, when, what changed). Rollback menulis ulang
+ * snapshot lama lewat model yang sama, jadi validasi tetap berjalan dan
+ * rollback itu sendiri tercatat sebagai versi baru.
+ *
+ * Secret env (EnvConfig::SECRET_KEYS) tidak disimpan dalam bentuk asli: snapshot
+ * berisi SECRET_MASK (rollback tidak mengubah secret) dan diff hanya mencatat
+ * bahwa secret berubah.
+ */
+class ConfigHistory
+{
+    public const SCOPES = ['settings', 'env'];
+
+    // Field settings yang ikut di-snapshot (counter/stats tidak termasuk)
+    public const SETTINGS_FIELDS = ['system_on', 'redirect_url', 'country_filter_mode', 'country_filter_list', 'routing_rules'];
+
+    private const KEEP_VERSIONS = 200;
+
+    /** @var array{action: string, rollback_of: ?int}|null */
+    private static ?array $context = null;
+
+    /**
+     * Simpan versi baru jika ada perubahan; gagal mencatat tidak menggagalkan save
+     *
+     * @param string $scope settings | env
+     * @param array<string, mixed> $before
+     * @param array<string, mixed> $after
+     * @return int|null ID versi, null jika tidak ada perubahan atau gagal
+     */
+    public static function record(string $scope, array $before, array $after): ?int
+    {
+        $changes = self::diff($before, $after);
+        if ($changes === []) {
+            return null;
+        }
+
+        try {
+            Database::execute(
+                'INSERT INTO config_versions (ts, scope, action, actor, snapshot, changes, rollback_of)
+                 VALUES (UNIX_TIMESTAMP(), ?, ?, ?, ?, ?, ?)',
+                [
+                    $scope,
+                    self::$context['action'] ?? 'save',
+                    Session::getActorName(),
+                    json_encode($scope === 'env' ? self::maskSnapshot($after) : $after, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+                    json_encode(self::maskChanges($changes), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+                    self::$context['rollback_of'] ?? null,
+                ]
+            );
+            $id = (int)Database::lastInsertId();
+
+            self::prune($scope);
+
+            return $id;
+        } catch (Throwable $e) {
+            error_log('ConfigHistory record error: ' . $e->getMessage());
+            return null;
+        }
+    }
+
+    /**
+     * Daftar versi terbaru (tanpa snapshot), untuk history drawer
+     *
+     * @param string $scope
+     * @param int $limit
+     * @param int $beforeId Cursor: hanya versi dengan id < $beforeId (0 = dari terbaru)
+     * @return array<int, array<string, mixed>>
+     */
+    public static function list(string $scope, int $limit = 30, int $beforeId = 0): array
+    {
+        self::assertScope($scope);
+
+        $rows = Database::fetchAll(
+            'SELECT id, ts, scope, action, actor, changes, rollback_of
+               FROM config_versions
+              WHERE scope = ? AND (? = 0 OR id < ?)
+              ORDER BY id DESC
+              LIMIT ' . max(1, min(100, $limit)),
+            [$scope, $beforeId, $beforeId]
+        );
+
+        return array_map(static function (array $row): array {
+            $changes = json_decode((string)$row['changes'], true) ?: [];
+
+            return [
+                'id' => (int)$row['id'],
+                'ts' => (int)$row['ts'],
+                'scope' => $row['scope'],
+                'action' => $row['action'],
+                'actor' => $row['actor'],
+                'rollback_of' => $row['rollback_of'] !== null ? (int)$row['rollback_of'] : null,
+                'changes' => self::maskChanges($changes),
+            ];
+        }, $rows);
+    }
+
+    /**
+     * Kembalikan config ke snapshot versi $id
+     *
+     * @param int $id
+     * @return array{scope: string, version: ?int}
+     * @throws InvalidArgumentException Versi tidak ditemukan
+     */
+    public static function rollback(int $id): array
+    {
+        $row = Database::fetchRow('SELECT scope, snapshot FROM config_versions WHERE id = ?', [$id]);
+        if (!$row) {
+            throw new InvalidArgumentException("Version #{$id} not found");
+        }
+
+        $snapshot = json_decode((string)$row['snapshot'], true);
+        if (!is_array($snapshot)) {
+            throw new InvalidArgumentException("Version #{$id} has no usable snapshot");
+        }
+
+        self::$context = ['action' => 'rollback', 'rollback_of' => $id];
+        try {
+            if ($row['scope'] === 'settings') {
+                Settings::update(
+                    (bool)($snapshot['system_on'] ?? false),
+                    is_array($snapshot['redirect_url'] ?? null) ? $snapshot['redirect_url'] : [],
+                    (string)($snapshot['country_filter_mode'] ?? 'all'),
+                    (string)($snapshot['country_filter_list'] ?? ''),
+                    is_array($snapshot['routing_rules'] ?? null) ? $snapshot['routing_rules'] : []
+                );
+            } elseif (!EnvConfig::update(array_map('strval', $snapshot))) {
+                throw new \RuntimeException('Failed to restore environment configuration');
+            }
+        } finally {
+            self::$context = null;
+        }
+
+        $latest = Database::fetchRow(
+            'SELECT id FROM config_versions WHERE scope = ? AND rollback_of = ? ORDER BY id DESC LIMIT 1',
+            [$row['scope'], $id]
+        );
+
+        return ['scope' => $row['scope'], 'version' => $latest ? (int)$latest['id'] : null];
+    }
+
+    /**
+     * Subset settings yang di-snapshot
+     *
+     * @param array<string, mixed> $settings Hasil Settings::get()
+     * @return array<string, mixed>
+     */
+    public static function settingsSnapshot(array $settings): array
+    {
+        $snapshot = [];
+        foreach (self::SETTINGS_FIELDS as $field) {
+            $snapshot[$field] = $settings[$field] ?? null;
+        }
+        $snapshot['system_on'] = (bool)$snapshot['system_on'];
+
+        return $snapshot;
+    }
+
+    /**
+     * Field-level diff; nested array di-flatten jadi path (redirect_url.0.weight)
+     *
+     * @param array<string, mixed> $before
+     * @param array<string, mixed> $after
+     * @return array<int, array{field: string, from: mixed, to: mixed}>
+     */
+    public static function diff(array $before, array $after): array
+    {
+        $old = self::flatten($before);
+        $new = self::flatten($after);
+
+        $changes = [];
+        foreach (array_unique(array_merge(array_keys($old), array_keys($new))) as $path) {
+            $from = $old[$path] ?? null;
+            $to = $new[$path] ?? null;
+            if (self::compareKey($from) !== self::compareKey($to)) {
+                $changes[] = ['field' => (string)$path, 'from' => $from, 'to' => $to];
+            }
+        }
+
+        return $changes;
+    }
+
+    /**
+     * Bandingkan sebagai string: "1" dari DB sama dengan 1 atau true dari request
+     */
+    private static function compareKey(mixed $value): ?string
+    {
+        if ($value === null) {
+            return null;
+        }
+        if (is_bool($value)) {
+            return $value ? '1' : '0';
+        }
+
+        return (string)$value;
+    }
+
+    /**
+     * @param array<string, mixed> $data
+     * @return array<string, scalar|null>
+     */
+    private static function flatten(array $data, string $prefix = ''): array
+    {
+        $flat = [];
+        foreach ($data as $key => $value) {
+            $path = $prefix === '' ? (string)$key : "{$prefix}.{$key}";
+            if (is_array($value) && $value !== []) {
+                $flat += self::flatten($value, $path);
+            } else {
+                $flat[$path] = is_array($value) ? '[]' : $value;
+            }
+        }
+
+        return $flat;
+    }
+
+    /**
+     * Nilai EnvConfig::SECRET_KEYS tidak pernah dikirim ke dashboard lewat history
+     *
+     * @param array<int, array{field: string, from: mixed, to: mixed}> $changes
+     * @return array<int, array<string, mixed>>
+     */
+    private static function maskChanges(array $changes): array
+    {
+        return array_map(static function (array $change): array {
+            if (in_array($change['field'], EnvConfig::SECRET_KEYS, true)) {
+                $change['from'] = $change['from'] === null || $change['from'] === '' ? $change['from'] : '••••••';
+                $change['to'] = $change['to'] === null || $change['to'] === '' ? $change['to'] : '••••••';
+                $change['secret'] = true;
+            }
+            return $change;
+        }, $changes);
+    }
+
+    /**
+     * Secret yang sudah di-set diganti EnvConfig::SECRET_MASK, yang kosong tetap kosong
+     *
+     * @param array<string, mixed> $snapshot
+     * @return array<string, mixed>
+     */
+    private static function maskSnapshot(array $snapshot): array
+    {
+        foreach (EnvConfig::SECRET_KEYS as $key) {
+            if (($snapshot[$key] ?? '') !== '') {
+                $snapshot[$key] = EnvConfig::SECRET_MASK;
+            }
+        }
+
+        return $snapshot;
+    }
+
+    /**
+     * Simpan hanya KEEP_VERSIONS versi terbaru per scope
+     */
+    private static function prune(string $scope): void
+    {
+        $oldest = Database::fetchRow(
+            'SELECT id FROM config_versions WHERE scope = ? ORDER BY id DESC LIMIT 1 OFFSET ' . self::KEEP_VERSIONS,
+            [$scope]
+        );
+        if ($oldest) {
+            Database::execute('DELETE FROM config_versions WHERE scope = ? AND id <= ?', [$scope, (int)$oldest['id']]);
+        }
+    }
+
+    /**
+     * @throws InvalidArgumentException
+     */
+    private static function assertScope(string $scope): void
+    {
+        if (!in_array($scope, self::SCOPES, true)) {
+            throw new InvalidArgumentException('Invalid history scope, expected settings or env');
+        }
+    }
+}
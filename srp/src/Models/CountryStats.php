@@ -0,0 +1,50 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Models;
+
+/**
+ * Country Analytics
+ *
+ * Join clicks (logs) dengan conversions (postback_received) per country_code
+ * untuk satu window StatsPeriod. Dipakai oleh stats API dan export.
+ */
+class CountryStats
+{
+    /**
+     * Rows per country: clicks, A/B split, conversions, revenue, CR% dan EPC
+     *
+     * Country yang hanya punya conversions (tanpa click di window) tetap dimasukkan
+     * dengan clicks = 0, CR/EPC null.
+     *
+     * @param array{from: int, to: int} $range
+     * @return array<int, array<string, mixed>> Urut clicks terbanyak
+     */
+    public static function forRange(array $range): array
+    {
+        $clicks = TrafficLog::getCountryCounts($range);
+        $conversions = PostbackReceived::getCountryTotals($range);
+
+        $rows = [];
+        foreach (array_unique(array_merge(array_keys($clicks), array_keys($conversions))) as $code) {
+            $c = $clicks[$code] ?? ['clicks' => 0, 'decision_a' => 0, 'decision_b' => 0];
+            $p = $conversions[$code] ?? ['conversions' => 0, 'revenue' => 0.0];
+
+            $rows[] = [
+                'country_code' => (string)$code,
+                'clicks' => $c['clicks'],
+                'decision_a' => $c['decision_a'],
+                'decision_b' => $c['decision_b'],
+                'conversions' => $p['conversions'],
+                'revenue' => round($p['revenue'], 4),
+                'cr' => $c['clicks'] > 0 ? round($p['conversions'] / $c['clicks'] * 100, 2) : null,
+                'epc' => $c['clicks'] > 0 ? round($p['revenue'] / $c['clicks'], 4) : null,
+            ];
+        }
+
+        usort($rows, static fn (array $a, array $b): int => [$b['clicks'], $b['conversions']] <=> [$a['clicks'], $a['conversions']]);
+
+        return $rows;
+    }
+}
@@ -16,6 +16,21 @@ use Throwable;
  */
 class EnvConfig
 {
+    // Key yang tidak pernah dikirim ke dashboard dalam bentuk asli kecuali lewat revealSecret()
+    public const SECRET_KEYS = [
+        'DB_PASS',
+        'API_KEY_INTERNAL',
+        'API_KEY_EXTERNAL',
+        'SRP_API_KEY',
+        'SESSION_SECRET',
+        'POSTBACK_HMAC_SECRET',
+        'POSTBACK_API_KEY',
+        'VAPID_PRIVATE_KEY',
+    ];
+
+    // Placeholder untuk secret yang sudah di-set; dikirim balik apa adanya = tidak diubah
+    public const SECRET_MASK = '••••••••';
+
     private static string $envFilePath;
 
     /**
@@ -68,6 +83,73 @@ class EnvConfig
         }
     }
 
+    /**
+     * getAll() dengan secret diganti SECRET_MASK (secret kosong tetap '')
+     *
+     * @return array<string, string>
+     */
+    public static function getMasked(): array
+    {
+        $config = self::getAll();
+        foreach (self::SECRET_KEYS as $key) {
+            if (($config[$key] ?? '') !== '') {
+                $config[$key] = self::SECRET_MASK;
+            }
+        }
+
+        return $config;
+    }
+
+    /**
+     * Nilai asli satu secret (caller wajib sudah re-authenticate)
+     *
+     * @param string $key
+     * @return string
+     * @throws \InvalidArgumentException Key bukan secret
+     */
+    public static function revealSecret(string $key): string
+    {
+        if (!in_array($key, self::SECRET_KEYS, true)) {
+            throw new \InvalidArgumentException("{$key} is not a secret key");
+        }
+
+        return self::getAll()[$key] ?? '';
+    }
+
+    /**
+     * Status per secret: sudah di-set dan kapan terakhir diganti (env_config.updated_at)
+     *
+     * @return array<string, array{set: bool, rotated_at: ?int}>
+     */
+    public static function getSecretMeta(): array
+    {
+        $config = self::getAll();
+        $rotated = [];
+
+        try {
+            $placeholders = implode(',', array_fill(0, count(self::SECRET_KEYS), '?'));
+            $rows = \SRP\Config\Database::fetchAll(
+                "SELECT config_key, updated_at FROM env_config WHERE config_key IN ({$placeholders})",
+                self::SECRET_KEYS
+            );
+            foreach ($rows as $row) {
+                $rotated[$row['config_key']] = (int)$row['updated_at'] ?: null;
+            }
+        } catch (Throwable $e) {
+            error_log('EnvConfig secret meta error: ' . $e->getMessage());
+        }
+
+        $meta = [];
+        foreach (self::SECRET_KEYS as $key) {
+            $meta[$key] = [
+                'set' => ($config[$key] ?? '') !== '',
+                'rotated_at' => $rotated[$key] ?? null,
+            ];
+        }
+
+        return $meta;
+    }
+
     /**
      * Get all configuration keys with default values
      *
@@ -154,6 +236,11 @@ class EnvConfig
             'LOG_PATH' => '',
             'ERROR_LOG_PATH' => '',
 
+            // Web Push (VAPID, di-generate dari dashboard)
+            'VAPID_PUBLIC_KEY' => '',
+            'VAPID_PRIVATE_KEY' => '',
+            'VAPID_SUBJECT' => '',
+
             // External Services
             'VPN_CHECK_URL' => 'https://blackbox.ipinfo.app/lookup/',
             'VPN_CHECK_TIMEOUT' => '2',
@@ -212,14 +299,16 @@ class EnvConfig
                 // Sanitize value
                 $value = trim(str_replace(["\r", "\n"], '', (string)$value));
 
-                // Upsert ke database
+                // Upsert ke database; updated_at hanya bergeser jika value berubah (dipakai
+                // sebagai tanggal rotate secret). MySQL mengevaluasi assignment berurutan,
+                // jadi config_value harus di-assign paling akhir.
                 \SRP\Config\Database::execute(
                     'INSERT INTO env_config (config_key, config_value, config_type, is_editable, updated_at, updated_by)
                      VALUES (?, ?, ?, 1, ?, ?)
                      ON DUPLICATE KEY UPDATE
-                        config_value = VALUES(config_value),
-                        updated_at = VALUES(updated_at),
-                        updated_by = VALUES(updated_by)',
+                        updated_at = IF(config_value <=> VALUES(config_value), updated_at, VALUES(updated_at)),
+                        updated_by = IF(config_value <=> VALUES(config_value), updated_by, VALUES(updated_by)),
+                        config_value = VALUES(config_value)',
                     [
                         $key,
                         $value,
@@ -270,7 +359,16 @@ class EnvConfig
     {
         self::init();
 
+        // Secret yang masih SECRET_MASK tidak diubah oleh dashboard
+        foreach (self::SECRET_KEYS as $key) {
+            if (($newConfig[$key] ?? null) === self::SECRET_MASK) {
+                unset($newConfig[$key]);
+            }
+        }
+
         try {
+            $before = self::getAll();
+
             // 1. Save to database first
             $dbSuccess = self::saveToDatabase($newConfig);
 
@@ -331,6 +429,8 @@ class EnvConfig
                 }
             }
 
+            ConfigHistory::record('env', $before, self::getAll());
+
             return true;
         } catch (Throwable $e) {
             error_log("EnvConfig update error: " . $e->getMessage());
@@ -604,7 +704,7 @@ class EnvConfig
      */
     public static function getConfigGroups(): array
     {
-        $all = self::getAll();
+        $all = self::getMasked();
 
         return [
             'database' => [
@@ -0,0 +1,182 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Models;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use InvalidArgumentException;
+
+/**
+ * Traffic Log Filter Parser
+ *
+ * Mengubah query string (filter tabel + query language terms) menjadi
+ * filter array untuk TrafficLog::search(). Dipakai oleh logs API dan export
+ * supaya hasil keduanya selalu sama.
+ */
+class LogFilter
+{
+    private const MAX_QUERY_TERMS = 20;
+
+    /**
+     * Parse dan validasi filter dari query string ke format TrafficLog::search()
+     *
+     * @param array<string, mixed> $query
+     * @return array<string, mixed>
+     * @throws InvalidArgumentException
+     */
+    public static function fromQuery(array $query): array
+    {
+        $filters = [];
+
+        $decision = strtoupper((string)($query['decision'] ?? ''));
+        if ($decision !== '') {
+            if (!in_array($decision, ['A', 'B'], true)) {
+                throw new InvalidArgumentException('Invalid decision filter');
+            }
+            $filters['decision'] = $decision;
+        }
+
+        $countries = array_filter(array_map(
+            static fn ($code) => strtoupper(trim($code)),
+            explode(',', (string)($query['country'] ?? ''))
+        ));
+        foreach ($countries as $code) {
+            if (!Validator::isValidCountryCode($code)) {
+                throw new InvalidArgumentException("Invalid country code: {$code}");
+            }
+        }
+        if ($countries) {
+            $filters['countries'] = array_slice(array_values(array_unique($countries)), 0, 50);
+        }
+
+        // Hari (date_from/date_to dan after:/before:) dihitung di timezone dashboard (tz), default timezone server
+        $zone = new DateTimeZone(StatsPeriod::resolveTimezone((string)($query['tz'] ?? '')));
+        foreach (['date_from', 'date_to'] as $key) {
+            $date = (string)($query[$key] ?? '');
+            if ($date === '') {
+                continue;
+            }
+            if (!Validator::isValidDate($date)) {
+                throw new InvalidArgumentException("Invalid {$key}, expected YYYY-MM-DD");
+            }
+            $start = new DateTimeImmutable($date . ' 00:00:00', $zone);
+            // date_to inclusive: ambil sampai akhir hari tersebut
+            $filters[$key] = $key === 'date_from'
+                ? $start->getTimestamp()
+                : $start->modify('+1 day')->getTimestamp();
+        }
+
+        $lp = Validator::sanitizeSingleLine((string)($query['lp'] ?? ''), 100);
+        if ($lp !== '') {
+            $filters['lp'] = $lp;
+        }
+
+        $ip = trim((string)($query['ip'] ?? ''));
+        if ($ip !== '') {
+            $range = Validator::parseCidr($ip);
+            if ($range === null) {
+                throw new InvalidArgumentException('Invalid IP or CIDR filter');
+            }
+            $filters['ip'] = $range;
+        }
+
+        $terms = (string)($query['terms'] ?? '');
+        if ($terms !== '') {
+            $filters['terms'] = self::parseTerms($terms, $zone);
+        }
+
+        return $filters;
+    }
+
+    /**
+     * Validasi query language terms dari client
+     *
+     * Parsing teks query dilakukan di dashboard (parseLogQuery); server hanya
+     * menerima hasilnya dan memvalidasi ulang setiap value sebelum ke SQL.
+     *
+     * @param string $json
+     * @param DateTimeZone $zone Timezone untuk awal hari after:/before:
+     * @return array<int, array{field: string, values: array<int, mixed>, negate: bool}>
+     * @throws InvalidArgumentException
+     */
+    private static function parseTerms(string $json, DateTimeZone $zone): array
+    {
+        $decoded = json_decode($json, true);
+
+        if (!is_array($decoded) || count($decoded) > self::MAX_QUERY_TERMS) {
+            throw new InvalidArgumentException('Invalid search query');
+        }
+
+        $terms = [];
+
+        foreach ($decoded as $term) {
+            $field = is_array($term) ? (string)($term['field'] ?? '') : '';
+            $values = is_array($term) && is_array($term['values'] ?? null) ? array_slice($term['values'], 0, 20) : [];
+            $negate = !empty($term['negate']);
+
+            if (!$values) {
+                throw new InvalidArgumentException('Invalid search query');
+            }
+
+            $clean = [];
+
+            foreach ($values as $value) {
+                $value = is_scalar($value) ? trim((string)$value) : '';
+
+                switch ($field) {
+                    case 'cc':
+                        $value = strtoupper($value);
+                        if (!Validator::isValidCountryCode($value)) {
+                            throw new InvalidArgumentException("Invalid country code: {$value}");
+                        }
+                        $clean[] = $value;
+                        break;
+
+                    case 'decision':
+                        if (!in_array($value, ['A', 'B'], true)) {
+                            throw new InvalidArgumentException('Invalid decision in search query');
+                        }
+                        $clean[] = $value;
+                        break;
+
+                    case 'ip':
+                        $range = Validator::parseCidr($value);
+                        if ($range === null) {
+                            throw new InvalidArgumentException("Invalid IP or CIDR: {$value}");
+                        }
+                        $clean[] = $range;
+                        break;
+
+                    case 'after':
+                    case 'before':
+                        if ($negate || !Validator::isValidDate($value)) {
+                            throw new InvalidArgumentException("Invalid {$field} date, expected YYYY-MM-DD");
+                        }
+                        $clean[] = (new DateTimeImmutable($value . ' 00:00:00', $zone))->getTimestamp();
+                        break;
+
+                    case 'lp':
+                    case 'ua':
+                    case 'cid':
+                    case 'text':
+                        $value = Validator::sanitizeSingleLine($value, 100);
+                        if ($value !== '') {
+                            $clean[] = $value;
+                        }
+                        break;
+
+                    default:
+                        throw new InvalidArgumentException('Unknown search field');
+                }
+            }
+
+            if ($clean) {
+                $terms[] = ['field' => $field, 'values' => $clean, 'negate' => $negate];
+            }
+        }
+
+        return $terms;
+    }
+}
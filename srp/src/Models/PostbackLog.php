@@ -5,6 +5,8 @@ declare(strict_types=1);
 namespace SRP\Models;
 
 use SRP\Config\Database;
+use SRP\Config\Environment;
+use SRP\Middleware\Session;
 use SRP\Utils\HttpClient;
 use InvalidArgumentException;
 
@@ -18,15 +20,24 @@ class PostbackLog
     private static ?array $cache = null;
     private static int $cacheTime = 0;
     private const CACHE_TTL = 5; // Cache untuk 5 detik
+    // Retry manual berjalan di dalam request dashboard (timeout 5 detik per postback),
+    // jadi satu batch dibatasi kecil; dashboard mengirim pilihan yang lebih besar per batch
+    private const MAX_RETRY_BATCH = 10;
+
+    // Macro yang didukung per jenis URL; harus sama dengan POSTBACK_MACROS di dashboard.js
+    public const MACROS = [
+        'postback' => ['payout', 'country', 'traffic_type', 'device', 'timestamp'],
+        'forward' => ['click_id', 'status', 'payout', 'country', 'traffic_type', 'device', 'network', 'timestamp'],
+    ];
 
     /**
      * Create postback log entry dengan validasi
      *
      * @param array<string, mixed> $data
-     * @return void
+     * @return int ID row baru
      * @throws InvalidArgumentException
      */
-    public static function create(array $data): void
+    public static function create(array $data): int
     {
         // Validasi required fields
         $requiredFields = ['country_code', 'traffic_type', 'payout', 'postback_url'];
@@ -46,6 +57,8 @@ class PostbackLog
             ? Validator::sanitizeString($data['response_body'], 500)
             : null;
         $success = !empty($data['success']) ? 1 : 0;
+        $latencyMs = isset($data['latency_ms']) ? max(0, (int)$data['latency_ms']) : null;
+        $clickId = isset($data['click_id']) && $data['click_id'] !== '' ? substr((string)$data['click_id'], 0, 100) : null;
 
         // Validate country code
         if ($countryCode !== '' && !Validator::isValidCountryCode($countryCode)) {
@@ -55,8 +68,8 @@ class PostbackLog
         // Insert dengan PDO prepared statement
         Database::execute(
             'INSERT INTO postback_logs
-             (ts, country_code, traffic_type, payout, postback_url, response_code, response_body, success)
-             VALUES (UNIX_TIMESTAMP(), ?, ?, ?, ?, ?, ?, ?)',
+             (ts, country_code, traffic_type, payout, postback_url, response_code, response_body, success, latency_ms, last_attempt_at, click_id)
+             VALUES (UNIX_TIMESTAMP(), ?, ?, ?, ?, ?, ?, ?, ?, UNIX_TIMESTAMP(), ?)',
             [
                 $countryCode,
                 $trafficType,
@@ -64,12 +77,17 @@ class PostbackLog
                 $postbackUrl,
                 $responseCode,
                 $responseBody,
-                $success
+                $success,
+                $latencyMs,
+                $clickId
             ]
         );
+        $id = (int)Database::lastInsertId();
 
         // Clear cache setelah insert
         self::clearCache();
+
+        return $id;
     }
 
     /**
@@ -92,7 +110,7 @@ class PostbackLog
         // Query dengan PDO prepared statement
         $logs = Database::fetchAll(
             'SELECT id, ts, country_code, traffic_type, payout, postback_url,
-                    response_code, response_body, success
+                    response_code, response_body, success, attempts, latency_ms, last_attempt_at, click_id
              FROM postback_logs
              ORDER BY ts DESC
              LIMIT ?',
@@ -106,6 +124,78 @@ class PostbackLog
         return $logs;
     }
 
+    /**
+     * Get postback logs newer than given ID (ascending, untuk live stream cursor)
+     *
+     * @param int $sinceId
+     * @param int $limit
+     * @return array<int, array<string, mixed>>
+     */
+    public static function getSince(int $sinceId, int $limit = 100): array
+    {
+        $limit = max(1, min(100, $limit));
+
+        return Database::fetchAll(
+            'SELECT id, ts, country_code, traffic_type, payout, postback_url,
+                    response_code, response_body, success, attempts, latency_ms, last_attempt_at, click_id
+             FROM postback_logs
+             WHERE id > ?
+             ORDER BY id ASC
+             LIMIT ?',
+            [max(0, $sinceId), $limit]
+        );
+    }
+
+    /**
+     * Iterate semua postback logs (newest first) dalam batch, untuk export
+     *
+     * @param int $maxRows
+     * @return \Generator<int, array<string, mixed>>
+     */
+    public static function iterateAll(int $maxRows = 100000): \Generator
+    {
+        $batchSize = 1000;
+        $beforeId = PHP_INT_MAX;
+        $count = 0;
+
+        while ($count < $maxRows) {
+            // Keyset pagination (id < last id) supaya tidak melambat seperti OFFSET
+            $rows = Database::fetchAll(
+                'SELECT id, ts, country_code, traffic_type, payout, postback_url,
+                        response_code, response_body, success
+                 FROM postback_logs
+                 WHERE id < ?
+                 ORDER BY id DESC
+                 LIMIT ?',
+                [$beforeId, min($batchSize, $maxRows - $count)]
+            );
+
+            foreach ($rows as $row) {
+                yield $row;
+            }
+
+            $count += count($rows);
+
+            if (count($rows) < $batchSize) {
+                return;
+            }
+
+            $beforeId = (int)end($rows)['id'];
+        }
+    }
+
+    /**
+     * Get ID of the newest postback log row (0 jika kosong)
+     *
+     * @return int
+     */
+    public static function getLatestId(): int
+    {
+        $row = Database::fetchRow('SELECT MAX(id) as max_id FROM postback_logs');
+
+        return isset($row['max_id']) ? (int)$row['max_id'] : 0;
+    }
+
     /**
      * Clear postback logs cache
      *
@@ -124,13 +214,15 @@ class PostbackLog
      * @param string $trafficType
      * @param float $payout
      * @param string $urlTemplate
+     * @param array<string, string> $extra Value untuk macro tambahan (click_id, status, network) saat forward
      * @return bool
      */
     public static function sendPostback(
         string $country,
         string $trafficType,
         float $payout,
-        string $urlTemplate
+        string $urlTemplate,
+        array $extra = []
     ): bool {
         // Validasi input
         if (!Validator::isValidCountryCode($country)) {
@@ -139,15 +231,13 @@ class PostbackLog
         }
 
         // Replace placeholders dengan URL encoding
-        $url = str_replace(
-            ['{country}', '{traffic_type}', '{payout}'],
-            [
-                urlencode(strtoupper($country)),
-                urlencode($trafficType),
-                number_format($payout, 2, '.', '')
-            ],
-            $urlTemplate
-        );
+        $url = self::renderUrl($urlTemplate, $extra + [
+            'country' => strtoupper($country),
+            'traffic_type' => $trafficType,
+            'device' => $trafficType,
+            'payout' => number_format($payout, 2, '.', ''),
+            'timestamp' => (string)time(),
+        ]);
 
         // Validate final URL
         if (!filter_var($url, FILTER_VALIDATE_URL)) {
@@ -155,29 +245,296 @@ class PostbackLog
             return false;
         }
 
-        // Send HTTP request menggunakan HttpClient dengan circuit breaker
-        $response = HttpClient::get($url, [], 5, true);
-
-        $responseCode = $response['code'] ?? null;
-        $responseBody = substr($response['body'] ?? $response['error'] ?? '', 0, 500);
-        $success = $response['success'] && $responseCode >= 200 && $responseCode < 300;
+        $result = self::deliver($url);
 
         // Log postback attempt
         try {
-            self::create([
+            $id = self::create([
                 'country_code' => strtoupper($country),
                 'traffic_type' => $trafficType,
                 'payout' => $payout,
                 'postback_url' => $url,
-                'response_code' => $responseCode,
-                'response_body' => $responseBody,
-                'success' => $success,
+                'response_code' => $result['response_code'],
+                'response_body' => $result['response_body'],
+                'success' => $result['success'],
+                'latency_ms' => $result['latency_ms'],
+                'click_id' => $extra['click_id'] ?? null,
             ]);
+            self::recordAttempt($id, 1, 'auto', $result);
         } catch (InvalidArgumentException $e) {
             error_log("Failed to log postback: " . $e->getMessage());
         }
 
-        return $success;
+        if (!$result['success']) {
+            PushSubscription::notify(
+                'postback_failed',
+                'Postback delivery failed',
+                sprintf(
+                    '%s from %s%s',
+                    $result['response_code'] > 0 ? 'HTTP ' . $result['response_code'] : 'Network error',
+                    (string)parse_url($url, PHP_URL_HOST),
+                    !empty($extra['click_id']) ? ' · click ' . $extra['click_id'] : ''
+                )
+            );
+        }
+
+        return $result['success'];
+    }
+
+    /**
+     * Replace {macro} dengan value yang di-URL-encode; macro tanpa value dibiarkan
+     *
+     * @param string $template
+     * @param array<string, string> $values
+     * @return string
+     */
+    public static function renderUrl(string $template, array $values): string
+    {
+        return (string)preg_replace_callback(
+            '/\{([a-z_]+)\}/',
+            static fn (array $m): string => array_key_exists($m[1], $values) ? urlencode((string)$values[$m[1]]) : $m[0],
+            $template
+        );
+    }
+
+    /**
+     * Validasi URL template untuk target postback | forward
+     *
+     * @param string $template
+     * @param string $target Key di MACROS
+     * @return string|null Pesan error, null jika valid
+     */
+    public static function validateTemplate(string $template, string $target): ?string
+    {
+        $allowed = self::MACROS[$target] ?? [];
+
+        preg_match_all('/\{([^{}\s]*)\}/', $template, $matches);
+        $unknown = array_diff(array_unique($matches[1]), $allowed);
+        if ($unknown !== []) {
+            return 'Unknown macro ' . implode(', ', array_map(static fn (string $m): string => '{' . $m . '}', $unknown));
+        }
+
+        if (substr_count($template, '{') !== substr_count($template, '}')) {
+            return 'Unbalanced { } braces in URL template';
+        }
+
+        $sample = self::renderUrl($template, array_fill_keys($allowed, 'x'));
+        if (!filter_var($sample, FILTER_VALIDATE_URL) || !preg_match('#^https?://#i', $sample)) {
+            return 'Invalid URL format';
+        }
+
+        return null;
+    }
+
+    /**
+     * Kirim ulang postback yang gagal (retry manual dari dashboard)
+     *
+     * Row yang sudah sukses dilewati. Setiap percobaan menambah attempts dan
+     * tercatat di postback_attempts dengan trigger "manual".
+     *
+     * @param array<int, int> $ids
+     * @return array<int, array{id: int, success: bool, response_code: ?int, latency_ms: int, skipped?: string}>
+     * @throws InvalidArgumentException Lebih dari MAX_RETRY_BATCH id
+     */
+    public static function retry(array $ids): array
+    {
+        $ids = array_values(array_unique(array_filter(array_map('intval', $ids), static fn (int $id): bool => $id > 0)));
+        if (count($ids) > self::MAX_RETRY_BATCH) {
+            throw new InvalidArgumentException('Too many postbacks in one retry (max ' . self::MAX_RETRY_BATCH . ')');
+        }
+
+        $results = [];
+        foreach ($ids as $id) {
+            $row = Database::fetchRow('SELECT id, postback_url, success, attempts FROM postback_logs WHERE id = ?', [$id]);
+            if (!$row) {
+                $results[] = ['id' => $id, 'success' => false, 'response_code' => null, 'latency_ms' => 0, 'skipped' => 'not found'];
+                continue;
+            }
+            if ((int)$row['success'] === 1) {
+                $results[] = ['id' => $id, 'success' => true, 'response_code' => null, 'latency_ms' => 0, 'skipped' => 'already delivered'];
+                continue;
+            }
+
+            $result = self::deliver((string)$row['postback_url']);
+            $attempt = (int)$row['attempts'] + 1;
+
+            Database::execute(
+                'UPDATE postback_logs
+                    SET response_code = ?, response_body = ?, success = ?, latency_ms = ?,
+                        attempts = ?, last_attempt_at = UNIX_TIMESTAMP()
+                  WHERE id = ?',
+                [$result['response_code'], $result['response_body'], $result['success'] ? 1 : 0, $result['latency_ms'], $attempt, $id]
+            );
+            self::recordAttempt($id, $attempt, 'manual', $result);
+
+            $results[] = [
+                'id' => $id,
+                'success' => $result['success'],
+                'response_code' => $result['response_code'],
+                'latency_ms' => $result['latency_ms'],
+            ];
+        }
+
+        self::clearCache();
+
+        return $results;
+    }
+
+    /**
+     * Postback gagal dikelompokkan per response code (0 = network error/timeout)
+     *
+     * @return array<int, array{response_code: int, count: int, exhausted: int, payout: float, last_ts: int}>
+     */
+    public static function getFailedSummary(): array
+    {
+        // Row dengan response_code NULL (sempat ditulis begitu) digabung ke 0
+        $rows = Database::fetchAll(
+            'SELECT COALESCE(response_code, 0) AS response_code, COUNT(*) AS count, SUM(attempts > ?) AS exhausted,
+                    SUM(payout) AS payout, MAX(ts) AS last_ts
+               FROM postback_logs
+              WHERE success = 0
+              GROUP BY COALESCE(response_code, 0)
+              ORDER BY count DESC',
+            [self::getMaxRetries()]
+        );
+
+        return array_map(static fn (array $row): array => [
+            'response_code' => (int)$row['response_code'],
+            'count' => (int)$row['count'],
+            'exhausted' => (int)$row['exhausted'],
+            'payout' => round((float)$row['payout'], 2),
+            'last_ts' => (int)$row['last_ts'],
+        ], $rows);
+    }
+
+    /**
+     * Daftar postback gagal, opsional untuk satu response code
+     *
+     * @param string $code '' = semua, 'network' = tanpa HTTP response (response_code 0), atau angka HTTP status
+     * @param int $limit
+     * @return array<int, array<string, mixed>>
+     */
+    public static function getFailed(string $code = '', int $limit = 100): array
+    {
+        $limit = max(1, min(200, $limit));
+        $where = 'success = 0';
+        $params = [];
+
+        if ($code === 'network') {
+            $where .= ' AND (response_code = 0 OR response_code IS NULL)';
+        } elseif ($code !== '' && ctype_digit($code)) {
+            $where .= ' AND response_code = ?';
+            $params[] = (int)$code;
+        }
+        $params[] = $limit;
+
+        return Database::fetchAll(
+            "SELECT id, ts, country_code, traffic_type, payout, postback_url,
+                    response_code, response_body, success, attempts, latency_ms, last_attempt_at, click_id
+               FROM postback_logs
+              WHERE {$where}
+              ORDER BY id DESC
+              LIMIT ?",
+            $params
+        );
+    }
+
+    /**
+     * Timeline percobaan kirim untuk satu postback (attempt 1 = kirim pertama)
+     *
+     * Row lama dari sebelum postback_attempts ada dikembalikan sebagai satu attempt
+     * berdasarkan kolom di postback_logs.
+     *
+     * @param int $postbackId
+     * @return array<int, array<string, mixed>>
+     */
+    public static function getAttempts(int $postbackId): array
+    {
+        $attempts = Database::fetchAll(
+            'SELECT attempt, ts, trigger_type, actor, response_code, response_body, latency_ms, success
+               FROM postback_attempts
+              WHERE postback_id = ?
+              ORDER BY attempt ASC',
+            [$postbackId]
+        );
+        if ($attempts !== []) {
+            return $attempts;
+        }
+
+        $row = Database::fetchRow(
+            'SELECT ts, response_code, response_body, latency_ms, success FROM postback_logs WHERE id = ?',
+            [$postbackId]
+        );
+
+        return $row ? [[
+            'attempt' => 1,
+            'ts' => $row['ts'],
+            'trigger_type' => 'auto',
+            'actor' => '',
+            'response_code' => $row['response_code'],
+            'response_body' => $row['response_body'],
+            'latency_ms' => $row['latency_ms'],
+            'success' => $row['success'],
+        ]] : [];
+    }
+
+    /**
+     * Batas retry dari env (POSTBACK_MAX_RETRIES); attempts > batas = exhausted
+     *
+     * @return int
+     */
+    public static function getMaxRetries(): int
+    {
+        return max(0, min(10, (int)Environment::get('POSTBACK_MAX_RETRIES', '3')));
+    }
+
+    /**
+     * Satu HTTP GET ke postback URL, dengan latency
+     *
+     * @param string $url
+     * @return array{response_code: int, response_body: string, success: bool, latency_ms: int} response_code 0 = tidak ada HTTP response
+     */
+    private static function deliver(string $url): array
+    {
+        $started = hrtime(true);
+        // Send HTTP request menggunakan HttpClient dengan circuit breaker
+        $response = HttpClient::get($url, [], 5, true);
+        $latencyMs = (int)round((hrtime(true) - $started) / 1e6);
+
+        $responseCode = (int)($response['code'] ?? 0);
+
+        return [
+            'response_code' => $responseCode,
+            'response_body' => substr($response['body'] ?? $response['error'] ?? '', 0, 500),
+            'success' => $response['success'] && $responseCode >= 200 && $responseCode < 300,
+            'latency_ms' => $latencyMs,
+        ];
+    }
+
+    /**
+     * @param array{response_code: int, response_body: string, success: bool, latency_ms: int} $result
+     */
+    private static function recordAttempt(int $postbackId, int $attempt, string $trigger, array $result): void
+    {
+        try {
+            Database::execute(
+                'INSERT INTO postback_attempts
+                 (postback_id, ts, attempt, trigger_type, actor, response_code, response_body, latency_ms, success)
+                 VALUES (?, UNIX_TIMESTAMP(), ?, ?, ?, ?, ?, ?, ?)',
+                [
+                    $postbackId,
+                    $attempt,
+                    $trigger,
+                    $trigger === 'manual' ? Session::getActorName() : '',
+                    $result['response_code'],
+                    $result['response_body'],
+                    $result['latency_ms'],
+                    $result['success'] ? 1 : 0,
+                ]
+            );
+        } catch (\Throwable $e) {
+            error_log('PostbackLog recordAttempt error: ' . $e->getMessage());
+        }
     }
 
     /**
@@ -250,6 +607,7 @@ class PostbackLog
             'DELETE FROM postback_logs WHERE ts < ?',
             [$cutoffTimestamp]
         );
+        Database::execute('DELETE FROM postback_attempts WHERE ts < ?', [$cutoffTimestamp]);
 
         $count = $stmt->rowCount();
 
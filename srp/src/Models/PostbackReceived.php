@@ -0,0 +1,197 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Models;
+
+use SRP\Config\Database;
+
+/**
+ * Received Postback Model (PDO-based, Production-Ready)
+ *
+ * Read-only access ke postback_received (postback masuk dari affiliate networks)
+ */
+class PostbackReceived
+{
+    private const COLUMNS = 'id, ts, status, country_code, traffic_type, payout,
+                    click_id, network, ip_address, query_string, signature_verified,
+                    (click_id IS NOT NULL AND click_id <> \'\' AND NOT EXISTS (
+                        SELECT 1 FROM logs WHERE logs.click_id = postback_received.click_id
+                    )) AS orphan';
+
+    /**
+     * Get most recent received postbacks
+     *
+     * @param int $limit
+     * @return array<int, array<string, mixed>>
+     */
+    public static function getRecent(int $limit = 50): array
+    {
+        $limit = max(1, min(200, $limit));
+
+        return Database::fetchAll(
+            'SELECT ' . self::COLUMNS . '
+             FROM postback_received
+             ORDER BY ts DESC
+             LIMIT ?',
+            [$limit]
+        );
+    }
+
+    /**
+     * Get received postbacks newer than given ID (ascending, untuk live stream cursor)
+     *
+     * @param int $sinceId
+     * @param int $limit
+     * @return array<int, array<string, mixed>>
+     */
+    public static function getSince(int $sinceId, int $limit = 100): array
+    {
+        $limit = max(1, min(200, $limit));
+
+        return Database::fetchAll(
+            'SELECT ' . self::COLUMNS . '
+             FROM postback_received
+             WHERE id > ?
+             ORDER BY id ASC
+             LIMIT ?',
+            [max(0, $sinceId), $limit]
+        );
+    }
+
+    /**
+     * Iterate semua received postbacks (newest first) dalam batch, untuk export
+     *
+     * @param int $maxRows
+     * @return \Generator<int, array<string, mixed>>
+     */
+    public static function iterateAll(int $maxRows = 100000): \Generator
+    {
+        $batchSize = 1000;
+        $beforeId = PHP_INT_MAX;
+        $count = 0;
+
+        while ($count < $maxRows) {
+            $rows = Database::fetchAll(
+                'SELECT ' . self::COLUMNS . '
+                 FROM postback_received
+                 WHERE id < ?
+                 ORDER BY id DESC
+                 LIMIT ?',
+                [$beforeId, min($batchSize, $maxRows - $count)]
+            );
+
+            foreach ($rows as $row) {
+                yield $row;
+            }
+
+            $count += count($rows);
+
+            if (count($rows) < $batchSize) {
+                return;
+            }
+
+            $beforeId = (int)end($rows)['id'];
+        }
+    }
+
+    /**
+     * Get ID of the newest received postback (0 jika kosong)
+     *
+     * @return int
+     */
+    public static function getLatestId(): int
+    {
+        $row = Database::fetchRow('SELECT MAX(id) as max_id FROM postback_received');
+
+        return isset($row['max_id']) ? (int)$row['max_id'] : 0;
+    }
+
+    /**
+     * Get daily/weekly payout statistics untuk window dari StatsPeriod
+     *
+     * Bucket tanggal mengikuti timezone window (lihat StatsPeriod::bucketExpression()),
+     * weekly bucket dimulai Monday 00:00 di timezone tersebut.
+     *
+     * @param array{from: int, to: int, timezone: string} $range
+     * @param string $view 'daily' atau 'weekly'
+     * @return array<int, array<string, mixed>>
+     */
+    public static function getPeriodStats(array $range, string $view = 'daily'): array
+    {
+        $dateExpr = StatsPeriod::bucketExpression($range, $view);
+
+        $rows = Database::fetchAll(
+            "SELECT
+                {$dateExpr} as date,
+                COUNT(*) as total_postbacks,
+                SUM(payout) as total_payout,
+                AVG(payout) as avg_payout,
+                MIN(payout) as min_payout,
+                MAX(payout) as max_payout,
+                COUNT(DISTINCT traffic_type) as unique_traffic_types,
+                COUNT(DISTINCT country_code) as unique_countries,
+                COUNT(DISTINCT network) as unique_networks
+            FROM postback_received
+            WHERE ts >= ? AND ts < ?
+            GROUP BY {$dateExpr}
+            ORDER BY date DESC
+            LIMIT 365",
+            [$range['from'], $range['to']]
+        );
+
+        $stats = [];
+        foreach ($rows as $row) {
+            $record = [
+                'date' => $row['date'],
+                'total_postbacks' => (int) $row['total_postbacks'],
+                'total_payout' => (float) $row['total_payout'],
+                'avg_payout' => (float) $row['avg_payout'],
+                'min_payout' => (float) $row['min_payout'],
+                'max_payout' => (float) $row['max_payout'],
+                'unique_traffic_types' => (int) $row['unique_traffic_types'],
+                'unique_countries' => (int) $row['unique_countries'],
+                'unique_networks' => (int) ($row['unique_networks'] ?? 0)
+            ];
+
+            // Add week_end for weekly view
+            if ($view === 'weekly') {
+                $record['week_end'] = date('Y-m-d', strtotime($row['date'] . ' +6 days'));
+            }
+
+            $stats[] = $record;
+        }
+
+        return $stats;
+    }
+
+    /**
+     * Conversions dan revenue per country untuk window dari StatsPeriod
+     *
+     * @param array{from: int, to: int} $range
+     * @return array<string, array{conversions: int, revenue: float}> Keyed by country code
+     */
+    public static function getCountryTotals(array $range): array
+    {
+        $rows = Database::fetchAll(
+            "SELECT
+                COALESCE(NULLIF(country_code, ''), 'XX') as country_code,
+                COUNT(*) as conversions,
+                SUM(payout) as revenue
+             FROM postback_received
+             WHERE ts >= ? AND ts < ?
+             GROUP BY COALESCE(NULLIF(country_code, ''), 'XX')",
+            [$range['from'], $range['to']]
+        );
+
+        $totals = [];
+        foreach ($rows as $row) {
+            $totals[strtoupper((string)$row['country_code'])] = [
+                'conversions' => (int)$row['conversions'],
+                'revenue' => (float)$row['revenue'],
+            ];
+        }
+
+        return $totals;
+    }
+}
@@ -0,0 +1,266 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Models;
+
+use SRP\Config\Database;
+use SRP\Utils\WebPush;
+use InvalidArgumentException;
+use Throwable;
+
+/**
+ * Web Push Subscription Model
+ *
+ * Satu row per browser yang subscribe dari dashboard. notify() tidak langsung
+ * mengirim: pesan di-queue dan dikirim di shutdown setelah response selesai
+ * (fastcgi_finish_request), supaya postback receiver dan save settings tidak
+ * menunggu push service.
+ */
+class PushSubscription
+{
+    // Event yang bisa dipilih per subscription; tab = hash dashboard yang dibuka saat notifikasi diklik
+    public const EVENTS = [
+        'postback_failed' => ['label' => 'Failed postback deliveries', 'tab' => 'postback'],
+        'large_conversion' => ['label' => 'Large conversions', 'tab' => 'postback'],
+        'system_off' => ['label' => 'System switched off', 'tab' => 'overview'],
+    ];
+
+    // Subscription dihapus setelah gagal berturut-turut sebanyak ini
+    private const MAX_FAILURES = 5;
+
+    /** @var array<int, array{event: string, message: array<string, mixed>, payout: ?float}> */
+    private static array $queue = [];
+
+    /**
+     * Simpan atau update subscription (key = endpoint)
+     *
+     * @param array<string, mixed> $subscription PushSubscription.toJSON() dari browser
+     * @param array<int, string> $events
+     * @param float $minPayout Batas payout untuk event large_conversion
+     * @param string $userAgent
+     * @return void
+     * @throws InvalidArgumentException
+     */
+    public static function save(array $subscription, array $events, float $minPayout, string $userAgent): void
+    {
+        $endpoint = trim((string)($subscription['endpoint'] ?? ''));
+        $p256dh = (string)($subscription['keys']['p256dh'] ?? '');
+        $auth = (string)($subscription['keys']['auth'] ?? '');
+
+        if (!preg_match('#^https://[^/\s]+/\S+$#i', $endpoint) || strlen($endpoint) > 1000) {
+            throw new InvalidArgumentException('Invalid push endpoint');
+        }
+        if (!WebPush::isValidSubscriptionKeys($p256dh, $auth)) {
+            throw new InvalidArgumentException('Invalid push subscription keys');
+        }
+        if ($minPayout < 0 || $minPayout > 100000) {
+            throw new InvalidArgumentException('Minimum payout must be between 0 and 100000');
+        }
+
+        $events = array_values(array_intersect(array_keys(self::EVENTS), $events));
+
+        Database::execute(
+            'INSERT INTO push_subscriptions
+             (endpoint_hash, endpoint, p256dh, auth, events, min_payout, user_agent, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, UNIX_TIMESTAMP())
+             ON DUPLICATE KEY UPDATE
+               p256dh = VALUES(p256dh),
+               auth = VALUES(auth),
+               events = VALUES(events),
+               min_payout = VALUES(min_payout),
+               user_agent = VALUES(user_agent),
+               failures = 0',
+            [
+                hash('sha256', $endpoint),
+                $endpoint,
+                $p256dh,
+                $auth,
+                implode(',', $events),
+                $minPayout,
+                Validator::sanitizeString($userAgent, 255),
+            ]
+        );
+    }
+
+    /**
+     * @param string $endpoint
+     * @return array<string, mixed>|null events sudah dalam bentuk array
+     */
+    public static function find(string $endpoint): ?array
+    {
+        $row = Database::fetchRow(
+            'SELECT id, endpoint, events, min_payout, created_at, last_success_at, failures
+               FROM push_subscriptions
+              WHERE endpoint_hash = ?',
+            [hash('sha256', trim($endpoint))]
+        );
+        if ($row === null) {
+            return null;
+        }
+
+        $row['events'] = $row['events'] === '' ? [] : explode(',', $row['events']);
+        $row['min_payout'] = (float)$row['min_payout'];
+
+        return $row;
+    }
+
+    public static function remove(string $endpoint): void
+    {
+        Database::execute('DELETE FROM push_subscriptions WHERE endpoint_hash = ?', [hash('sha256', trim($endpoint))]);
+    }
+
+    /**
+     * Jumlah browser yang subscribe (untuk info di dashboard)
+     *
+     * @return int
+     */
+    public static function count(): int
+    {
+        $row = Database::fetchRow('SELECT COUNT(*) AS total FROM push_subscriptions');
+
+        return (int)($row['total'] ?? 0);
+    }
+
+    /**
+     * VAPID key + subject; dibaca lewat EnvConfig supaya key yang baru di-generate langsung terpakai
+     *
+     * @return array{public: string, private: string, subject: string}|null null jika belum dikonfigurasi
+     */
+    public static function vapid(): ?array
+    {
+        $config = EnvConfig::getAll();
+        if (($config['VAPID_PUBLIC_KEY'] ?? '') === '' || ($config['VAPID_PRIVATE_KEY'] ?? '') === '') {
+            return null;
+        }
+
+        return [
+            'public' => $config['VAPID_PUBLIC_KEY'],
+            'private' => $config['VAPID_PRIVATE_KEY'],
+            'subject' => ($config['VAPID_SUBJECT'] ?? '') !== '' ? $config['VAPID_SUBJECT'] : ($config['APP_PANEL_URL'] ?? ''),
+        ];
+    }
+
+    /**
+     * Queue notifikasi untuk semua subscription yang memilih event ini
+     *
+     * @param string $event Key di EVENTS
+     * @param string $title
+     * @param string $body
+     * @param float|null $payout Untuk large_conversion: hanya dikirim ke subscription dengan min_payout <= payout
+     * @return void
+     */
+    public static function notify(string $event, string $title, string $body, ?float $payout = null): void
+    {
+        if (!isset(self::EVENTS[$event])) {
+            return;
+        }
+
+        if (self::$queue === []) {
+            register_shutdown_function([self::class, 'flush']);
+        }
+
+        self::$queue[] = [
+            'event' => $event,
+            'message' => [
+                'title' => $title,
+                'body' => $body,
+                'tab' => self::EVENTS[$event]['tab'],
+                'tag' => 'srp-' . $event,
+                'ts' => time(),
+            ],
+            'payout' => $payout,
+        ];
+    }
+
+    /**
+     * Kirim langsung ke satu subscription (tombol "Send test" di dashboard)
+     *
+     * @param string $endpoint
+     * @return array{code: int, error: string}
+     * @throws InvalidArgumentException Subscription tidak ditemukan atau VAPID belum di-set
+     */
+    public static function sendTest(string $endpoint): array
+    {
+        $row = Database::fetchRow('SELECT * FROM push_subscriptions WHERE endpoint_hash = ?', [hash('sha256', trim($endpoint))]);
+        $vapid = self::vapid();
+        if ($row === null) {
+            throw new InvalidArgumentException('This browser is not subscribed');
+        }
+        if ($vapid === null) {
+            throw new InvalidArgumentException('VAPID keys are not configured');
+        }
+
+        return self::deliver($row, [
+            'title' => 'SRP test notification',
+            'body' => 'Push notifications are working for this browser.',
+            'tab' => 'overview',
+            'tag' => 'srp-test',
+            'ts' => time(),
+        ], $vapid);
+    }
+
+    /**
+     * Shutdown handler: kirim semua pesan di queue
+     *
+     * @internal Dipanggil via register_shutdown_function
+     */
+    public static function flush(): void
+    {
+        $queue = self::$queue;
+        self::$queue = [];
+
+        try {
+            $vapid = self::vapid();
+            if ($vapid === null || $queue === []) {
+                return;
+            }
+
+            // Response ke client (network / dashboard) selesai dulu
+            if (function_exists('fastcgi_finish_request')) {
+                fastcgi_finish_request();
+            }
+
+            $subscriptions = Database::fetchAll('SELECT * FROM push_subscriptions WHERE events <> ?', ['']);
+            foreach ($queue as $item) {
+                foreach ($subscriptions as $row) {
+                    if (!in_array($item['event'], explode(',', $row['events']), true)) {
+                        continue;
+                    }
+                    if ($item['payout'] !== null && $item['payout'] < (float)$row['min_payout']) {
+                        continue;
+                    }
+                    self::deliver($row, $item['message'], $vapid);
+                }
+            }
+        } catch (Throwable $e) {
+            error_log('PushSubscription flush error: ' . $e->getMessage());
+        }
+    }
+
+    /**
+     * @param array<string, mixed> $row
+     * @param array<string, mixed> $message
+     * @param array{public: string, private: string, subject: string} $vapid
+     * @return array{code: int, error: string}
+     */
+    private static function deliver(array $row, array $message, array $vapid): array
+    {
+        $result = WebPush::send(
+            ['endpoint' => $row['endpoint'], 'p256dh' => $row['p256dh'], 'auth' => $row['auth']],
+            (string)json_encode($message, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE),
+            $vapid
+        );
+
+        // 404/410 = subscription sudah dicabut browser
+        if (in_array($result['code'], [404, 410], true) || ($result['error'] !== '' && (int)$row['failures'] + 1 >= self::MAX_FAILURES)) {
+            Database::execute('DELETE FROM push_subscriptions WHERE id = ?', [$row['id']]);
+        } elseif ($result['error'] !== '') {
+            Database::execute('UPDATE push_subscriptions SET failures = failures + 1 WHERE id = ?', [$row['id']]);
+        } else {
+            Database::execute('UPDATE push_subscriptions SET failures = 0, last_success_at = UNIX_TIMESTAMP() WHERE id = ?', [$row['id']]);
+        }
+
+        return $result;
+    }
+}
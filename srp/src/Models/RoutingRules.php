@@ -0,0 +1,262 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Models;
+
+use SRP\Config\Environment;
+use DateTimeImmutable;
+use DateTimeZone;
+use Exception;
+use InvalidArgumentException;
+
+/**
+ * Routing Rules
+ *
+ * Daftar rule berurutan yang memilih URL pool Decision A berdasarkan country,
+ * device, user_lp dan jadwal (hari + jam, timezone aplikasi). Rule pertama
+ * yang cocok menang; jika tidak ada yang cocok, decision memakai redirect_url
+ * biasa sebagai fallback.
+ *
+ * Bentuk satu rule:
+ * {id, name, enabled, countries[], devices[], user_lp[], days[], hours: {from, to}|null, targets[]}
+ * List kondisi kosong = cocok untuk semua, kecuali devices: kosong = WAP saja
+ * (sama dengan aturan lama Decision A). Kondisi country/device yang tidak
+ * bisa dinilai (filter dimatikan di env) membuat rule di-skip, bukan cocok.
+ */
+class RoutingRules
+{
+    public const DEVICES = ['WAP', 'WEB', 'TABLET', 'BOT'];
+
+    private const MAX_RULES = 50;
+    private const MAX_NAME = 60;
+    private const MAX_LP_PATTERNS = 20;
+
+    /**
+     * Validasi dan normalisasi rules dari dashboard
+     *
+     * @param array<int, mixed> $rules
+     * @return array<int, array<string, mixed>>
+     * @throws InvalidArgumentException Pesan menyebut nomor rule yang salah
+     */
+    public static function validate(array $rules): array
+    {
+        if (count($rules) > self::MAX_RULES) {
+            throw new InvalidArgumentException('Too many routing rules (max ' . self::MAX_RULES . ')');
+        }
+
+        $normalized = [];
+        $ids = [];
+        foreach (array_values($rules) as $i => $rule) {
+            $label = 'Rule ' . ($i + 1);
+            if (!is_array($rule)) {
+                throw new InvalidArgumentException("{$label}: must be an object");
+            }
+
+            try {
+                $normalized[] = self::validateRule($rule);
+            } catch (InvalidArgumentException $e) {
+                throw new InvalidArgumentException("{$label}: " . $e->getMessage());
+            }
+
+            $id = $normalized[$i]['id'];
+            if (isset($ids[$id])) {
+                throw new InvalidArgumentException("{$label}: duplicate id {$id}");
+            }
+            $ids[$id] = true;
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Rule enabled pertama yang cocok dengan context
+     *
+     * Context country/device null = filter dimatikan di env; rule dengan kondisi
+     * tersebut di-skip. wap = device terdeteksi WAP, dipakai untuk rule tanpa
+     * kondisi device (tetap berlaku walau device filter dimatikan).
+     *
+     * @param array<int, array<string, mixed>> $rules
+     * @param array{country: ?string, device: ?string, wap: bool, user_lp: string, ts: int} $context
+     * @return array<string, mixed>|null
+     */
+    public static function match(array $rules, array $context): ?array
+    {
+        foreach ($rules as $rule) {
+            if (is_array($rule) && !empty($rule['enabled']) && self::matches($rule, $context)) {
+                return $rule;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * @param array<string, mixed> $rule
+     * @param array{country: ?string, device: ?string, wap: bool, user_lp: string, ts: int} $context
+     */
+    private static function matches(array $rule, array $context): bool
+    {
+        if (!empty($rule['countries'])
+            && ($context['country'] === null || !in_array($context['country'], $rule['countries'], true))) {
+            return false;
+        }
+        if (empty($rule['devices']) && !$context['wap']) {
+            return false;
+        }
+        if (!empty($rule['devices'])
+            && ($context['device'] === null || !in_array($context['device'], $rule['devices'], true))) {
+            return false;
+        }
+        if (!empty($rule['user_lp']) && !self::matchesLandingPage($rule['user_lp'], $context['user_lp'])) {
+            return false;
+        }
+
+        // Jadwal memakai timezone aplikasi (APP_TIMEZONE), bukan default PHP (php.ini = UTC)
+        $local = self::scheduleTime($context['ts']);
+        $day = (int)$local->format('N');
+        $hour = (int)$local->format('G');
+
+        if (!empty($rule['days']) && !in_array($day, $rule['days'], true)) {
+            return false;
+        }
+        if (is_array($rule['hours'] ?? null)) {
+            $from = (int)$rule['hours']['from'];
+            $to = (int)$rule['hours']['to'];
+            // from > to = window lewat tengah malam (mis. 22 -> 6)
+            $inWindow = $from <= $to ? ($hour >= $from && $hour < $to) : ($hour >= $from || $hour < $to);
+            if (!$inWindow) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    private static function scheduleTime(int $ts): DateTimeImmutable
+    {
+        try {
+            $timezone = new DateTimeZone(Environment::get('APP_TIMEZONE', 'UTC'));
+        } catch (Exception $e) {
+            $timezone = new DateTimeZone('UTC');
+        }
+
+        return (new DateTimeImmutable('@' . $ts))->setTimezone($timezone);
+    }
+
+    /**
+     * @param array<int, string> $patterns Lowercase, '*' = wildcard
+     */
+    private static function matchesLandingPage(array $patterns, string $userLp): bool
+    {
+        $userLp = strtolower($userLp);
+        foreach ($patterns as $pattern) {
+            $regex = '/^' . str_replace('\*', '.*', preg_quote($pattern, '/')) . '$/';
+            if (preg_match($regex, $userLp) === 1) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @param array<string, mixed> $rule
+     * @return array<string, mixed>
+     * @throws InvalidArgumentException
+     */
+    private static function validateRule(array $rule): array
+    {
+        $id = (string)($rule['id'] ?? '');
+        if (!preg_match('/^[a-z0-9-]{1,32}$/', $id)) {
+            throw new InvalidArgumentException('invalid id');
+        }
+
+        $countries = self::stringList($rule['countries'] ?? [], 'countries', true);
+        foreach ($countries as $code) {
+            if (!Validator::isValidCountryCode($code)) {
+                throw new InvalidArgumentException("invalid country code {$code}");
+            }
+        }
+
+        $devices = self::stringList($rule['devices'] ?? [], 'devices', true);
+        foreach ($devices as $device) {
+            if (!in_array($device, self::DEVICES, true)) {
+                throw new InvalidArgumentException("invalid device {$device}");
+            }
+        }
+
+        $userLp = array_map('strtolower', self::stringList($rule['user_lp'] ?? [], 'user_lp', false));
+        if (count($userLp) > self::MAX_LP_PATTERNS) {
+            throw new InvalidArgumentException('too many user_lp patterns (max ' . self::MAX_LP_PATTERNS . ')');
+        }
+        foreach ($userLp as $pattern) {
+            if (!preg_match('/^[a-z0-9_*.-]{1,100}$/', $pattern)) {
+                throw new InvalidArgumentException("invalid user_lp pattern {$pattern}");
+            }
+        }
+
+        $days = [];
+        foreach ((array)($rule['days'] ?? []) as $day) {
+            if (!is_numeric($day) || (int)$day < 1 || (int)$day > 7) {
+                throw new InvalidArgumentException('days must be 1 (Monday) to 7 (Sunday)');
+            }
+            $days[] = (int)$day;
+        }
+        $days = array_values(array_unique($days));
+        sort($days);
+
+        $hours = null;
+        if (isset($rule['hours']) && $rule['hours'] !== null) {
+            $from = $rule['hours']['from'] ?? null;
+            $to = $rule['hours']['to'] ?? null;
+            if (!is_numeric($from) || !is_numeric($to) || $from < 0 || $from > 23 || $to < 0 || $to > 24 || (int)$from === (int)$to) {
+                throw new InvalidArgumentException('hours must be a from/to window between 0 and 24');
+            }
+            $hours = ['from' => (int)$from, 'to' => (int)$to];
+        }
+
+        $targets = Settings::validateRedirectTargets(is_array($rule['targets'] ?? null) ? $rule['targets'] : []);
+        $enabled = !array_key_exists('enabled', $rule) || (bool)$rule['enabled'];
+        $active = array_filter($targets, static fn (array $t): bool => $t['enabled'] && $t['weight'] > 0);
+        if ($enabled && $active === []) {
+            throw new InvalidArgumentException('needs at least one enabled destination URL');
+        }
+
+        return [
+            'id' => $id,
+            'name' => Validator::sanitizeSingleLine((string)($rule['name'] ?? ''), self::MAX_NAME),
+            'enabled' => $enabled,
+            'countries' => $countries,
+            'devices' => $devices,
+            'user_lp' => $userLp,
+            'days' => $days,
+            'hours' => $hours,
+            'targets' => $targets,
+        ];
+    }
+
+    /**
+     * @return array<int, string> Unik, trimmed, tanpa string kosong
+     * @throws InvalidArgumentException
+     */
+    private static function stringList(mixed $value, string $field, bool $upper): array
+    {
+        if (!is_array($value)) {
+            throw new InvalidArgumentException("{$field} must be a list");
+        }
+
+        $list = [];
+        foreach ($value as $item) {
+            if (!is_string($item)) {
+                throw new InvalidArgumentException("{$field} must contain strings");
+            }
+            $item = trim($upper ? strtoupper($item) : $item);
+            if ($item !== '') {
+                $list[] = $item;
+            }
+        }
+
+        return array_values(array_unique($list));
+    }
+}
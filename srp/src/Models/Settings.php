@@ -5,6 +5,7 @@ declare(strict_types=1);
 namespace SRP\Models;
 
 use SRP\Config\Database;
+use SRP\Middleware\Session;
 use InvalidArgumentException;
 use PDO;
 
@@ -18,6 +19,8 @@ class Settings
     private static ?array $cache = null;
     private static int $cacheTime = 0;
     private const CACHE_TTL = 60; // Cache untuk 60 detik (cache invalidation on update)
+    private const MAX_REDIRECT_WEIGHT = 1000;
+    private const MAX_REDIRECT_LABEL = 60;
 
     /**
      * Get settings dari database dengan caching
@@ -36,7 +39,7 @@ class Settings
         $row = Database::fetchRow(
             'SELECT redirect_url, system_on, country_filter_mode, country_filter_list, updated_at,
                     total_decision_a, total_decision_b, stats_reset_at,
-                    postback_enabled, postback_url, default_payout
+                    postback_enabled, postback_url, default_payout, routing_rules
              FROM settings
              WHERE id = ?',
             [1]
@@ -44,19 +47,23 @@ class Settings
 
         $data = $row ?: self::getDefaults();
 
-        // Parse redirect_url dari JSON string ke array
+        // Parse redirect_url dari JSON string ke array of targets
         if (isset($data['redirect_url']) && $data['redirect_url'] !== '') {
             $decoded = json_decode($data['redirect_url'], true);
             if (is_array($decoded)) {
-                $data['redirect_url'] = $decoded;
+                $data['redirect_url'] = self::normalizeRedirectTargets($decoded);
             } else {
                 // Backward compatibility: convert single URL string ke array
-                $data['redirect_url'] = [$data['redirect_url']];
+                $data['redirect_url'] = self::normalizeRedirectTargets([$data['redirect_url']]);
             }
         } else {
             $data['redirect_url'] = [];
         }
 
+        // Rules sudah divalidasi saat disimpan; JSON rusak dianggap tanpa rules
+        $rules = json_decode((string)($data['routing_rules'] ?? ''), true);
+        $data['routing_rules'] = is_array($rules) ? $rules : [];
+
         // Update cache
         self::$cache = $data;
         self::$cacheTime = time();
@@ -78,15 +85,24 @@ class Settings
     /**
      * Update settings dengan validasi dan prepared statements
      *
+     * Setiap entry redirect boleh berupa URL string (format lama) atau
+     * {url, weight, enabled, label}; disimpan selalu dalam bentuk object.
+     *
      * @param bool $on
-     * @param array<int, string>|string $urls
+     * @param array<int, string|array<string, mixed>>|string $urls
      * @param string $filterMode
      * @param string $filterList
+     * @param array<int, mixed>|null $routingRules null = routing rules tidak diubah
      * @return void
      * @throws InvalidArgumentException
      */
-    public static function update(bool $on, array|string $urls, string $filterMode = 'all', string $filterList = ''): void
-    {
+    public static function update(
+        bool $on,
+        array|string $urls,
+        string $filterMode = 'all',
+        string $filterList = '',
+        ?array $routingRules = null
+    ): void {
         // Handle both array dan string input untuk backward compatibility
         if (is_string($urls)) {
             $urls = [$urls];
@@ -96,16 +112,9 @@ class Settings
             throw new InvalidArgumentException('redirect_url must be string or array');
         }
 
-        $validatedUrls = [];
-        foreach ($urls as $url) {
-            $safeUrl = self::validateUrl((string)$url);
-            if ($safeUrl !== '') {
-                $validatedUrls[] = $safeUrl;
-            }
-        }
-
         // Store as JSON string
-        $urlsJson = json_encode($validatedUrls);
+        $urlsJson = json_encode(self::validateRedirectTargets($urls));
+        $rulesJson = $routingRules !== null ? json_encode(RoutingRules::validate($routingRules)) : null;
 
         // Validate filter mode (whitelist)
         if (!in_array($filterMode, ['all', 'whitelist', 'blacklist'], true)) {
@@ -125,6 +134,8 @@ class Settings
         }
         $cleanList = implode(',', array_unique($countries));
 
+        $before = ConfigHistory::settingsSnapshot(self::get(true));
+
         // Update dengan prepared statement
         Database::execute(
             'UPDATE settings
@@ -132,13 +143,117 @@ class Settings
                    redirect_url = ?,
                    country_filter_mode = ?,
                    country_filter_list = ?,
+                   routing_rules = COALESCE(?, routing_rules),
                    updated_at = UNIX_TIMESTAMP()
              WHERE id = ?',
-            [$on ? 1 : 0, $urlsJson, $filterMode, $cleanList, 1]
+            [$on ? 1 : 0, $urlsJson, $filterMode, $cleanList, $rulesJson, 1]
         );
 
         // Clear cache setelah update
         self::clearCache();
+
+        ConfigHistory::record('settings', $before, ConfigHistory::settingsSnapshot(self::get(true)));
+
+        if ($before['system_on'] && !$on) {
+            PushSubscription::notify('system_off', 'System switched off', 'Traffic is no longer being routed. Switched off by ' . Session::getActorName() . '.');
+        }
+    }
+
+    /**
+     * Normalisasi redirect entries yang tersimpan ke {url, weight, enabled, label}
+     *
+     * Dipakai saat membaca (termasuk setiap /decision), jadi tidak pernah throw:
+     * entry lama/rusak (bukan string/object, weight di luar range) dibuang saja.
+     * Validasi ketat hanya di validateRedirectTargets() saat menyimpan.
+     *
+     * @param array<int|string, mixed> $entries
+     * @return array<int, array{url: string, weight: int, enabled: bool, label: string}>
+     */
+    public static function normalizeRedirectTargets(array $entries): array
+    {
+        $targets = [];
+        foreach ($entries as $entry) {
+            try {
+                $targets[] = self::normalizeRedirectTarget($entry);
+            } catch (InvalidArgumentException $e) {
+                continue;
+            }
+        }
+
+        return $targets;
+    }
+
+    /**
+     * Redirect targets untuk response API
+     *
+     * redirect_url tetap list URL string (format lama, hanya target aktif) supaya
+     * consumer lama tidak rusak; weight/label/enabled ada di redirect_targets.
+     *
+     * @param array<string, mixed> $settings Hasil get()
+     * @return array<string, mixed>
+     */
+    public static function toApi(array $settings): array
+    {
+        $targets = is_array($settings['redirect_url'] ?? null) ? $settings['redirect_url'] : [];
+
+        $settings['redirect_targets'] = $targets;
+        $settings['redirect_url'] = array_values(array_map(
+            static fn (array $target): string => $target['url'],
+            array_filter($targets, static fn (array $target): bool => $target['enabled'] && $target['weight'] > 0 && $target['url'] !== '')
+        ));
+
+        return $settings;
+    }
+
+    /**
+     * Normalisasi + validasi URL (HTTPS, SSRF check); entry dengan URL kosong dibuang
+     *
+     * @param array<int|string, mixed> $entries
+     * @return array<int, array{url: string, weight: int, enabled: bool, label: string}>
+     * @throws InvalidArgumentException
+     */
+    public static function validateRedirectTargets(array $entries): array
+    {
+        $validated = [];
+        foreach ($entries as $entry) {
+            $target = self::normalizeRedirectTarget($entry);
+            $target['url'] = self::validateUrl($target['url']);
+            if ($target['url'] !== '') {
+                $validated[] = $target;
+            }
+        }
+
+        return $validated;
+    }
+
+    /**
+     * URL string lama menjadi target enabled dengan weight 1. URL belum divalidasi
+     * di sini (lihat validateUrl).
+     *
+     * @param mixed $entry
+     * @return array{url: string, weight: int, enabled: bool, label: string}
+     * @throws InvalidArgumentException
+     */
+    private static function normalizeRedirectTarget(mixed $entry): array
+    {
+        if (is_string($entry)) {
+            $entry = ['url' => $entry];
+        }
+        if (!is_array($entry)) {
+            throw new InvalidArgumentException('redirect_url entries must be string or object');
+        }
+
+        $weight = $entry['weight'] ?? 1;
+        if (!is_numeric($weight) || (int)$weight != $weight || $weight < 0 || $weight > self::MAX_REDIRECT_WEIGHT) {
+            throw new InvalidArgumentException('Redirect weight must be an integer between 0 and ' . self::MAX_REDIRECT_WEIGHT);
+        }
+
+        return [
+            'url' => trim((string)($entry['url'] ?? '')),
+            'weight' => (int)$weight,
+            'enabled' => !array_key_exists('enabled', $entry) || (bool)$entry['enabled'],
+            'label' => Validator::sanitizeSingleLine((string)($entry['label'] ?? ''), self::MAX_REDIRECT_LABEL),
+        ];
     }
 
     /**
@@ -176,6 +291,7 @@ class Settings
             'postback_enabled' => 1, // Always enabled
             'postback_url' => '',
             'default_payout' => 0.00,
+            'routing_rules' => null,
         ];
     }
 
@@ -197,16 +313,11 @@ class Settings
             throw new InvalidArgumentException('Postback URL is required when enabling postback');
         }
 
-        // Validate URL dengan placeholder substitution
+        // Validate URL dengan placeholder substitution (macro harus dikenal PostbackLog)
         if ($safeUrl !== '') {
-            $testUrl = str_replace(
-                ['{country}', '{traffic_type}', '{payout}'],
-                ['US', 'WAP', '1.00'],
-                $safeUrl
-            );
-
-            if (!filter_var($testUrl, FILTER_VALIDATE_URL)) {
-                throw new InvalidArgumentException('Invalid postback URL format');
+            $error = PostbackLog::validateTemplate($safeUrl, 'postback');
+            if ($error !== null) {
+                throw new InvalidArgumentException("Invalid postback URL: {$error}");
             }
         }
 
@@ -0,0 +1,158 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Models;
+
+use DateTimeImmutable;
+use DateTimeZone;
+use InvalidArgumentException;
+
+/**
+ * Statistics Period Resolver
+ *
+ * Mengubah query string (days atau from/to, plus tz) menjadi window waktu untuk
+ * PostbackReceived::getPeriodStats() dan TrafficLog::getPeriodCounts(),
+ * termasuk window sebelumnya untuk mode "compare to previous period".
+ * Batas hari/minggu dihitung di timezone yang dipilih dashboard.
+ */
+class StatsPeriod
+{
+    private const MAX_DAYS = 365;
+
+    /**
+     * Resolve window dari query string
+     *
+     * - from/to (YYYY-MM-DD, inclusive): custom range
+     * - days: N hari kalender terakhir termasuk hari ini
+     * - tz: IANA timezone (default: timezone server)
+     *
+     * @param array<string, mixed> $query
+     * @return array{from: int, to: int, from_date: string, to_date: string, days: int, timezone: string}
+     * @throws InvalidArgumentException
+     */
+    public static function fromQuery(array $query): array
+    {
+        $timezone = self::resolveTimezone((string)($query['tz'] ?? ''));
+        $fromDate = (string)($query['from'] ?? '');
+        $toDate = (string)($query['to'] ?? '');
+
+        if ($fromDate === '' && $toDate === '') {
+            $days = Validator::sanitizeInt($query['days'] ?? '30', 30, 1, self::MAX_DAYS);
+            $today = new DateTimeImmutable('today', new DateTimeZone($timezone));
+
+            return self::build(
+                $today->modify('-' . ($days - 1) . ' days')->format('Y-m-d'),
+                $today->format('Y-m-d'),
+                $timezone
+            );
+        }
+
+        if (!Validator::isValidDate($fromDate) || !Validator::isValidDate($toDate)) {
+            throw new InvalidArgumentException('Invalid date range, expected from and to as YYYY-MM-DD');
+        }
+        if ($fromDate > $toDate) {
+            throw new InvalidArgumentException('Range start must be before range end');
+        }
+
+        $range = self::build($fromDate, $toDate, $timezone);
+        if ($range['days'] > self::MAX_DAYS) {
+            throw new InvalidArgumentException('Date range cannot exceed ' . self::MAX_DAYS . ' days');
+        }
+
+        return $range;
+    }
+
+    /**
+     * Window dengan panjang sama tepat sebelum $range
+     *
+     * @param array{from: int, to: int, from_date: string, to_date: string, days: int, timezone: string} $range
+     * @return array{from: int, to: int, from_date: string, to_date: string, days: int, timezone: string}
+     */
+    public static function previous(array $range): array
+    {
+        $start = new DateTimeImmutable($range['from_date'], new DateTimeZone($range['timezone']));
+
+        return self::build(
+            $start->modify('-' . $range['days'] . ' days')->format('Y-m-d'),
+            $start->modify('-1 day')->format('Y-m-d'),
+            $range['timezone']
+        );
+    }
+
+    /**
+     * Validasi IANA timezone; string kosong = timezone server
+     *
+     * @param string $timezone
+     * @return string
+     * @throws InvalidArgumentException
+     */
+    public static function resolveTimezone(string $timezone): string
+    {
+        $timezone = trim($timezone);
+        if ($timezone === '') {
+            return date_default_timezone_get();
+        }
+        // ALL_WITH_BC: alias lama (Asia/Calcutta, Europe/Kiev) masih dilaporkan sebagian browser
+        if (!in_array($timezone, DateTimeZone::listIdentifiers(DateTimeZone::ALL_WITH_BC), true)) {
+            throw new InvalidArgumentException("Unknown timezone: {$timezone}");
+        }
+
+        return $timezone;
+    }
+
+    /**
+     * SQL expression yang mengelompokkan kolom unix timestamp ke tanggal lokal
+     *
+     * Tidak memakai CONVERT_TZ (butuh tabel timezone MySQL yang jarang ada di shared
+     * hosting); offset per DST transition di dalam window di-inline sebagai CASE.
+     * Weekly bucket = Monday 00:00 di timezone tersebut.
+     *
+     * @param array{from: int, to: int, timezone: string} $range
+     * @param string $view 'daily' atau 'weekly'
+     * @param string $column
+     * @return string Expression yang menghasilkan DATE (YYYY-MM-DD)
+     */
+    public static function bucketExpression(array $range, string $view, string $column = 'ts'): string
+    {
+        $transitions = (new DateTimeZone($range['timezone']))->getTransitions($range['from'], $range['to']) ?: [];
+
+        $offset = (string)(int)($transitions[0]['offset'] ?? 0);
+        if (count($transitions) > 1) {
+            $cases = '';
+            for ($i = 1; $i < count($transitions); $i++) {
+                $cases .= sprintf(' WHEN %s < %d THEN %d', $column, (int)$transitions[$i]['ts'], (int)$transitions[$i - 1]['offset']);
+            }
+            $offset = sprintf('CASE%s ELSE %d END', $cases, (int)end($transitions)['offset']);
+        }
+
+        // Nomor hari lokal sejak 1970-01-01 (Thursday)
+        $day = "FLOOR(({$column} + {$offset}) / 86400)";
+
+        if ($view === 'weekly') {
+            return "DATE_ADD('1970-01-01', INTERVAL ({$day} - MOD({$day} + 3, 7)) DAY)";
+        }
+
+        return "DATE_ADD('1970-01-01', INTERVAL {$day} DAY)";
+    }
+
+    /**
+     * @return array{from: int, to: int, from_date: string, to_date: string, days: int, timezone: string}
+     */
+    private static function build(string $fromDate, string $toDate, string $timezone): array
+    {
+        $zone = new DateTimeZone($timezone);
+        $start = new DateTimeImmutable($fromDate . ' 00:00:00', $zone);
+        // end exclusive: awal hari setelah $toDate
+        $end = (new DateTimeImmutable($toDate . ' 00:00:00', $zone))->modify('+1 day');
+
+        return [
+            'from' => $start->getTimestamp(),
+            'to' => $end->getTimestamp(),
+            'from_date' => $fromDate,
+            'to_date' => $toDate,
+            'days' => (int)$start->diff($end)->days,
+            'timezone' => $timezone,
+        ];
+    }
+}
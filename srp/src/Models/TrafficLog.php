@@ -18,6 +18,9 @@ class TrafficLog
     private static int $cacheTime = 0;
     private const CACHE_TTL = 2; // Cache untuk 2 detik
 
+    // Whitelist kolom untuk ORDER BY (tidak bisa di-bind sebagai parameter)
+    private const SORTABLE_COLUMNS = ['id', 'ts', 'ip', 'click_id', 'country_code', 'user_lp', 'decision'];
+
     /**
      * Create traffic log entry dengan validasi ketat
      *
@@ -101,6 +104,317 @@ class TrafficLog
         return $logs;
     }
 
+    /**
+     * Get logs newer than given ID (ascending, untuk live stream cursor)
+     *
+     * @param int $sinceId
+     * @param int $limit
+     * @return array<int, array<string, mixed>>
+     */
+    public static function getSince(int $sinceId, int $limit = 100): array
+    {
+        $limit = max(1, min(200, $limit));
+
+        return Database::fetchAll(
+            'SELECT * FROM logs WHERE id > ? ORDER BY id ASC LIMIT ?',
+            [max(0, $sinceId), $limit]
+        );
+    }
+
+    /**
+     * Get ID of the newest log row (0 jika kosong)
+     *
+     * @return int
+     */
+    public static function getLatestId(): int
+    {
+        $row = Database::fetchRow('SELECT MAX(id) as max_id FROM logs');
+
+        return isset($row['max_id']) ? (int)$row['max_id'] : 0;
+    }
+
+    /**
+     * Search logs dengan filter, sorting dan pagination (server-side table)
+     *
+     * Filter keys (semua optional):
+     * - decision: 'A'|'B'
+     * - countries: array<string> ISO alpha-2
+     * - date_from / date_to: unix timestamp (date_to exclusive)
+     * - lp: substring, atau pattern dengan wildcard '*'
+     * - ip: range dari Validator::parseCidr()
+     * - terms: query language terms (lihat buildTermCondition)
+     * - min_id / max_id: batas id inklusif (dipakai export untuk snapshot + keyset)
+     *
+     * @param array<string, mixed> $filters
+     * @param string $sort
+     * @param string $direction
+     * @param int $limit
+     * @param int $offset
+     * @return array<int, array<string, mixed>>
+     */
+    public static function search(
+        array $filters,
+        string $sort = 'id',
+        string $direction = 'desc',
+        int $limit = 50,
+        int $offset = 0
+    ): array {
+        return self::fetchFiltered($filters, $sort, $direction, max(1, min(200, $limit)), max(0, $offset));
+    }
+
+    /**
+     * Iterate semua logs yang cocok dengan filter dalam batch (untuk export)
+     *
+     * Memakai generator supaya export besar tidak memuat semua rows ke memory.
+     * Rows dibatasi id <= MAX(id) saat export mulai, jadi insert baru tidak
+     * menggeser batch (duplikat / terlewat). Sort by id memakai keyset
+     * pagination seperti PostbackLog::iterateAll; sort lain tetap OFFSET
+     * di atas snapshot tersebut.
+     *
+     * @param array<string, mixed> $filters
+     * @param string $sort
+     * @param string $direction
+     * @param int $maxRows
+     * @return \Generator<int, array<string, mixed>>
+     */
+    public static function iterateFiltered(
+        array $filters,
+        string $sort = 'id',
+        string $direction = 'desc',
+        int $maxRows = 100000
+    ): \Generator {
+        $batchSize = 1000;
+        $count = 0;
+        $offset = 0;
+        $keyset = !in_array($sort, self::SORTABLE_COLUMNS, true) || $sort === 'id';
+        $ascending = strtolower($direction) === 'asc';
+
+        $filters['max_id'] = self::getLatestId();
+
+        while ($count < $maxRows) {
+            $rows = self::fetchFiltered($filters, $sort, $direction, min($batchSize, $maxRows - $count), $offset);
+
+            foreach ($rows as $row) {
+                yield $row;
+            }
+
+            $count += count($rows);
+
+            if (count($rows) < $batchSize) {
+                return;
+            }
+
+            $lastId = (int)end($rows)['id'];
+            if (!$keyset) {
+                $offset += $batchSize;
+            } elseif ($ascending) {
+                $filters['min_id'] = $lastId + 1;
+            } else {
+                $filters['max_id'] = $lastId - 1;
+            }
+        }
+    }
+
+    /**
+     * Query logs dengan filter + whitelisted sorting (limit tidak dibatasi di sini)
+     *
+     * @param array<string, mixed> $filters
+     * @param string $sort
+     * @param string $direction
+     * @param int $limit
+     * @param int $offset
+     * @return array<int, array<string, mixed>>
+     */
+    private static function fetchFiltered(array $filters, string $sort, string $direction, int $limit, int $offset): array
+    {
+        [$where, $params] = self::buildFilterWhere($filters);
+
+        $column = in_array($sort, self::SORTABLE_COLUMNS, true) ? $sort : 'id';
+        $dir = strtolower($direction) === 'asc' ? 'ASC' : 'DESC';
+
+        $params[] = $limit;
+        $params[] = $offset;
+
+        // id sebagai tie-breaker supaya urutan halaman stabil
+        return Database::fetchAll(
+            "SELECT * FROM logs {$where} ORDER BY {$column} {$dir}, id {$dir} LIMIT ? OFFSET ?",
+            $params
+        );
+    }
+
+    /**
+     * Count logs yang cocok dengan filter search()
+     *
+     * @param array<string, mixed> $filters
+     * @return int
+     */
+    public static function countFiltered(array $filters): int
+    {
+        [$where, $params] = self::buildFilterWhere($filters);
+
+        $row = Database::fetchRow("SELECT COUNT(*) as count FROM logs {$where}", $params);
+
+        return isset($row['count']) ? (int)$row['count'] : 0;
+    }
+
+    /**
+     * Build WHERE clause + params dari filter array
+     *
+     * @param array<string, mixed> $filters
+     * @return array{0: string, 1: array<int, mixed>}
+     */
+    private static function buildFilterWhere(array $filters): array
+    {
+        $conditions = [];
+        $params = [];
+
+        if (isset($filters['min_id'])) {
+            $conditions[] = 'id >= ?';
+            $params[] = (int)$filters['min_id'];
+        }
+
+        if (isset($filters['max_id'])) {
+            $conditions[] = 'id <= ?';
+            $params[] = (int)$filters['max_id'];
+        }
+
+        if (!empty($filters['decision']) && in_array($filters['decision'], ['A', 'B'], true)) {
+            $conditions[] = 'decision = ?';
+            $params[] = $filters['decision'];
+        }
+
+        if (!empty($filters['countries']) && is_array($filters['countries'])) {
+            $conditions[] = 'country_code IN (' . implode(',', array_fill(0, count($filters['countries']), '?')) . ')';
+            array_push($params, ...array_values($filters['countries']));
+        }
+
+        if (!empty($filters['date_from'])) {
+            $conditions[] = 'ts >= ?';
+            $params[] = (int)$filters['date_from'];
+        }
+
+        if (!empty($filters['date_to'])) {
+            $conditions[] = 'ts < ?';
+            $params[] = (int)$filters['date_to'];
+        }
+
+        if (isset($filters['lp']) && $filters['lp'] !== '') {
+            $conditions[] = 'user_lp LIKE ?';
+            $params[] = self::toLikePattern((string)$filters['lp']);
+        }
+
+        if (!empty($filters['ip']['start']) && !empty($filters['ip']['end'])) {
+            // Bandingkan dalam bentuk hex (aman untuk charset koneksi); panjang dicek
+            // supaya alamat IPv4 tidak ikut cocok dengan range IPv6
+            $conditions[] = 'LENGTH(INET6_ATON(ip)) = ? AND HEX(INET6_ATON(ip)) BETWEEN ? AND ?';
+            $params[] = strlen($filters['ip']['start']);
+            $params[] = strtoupper(bin2hex($filters['ip']['start']));
+            $params[] = strtoupper(bin2hex($filters['ip']['end']));
+        }
+
+        foreach ($filters['terms'] ?? [] as $term) {
+            [$condition, $termParams] = self::buildTermCondition($term);
+            if ($condition !== '') {
+                $conditions[] = $condition;
+                array_push($params, ...$termParams);
+            }
+        }
+
+        $where = $conditions ? 'WHERE ' . implode(' AND ', $conditions) : '';
+
+        return [$where, $params];
+    }
+
+    /**
+     * Build SQL condition untuk satu term dari log query language
+     *
+     * Term: ['field' => string, 'values' => array, 'negate' => bool]; values di-OR,
+     * term di-AND. Values sudah divalidasi controller (ip = range, after/before = timestamp).
+     *
+     * @param array<string, mixed> $term
+     * @return array{0: string, 1: array<int, mixed>}
+     */
+    private static function buildTermCondition(array $term): array
+    {
+        $values = array_values($term['values'] ?? []);
+        if (!$values) {
+            return ['', []];
+        }
+
+        $parts = [];
+        $params = [];
+
+        switch ($term['field'] ?? '') {
+            case 'cc':
+            case 'decision':
+                $column = $term['field'] === 'cc' ? 'country_code' : 'decision';
+                $parts[] = "{$column} IN (" . implode(',', array_fill(0, count($values), '?')) . ')';
+                $params = $values;
+                break;
+
+            case 'lp':
+            case 'ua':
+            case 'cid':
+            case 'text':
+                $columns = [
+                    'lp'   => ['user_lp'],
+                    'ua'   => ['ua'],
+                    'cid'  => ['click_id'],
+                    'text' => ['click_id', 'country_code', 'ip', 'user_lp'],
+                ][$term['field']];
+
+                foreach ($values as $value) {
+                    foreach ($columns as $column) {
+                        $parts[] = "{$column} LIKE ?";
+                        $params[] = self::toLikePattern((string)$value);
+                    }
+                }
+                break;
+
+            case 'ip':
+                foreach ($values as $range) {
+                    $parts[] = '(LENGTH(INET6_ATON(ip)) = ? AND HEX(INET6_ATON(ip)) BETWEEN ? AND ?)';
+                    $params[] = strlen($range['start']);
+                    $params[] = strtoupper(bin2hex($range['start']));
+                    $params[] = strtoupper(bin2hex($range['end']));
+                }
+                break;
+
+            case 'after':
+                return ['ts >= ?', [(int)$values[0]]];
+
+            case 'before':
+                return ['ts < ?', [(int)$values[0]]];
+
+            default:
+                return ['', []];
+        }
+
+        $condition = '(' . implode(' OR ', $parts) . ')';
+
+        // NULL column dianggap "tidak cocok", jadi negasi tetap menyertakan row tersebut
+        if (!empty($term['negate'])) {
+            $condition = "NOT COALESCE({$condition}, FALSE)";
+        }
+
+        return [$condition, $params];
+    }
+
+    /**
+     * Convert filter value ke LIKE pattern ('*' = wildcard, tanpa '*' = substring)
+     *
+     * @param string $value
+     * @return string
+     */
+    private static function toLikePattern(string $value): string
+    {
+        $escaped = addcslashes($value, '%_\\');
+
+        return str_contains($value, '*')
+            ? str_replace('*', '%', $escaped)
+            : '%' . $escaped . '%';
+    }
+
     /**
      * Get total count of logs (today only)
      *
@@ -295,6 +609,74 @@ class TrafficLog
         );
     }
 
+    /**
+     * Count clicks per hari/minggu dengan A/B split (untuk time-series charts)
+     *
+     * Bucket sama dengan PostbackReceived::getPeriodStats() supaya tanggal
+     * kedua series bisa di-join di dashboard.
+     *
+     * @param array{from: int, to: int, timezone: string} $range Window dari StatsPeriod
+     * @param string $view 'daily' atau 'weekly'
+     * @return array<int, array{date: string, clicks: int, decision_a: int, decision_b: int}>
+     */
+    public static function getPeriodCounts(array $range, string $view = 'daily'): array
+    {
+        $dateExpr = StatsPeriod::bucketExpression($range, $view);
+
+        $rows = Database::fetchAll(
+            "SELECT
+                {$dateExpr} as date,
+                COUNT(*) as clicks,
+                SUM(CASE WHEN decision = 'A' THEN 1 ELSE 0 END) as decision_a,
+                SUM(CASE WHEN decision = 'B' THEN 1 ELSE 0 END) as decision_b
+             FROM logs
+             WHERE ts >= ? AND ts < ?
+             GROUP BY {$dateExpr}
+             ORDER BY date DESC
+             LIMIT 365",
+            [$range['from'], $range['to']]
+        );
+
+        return array_map(static fn (array $row): array => [
+            'date' => (string)$row['date'],
+            'clicks' => (int)$row['clicks'],
+            'decision_a' => (int)$row['decision_a'],
+            'decision_b' => (int)$row['decision_b'],
+        ], $rows);
+    }
+
+    /**
+     * Count clicks per country dengan A/B split untuk window dari StatsPeriod
+     *
+     * @param array{from: int, to: int} $range
+     * @return array<string, array{clicks: int, decision_a: int, decision_b: int}> Keyed by country code
+     */
+    public static function getCountryCounts(array $range): array
+    {
+        $rows = Database::fetchAll(
+            "SELECT
+                COALESCE(NULLIF(country_code, ''), 'XX') as country_code,
+                COUNT(*) as clicks,
+                SUM(CASE WHEN decision = 'A' THEN 1 ELSE 0 END) as decision_a,
+                SUM(CASE WHEN decision = 'B' THEN 1 ELSE 0 END) as decision_b
+             FROM logs
+             WHERE ts >= ? AND ts < ?
+             GROUP BY COALESCE(NULLIF(country_code, ''), 'XX')",
+            [$range['from'], $range['to']]
+        );
+
+        $counts = [];
+        foreach ($rows as $row) {
+            $counts[strtoupper((string)$row['country_code'])] = [
+                'clicks' => (int)$row['clicks'],
+                'decision_a' => (int)$row['decision_a'],
+                'decision_b' => (int)$row['decision_b'],
+            ];
+        }
+
+        return $counts;
+    }
+
     /**
      * Count logs by decision for today
      *
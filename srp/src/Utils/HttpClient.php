@@ -140,6 +140,138 @@ class HttpClient
         ];
     }
 
+    /**
+     * Send GET request dan kembalikan detail lengkap untuk debugging (test postback composer)
+     *
+     * Tidak melewati circuit breaker: request diagnostik harus tetap jalan saat
+     * breaker terbuka, dan hasilnya tidak mempengaruhi breaker.
+     *
+     * URL berasal dari user dan body response dikembalikan utuh, jadi host harus
+     * resolve ke IP publik (bukan private/loopback/link-local/reserved). IP yang
+     * sudah dicek di-pin lewat CURLOPT_RESOLVE (tidak ada DNS rebinding) dan
+     * redirect tidak diikuti; header Location dilaporkan apa adanya.
+     *
+     * @param string $url Target URL
+     * @param array $headers Additional headers
+     * @param int $timeout Timeout in seconds
+     * @param int $maxBody Batas body response yang dikembalikan (bytes)
+     * @return array{request: array, response: array, timing: array<string, int>, error: string}
+     */
+    public static function inspect(string $url, array $headers = [], int $timeout = 10, int $maxBody = 16384): array
+    {
+        $responseHeaders = [];
+        $parts = parse_url($url);
+        $scheme = strtolower((string)($parts['scheme'] ?? ''));
+        $host = (string)($parts['host'] ?? '');
+        $ip = in_array($scheme, ['http', 'https'], true) && $host !== '' ? self::resolvePublicIp($host) : null;
+
+        if ($ip === null) {
+            return [
+                'request' => ['method' => 'GET', 'url' => $url, 'headers' => []],
+                'response' => ['code' => 0, 'headers' => [], 'body' => '', 'truncated' => false, 'size' => 0, 'location' => '', 'ip' => ''],
+                'timing' => ['dns_ms' => 0, 'connect_ms' => 0, 'tls_ms' => 0, 'ttfb_ms' => 0, 'total_ms' => 0],
+                'error' => 'Host must resolve to a public IP address',
+            ];
+        }
+
+        $port = (int)($parts['port'] ?? ($scheme === 'https' ? 443 : 80));
+        $pinned = str_contains($ip, ':') ? '[' . $ip . ']' : $ip;
+        // IP literal tidak butuh DNS, jadi tidak perlu di-pin
+        $resolve = filter_var(trim($host, '[]'), FILTER_VALIDATE_IP) !== false ? [] : [$host . ':' . $port . ':' . $pinned];
+        $ch = curl_init($url);
+
+        curl_setopt_array($ch, [
+            CURLOPT_HTTPGET => true,
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_TIMEOUT => $timeout,
+            CURLOPT_CONNECTTIMEOUT => min($timeout, 3),
+            CURLOPT_FOLLOWLOCATION => false,
+            CURLOPT_PROTOCOLS => CURLPROTO_HTTP | CURLPROTO_HTTPS,
+            CURLOPT_RESOLVE => $resolve,
+            CURLOPT_PROXY => '',
+            CURLOPT_HTTPHEADER => $headers,
+            CURLINFO_HEADER_OUT => true,
+            // Header per response; reset di setiap status line (mis. 100 Continue)
+            CURLOPT_HEADERFUNCTION => static function ($ch, string $line) use (&$responseHeaders): int {
+                $trimmed = trim($line);
+                if (str_starts_with($trimmed, 'HTTP/')) {
+                    $responseHeaders = [];
+                } elseif ($trimmed !== '' && str_contains($trimmed, ':')) {
+                    [$name, $value] = explode(':', $trimmed, 2);
+                    $responseHeaders[] = ['name' => trim($name), 'value' => trim($value)];
+                }
+                return strlen($line);
+            },
+        ]);
+
+        $body = curl_exec($ch);
+        $info = curl_getinfo($ch);
+        $error = curl_error($ch);
+        curl_close($ch);
+
+        $ms = static fn (string $key): int => (int)round(((float)($info[$key] ?? 0)) * 1000);
+        $requestHeaders = array_values(array_filter(
+            preg_split('/\r?\n/', trim((string)($info['request_header'] ?? ''))) ?: [],
+            static fn (string $line): bool => $line !== ''
+        ));
+
+        return [
+            'request' => [
+                'method' => 'GET',
+                'url' => $url,
+                'headers' => $requestHeaders,
+            ],
+            'response' => [
+                'code' => (int)($info['http_code'] ?? 0),
+                'headers' => $responseHeaders,
+                'body' => is_string($body) ? substr($body, 0, $maxBody) : '',
+                'truncated' => is_string($body) && strlen($body) > $maxBody,
+                'size' => is_string($body) ? strlen($body) : 0,
+                'location' => (string)($info['redirect_url'] ?? ''),
+                'ip' => (string)($info['primary_ip'] ?? ''),
+            ],
+            'timing' => [
+                'dns_ms' => $ms('namelookup_time'),
+                'connect_ms' => $ms('connect_time'),
+                'tls_ms' => $ms('appconnect_time'),
+                'ttfb_ms' => $ms('starttransfer_time'),
+                'total_ms' => $ms('total_time'),
+            ],
+            'error' => $body === false || $error !== '' ? ($error ?: 'Unknown cURL error') : '',
+        ];
+    }
+
+    /**
+     * Resolve host dan pastikan semua alamatnya publik
+     *
+     * @param string $host Hostname atau IP literal (IPv6 boleh dalam [])
+     * @return string|null IP untuk di-pin, null jika tidak resolve atau ada alamat private/reserved
+     */
+    private static function resolvePublicIp(string $host): ?string
+    {
+        $host = trim($host, '[]');
+
+        if (filter_var($host, FILTER_VALIDATE_IP) !== false) {
+            $ips = [$host];
+        } else {
+            $ips = gethostbynamel($host) ?: [];
+            foreach (@dns_get_record($host, DNS_AAAA) ?: [] as $record) {
+                if (isset($record['ipv6'])) {
+                    $ips[] = $record['ipv6'];
+                }
+            }
+        }
+
+        // Satu alamat internal saja sudah cukup untuk menolak (round-robin DNS)
+        foreach ($ips as $ip) {
+            if (filter_var($ip, FILTER_VALIDATE_IP, FILTER_FLAG_NO_PRIV_RANGE | FILTER_FLAG_NO_RES_RANGE) === false) {
+                return null;
+            }
+        }
+
+        return $ips[0] ?? null;
+    }
+
     /**
      * Send HTTP request using file_get_contents (fallback for simple requests)
      *
@@ -0,0 +1,222 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Utils;
+
+use SRP\Config\Environment;
+
+/**
+ * Postback HMAC Signature
+ *
+ * Satu implementasi untuk postback-receiver-secure.php dan signature tester di
+ * dashboard, supaya canonical string yang diperiksa tester sama persis dengan
+ * yang diverifikasi receiver.
+ *
+ * Canonical string: field click_id, country, payout, status (setelah alias dan
+ * sanitasi seperti receiver) diurutkan per key lalu http_build_query. Payout
+ * ikut sebagai float PHP, jadi "1.50" ditandatangani sebagai "1.5".
+ */
+class PostbackSignature
+{
+    // Alias parameter yang diterima receiver, urutan = prioritas
+    public const ALIASES = [
+        'click_id' => ['click_id', 'clickid', 'cid', 's2'],
+        'status' => ['status', 'conversion_status', 'action'],
+        'payout' => ['payout', 'amount', 'revenue', 'commission'],
+        'country' => ['country', 'country_code', 'geo'],
+    ];
+
+    /**
+     * Ambil field yang ditandatangani dari parameter request
+     *
+     * @param array<string, mixed> $params
+     * @return array{click_id: string, status: string, payout: float, country: string}
+     */
+    public static function extract(array $params): array
+    {
+        return [
+            'click_id' => self::sanitize((string)self::param($params, 'click_id', ''), 100),
+            'status' => self::sanitize((string)self::param($params, 'status', 'confirmed'), 50),
+            'payout' => (float)self::param($params, 'payout', 0.00),
+            'country' => self::sanitize(strtoupper((string)self::param($params, 'country', 'XX')), 10),
+        ];
+    }
+
+    /**
+     * @param array<string, mixed> $fields Hasil extract()
+     * @return string
+     */
+    public static function canonical(array $fields): string
+    {
+        ksort($fields);
+
+        return http_build_query($fields);
+    }
+
+    /**
+     * @param array<string, mixed> $fields
+     * @param string $secret
+     * @return string Hex lowercase HMAC-SHA256
+     */
+    public static function sign(array $fields, string $secret): string
+    {
+        return hash_hmac('sha256', self::canonical($fields), $secret);
+    }
+
+    /**
+     * @param array<string, mixed> $fields
+     * @param string $signature
+     * @param string $secret
+     * @return bool
+     */
+    public static function verify(array $fields, string $signature, string $secret): bool
+    {
+        if ($secret === '') {
+            return false;
+        }
+
+        return hash_equals(self::sign($fields, $secret), $signature);
+    }
+
+    /**
+     * Jalankan cek receiver (kecuali IP whitelist) terhadap query string mentah
+     *
+     * @param string $raw URL lengkap atau query string
+     * @param string $headerSignature Nilai header X-Signature (opsional)
+     * @param string $headerApiKey Nilai header X-API-Key (opsional)
+     * @return array<string, mixed> fields, canonical, expected, provided, checks[{id, label, status, message}]
+     */
+    public static function diagnose(string $raw, string $headerSignature = '', string $headerApiKey = ''): array
+    {
+        $params = self::parseQuery($raw);
+        $fields = self::extract($params);
+        $canonical = self::canonical($fields);
+        $secret = Environment::get('POSTBACK_HMAC_SECRET', '');
+        $provided = (string)($params['signature'] ?? $headerSignature);
+        $expected = $secret !== '' ? self::sign($fields, $secret) : null;
+
+        $checks = [];
+
+        $requireKey = Environment::getBool('POSTBACK_REQUIRE_API_KEY', true);
+        $providedKey = $headerApiKey !== '' ? $headerApiKey : (string)($params['api_key'] ?? '');
+        $checks[] = [
+            'id' => 'api_key',
+            'label' => 'API key',
+            'status' => !$requireKey ? 'skip' : ($providedKey !== '' && hash_equals(Environment::get('POSTBACK_API_KEY', ''), $providedKey) ? 'pass' : 'fail'),
+            'message' => !$requireKey
+                ? 'POSTBACK_REQUIRE_API_KEY is off'
+                : ($providedKey === '' ? 'No api_key parameter or X-API-Key header' : 'Compared with POSTBACK_API_KEY'),
+        ];
+
+        if ($expected === null) {
+            $checks[] = [
+                'id' => 'signature',
+                'label' => 'HMAC signature',
+                'status' => 'skip',
+                'message' => 'POSTBACK_HMAC_SECRET is empty, so signatures are not checked',
+            ];
+        } elseif ($provided === '') {
+            $checks[] = [
+                'id' => 'signature',
+                'label' => 'HMAC signature',
+                'status' => 'fail',
+                'message' => 'No signature parameter or X-Signature header',
+            ];
+        } else {
+            $match = hash_equals($expected, $provided);
+            $checks[] = [
+                'id' => 'signature',
+                'label' => 'HMAC signature',
+                'status' => $match ? 'pass' : 'fail',
+                'message' => $match ? 'Signature matches' : self::explainMismatch($params, $provided, $expected, $secret),
+            ];
+        }
+
+        $checks[] = [
+            'id' => 'click_id',
+            'label' => 'click_id present',
+            'status' => $fields['click_id'] !== '' ? 'pass' : 'fail',
+            'message' => $fields['click_id'] !== '' ? '' : 'Missing click_id (accepted aliases: ' . implode(', ', self::ALIASES['click_id']) . ')',
+        ];
+
+        return [
+            'fields' => $fields,
+            'canonical' => $canonical,
+            'expected' => $expected,
+            'provided' => $provided,
+            'checks' => $checks,
+            'ok' => !in_array('fail', array_column($checks, 'status'), true),
+        ];
+    }
+
+    /**
+     * Parse URL lengkap atau query string seperti $_REQUEST (parse_str)
+     *
+     * @param string $raw
+     * @return array<string, mixed>
+     */
+    public static function parseQuery(string $raw): array
+    {
+        $raw = trim($raw);
+        // postback-receiver.php menyimpan "METHOD=GET | query"
+        $raw = (string)preg_replace('/^METHOD=\w+\s*\|\s*/', '', $raw);
+        if (str_contains($raw, '?')) {
+            $raw = substr($raw, strpos($raw, '?') + 1);
+        }
+        $raw = explode('#', $raw, 2)[0];
+
+        parse_str($raw, $params);
+
+        return $params;
+    }
+
+    /**
+     * Cari penyebab umum signature tidak cocok
+     *
+     * @param array<string, mixed> $params
+     */
+    private static function explainMismatch(array $params, string $provided, string $expected, string $secret): string
+    {
+        if (strcasecmp($provided, $expected) === 0) {
+            return 'Signature is uppercase hex; expected lowercase';
+        }
+
+        unset($params['signature'], $params['api_key']);
+        ksort($params);
+        if (hash_equals(hash_hmac('sha256', http_build_query($params), $secret), strtolower($provided))) {
+            return 'Network signed all query parameters; only click_id, country, payout and status are signed';
+        }
+
+        $rawPayout = self::param($params, 'payout', null);
+        if ($rawPayout !== null && (string)(float)$rawPayout !== (string)$rawPayout) {
+            return "Signature does not match. Note payout \"{$rawPayout}\" is signed as \"" . (float)$rawPayout . '"';
+        }
+
+        return 'Signature does not match the canonical string (wrong secret or different fields)';
+    }
+
+    /**
+     * @param array<string, mixed> $params
+     * @param mixed $default
+     * @return mixed
+     */
+    private static function param(array $params, string $field, mixed $default): mixed
+    {
+        foreach (self::ALIASES[$field] as $key) {
+            if (isset($params[$key]) && $params[$key] !== '') {
+                return $params[$key];
+            }
+        }
+
+        return $default;
+    }
+
+    private static function sanitize(string $value, int $maxLength): string
+    {
+        $value = trim($value);
+        $value = (string)preg_replace('/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/u', '', $value);
+
+        return mb_substr($value, 0, $maxLength, 'UTF-8');
+    }
+}
@@ -0,0 +1,236 @@
+<?php
+
+declare(strict_types=1);
+
+namespace SRP\Utils;
+
+use RuntimeException;
+
+/**
+ * Web Push Sender (RFC 8030 / 8291 / 8292)
+ *
+ * Implementasi minimal tanpa library: VAPID JWT (ES256) dan enkripsi payload
+ * aes128gcm memakai ext-openssl. Key disimpan sebagai base64url tanpa padding:
+ * public = titik P-256 uncompressed (65 byte), private = scalar d (32 byte),
+ * format yang sama dengan applicationServerKey di browser.
+ */
+class WebPush
+{
+    // SubjectPublicKeyInfo prefix untuk titik P-256 uncompressed (id-ecPublicKey + prime256v1)
+    private const P256_SPKI_PREFIX = '3059301306072a8648ce3d020106082a8648ce3d030107034200';
+
+    private const RECORD_SIZE = 4096;
+
+    /**
+     * Generate pasangan VAPID key baru
+     *
+     * @return array{public: string, private: string}
+     * @throws RuntimeException OpenSSL tidak mendukung EC P-256
+     */
+    public static function generateVapidKeys(): array
+    {
+        [, $public, $private] = self::createKeyPair();
+
+        return [
+            'public' => self::base64UrlEncode($public),
+            'private' => self::base64UrlEncode($private),
+        ];
+    }
+
+    /**
+     * Kirim satu push message
+     *
+     * @param array{endpoint: string, p256dh: string, auth: string} $subscription
+     * @param string $payload Biasanya JSON, maksimal ~3 KB
+     * @param array{public: string, private: string, subject: string} $vapid
+     * @param int $ttl Detik push service menyimpan pesan jika browser offline
+     * @param int $timeout
+     * @return array{code: int, error: string}
+     */
+    public static function send(array $subscription, string $payload, array $vapid, int $ttl = 3600, int $timeout = 5): array
+    {
+        $endpoint = $subscription['endpoint'];
+        if (!preg_match('#^https://[^/\s]+/#i', $endpoint)) {
+            return ['code' => 0, 'error' => 'Endpoint must be an HTTPS URL'];
+        }
+
+        try {
+            $body = self::encrypt(
+                $payload,
+                self::base64UrlDecode($subscription['p256dh']),
+                self::base64UrlDecode($subscription['auth'])
+            );
+            $authorization = self::vapidAuthorization($endpoint, $vapid);
+        } catch (RuntimeException $e) {
+            return ['code' => 0, 'error' => $e->getMessage()];
+        }
+
+        $ch = curl_init($endpoint);
+        curl_setopt_array($ch, [
+            CURLOPT_POST => true,
+            CURLOPT_POSTFIELDS => $body,
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_TIMEOUT => $timeout,
+            CURLOPT_CONNECTTIMEOUT => min($timeout, 3),
+            CURLOPT_PROTOCOLS => CURLPROTO_HTTPS,
+            CURLOPT_HTTPHEADER => [
+                'Content-Type: application/octet-stream',
+                'Content-Encoding: aes128gcm',
+                'TTL: ' . $ttl,
+                'Urgency: high',
+                'Authorization: ' . $authorization,
+            ],
+        ]);
+
+        $response = curl_exec($ch);
+        $code = (int)curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $error = curl_error($ch);
+        curl_close($ch);
+
+        if ($error === '' && ($code < 200 || $code >= 300)) {
+            $error = 'HTTP ' . $code . (is_string($response) && $response !== '' ? ': ' . substr($response, 0, 200) : '');
+        }
+
+        return ['code' => $code, 'error' => $error];
+    }
+
+    /**
+     * Validasi key dari PushSubscription.toJSON() browser
+     *
+     * @param string $p256dh
+     * @param string $auth
+     * @return bool
+     */
+    public static function isValidSubscriptionKeys(string $p256dh, string $auth): bool
+    {
+        $public = self::base64UrlDecode($p256dh);
+
+        return strlen($public) === 65 && $public[0] === "\x04" && strlen(self::base64UrlDecode($auth)) === 16;
+    }
+
+    public static function base64UrlEncode(string $data): string
+    {
+        return rtrim(strtr(base64_encode($data), '+/', '-_'), '=');
+    }
+
+    public static function base64UrlDecode(string $data): string
+    {
+        return (string)base64_decode(strtr($data, '-_', '+/'), true);
+    }
+
+    /**
+     * Enkripsi payload aes128gcm satu record (RFC 8291 section 3.4)
+     *
+     * @throws RuntimeException
+     */
+    private static function encrypt(string $payload, string $userPublic, string $authSecret): string
+    {
+        if (strlen($userPublic) !== 65 || strlen($authSecret) !== 16) {
+            throw new RuntimeException('Invalid subscription keys');
+        }
+
+        [$serverKey, $serverPublic] = self::createKeyPair();
+        $sharedSecret = openssl_pkey_derive(self::publicKeyPem($userPublic), $serverKey, 32);
+        if ($sharedSecret === false) {
+            throw new RuntimeException('ECDH key agreement failed');
+        }
+
+        $salt = random_bytes(16);
+        $ikm = hash_hkdf('sha256', $sharedSecret, 32, "WebPush: info\x00" . $userPublic . $serverPublic, $authSecret);
+        $cek = hash_hkdf('sha256', $ikm, 16, "Content-Encoding: aes128gcm\x00", $salt);
+        $nonce = hash_hkdf('sha256', $ikm, 12, "Content-Encoding: nonce\x00", $salt);
+
+        // 0x02 = delimiter record terakhir, tanpa padding
+        $tag = '';
+        $ciphertext = openssl_encrypt($payload . "\x02", 'aes-128-gcm', $cek, OPENSSL_RAW_DATA, $nonce, $tag);
+        if ($ciphertext === false) {
+            throw new RuntimeException('Payload encryption failed');
+        }
+
+        return $salt . pack('N', self::RECORD_SIZE) . chr(strlen($serverPublic)) . $serverPublic . $ciphertext . $tag;
+    }
+
+    /**
+     * Header Authorization "vapid t=<jwt>, k=<public key>" (RFC 8292)
+     *
+     * @param array{public: string, private: string, subject: string} $vapid
+     * @throws RuntimeException
+     */
+    private static function vapidAuthorization(string $endpoint, array $vapid): string
+    {
+        $parts = parse_url($endpoint);
+        $audience = $parts['scheme'] . '://' . $parts['host'] . (isset($parts['port']) ? ':' . $parts['port'] : '');
+
+        $header = self::base64UrlEncode((string)json_encode(['typ' => 'JWT', 'alg' => 'ES256']));
+        $claims = self::base64UrlEncode((string)json_encode([
+            'aud' => $audience,
+            'exp' => time() + 12 * 3600,
+            'sub' => $vapid['subject'],
+        ], JSON_UNESCAPED_SLASHES));
+
+        $publicKey = self::base64UrlDecode($vapid['public']);
+        $privateKey = openssl_pkey_get_private(self::privateKeyPem(self::base64UrlDecode($vapid['private']), $publicKey));
+        if ($privateKey === false || !openssl_sign("{$header}.{$claims}", $derSignature, $privateKey, OPENSSL_ALGO_SHA256)) {
+            throw new RuntimeException('Invalid VAPID private key');
+        }
+
+        $jwt = "{$header}.{$claims}." . self::base64UrlEncode(self::derToRawSignature($derSignature));
+
+        return "vapid t={$jwt}, k={$vapid['public']}";
+    }
+
+    /**
+     * @return array{0: \OpenSSLAsymmetricKey, 1: string, 2: string} key, public (65 byte), private d (32 byte)
+     * @throws RuntimeException
+     */
+    private static function createKeyPair(): array
+    {
+        $key = openssl_pkey_new(['private_key_type' => OPENSSL_KEYTYPE_EC, 'curve_name' => 'prime256v1']);
+        $details = $key !== false ? openssl_pkey_get_details($key) : false;
+        if ($details === false || !isset($details['ec']['x'], $details['ec']['d'])) {
+            throw new RuntimeException('OpenSSL does not support P-256 keys');
+        }
+
+        $pad = static fn (string $value): string => str_pad($value, 32, "\x00", STR_PAD_LEFT);
+        $public = "\x04" . $pad($details['ec']['x']) . $pad($details['ec']['y']);
+
+        return [$key, $public, $pad($details['ec']['d'])];
+    }
+
+    private static function publicKeyPem(string $point): string
+    {
+        return self::pem('PUBLIC KEY', hex2bin(self::P256_SPKI_PREFIX) . $point);
+    }
+
+    // SEC1 ECPrivateKey: version 1, d, [0] prime256v1, [1] public point
+    private static function privateKeyPem(string $d, string $point): string
+    {
+        $der = "\x30\x77\x02\x01\x01\x04\x20" . $d
+            . "\xa0\x0a\x06\x08" . hex2bin('2a8648ce3d030107')
+            . "\xa1\x44\x03\x42\x00" . $point;
+
+        return self::pem('EC PRIVATE KEY', $der);
+    }
+
+    private static function pem(string $label, string $der): string
+    {
+        return "-----BEGIN {$label}-----\n" . chunk_split(base64_encode($der), 64, "\n") . "-----END {$label}-----\n";
+    }
+
+    /**
+     * ECDSA signature DER (SEQUENCE { r, s }) -> r || s masing-masing 32 byte untuk JWS
+     */
+    private static function derToRawSignature(string $der): string
+    {
+        $offset = 2;
+        $integers = [];
+        for ($i = 0; $i < 2; $i++) {
+            $length = ord($der[$offset + 1]);
+            $value = ltrim(substr($der, $offset + 2, $length), "\x00");
+            $integers[] = str_pad($value, 32, "\x00", STR_PAD_LEFT);
+            $offset += 2 + $length;
+        }
+
+        return $integers[0] . $integers[1];
+    }
+}
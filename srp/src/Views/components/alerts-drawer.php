@@ -0,0 +1,169 @@
+<!-- Alerts Drawer -->
+<!-- Rules dievaluasi di browser setiap 15 detik; feed + rules disimpan di localStorage -->
+<div x-show="alertsOpen" x-cloak
+     class="fixed inset-0 z-40"
+     role="dialog" aria-modal="true" aria-labelledby="alerts-drawer-title"
+     @keydown.escape.window="alertsOpen = false">
+    <div class="absolute inset-0 bg-black/30" x-show="alertsOpen" x-transition.opacity @click="alertsOpen = false"></div>
+
+    <aside class="absolute inset-y-0 right-0 flex w-full max-w-md flex-col bg-white shadow-xl"
+           x-show="alertsOpen"
+           x-transition:enter="transition ease-out duration-200"
+           x-transition:enter-start="translate-x-full"
+           x-transition:enter-end="translate-x-0"
+           x-transition:leave="transition ease-in duration-150"
+           x-transition:leave-start="translate-x-0"
+           x-transition:leave-end="translate-x-full">
+        <div class="flex items-center justify-between gap-2 border-b p-3">
+            <div>
+                <h3 id="alerts-drawer-title" class="text-sm font-semibold">Alerts</h3>
+                <p class="text-[11px] text-muted-foreground">Checked every 15s while this dashboard is open.</p>
+            </div>
+            <button type="button" class="btn btn-sm btn-ghost" @click="alertsOpen = false" aria-label="Close alerts">&times;</button>
+        </div>
+
+        <div class="flex-1 overflow-y-auto scroll-logs p-3 space-y-5">
+            <!-- Browser notifications -->
+            <div class="rounded border p-2 text-[11px]" x-show="notificationPermission !== 'granted'">
+                <template x-if="notificationPermission === 'default'">
+                    <div class="flex items-center justify-between gap-2">
+                        <span>Allow browser notifications to get alerts while this tab is in the background.</span>
+                        <button type="button" class="btn btn-sm btn-default text-[11px]" @click="requestNotificationPermission()">Enable</button>
+                    </div>
+                </template>
+                <p x-show="notificationPermission === 'denied'" class="text-muted-foreground">
+                    Notifications are blocked for this site. Alerts only show in the feed below.
+                </p>
+                <p x-show="notificationPermission === 'unsupported'" class="text-muted-foreground">
+                    This browser does not support notifications. Alerts only show in the feed below.
+                </p>
+            </div>
+
+            <!-- Feed -->
+            <section class="space-y-2">
+                <div class="flex items-center justify-between">
+                    <h4 class="text-xs font-semibold">
+                        Feed <span class="font-normal text-muted-foreground" x-text="'(' + unacknowledgedAlertCount + ' new)'"></span>
+                    </h4>
+                    <div class="flex gap-1" x-show="alertFeed.length">
+                        <button type="button" class="btn btn-sm btn-ghost text-[11px]" @click="acknowledgeAllAlerts()"
+                                :disabled="!unacknowledgedAlertCount">Acknowledge all</button>
+                        <button type="button" class="btn btn-sm btn-ghost text-[11px]" @click="clearAlertFeed()">Clear</button>
+                    </div>
+                </div>
+                <p class="text-[11px] text-muted-foreground" x-show="!alertFeed.length">No alerts fired yet.</p>
+                <template x-for="entry in alertFeed" :key="entry.id">
+                    <div class="rounded border p-2 text-[11px]" :class="!entry.acknowledged && 'border-amber-400 bg-amber-50'">
+                        <div class="flex items-center justify-between gap-2">
+                            <span class="font-medium" x-text="entry.name"></span>
+                            <span class="text-muted-foreground" :title="fmtTitle(entry.ts)" x-text="fmtRelative(entry.ts) || fmt(entry.ts)"></span>
+                        </div>
+                        <p class="mt-0.5 text-muted-foreground" x-text="entry.message"></p>
+                        <div class="mt-1 flex flex-wrap items-center gap-1" x-show="!entry.acknowledged">
+                            <button type="button" class="btn btn-sm btn-outline text-[11px]" @click="acknowledgeAlert(entry)">Acknowledge</button>
+                            <template x-for="minutes in alertSnoozeMinutes" :key="minutes">
+                                <button type="button" class="btn btn-sm btn-ghost text-[11px]"
+                                        @click="snoozeAlert(entry, minutes)"
+                                        x-text="'Snooze ' + (minutes < 60 ? minutes + 'm' : minutes / 60 + 'h')"></button>
+                            </template>
+                        </div>
+                    </div>
+                </template>
+            </section>
+
+            <!-- Rules -->
+            <section class="space-y-2">
+                <div class="flex items-center justify-between gap-2">
+                    <h4 class="text-xs font-semibold">Rules</h4>
+                    <select class="input input-sm h-7 w-auto text-[11px]" x-model="alertPreset" @change="addAlertRule(alertPreset)">
+                        <option value="">Add rule...</option>
+                        <template x-for="(preset, i) in alertPresets" :key="i">
+                            <option :value="i" x-text="preset.name"></option>
+                        </template>
+                    </select>
+                </div>
+                <p class="text-[11px] text-muted-foreground" x-show="!alertRules.length">No rules yet. Pick a preset to start.</p>
+
+                <template x-for="rule in alertRules" :key="rule.id">
+                    <div class="space-y-1.5 rounded border p-2 text-[11px]" :class="!rule.enabled && 'opacity-60'">
+                        <div class="flex items-center gap-2">
+                            <input type="checkbox" x-model="rule.enabled" @change="updateAlertRule(rule)" aria-label="Rule enabled">
+                            <input type="text" class="input h-7 text-[11px]" placeholder="Rule name"
+                                   x-model="rule.name" @change="updateAlertRule(rule)">
+                            <button type="button" class="btn btn-sm btn-ghost text-destructive" @click="removeAlertRule(rule.id)" aria-label="Delete rule">&times;</button>
+                        </div>
+                        <div class="grid grid-cols-[1fr_56px_64px_72px] gap-1">
+                            <select class="input h-7 text-[11px]" x-model="rule.metric" @change="rule.window = alertMetrics[rule.metric].defaultWindow; updateAlertRule(rule)">
+                                <template x-for="(metric, key) in alertMetrics" :key="key">
+                                    <option :value="key" :selected="key === rule.metric" x-text="metric.label"></option>
+                                </template>
+                            </select>
+                            <select class="input h-7 text-[11px]" x-model="rule.op" @change="updateAlertRule(rule)">
+                                <template x-for="op in alertOperators" :key="op">
+                                    <option :value="op" :selected="op === rule.op" x-text="op"></option>
+                                </template>
+                            </select>
+                            <input type="number" class="input h-7 text-[11px]" step="any" aria-label="Threshold"
+                                   x-model.number="rule.threshold" @change="updateAlertRule(rule)">
+                            <input type="number" class="input h-7 text-[11px]" min="1" aria-label="Window"
+                                   :placeholder="alertMetrics[rule.metric].window === 'hits' ? 'hits' : 'min'"
+                                   x-show="alertMetrics[rule.metric].window"
+                                   x-model.number="rule.window" @change="updateAlertRule(rule)">
+                        </div>
+                        <div class="flex flex-wrap items-center justify-between gap-1 text-muted-foreground">
+                            <span x-text="alertRuleDescription(rule)"></span>
+                            <span x-show="alertRuleValue(rule) !== ''" x-text="'Now: ' + alertRuleValue(rule)"></span>
+                        </div>
+                        <p class="text-destructive" x-show="alertRuleErrors(rule).length" x-text="alertRuleErrors(rule)[0]"></p>
+                        <p class="flex items-center gap-1 text-amber-700" x-show="rule.snoozedUntil * 1000 > nowTick">
+                            <span x-text="'Snoozed until ' + fmt(rule.snoozedUntil)"></span>
+                            <button type="button" class="underline" @click="unsnoozeAlertRule(rule)">Resume</button>
+                        </p>
+                    </div>
+                </template>
+            </section>
+
+            <!-- Web Push: dikirim server, tetap sampai walau dashboard ditutup -->
+            <section class="space-y-2">
+                <div class="flex items-center justify-between">
+                    <h4 class="text-xs font-semibold">Push notifications</h4>
+                    <span class="text-[10px] text-muted-foreground" x-show="push.configured"
+                          x-text="push.subscribers + ' browser' + (push.subscribers === 1 ? '' : 's') + ' subscribed'"></span>
+                </div>
+                <p class="text-[11px] text-muted-foreground">
+                    Sent by the server for critical events, even when this dashboard is closed.
+                </p>
+
+                <p class="text-[11px] text-muted-foreground" x-show="!push.supported">
+                    This browser does not support Web Push.
+                </p>
+
+                <template x-if="push.supported && push.loaded && !push.configured">
+                    <div class="flex items-center justify-between gap-2 rounded border p-2 text-[11px]">
+                        <span>Push needs a VAPID key pair on the server.</span>
+                        <button type="button" class="btn btn-sm btn-default text-[11px]" :disabled="push.busy" @click="generatePushKeys()">Generate keys</button>
+                    </div>
+                </template>
+
+                <div class="space-y-2 rounded border p-2 text-[11px]" x-show="push.supported && push.configured">
+                    <template x-for="(event, key) in push.events" :key="key">
+                        <label class="flex items-center gap-2">
+                            <input type="checkbox" :value="key" x-model="push.selected">
+                            <span x-text="event.label"></span>
+                        </label>
+                    </template>
+                    <div class="flex items-center gap-2" x-show="push.selected.includes('large_conversion')">
+                        <label class="text-muted-foreground" for="push-min-payout">Large conversion from $</label>
+                        <input id="push-min-payout" type="number" class="input h-7 w-24 text-[11px]" min="0" step="0.01" x-model.number="push.minPayout">
+                    </div>
+                    <div class="flex flex-wrap items-center gap-1 pt-1">
+                        <button type="button" class="btn btn-sm btn-default text-[11px]" :disabled="push.busy" @click="savePushSubscription()"
+                                x-text="push.subscribed ? 'Save' : 'Enable on this browser'"></button>
+                        <button type="button" class="btn btn-sm btn-outline text-[11px]" x-show="push.subscribed" :disabled="push.busy" @click="testPush()">Send test</button>
+                        <button type="button" class="btn btn-sm btn-ghost text-[11px] text-destructive" x-show="push.subscribed" :disabled="push.busy" @click="unsubscribePush()">Disable</button>
+                    </div>
+                </div>
+            </section>
+        </div>
+    </aside>
+</div>
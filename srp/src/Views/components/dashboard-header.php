@@ -22,11 +22,87 @@
                 <span x-text="cfg.system_on ? (muteStatus.isMuted ? 'Muted' : 'Active') : 'Offline'"></span>
             </div>
 
+            <div class="hidden items-center gap-1.5 rounded-md border px-2 py-1 text-[11px] font-medium sm:flex"
+                 :title="liveState === 'polling'
+                    ? 'Live stream unavailable - polling every ' + autoRefreshInterval + 's'
+                    : (liveState === 'stale' ? 'No updates received recently' : 'Live updates')"
+                 role="status"
+                 aria-live="polite">
+                <span class="h-1.5 w-1.5 rounded-full"
+                      :class="{
+                        'bg-emerald-500 animate-pulse': liveState === 'live',
+                        'bg-amber-500': liveState === 'stale' || liveState === 'polling',
+                        'bg-sky-500 animate-pulse': liveState === 'connecting',
+                        'bg-gray-400': liveState === 'offline'
+                      }"></span>
+                <span x-text="getLiveLabel()"></span>
+            </div>
+
+            <!-- Display timezone -->
+            <div class="relative" x-data="{ tzOpen: false }" @click.outside="tzOpen = false" @keydown.escape="tzOpen = false">
+                <button type="button"
+                        class="btn btn-ghost btn-sm text-[11px] font-medium"
+                        @click="tzOpen = !tzOpen; if (tzOpen) timezoneInput = displayTimezone === 'browser' || displayTimezone === 'app' ? '' : displayTimezone"
+                        :aria-expanded="tzOpen"
+                        aria-haspopup="dialog"
+                        :title="'Timestamps shown in ' + timezoneLabel">
+                    <svg class="h-3.5 w-3.5 sm:mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                    </svg>
+                    <span class="hidden sm:inline" x-text="timezoneOffset"></span>
+                </button>
+                <div x-show="tzOpen" x-cloak x-transition.opacity
+                     class="absolute right-0 z-50 mt-1 w-64 space-y-2 rounded-md border bg-white p-3 shadow-md"
+                     role="dialog" aria-label="Display timezone">
+                    <p class="text-[11px] font-medium">Display timezone</p>
+                    <div class="space-y-1 text-[12px]">
+                        <label class="flex items-center gap-2">
+                            <input type="radio" name="display-timezone" value="browser"
+                                   :checked="displayTimezone === 'browser'" @change="setDisplayTimezone('browser')">
+                            <span>Browser <span class="text-muted-foreground" x-text="'(' + browserTimezone + ')'"></span></span>
+                        </label>
+                        <label class="flex items-center gap-2">
+                            <input type="radio" name="display-timezone" value="app"
+                                   :checked="displayTimezone === 'app'" @change="setDisplayTimezone('app')">
+                            <span>APP_TIMEZONE <span class="text-muted-foreground" x-text="'(' + (envConfig.APP_TIMEZONE || 'UTC') + ')'"></span></span>
+                        </label>
+                    </div>
+                    <form class="flex gap-1" @submit.prevent="if (setDisplayTimezone(timezoneInput)) tzOpen = false">
+                        <input type="text" class="input h-8 text-[12px]" list="timezone-options"
+                               placeholder="Europe/Berlin" autocomplete="off" spellcheck="false"
+                               aria-label="IANA timezone"
+                               x-model="timezoneInput">
+                        <button type="submit" class="btn btn-default btn-sm text-[11px]">Use</button>
+                    </form>
+                    <datalist id="timezone-options">
+                        <template x-for="zone in timezoneOptions" :key="zone">
+                            <option :value="zone"></option>
+                        </template>
+                    </datalist>
+                    <p class="text-[10px] text-muted-foreground">
+                        Applies to all timestamps and to daily/weekly stats buckets.
+                    </p>
+                </div>
+            </div>
+
+            <button type="button"
+                    @click="alertsOpen = true"
+                    class="btn btn-ghost btn-icon relative"
+                    :title="unacknowledgedAlertCount ? unacknowledgedAlertCount + ' unacknowledged alert(s)' : 'Alerts'"
+                    aria-label="Open alerts">
+                <svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"></path>
+                </svg>
+                <span x-show="unacknowledgedAlertCount" x-cloak
+                      class="absolute -right-0.5 -top-0.5 min-w-[16px] rounded-full bg-destructive px-1 text-center text-[10px] font-semibold leading-4 text-white"
+                      x-text="unacknowledgedAlertCount > 9 ? '9+' : unacknowledgedAlertCount"></span>
+            </button>
+
             <button type="button"
                     @click="toggleAutoRefresh()"
                     class="btn btn-ghost btn-icon"
-                    :title="autoRefreshEnabled ? 'Pause auto-refresh' : 'Resume auto-refresh'"
-                    aria-label="Toggle auto-refresh">
+                    :title="autoRefreshEnabled ? 'Pause live updates' : 'Resume live updates'"
+                    aria-label="Toggle live updates">
                 <svg x-show="autoRefreshEnabled" class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 9v6m4-6v6m7-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
                 </svg>
@@ -1,6 +1,8 @@
 <!-- Comprehensive Environment Configuration Tab -->
 <div x-show="activeTab === 'env-config'" x-cloak>
     <div class="space-y-4">
+        <?php $publishScope = 'env'; require __DIR__ . '/ui/publish-bar.php'; ?>
+
         <!-- Header -->
         <div class="flex items-center justify-between">
             <div>
@@ -10,6 +12,46 @@
                 </p>
             </div>
             <div class="flex items-center gap-2">
+                <button
+                    type="button"
+                    class="btn btn-sm btn-ghost border"
+                    @click="openHistory('env')"
+                    title="Version history and rollback">
+                    <svg class="h-3 w-3 md:mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                    </svg>
+                    <span class="hidden md:inline text-xs">History</span>
+                </button>
+                <div class="relative" x-data="{ envExportOpen: false }" @click.outside="envExportOpen = false" @keydown.escape="envExportOpen = false">
+                    <button
+                        type="button"
+                        class="btn btn-sm btn-ghost border"
+                        @click="envExportOpen = !envExportOpen"
+                        :aria-expanded="envExportOpen"
+                        aria-haspopup="menu"
+                        title="Download or load a .env file">
+                        <svg class="h-3 w-3 md:mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"></path>
+                        </svg>
+                        <span class="hidden md:inline text-xs">.env File</span>
+                    </button>
+                    <div x-show="envExportOpen" x-cloak x-transition.opacity
+                         class="absolute right-0 z-20 mt-1 w-48 rounded-md border bg-white p-1 shadow-md"
+                         role="menu">
+                        <button type="button" role="menuitem"
+                                class="w-full rounded px-2 py-1.5 text-left text-[12px] hover:bg-muted"
+                                @click="envExportOpen = false; exportEnvFile(true)">Export (secrets redacted)</button>
+                        <button type="button" role="menuitem"
+                                class="w-full rounded px-2 py-1.5 text-left text-[12px] hover:bg-muted"
+                                @click="envExportOpen = false; exportEnvFile(false)">Export with revealed secrets</button>
+                        <label role="menuitem"
+                               class="block w-full cursor-pointer rounded px-2 py-1.5 text-left text-[12px] hover:bg-muted">
+                            Import .env…
+                            <input type="file" class="hidden" accept=".env,.txt,text/plain"
+                                   @change="envExportOpen = false; importEnvFile($event)">
+                        </label>
+                    </div>
+                </div>
                 <button
                     type="button"
                     class="btn btn-sm btn-ghost border"
@@ -28,19 +70,36 @@
                 <button
                     type="button"
                     class="btn btn-sm btn-primary"
-                    @click="saveEnvConfig()"
-                    :disabled="isSavingEnv">
+                    @click="openPublish('env')"
+                    :disabled="isSavingEnv || !hasUnpublishedEnv">
                     <svg x-show="isSavingEnv" class="h-3 w-3 mr-1 animate-spin" fill="none" viewBox="0 0 24 24">
                         <circle class="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" stroke-width="4"></circle>
                         <path class="opacity-75" d="M4 12a8 8 0 0 1 8-8" stroke="currentColor" stroke-width="4" stroke-linecap="round"></path>
                     </svg>
-                    <span x-text="isSavingEnv ? 'Saving...' : 'Save All Changes'"></span>
+                    <span x-text="isSavingEnv ? 'Publishing...' : 'Publish Changes'"></span>
                 </button>
             </div>
         </div>
 
         <!-- Accordion Sections -->
         <div class="space-y-2" x-data="{ activeSection: 'database' }">
+            <!-- Validation Summary (ENV_SCHEMA) -->
+            <div class="card border-destructive/60 p-3" x-show="envErrorList.length" x-cloak role="alert">
+                <p class="text-[11px] font-semibold text-destructive"
+                   x-text="envErrorList.length + ' invalid value' + (envErrorList.length === 1 ? '' : 's') + ', publishing is blocked until fixed'"></p>
+                <ul class="mt-1 space-y-0.5">
+                    <template x-for="error in envErrorList" :key="error.key">
+                        <li class="text-[10px]">
+                            <button type="button" class="text-left hover:underline" @click="activeSection = error.group">
+                                <span class="text-muted-foreground" x-text="error.groupLabel + ' ›'"></span>
+                                <span class="font-medium" x-text="error.label"></span>
+                                <span class="font-mono text-muted-foreground" x-text="'(' + error.key + ')'"></span>:
+                                <span class="text-destructive" x-text="error.message"></span>
+                            </button>
+                        </li>
+                    </template>
+                </ul>
+            </div>
 
             <!-- 1. Database Configuration -->
             <div class="card">
@@ -53,7 +112,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4m0 5c0 2.21-3.582 4-8 4s-8-1.79-8-4"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">Database Configuration</h3>
+                            <h3 class="text-xs font-semibold">Database Configuration <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('database')" x-text="envGroupErrorCount('database')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">MySQL connection settings</p>
                         </div>
                     </div>
@@ -65,23 +124,26 @@
                     <div class="grid grid-cols-2 gap-2">
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Host</label>
-                            <input type="text" class="input input-sm w-full" x-model="envConfig.DB_HOST" placeholder="localhost">
+                            <input type="text" class="input input-sm w-full" x-model="envConfig.DB_HOST" :class="envErrors.DB_HOST && 'border-destructive'" placeholder="localhost">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.DB_HOST" x-text="envErrors.DB_HOST" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Port</label>
-                            <input type="number" class="input input-sm w-full" x-model="envConfig.DB_PORT" placeholder="3306">
+                            <input type="number" class="input input-sm w-full" x-model="envConfig.DB_PORT" :class="envErrors.DB_PORT && 'border-destructive'" placeholder="3306">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.DB_PORT" x-text="envErrors.DB_PORT" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Database Name</label>
-                            <input type="text" class="input input-sm w-full" x-model="envConfig.DB_NAME" placeholder="gassstea_srp">
+                            <input type="text" class="input input-sm w-full" x-model="envConfig.DB_NAME" :class="envErrors.DB_NAME && 'border-destructive'" placeholder="gassstea_srp">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.DB_NAME" x-text="envErrors.DB_NAME" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Username</label>
-                            <input type="text" class="input input-sm w-full" x-model="envConfig.DB_USER" placeholder="gassstea_srp">
+                            <input type="text" class="input input-sm w-full" x-model="envConfig.DB_USER" :class="envErrors.DB_USER && 'border-destructive'" placeholder="gassstea_srp">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.DB_USER" x-text="envErrors.DB_USER" x-cloak></p>
                         </div>
                         <div class="col-span-2">
-                            <label class="block text-[10px] font-medium mb-1">Password</label>
-                            <input type="password" class="input input-sm w-full" x-model="envConfig.DB_PASS" placeholder="••••••••">
+                            <?php $secretKey = 'DB_PASS'; $secretLabel = 'Password'; $secretPlaceholder = '••••••••'; $secretRotate = false; require __DIR__ . '/ui/secret-field.php'; ?>
                         </div>
                     </div>
                     <button type="button" class="btn btn-ghost border btn-sm text-[10px] mt-2" @click="testDatabaseConnection()" :disabled="isTestingDb">
@@ -105,7 +167,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9a9 9 0 01-9-9m9 9c1.657 0 3-4.03 3-9s-1.343-9-3-9m0 18c-1.657 0-3-4.03-3-9s1.343-9 3-9m-9 9a9 9 0 019-9"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">Domain Configuration</h3>
+                            <h3 class="text-xs font-semibold">Domain Configuration <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('domains')" x-text="envGroupErrorCount('domains')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">Brand and tracking domain URLs</p>
                         </div>
                     </div>
@@ -121,11 +183,13 @@
                             <div class="grid grid-cols-2 gap-2">
                                 <div>
                                     <label class="block text-[10px] font-medium mb-1">Main URL</label>
-                                    <input type="url" class="input input-sm w-full" x-model="envConfig.APP_URL" placeholder="https://trackng.app">
+                                    <input type="url" class="input input-sm w-full" x-model="envConfig.APP_URL" :class="envErrors.APP_URL && 'border-destructive'" placeholder="https://trackng.app">
+                                    <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.APP_URL" x-text="envErrors.APP_URL" x-cloak></p>
                                 </div>
                                 <div>
                                     <label class="block text-[10px] font-medium mb-1">Panel URL</label>
-                                    <input type="url" class="input input-sm w-full" x-model="envConfig.APP_PANEL_URL" placeholder="https://panel.trackng.app">
+                                    <input type="url" class="input input-sm w-full" x-model="envConfig.APP_PANEL_URL" :class="envErrors.APP_PANEL_URL && 'border-destructive'" placeholder="https://panel.trackng.app">
+                                    <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.APP_PANEL_URL" x-text="envErrors.APP_PANEL_URL" x-cloak></p>
                                 </div>
                             </div>
                         </div>
@@ -135,23 +199,28 @@
                             <div class="grid grid-cols-2 gap-2">
                                 <div>
                                     <label class="block text-[10px] font-medium mb-1">Primary Domain</label>
-                                    <input type="text" class="input input-sm w-full" x-model="envConfig.TRACKING_PRIMARY_DOMAIN" placeholder="qvtrk.com">
+                                    <input type="text" class="input input-sm w-full" x-model="envConfig.TRACKING_PRIMARY_DOMAIN" :class="envErrors.TRACKING_PRIMARY_DOMAIN && 'border-destructive'" placeholder="qvtrk.com">
+                                    <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.TRACKING_PRIMARY_DOMAIN" x-text="envErrors.TRACKING_PRIMARY_DOMAIN" x-cloak></p>
                                 </div>
                                 <div>
                                     <label class="block text-[10px] font-medium mb-1">Tracking URL</label>
-                                    <input type="url" class="input input-sm w-full" x-model="envConfig.TRACKING_DOMAIN" placeholder="https://qvtrk.com">
+                                    <input type="url" class="input input-sm w-full" x-model="envConfig.TRACKING_DOMAIN" :class="envErrors.TRACKING_DOMAIN && 'border-destructive'" placeholder="https://qvtrk.com">
+                                    <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.TRACKING_DOMAIN" x-text="envErrors.TRACKING_DOMAIN" x-cloak></p>
                                 </div>
                                 <div>
                                     <label class="block text-[10px] font-medium mb-1">Redirect URL</label>
-                                    <input type="url" class="input input-sm w-full" x-model="envConfig.TRACKING_REDIRECT_URL" placeholder="https://t.qvtrk.com">
+                                    <input type="url" class="input input-sm w-full" x-model="envConfig.TRACKING_REDIRECT_URL" :class="envErrors.TRACKING_REDIRECT_URL && 'border-destructive'" placeholder="https://t.qvtrk.com">
+                                    <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.TRACKING_REDIRECT_URL" x-text="envErrors.TRACKING_REDIRECT_URL" x-cloak></p>
                                 </div>
                                 <div>
                                     <label class="block text-[10px] font-medium mb-1">Decision API</label>
-                                    <input type="url" class="input input-sm w-full" x-model="envConfig.TRACKING_DECISION_API" placeholder="https://api.qvtrk.com">
+                                    <input type="url" class="input input-sm w-full" x-model="envConfig.TRACKING_DECISION_API" :class="envErrors.TRACKING_DECISION_API && 'border-destructive'" placeholder="https://api.qvtrk.com">
+                                    <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.TRACKING_DECISION_API" x-text="envErrors.TRACKING_DECISION_API" x-cloak></p>
                                 </div>
                                 <div class="col-span-2">
                                     <label class="block text-[10px] font-medium mb-1">Postback URL</label>
-                                    <input type="url" class="input input-sm w-full" x-model="envConfig.TRACKING_POSTBACK_URL" placeholder="https://postback.qvtrk.com">
+                                    <input type="url" class="input input-sm w-full" x-model="envConfig.TRACKING_POSTBACK_URL" :class="envErrors.TRACKING_POSTBACK_URL && 'border-destructive'" placeholder="https://postback.qvtrk.com">
+                                    <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.TRACKING_POSTBACK_URL" x-text="envErrors.TRACKING_POSTBACK_URL" x-cloak></p>
                                 </div>
                             </div>
                         </div>
@@ -170,7 +239,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">API Keys & Authentication</h3>
+                            <h3 class="text-xs font-semibold">API Keys & Authentication <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('apikeys')" x-text="envGroupErrorCount('apikeys')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">Secure API access keys</p>
                         </div>
                     </div>
@@ -180,56 +249,14 @@
                 </button>
                 <div x-show="activeSection === 'apikeys'" x-collapse class="border-t p-3">
                     <div class="space-y-2">
-                        <div>
-                            <label class="block text-[10px] font-medium mb-1">Internal API Key</label>
-                            <div class="flex gap-1">
-                                <input :type="showInternalKey ? 'text' : 'password'" class="input input-sm flex-1 font-mono text-[10px]" x-model="envConfig.API_KEY_INTERNAL" placeholder="32 character key">
-                                <button type="button" class="btn btn-sm btn-ghost" @click="showInternalKey = !showInternalKey">
-                                    <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path x-show="!showInternalKey" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"></path>
-                                        <path x-show="showInternalKey" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21"></path>
-                                    </svg>
-                                </button>
-                                <button type="button" class="btn btn-sm btn-ghost" @click="generateApiKey('internal')">
-                                    <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
-                                    </svg>
-                                </button>
-                            </div>
-                        </div>
-                        <div>
-                            <label class="block text-[10px] font-medium mb-1">External API Key</label>
-                            <div class="flex gap-1">
-                                <input :type="showExternalKey ? 'text' : 'password'" class="input input-sm flex-1 font-mono text-[10px]" x-model="envConfig.API_KEY_EXTERNAL" placeholder="32 character key">
-                                <button type="button" class="btn btn-sm btn-ghost" @click="showExternalKey = !showExternalKey">
-                                    <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path x-show="!showExternalKey" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"></path>
-                                        <path x-show="showExternalKey" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21"></path>
-                                    </svg>
-                                </button>
-                                <button type="button" class="btn btn-sm btn-ghost" @click="generateApiKey('external')">
-                                    <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
-                                    </svg>
-                                </button>
-                            </div>
-                        </div>
+                        <?php $secretKey = 'API_KEY_INTERNAL'; $secretLabel = 'Internal API Key'; $secretPlaceholder = '32 character key'; $secretRotate = true; require __DIR__ . '/ui/secret-field.php'; ?>
+                        <?php $secretKey = 'API_KEY_EXTERNAL'; $secretLabel = 'External API Key'; $secretPlaceholder = '32 character key'; $secretRotate = true; require __DIR__ . '/ui/secret-field.php'; ?>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">SRP Decision API</label>
-                            <input type="url" class="input input-sm w-full" x-model="envConfig.SRP_API_URL" placeholder="https://api.qvtrk.com/decision.php">
-                        </div>
-                        <div>
-                            <label class="block text-[10px] font-medium mb-1">SRP API Key</label>
-                            <div class="flex gap-1">
-                                <input :type="showSrpKey ? 'text' : 'password'" class="input input-sm flex-1 font-mono text-[10px]" x-model="envConfig.SRP_API_KEY" placeholder="32 character key">
-                                <button type="button" class="btn btn-sm btn-ghost" @click="showSrpKey = !showSrpKey">
-                                    <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path x-show="!showSrpKey" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"></path>
-                                        <path x-show="showSrpKey" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21"></path>
-                                    </svg>
-                                </button>
-                            </div>
+                            <input type="url" class="input input-sm w-full" x-model="envConfig.SRP_API_URL" :class="envErrors.SRP_API_URL && 'border-destructive'" placeholder="https://api.qvtrk.com/decision.php">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.SRP_API_URL" x-text="envErrors.SRP_API_URL" x-cloak></p>
                         </div>
+                        <?php $secretKey = 'SRP_API_KEY'; $secretLabel = 'SRP API Key'; $secretPlaceholder = '32 character key'; $secretRotate = false; require __DIR__ . '/ui/secret-field.php'; ?>
                     </div>
                 </div>
             </div>
@@ -246,7 +273,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">Application Settings</h3>
+                            <h3 class="text-xs font-semibold">Application Settings <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('application')" x-text="envGroupErrorCount('application')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">General configuration</p>
                         </div>
                     </div>
@@ -258,52 +285,59 @@
                     <div class="grid grid-cols-2 gap-2">
                         <div>
                             <label class="block text-[10px] font-medium mb-1">App Name</label>
-                            <input type="text" class="input input-sm w-full" x-model="envConfig.APP_NAME" placeholder="Smart Redirect Platform">
+                            <input type="text" class="input input-sm w-full" x-model="envConfig.APP_NAME" :class="envErrors.APP_NAME && 'border-destructive'" placeholder="Smart Redirect Platform">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.APP_NAME" x-text="envErrors.APP_NAME" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Timezone</label>
-                            <select class="input input-sm w-full" x-model="envConfig.APP_TIMEZONE">
+                            <select class="input input-sm w-full" x-model="envConfig.APP_TIMEZONE" :class="envErrors.APP_TIMEZONE && 'border-destructive'">
                                 <option value="UTC">UTC</option>
                                 <option value="Asia/Jakarta">Asia/Jakarta</option>
                                 <option value="Asia/Singapore">Asia/Singapore</option>
                                 <option value="America/New_York">America/New_York</option>
                                 <option value="Europe/London">Europe/London</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.APP_TIMEZONE" x-text="envErrors.APP_TIMEZONE" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Environment</label>
-                            <select class="input input-sm w-full" x-model="envConfig.APP_ENV">
+                            <select class="input input-sm w-full" x-model="envConfig.APP_ENV" :class="envErrors.APP_ENV && 'border-destructive'">
                                 <option value="development">Development</option>
                                 <option value="staging">Staging</option>
                                 <option value="production">Production</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.APP_ENV" x-text="envErrors.APP_ENV" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">SRP Environment</label>
-                            <select class="input input-sm w-full" x-model="envConfig.SRP_ENV">
+                            <select class="input input-sm w-full" x-model="envConfig.SRP_ENV" :class="envErrors.SRP_ENV && 'border-destructive'">
                                 <option value="development">Development</option>
                                 <option value="staging">Staging</option>
                                 <option value="production">Production</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.SRP_ENV" x-text="envErrors.SRP_ENV" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Debug Mode</label>
-                            <select class="input input-sm w-full" x-model="envConfig.APP_DEBUG">
+                            <select class="input input-sm w-full" x-model="envConfig.APP_DEBUG" :class="envErrors.APP_DEBUG && 'border-destructive'">
                                 <option value="false">Disabled</option>
                                 <option value="true">Enabled</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.APP_DEBUG" x-text="envErrors.APP_DEBUG" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Maintenance Mode</label>
-                            <select class="input input-sm w-full" x-model="envConfig.MAINTENANCE_MODE">
+                            <select class="input input-sm w-full" x-model="envConfig.MAINTENANCE_MODE" :class="envErrors.MAINTENANCE_MODE && 'border-destructive'">
                                 <option value="false">Disabled</option>
                                 <option value="true">Enabled</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.MAINTENANCE_MODE" x-text="envErrors.MAINTENANCE_MODE" x-cloak></p>
                         </div>
                     </div>
                     <div class="mt-2">
                         <label class="block text-[10px] font-medium mb-1">Maintenance Message</label>
-                        <input type="text" class="input input-sm w-full" x-model="envConfig.MAINTENANCE_MESSAGE" placeholder="System under maintenance. Please try again later.">
+                        <input type="text" class="input input-sm w-full" x-model="envConfig.MAINTENANCE_MESSAGE" :class="envErrors.MAINTENANCE_MESSAGE && 'border-destructive'" placeholder="System under maintenance. Please try again later.">
+                        <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.MAINTENANCE_MESSAGE" x-text="envErrors.MAINTENANCE_MESSAGE" x-cloak></p>
                     </div>
                 </div>
             </div>
@@ -319,7 +353,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">Session & Security</h3>
+                            <h3 class="text-xs font-semibold">Session & Security <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('security')" x-text="envGroupErrorCount('security')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">Security and session configuration</p>
                         </div>
                     </div>
@@ -331,60 +365,60 @@
                     <div class="grid grid-cols-2 gap-2">
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Session Lifetime (seconds)</label>
-                            <input type="number" class="input input-sm w-full" x-model="envConfig.SESSION_LIFETIME" placeholder="7200">
+                            <input type="number" class="input input-sm w-full" x-model="envConfig.SESSION_LIFETIME" :class="envErrors.SESSION_LIFETIME && 'border-destructive'" placeholder="7200">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.SESSION_LIFETIME" x-text="envErrors.SESSION_LIFETIME" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Session Name</label>
-                            <input type="text" class="input input-sm w-full" x-model="envConfig.SESSION_NAME" placeholder="SRP_SESSION">
+                            <input type="text" class="input input-sm w-full" x-model="envConfig.SESSION_NAME" :class="envErrors.SESSION_NAME && 'border-destructive'" placeholder="SRP_SESSION">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.SESSION_NAME" x-text="envErrors.SESSION_NAME" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Rate Limit Attempts</label>
-                            <input type="number" class="input input-sm w-full" x-model="envConfig.RATE_LIMIT_ATTEMPTS" placeholder="5">
+                            <input type="number" class="input input-sm w-full" x-model="envConfig.RATE_LIMIT_ATTEMPTS" :class="envErrors.RATE_LIMIT_ATTEMPTS && 'border-destructive'" placeholder="5">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.RATE_LIMIT_ATTEMPTS" x-text="envErrors.RATE_LIMIT_ATTEMPTS" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Rate Limit Window (seconds)</label>
-                            <input type="number" class="input input-sm w-full" x-model="envConfig.RATE_LIMIT_WINDOW" placeholder="900">
+                            <input type="number" class="input input-sm w-full" x-model="envConfig.RATE_LIMIT_WINDOW" :class="envErrors.RATE_LIMIT_WINDOW && 'border-destructive'" placeholder="900">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.RATE_LIMIT_WINDOW" x-text="envErrors.RATE_LIMIT_WINDOW" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Secure Cookies</label>
-                            <select class="input input-sm w-full" x-model="envConfig.SECURE_COOKIES">
+                            <select class="input input-sm w-full" x-model="envConfig.SECURE_COOKIES" :class="envErrors.SECURE_COOKIES && 'border-destructive'">
                                 <option value="true">Enabled (HTTPS)</option>
                                 <option value="false">Disabled</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.SECURE_COOKIES" x-text="envErrors.SECURE_COOKIES" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">HTTP Only</label>
-                            <select class="input input-sm w-full" x-model="envConfig.HTTP_ONLY">
+                            <select class="input input-sm w-full" x-model="envConfig.HTTP_ONLY" :class="envErrors.HTTP_ONLY && 'border-destructive'">
                                 <option value="true">Enabled</option>
                                 <option value="false">Disabled</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.HTTP_ONLY" x-text="envErrors.HTTP_ONLY" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Same Site Policy</label>
-                            <select class="input input-sm w-full" x-model="envConfig.SAME_SITE">
+                            <select class="input input-sm w-full" x-model="envConfig.SAME_SITE" :class="envErrors.SAME_SITE && 'border-destructive'">
                                 <option value="Strict">Strict</option>
                                 <option value="Lax">Lax</option>
                                 <option value="None">None</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.SAME_SITE" x-text="envErrors.SAME_SITE" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Trust CloudFlare Headers</label>
-                            <select class="input input-sm w-full" x-model="envConfig.TRUST_CF_HEADERS">
+                            <select class="input input-sm w-full" x-model="envConfig.TRUST_CF_HEADERS" :class="envErrors.TRUST_CF_HEADERS && 'border-destructive'">
                                 <option value="true">Yes</option>
                                 <option value="false">No</option>
                             </select>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.TRUST_CF_HEADERS" x-text="envErrors.TRUST_CF_HEADERS" x-cloak></p>
                         </div>
                     </div>
                     <div class="mt-2">
-                        <label class="block text-[10px] font-medium mb-1">Session Secret</label>
-                        <div class="flex gap-1">
-                            <input type="text" class="input input-sm flex-1 font-mono text-[10px]" x-model="envConfig.SESSION_SECRET" placeholder="Random secret key">
-                            <button type="button" class="btn btn-sm btn-ghost" @click="generateSessionSecret()">
-                                <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
-                                </svg>
-                            </button>
-                        </div>
+                        <?php $secretKey = 'SESSION_SECRET'; $secretLabel = 'Session Secret'; $secretPlaceholder = 'Random secret key'; $secretRotate = true; require __DIR__ . '/ui/secret-field.php'; ?>
                     </div>
                 </div>
             </div>
@@ -400,7 +434,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">Feature Flags</h3>
+                            <h3 class="text-xs font-semibold">Feature Flags <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('features')" x-text="envGroupErrorCount('features')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">Enable or disable features</p>
                         </div>
                     </div>
@@ -469,7 +503,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">Postback Configuration</h3>
+                            <h3 class="text-xs font-semibold">Postback Configuration <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('postback')" x-text="envGroupErrorCount('postback')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">Postback handling settings</p>
                         </div>
                     </div>
@@ -481,30 +515,28 @@
                     <div class="grid grid-cols-2 gap-2">
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Timeout (seconds)</label>
-                            <input type="number" class="input input-sm w-full" x-model="envConfig.POSTBACK_TIMEOUT" placeholder="5">
+                            <input type="number" class="input input-sm w-full" x-model="envConfig.POSTBACK_TIMEOUT" :class="envErrors.POSTBACK_TIMEOUT && 'border-destructive'" placeholder="5">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.POSTBACK_TIMEOUT" x-text="envErrors.POSTBACK_TIMEOUT" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Max Retries</label>
-                            <input type="number" class="input input-sm w-full" x-model="envConfig.POSTBACK_MAX_RETRIES" placeholder="3">
+                            <input type="number" class="input input-sm w-full" x-model="envConfig.POSTBACK_MAX_RETRIES" :class="envErrors.POSTBACK_MAX_RETRIES && 'border-destructive'" placeholder="3">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.POSTBACK_MAX_RETRIES" x-text="envErrors.POSTBACK_MAX_RETRIES" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Retry Delay (seconds)</label>
-                            <input type="number" class="input input-sm w-full" x-model="envConfig.POSTBACK_RETRY_DELAY" placeholder="60">
+                            <input type="number" class="input input-sm w-full" x-model="envConfig.POSTBACK_RETRY_DELAY" :class="envErrors.POSTBACK_RETRY_DELAY && 'border-destructive'" placeholder="60">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.POSTBACK_RETRY_DELAY" x-text="envErrors.POSTBACK_RETRY_DELAY" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Default Payout</label>
-                            <input type="number" step="0.01" class="input input-sm w-full" x-model="envConfig.DEFAULT_PAYOUT" placeholder="0.00">
+                            <input type="number" step="0.01" class="input input-sm w-full" x-model="envConfig.DEFAULT_PAYOUT" :class="envErrors.DEFAULT_PAYOUT && 'border-destructive'" placeholder="0.00">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.DEFAULT_PAYOUT" x-text="envErrors.DEFAULT_PAYOUT" x-cloak></p>
                         </div>
                     </div>
                     <div class="mt-2 space-y-2">
-                        <div>
-                            <label class="block text-[10px] font-medium mb-1">HMAC Secret</label>
-                            <input type="password" class="input input-sm w-full" x-model="envConfig.POSTBACK_HMAC_SECRET" placeholder="Secret key for HMAC validation">
-                        </div>
-                        <div>
-                            <label class="block text-[10px] font-medium mb-1">Postback API Key</label>
-                            <input type="password" class="input input-sm w-full" x-model="envConfig.POSTBACK_API_KEY" placeholder="API key for postback authentication">
-                        </div>
+                        <?php $secretKey = 'POSTBACK_HMAC_SECRET'; $secretLabel = 'HMAC Secret'; $secretPlaceholder = 'Secret key for HMAC validation'; $secretRotate = true; require __DIR__ . '/ui/secret-field.php'; ?>
+                        <?php $secretKey = 'POSTBACK_API_KEY'; $secretLabel = 'Postback API Key'; $secretPlaceholder = 'API key for postback authentication'; $secretRotate = true; require __DIR__ . '/ui/secret-field.php'; ?>
                         <div class="flex items-center gap-2">
                             <input type="checkbox" class="checkbox checkbox-xs" x-model="envConfig.POSTBACK_REQUIRE_API_KEY" :checked="envConfig.POSTBACK_REQUIRE_API_KEY === 'true'" @change="envConfig.POSTBACK_REQUIRE_API_KEY = $event.target.checked ? 'true' : 'false'">
                             <label class="text-[10px]">Require API Key for Postbacks</label>
@@ -514,8 +546,15 @@
                             <label class="text-[10px]">Enable Postback Forwarding</label>
                         </div>
                         <div x-show="envConfig.POSTBACK_FORWARD_ENABLED === 'true'">
-                            <label class="block text-[10px] font-medium mb-1">Forward URL</label>
-                            <input type="url" class="input input-sm w-full" x-model="envConfig.POSTBACK_FORWARD_URL" placeholder="https://example.com/postback">
+                            <?php
+                            $builderTarget = 'forward';
+                            $builderModel = 'envConfig.POSTBACK_FORWARD_URL';
+                            $builderLabel = 'Forward URL';
+                            $builderPlaceholder = 'https://example.com/postback?click_id={click_id}&status={status}&payout={payout}';
+                            $builderOnChange = '';
+                            require __DIR__ . '/ui/postback-url-builder.php';
+                            ?>
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.POSTBACK_FORWARD_URL === 'Required'" x-text="envErrors.POSTBACK_FORWARD_URL" x-cloak></p>
                         </div>
                     </div>
                 </div>
@@ -532,7 +571,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 7v10a2 2 0 002 2h14a2 2 0 002-2V9a2 2 0 00-2-2h-6l-2-2H5a2 2 0 00-2 2z"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">Path Configuration</h3>
+                            <h3 class="text-xs font-semibold">Path Configuration <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('paths')" x-text="envGroupErrorCount('paths')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">Server paths and directories</p>
                         </div>
                     </div>
@@ -544,11 +583,13 @@
                     <div class="space-y-2">
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Application Root</label>
-                            <input type="text" class="input input-sm w-full font-mono text-[10px]" x-model="envConfig.APP_ROOT" placeholder="/home/gassstea/srp">
+                            <input type="text" class="input input-sm w-full font-mono text-[10px]" x-model="envConfig.APP_ROOT" :class="envErrors.APP_ROOT && 'border-destructive'" placeholder="/home/gassstea/srp">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.APP_ROOT" x-text="envErrors.APP_ROOT" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">Log Path</label>
-                            <input type="text" class="input input-sm w-full font-mono text-[10px]" x-model="envConfig.LOG_PATH" placeholder="/home/gassstea/logs/app.log">
+                            <input type="text" class="input input-sm w-full font-mono text-[10px]" x-model="envConfig.LOG_PATH" :class="envErrors.LOG_PATH && 'border-destructive'" placeholder="/home/gassstea/logs/app.log">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.LOG_PATH" x-text="envErrors.LOG_PATH" x-cloak></p>
                         </div>
                     </div>
                 </div>
@@ -565,7 +606,7 @@
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1"></path>
                         </svg>
                         <div class="text-left">
-                            <h3 class="text-xs font-semibold">External Services</h3>
+                            <h3 class="text-xs font-semibold">External Services <span class="badge badge-destructive text-[9px] ml-1" x-show="envGroupErrorCount('external')" x-text="envGroupErrorCount('external')" x-cloak></span></h3>
                             <p class="text-[10px] text-muted-foreground">Third-party service integrations</p>
                         </div>
                     </div>
@@ -577,11 +618,13 @@
                     <div class="grid grid-cols-2 gap-2">
                         <div>
                             <label class="block text-[10px] font-medium mb-1">VPN Check URL</label>
-                            <input type="url" class="input input-sm w-full" x-model="envConfig.VPN_CHECK_URL" placeholder="https://blackbox.ipinfo.app/lookup/">
+                            <input type="url" class="input input-sm w-full" x-model="envConfig.VPN_CHECK_URL" :class="envErrors.VPN_CHECK_URL && 'border-destructive'" placeholder="https://blackbox.ipinfo.app/lookup/">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.VPN_CHECK_URL" x-text="envErrors.VPN_CHECK_URL" x-cloak></p>
                         </div>
                         <div>
                             <label class="block text-[10px] font-medium mb-1">VPN Check Timeout (seconds)</label>
-                            <input type="number" class="input input-sm w-full" x-model="envConfig.VPN_CHECK_TIMEOUT" placeholder="2">
+                            <input type="number" class="input input-sm w-full" x-model="envConfig.VPN_CHECK_TIMEOUT" :class="envErrors.VPN_CHECK_TIMEOUT && 'border-destructive'" placeholder="2">
+                            <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.VPN_CHECK_TIMEOUT" x-text="envErrors.VPN_CHECK_TIMEOUT" x-cloak></p>
                         </div>
                     </div>
                 </div>
@@ -0,0 +1,65 @@
+<!-- Env Import Preview Dialog -->
+<!-- Diff file .env yang di-import terhadap envConfig yang dimuat; Apply hanya mengisi draft -->
+<div x-show="envImport" x-cloak
+     class="fixed inset-0 z-50 flex items-center justify-center p-4"
+     role="dialog" aria-modal="true" aria-labelledby="env-import-title"
+     @keydown.escape.window="envImport = null">
+    <div class="absolute inset-0 bg-black/30" @click="envImport = null"></div>
+
+    <template x-if="envImport">
+        <div class="relative flex max-h-[80vh] w-full max-w-2xl flex-col rounded-lg bg-white shadow-xl">
+            <div class="border-b p-3">
+                <h3 id="env-import-title" class="text-sm font-semibold">
+                    Import <span class="font-mono" x-text="envImport.fileName"></span>
+                </h3>
+                <p class="text-[11px] text-muted-foreground"
+                   x-text="envImport.changes.length + ' of ' + Object.keys(envImport.values).length + ' values differ from the loaded configuration'"></p>
+            </div>
+
+            <div class="flex-1 space-y-3 overflow-y-auto p-3">
+                <div class="space-y-1 text-[11px]" x-show="envImport.errors.length || envImport.redacted.length || envImport.unknown.length || envImport.invalid.length">
+                    <p class="text-destructive" x-show="envImport.invalid.length"
+                       x-text="'After import these keys fail validation: ' + envImport.invalid.join(', ') + '. Fix them before publishing.'"></p>
+                    <p class="text-amber-700" x-show="envImport.redacted.length"
+                       x-text="'Redacted in file, current value kept: ' + envImport.redacted.join(', ')"></p>
+                    <p class="text-muted-foreground" x-show="envImport.unknown.length"
+                       x-text="'Ignored unknown keys: ' + envImport.unknown.join(', ')"></p>
+                    <template x-for="error in envImport.errors" :key="error.line">
+                        <p class="text-amber-700" x-text="'Line ' + error.line + ': ' + error.message + ' (skipped)'"></p>
+                    </template>
+                </div>
+
+                <table class="w-full text-[11px]" x-show="envImport.changes.length">
+                    <thead>
+                    <tr class="text-left text-muted-foreground">
+                        <th class="pb-1 pr-1 font-medium">Key</th>
+                        <th class="pb-1 pr-1 font-medium">Loaded</th>
+                        <th class="pb-1 font-medium">File</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    <template x-for="change in envImport.changes" :key="change.field">
+                        <tr class="align-top border-t">
+                            <td class="py-1 pr-1 font-mono break-all" x-text="change.field"></td>
+                            <td class="py-1 pr-1 font-mono break-all text-red-700 bg-red-50/60" x-text="formatHistoryValue(change.from)"></td>
+                            <td class="py-1 font-mono break-all text-green-700 bg-green-50/60" x-text="formatHistoryValue(change.to)"></td>
+                        </tr>
+                    </template>
+                    </tbody>
+                </table>
+                <p class="text-[11px] text-muted-foreground" x-show="!envImport.changes.length">No differences.</p>
+            </div>
+
+            <div class="flex items-center justify-end gap-1 border-t p-3">
+                <button type="button" class="btn btn-sm btn-ghost" @click="envImport = null">
+                    <span class="text-xs">Cancel</span>
+                </button>
+                <button type="button" class="btn btn-sm btn-default"
+                        :disabled="!envImport.changes.length"
+                        @click="applyEnvImport()">
+                    <span class="text-xs">Apply to Draft</span>
+                </button>
+            </div>
+        </div>
+    </template>
+</div>
@@ -4,6 +4,9 @@
     <meta charset="utf-8">
     <meta name="viewport" content="width=device-width, initial-scale=1">
     <meta name="csrf-token" content="<?= htmlspecialchars($csrfToken ?? '', ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8'); ?>">
+    <?php if (!empty($countryCodes)): ?>
+    <meta name="srp-country-codes" content="<?= htmlspecialchars(implode(',', $countryCodes), ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8'); ?>">
+    <?php endif; ?>
     <meta name="theme-color" content="#e5e7eb">
     <meta name="color-scheme" content="dark light">
     <link rel="manifest" href="/manifest.json">
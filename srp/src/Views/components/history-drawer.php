@@ -0,0 +1,104 @@
+<!-- Config History Drawer -->
+<!-- Versi tersimpan untuk cfg (settings) atau envConfig (env), dengan diff per field dan rollback -->
+<div x-show="historyOpen" x-cloak
+     class="fixed inset-0 z-40"
+     role="dialog" aria-modal="true" aria-labelledby="history-drawer-title"
+     @keydown.escape.window="historyOpen = false">
+    <div class="absolute inset-0 bg-black/30" x-show="historyOpen" x-transition.opacity @click="historyOpen = false"></div>
+
+    <aside class="absolute inset-y-0 right-0 flex w-full max-w-md flex-col bg-white shadow-xl"
+           x-show="historyOpen"
+           x-transition:enter="transition ease-out duration-200"
+           x-transition:enter-start="translate-x-full"
+           x-transition:enter-end="translate-x-0"
+           x-transition:leave="transition ease-in duration-150"
+           x-transition:leave-start="translate-x-0"
+           x-transition:leave-end="translate-x-full">
+        <div class="flex items-center justify-between gap-2 border-b p-3">
+            <div>
+                <h3 id="history-drawer-title" class="text-sm font-semibold">Version History</h3>
+                <p class="text-[11px] text-muted-foreground">Every save is kept; roll back restores that version's full snapshot</p>
+            </div>
+            <button type="button" class="btn btn-sm btn-ghost" @click="historyOpen = false" aria-label="Close history">&times;</button>
+        </div>
+
+        <div class="flex gap-1 border-b px-3 py-2">
+            <button type="button" class="btn btn-sm"
+                    :class="historyScope === 'settings' ? 'btn-default' : 'btn-ghost'"
+                    @click="openHistory('settings')">
+                <span class="text-xs">Routing</span>
+            </button>
+            <button type="button" class="btn btn-sm"
+                    :class="historyScope === 'env' ? 'btn-default' : 'btn-ghost'"
+                    @click="openHistory('env')">
+                <span class="text-xs">Environment</span>
+            </button>
+        </div>
+
+        <div class="flex-1 overflow-y-auto scroll-logs p-3 space-y-2">
+            <template x-if="!historyLoading && historyVersions.length === 0">
+                <div class="text-[11px] text-muted-foreground italic p-3 border border-dashed rounded">
+                    No saved versions yet.
+                </div>
+            </template>
+
+            <template x-for="(version, index) in historyVersions" :key="version.id">
+                <div class="rounded-md border">
+                    <button type="button" class="flex w-full items-start justify-between gap-2 p-2 text-left"
+                            @click="historyExpanded = historyExpanded === version.id ? null : version.id"
+                            :aria-expanded="historyExpanded === version.id">
+                        <div class="min-w-0">
+                            <div class="flex items-center gap-1.5 text-xs">
+                                <span class="font-mono font-medium" x-text="'#' + version.id"></span>
+                                <span class="badge badge-outline text-[10px]" x-show="index === 0">Current</span>
+                                <span class="badge badge-secondary text-[10px]" x-show="version.action === 'rollback'"
+                                      x-text="'Rollback to #' + version.rollback_of"></span>
+                            </div>
+                            <div class="text-[11px] text-muted-foreground truncate" x-text="historySummary(version)"></div>
+                        </div>
+                        <div class="shrink-0 text-right text-[11px] text-muted-foreground">
+                            <div class="font-medium text-foreground" x-text="version.actor"></div>
+                            <div :title="fmtTitle(version.ts)" x-text="fmtRelative(version.ts)"></div>
+                        </div>
+                    </button>
+
+                    <div class="border-t p-2 space-y-2" x-show="historyExpanded === version.id" x-cloak>
+                        <table class="w-full table-fixed text-[11px]">
+                            <thead>
+                            <tr class="text-left text-muted-foreground">
+                                <th class="w-1/3 pb-1 font-medium">Field</th>
+                                <th class="w-1/3 pb-1 font-medium">Before</th>
+                                <th class="w-1/3 pb-1 font-medium">After</th>
+                            </tr>
+                            </thead>
+                            <tbody>
+                            <template x-for="change in version.changes" :key="change.field">
+                                <tr class="align-top border-t">
+                                    <td class="py-1 pr-1 font-mono break-all" x-text="change.field"></td>
+                                    <td class="py-1 pr-1 font-mono break-all text-red-700 bg-red-50/60" x-text="formatHistoryValue(change.from)"></td>
+                                    <td class="py-1 font-mono break-all text-green-700 bg-green-50/60" x-text="formatHistoryValue(change.to)"></td>
+                                </tr>
+                            </template>
+                            </tbody>
+                        </table>
+
+                        <div class="flex items-center justify-between gap-2">
+                            <span class="text-[11px] text-muted-foreground" x-text="fmt(version.ts)"></span>
+                            <button type="button" class="btn btn-sm btn-secondary text-[11px]"
+                                    x-show="index > 0"
+                                    :disabled="historyRollingBack !== null"
+                                    @click="rollbackVersion(version)"
+                                    x-text="historyRollingBack === version.id ? 'Rolling back...' : 'Roll back to this version'"></button>
+                        </div>
+                    </div>
+                </div>
+            </template>
+
+            <div class="flex justify-center" x-show="historyHasMore">
+                <button type="button" class="btn btn-sm btn-ghost text-[11px]" :disabled="historyLoading" @click="loadHistory(true)">
+                    <span x-text="historyLoading ? 'Loading...' : 'Load older versions'"></span>
+                </button>
+            </div>
+        </div>
+    </aside>
+</div>
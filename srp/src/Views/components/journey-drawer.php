@@ -0,0 +1,128 @@
+<!-- Click Journey Drawer -->
+<!-- Satu click_id dari hit asli sampai postback diterima dan forward ke network -->
+<div x-show="journey.open" x-cloak
+     class="fixed inset-0 z-40"
+     role="dialog" aria-modal="true" aria-labelledby="journey-drawer-title"
+     @keydown.escape.window="closeJourney()">
+    <div class="absolute inset-0 bg-black/30" x-show="journey.open" x-transition.opacity @click="closeJourney()"></div>
+
+    <aside class="absolute inset-y-0 right-0 flex w-full max-w-md flex-col bg-white shadow-xl"
+           x-show="journey.open"
+           x-transition:enter="transition ease-out duration-200"
+           x-transition:enter-start="translate-x-full"
+           x-transition:enter-end="translate-x-0"
+           x-transition:leave="transition ease-in duration-150"
+           x-transition:leave-start="translate-x-0"
+           x-transition:leave-end="translate-x-full">
+        <div class="flex items-center justify-between gap-2 border-b p-3">
+            <div class="min-w-0">
+                <h3 id="journey-drawer-title" class="text-sm font-semibold">Click Journey</h3>
+                <code class="block truncate font-mono text-[11px] text-muted-foreground" x-text="journey.clickId"></code>
+            </div>
+            <div class="flex items-center gap-1">
+                <span class="badge badge-destructive text-[10px]" x-show="journey.data?.orphan"
+                      title="Postback received but no traffic log has this click_id (unknown click or log already cleaned up)">Orphan</span>
+                <span class="badge badge-outline text-[10px]" x-show="journeyConversionDelay"
+                      x-text="'Converted in ' + journeyConversionDelay"></span>
+                <button type="button" class="btn btn-sm btn-ghost" @click="closeJourney()" aria-label="Close journey">&times;</button>
+            </div>
+        </div>
+
+        <div class="flex-1 overflow-y-auto scroll-logs p-3 space-y-4">
+            <p class="text-[11px] text-muted-foreground" x-show="journey.loading">Loading journey...</p>
+
+            <template x-if="journey.data">
+                <ol class="space-y-4 border-l pl-4">
+                    <!-- 1. Hit -->
+                    <li class="relative">
+                        <span class="absolute -left-[21px] top-1 h-2.5 w-2.5 rounded-full"
+                              :class="journey.data.hits.length ? 'bg-blue-500' : 'bg-muted-foreground/40'"></span>
+                        <h4 class="text-xs font-semibold">Click</h4>
+                        <p class="text-[11px] text-destructive" x-show="!journey.data.hits.length">
+                            No traffic log with this click_id. It may be unknown or already removed by log retention.
+                        </p>
+                        <template x-for="hit in journey.data.hits" :key="hit.id">
+                            <dl class="mt-1 grid grid-cols-[80px_1fr] gap-x-2 gap-y-0.5 rounded border p-2 text-[11px]">
+                                <dt class="text-muted-foreground">Time</dt>
+                                <dd :title="fmtTitle(hit.ts)" x-text="fmt(hit.ts)"></dd>
+                                <dt class="text-muted-foreground">Decision</dt>
+                                <dd>
+                                    <span class="badge text-[10px]" :class="hit.decision === 'A' ? 'badge-default' : 'badge-secondary'"
+                                          x-text="hit.decision"></span>
+                                </dd>
+                                <dt class="text-muted-foreground">Country</dt>
+                                <dd x-text="hit.country_code || '-'"></dd>
+                                <dt class="text-muted-foreground">IP</dt>
+                                <dd class="font-mono" x-text="hit.ip"></dd>
+                                <dt class="text-muted-foreground">LP</dt>
+                                <dd class="break-all" x-text="hit.user_lp || '-'"></dd>
+                                <dt class="text-muted-foreground">User agent</dt>
+                                <dd class="break-all text-muted-foreground" x-text="hit.ua"></dd>
+                            </dl>
+                        </template>
+                    </li>
+
+                    <!-- 2. Postback diterima -->
+                    <li class="relative">
+                        <span class="absolute -left-[21px] top-1 h-2.5 w-2.5 rounded-full"
+                              :class="journey.data.received.length ? 'bg-emerald-500' : 'bg-muted-foreground/40'"></span>
+                        <h4 class="text-xs font-semibold">
+                            Postbacks received <span class="font-normal text-muted-foreground" x-text="'(' + journey.data.received.length + ')'"></span>
+                        </h4>
+                        <p class="text-[11px] text-muted-foreground" x-show="!journey.data.received.length">No conversion reported for this click yet.</p>
+                        <template x-for="pb in journey.data.received" :key="pb.id">
+                            <div class="mt-1 rounded border p-2 text-[11px]">
+                                <div class="flex flex-wrap items-center gap-1.5">
+                                    <span class="badge text-[10px]"
+                                          :class="pb.status === 'confirmed' || pb.status === 'approved' ? 'badge-default' : 'badge-outline'"
+                                          x-text="pb.status"></span>
+                                    <span class="font-medium" x-text="'$' + pb.payout"></span>
+                                    <span class="badge badge-outline text-[10px]" x-text="pb.network || 'unknown'"></span>
+                                    <span class="badge text-[10px]"
+                                          :class="pb.signature_verified === null ? 'badge-outline' : (Number(pb.signature_verified) ? 'badge-default' : 'badge-destructive')"
+                                          x-text="'Signature: ' + signatureLabel(pb.signature_verified)"></span>
+                                </div>
+                                <div class="mt-1 text-muted-foreground">
+                                    <span :title="fmtTitle(pb.ts)" x-text="fmt(pb.ts)"></span>
+                                    · <span x-text="pb.country_code"></span>
+                                    · <span class="font-mono" x-text="pb.ip_address"></span>
+                                </div>
+                            </div>
+                        </template>
+                    </li>
+
+                    <!-- 3. Forward ke network -->
+                    <li class="relative">
+                        <span class="absolute -left-[21px] top-1 h-2.5 w-2.5 rounded-full"
+                              :class="journey.data.forwards.some(f => Number(f.success)) ? 'bg-emerald-500' : (journey.data.forwards.length ? 'bg-destructive' : 'bg-muted-foreground/40')"></span>
+                        <h4 class="text-xs font-semibold">
+                            Forwarded <span class="font-normal text-muted-foreground" x-text="'(' + journey.data.forwards.length + ')'"></span>
+                        </h4>
+                        <p class="text-[11px] text-muted-foreground" x-show="!journey.data.forwards.length">No outgoing forward for this click.</p>
+                        <template x-for="fw in journey.data.forwards" :key="fw.id">
+                            <div class="mt-1 rounded border p-2 text-[11px]">
+                                <div class="flex flex-wrap items-center gap-1.5">
+                                    <span class="badge text-[10px]" :class="Number(fw.success) ? 'badge-default' : 'badge-destructive'"
+                                          x-text="Number(fw.success) ? 'Delivered' : 'Failed'"></span>
+                                    <span class="text-muted-foreground" x-text="failedCodeLabel(fw.response_code)"></span>
+                                    <span class="text-muted-foreground" x-show="fw.latency_ms !== null" x-text="fw.latency_ms + ' ms'"></span>
+                                    <span class="text-muted-foreground" x-text="(fw.attempts || 1) + ' attempt' + (Number(fw.attempts || 1) === 1 ? '' : 's')"></span>
+                                </div>
+                                <p class="mt-1 break-all font-mono text-[10px] text-muted-foreground" x-text="fw.postback_url"></p>
+                                <div class="mt-1 flex items-center justify-between gap-2 text-muted-foreground">
+                                    <span :title="fmtTitle(fw.last_attempt_at || fw.ts)" x-text="fmt(fw.last_attempt_at || fw.ts)"></span>
+                                    <button type="button" class="btn btn-sm btn-outline text-[11px]"
+                                            x-show="!Number(fw.success)"
+                                            :disabled="failedPostbacks.retrying"
+                                            @click="retryPostbacks([Number(fw.id)]).then(() => openJourney(journey.clickId))">
+                                        Retry
+                                    </button>
+                                </div>
+                            </div>
+                        </template>
+                    </li>
+                </ol>
+            </template>
+        </div>
+    </aside>
+</div>
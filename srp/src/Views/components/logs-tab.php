@@ -4,69 +4,181 @@
         <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-4 border-b">
             <div class="space-y-0.5">
                 <h3 class="font-semibold tracking-tight text-sm">Traffic Logs</h3>
-                <p class="text-[12px] text-muted-foreground">Real-time traffic monitoring</p>
+                <p class="text-[12px] text-muted-foreground">Filter, sort and page through all stored traffic</p>
+            </div>
+            <div class="flex items-center gap-2">
+                <?php $exportDataset = 'logs'; $exportLabel = 'Export'; require __DIR__ . '/ui/export-menu.php'; ?>
+                <button @click="clearLogs"
+                        class="btn btn-default btn-sm"
+                        :disabled="isClearingLogs"
+                        data-sniper="1">
+                    <svg x-show="!isClearingLogs"
+                         class="h-3.5 w-3.5 mr-1.5"
+                         fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                              d="m15 9-6 6m0-6 6 6m6-3a9 9 0 1 1-18 0 9 9 0 0 1 18 0Z"/>
+                    </svg>
+                    <svg x-show="isClearingLogs"
+                         class="h-3.5 w-3.5 mr-1.5 animate-spin"
+                         fill="none" viewBox="0 0 24 24">
+                        <circle class="opacity-25" cx="12" cy="12" r="10"
+                                stroke="currentColor" stroke-width="4"></circle>
+                        <path class="opacity-75"
+                              d="M4 12a8 8 0 0 1 8-8"
+                              stroke="currentColor" stroke-width="4" stroke-linecap="round"></path>
+                    </svg>
+                    <span x-text="isClearingLogs ? 'Clearing...' : 'Clear All'"></span>
+                </button>
             </div>
-            <button @click="clearLogs"
-                    class="btn btn-default btn-sm"
-                    :disabled="isClearingLogs"
-                    data-sniper="1">
-                <svg x-show="!isClearingLogs"
-                     class="h-3.5 w-3.5 mr-1.5"
-                     fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
-                          d="m15 9-6 6m0-6 6 6m6-3a9 9 0 1 1-18 0 9 9 0 0 1 18 0Z"/>
-                </svg>
-                <svg x-show="isClearingLogs"
-                     class="h-3.5 w-3.5 mr-1.5 animate-spin"
-                     fill="none" viewBox="0 0 24 24">
-                    <circle class="opacity-25" cx="12" cy="12" r="10"
-                            stroke="currentColor" stroke-width="4"></circle>
-                    <path class="opacity-75"
-                          d="M4 12a8 8 0 0 1 8-8"
-                          stroke="currentColor" stroke-width="4" stroke-linecap="round"></path>
-                </svg>
-                <span x-text="isClearingLogs ? 'Clearing...' : 'Clear All'"></span>
-            </button>
         </div>
 
-        <div class="relative overflow-x-auto overflow-y-auto max-h-[640px] scroll-logs">
+        <!-- Filters -->
+        <form class="grid grid-cols-2 gap-2 p-4 border-b sm:grid-cols-3 lg:grid-cols-6"
+              @submit.prevent="applyLogFilters()">
+            <div class="col-span-full space-y-1">
+                <label class="text-[11px] font-medium text-muted-foreground" for="log-search">Search</label>
+                <div class="relative">
+                    <input id="log-search" type="search" class="input h-8 pr-7 font-mono text-[12px]"
+                           placeholder="cc:US,CA decision:B lp:promo* ip:10.0.0.0/8 -ua:bot after:2026-10-01"
+                           autocomplete="off" spellcheck="false"
+                           :value="searchTerm"
+                           :class="searchQuery.errors.length ? 'border-destructive focus-visible:ring-destructive' : ''"
+                           :aria-invalid="searchQuery.errors.length > 0"
+                           aria-describedby="log-search-hint"
+                           @input="search($event.target.value)"
+                           @keydown.escape="clearSearch()">
+                    <button type="button" x-show="searchTerm" @click="clearSearch()"
+                            class="absolute inset-y-0 right-2 flex items-center text-muted-foreground hover:text-foreground"
+                            aria-label="Clear search">&times;</button>
+                </div>
+                <p id="log-search-hint" class="text-[11px]"
+                   :class="searchErrorHint ? 'text-destructive' : 'text-muted-foreground'"
+                   x-text="searchErrorHint || 'Fields: cc, decision, lp, ua, cid, ip (CIDR), after, before. Prefix - to exclude, * as wildcard, quote values with spaces.'"></p>
+            </div>
+            <div class="space-y-1">
+                <label class="text-[11px] font-medium text-muted-foreground" for="log-filter-decision">Decision</label>
+                <select id="log-filter-decision" class="input h-8 text-[12px]"
+                        x-model="logFilters.decision" @change="applyLogFilters()">
+                    <option value="">All</option>
+                    <option value="A">A - Redirect</option>
+                    <option value="B">B - Fallback</option>
+                </select>
+            </div>
+            <div class="space-y-1">
+                <label class="text-[11px] font-medium text-muted-foreground" for="log-filter-from">From</label>
+                <input id="log-filter-from" type="date" class="input h-8 text-[12px]"
+                       x-model="logFilters.date_from" @change="applyLogFilters()">
+            </div>
+            <div class="space-y-1">
+                <label class="text-[11px] font-medium text-muted-foreground" for="log-filter-to">To</label>
+                <input id="log-filter-to" type="date" class="input h-8 text-[12px]"
+                       x-model="logFilters.date_to" @change="applyLogFilters()">
+            </div>
+            <div class="space-y-1">
+                <label class="text-[11px] font-medium text-muted-foreground" for="log-filter-lp">Landing Page</label>
+                <input id="log-filter-lp" type="text" class="input h-8 text-[12px]" placeholder="promo*"
+                       x-model="logFilters.lp" @input.debounce.500ms="applyLogFilters()">
+            </div>
+            <div class="space-y-1">
+                <label class="text-[11px] font-medium text-muted-foreground" for="log-filter-ip">IP / CIDR</label>
+                <input id="log-filter-ip" type="text" class="input h-8 font-mono text-[12px]" placeholder="10.0.0.0/8"
+                       x-model="logFilters.ip" @change="applyLogFilters()">
+            </div>
+            <div class="space-y-1">
+                <label class="text-[11px] font-medium text-muted-foreground" for="log-filter-country">Countries</label>
+                <input id="log-filter-country" type="text" class="input h-8 up-text font-mono text-[12px]"
+                       placeholder="US, CA" maxlength="60"
+                       x-model="logCountryInput"
+                       @keydown.enter.prevent="addLogCountry()"
+                       @blur="addLogCountry()">
+            </div>
+
+            <div class="col-span-full flex flex-wrap items-center gap-1.5"
+                 x-show="logFilters.countries.length || hasLogFilters">
+                <template x-for="code in logFilters.countries" :key="code">
+                    <button type="button" class="badge badge-outline text-[11px] gap-1"
+                            @click="removeLogCountry(code)" :aria-label="'Remove ' + code + ' filter'">
+                        <span x-text="code"></span>
+                        <span aria-hidden="true">&times;</span>
+                    </button>
+                </template>
+                <button type="button" class="btn btn-ghost btn-sm ml-auto text-[11px]"
+                        x-show="hasLogFilters" @click="resetLogFilters()">
+                    Reset filters
+                </button>
+            </div>
+        </form>
+
+        <div class="px-4 py-2 text-[11px] text-destructive border-b" x-show="logsTable.error" x-text="logsTable.error"></div>
+
+        <div class="relative overflow-x-auto overflow-y-auto max-h-[640px] scroll-logs"
+             :class="logsTable.loading ? 'opacity-60' : ''">
             <table class="w-full text-[12px]">
                 <thead class="border-b bg-white sticky top-0 z-10">
                 <tr>
+                    <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground whitespace-nowrap">
+                        <button type="button" class="hover:text-foreground" @click="setLogsSort('ts')">
+                            Time <span class="font-normal" x-text="'(' + timezoneOffset + ')'"></span> <span x-text="getSortIndicator('ts')"></span>
+                        </button>
+                    </th>
                     <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground">
-                        Click ID
+                        <button type="button" class="hover:text-foreground" @click="setLogsSort('click_id')">
+                            Click ID <span x-text="getSortIndicator('click_id')"></span>
+                        </button>
                     </th>
                     <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground hidden lg:table-cell">
-                        IP Address
+                        <button type="button" class="hover:text-foreground" @click="setLogsSort('ip')">
+                            IP Address <span x-text="getSortIndicator('ip')"></span>
+                        </button>
                     </th>
                     <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground">
-                        Country
+                        <button type="button" class="hover:text-foreground" @click="setLogsSort('country_code')">
+                            Country <span x-text="getSortIndicator('country_code')"></span>
+                        </button>
+                    </th>
+                    <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground hidden sm:table-cell">
+                        <button type="button" class="hover:text-foreground" @click="setLogsSort('user_lp')">
+                            LP <span x-text="getSortIndicator('user_lp')"></span>
+                        </button>
                     </th>
                     <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground">
-                        Decision
+                        <button type="button" class="hover:text-foreground" @click="setLogsSort('decision')">
+                            Decision <span x-text="getSortIndicator('decision')"></span>
+                        </button>
                     </th>
                     <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground hidden md:table-cell">
                         User Agent
                     </th>
+                    <th class="h-8 px-3 text-right align-middle font-medium text-muted-foreground">
+                        <span class="sr-only">Actions</span>
+                    </th>
                 </tr>
                 </thead>
                 <tbody class="[&_tr:last-child]:border-0">
-                <template x-if="logs.length === 0">
+                <template x-if="logsTable.rows.length === 0 && !logsTable.loading">
                     <tr class="border-b">
-                        <td colspan="5" class="p-3 text-center text-[11px] text-muted-foreground">
-                            No traffic logs yet.
+                        <td colspan="8" class="p-3 text-center text-[11px] text-muted-foreground"
+                            x-text="hasLogFilters ? 'No logs match these filters.' : 'No traffic logs yet.'">
                         </td>
                     </tr>
                 </template>
-                <template x-for="r in logs" :key="r.id">
+                <template x-for="r in logsTable.rows" :key="r.id">
                     <tr class="border-b transition-colors hover:bg-muted/50"
                         :class="r.decision === 'A'
                             ? 'bg-emerald-50/40'
                             : (r.decision === 'B' ? 'bg-slate-50' : '')">
+                        <td class="p-2 align-middle whitespace-nowrap text-[11px] text-muted-foreground"
+                            :title="fmtTitle(r.ts)">
+                            <span class="block" x-text="fmt(r.ts)"></span>
+                            <span class="block text-[10px] text-muted-foreground/70" x-text="fmtRelative(r.ts)"></span>
+                        </td>
                         <td class="p-2 align-middle">
-                            <code
-                                class="relative rounded bg-muted px-1 py-[0.1rem] font-mono text-[11px] font-semibold"
-                                x-text="r.click_id || '-'"></code>
+                            <button type="button" x-show="r.click_id"
+                                    class="relative rounded bg-muted px-1 py-[0.1rem] font-mono text-[11px] font-semibold hover:underline"
+                                    title="Open click journey"
+                                    @click="openJourney(r.click_id)"
+                                    x-text="r.click_id"></button>
+                            <span x-show="!r.click_id" class="text-[11px] text-muted-foreground">-</span>
                         </td>
                         <td class="p-2 align-middle hidden lg:table-cell">
                             <code
@@ -76,6 +188,10 @@
                         <td class="p-2 align-middle">
                             <span class="badge badge-outline text-[11px]" x-text="r.country_code || 'XX'"></span>
                         </td>
+                        <td class="p-2 align-middle hidden sm:table-cell">
+                            <span class="text-[11px] text-muted-foreground truncate block max-w-[10rem]"
+                                  x-text="r.user_lp || '-'"></span>
+                        </td>
                         <td class="p-2 align-middle">
                             <span class="badge text-[11px]"
                                   :class="r.decision === 'A' ? 'badge-default' : 'badge-secondary'"
@@ -86,10 +202,43 @@
                                 class="text-[11px] text-muted-foreground max-w-md truncate block up-text"
                                 x-text="r.ua"></span>
                         </td>
+                        <td class="p-2 align-middle text-right">
+                            <button type="button" class="btn btn-sm btn-ghost text-[11px]"
+                                    title="Replay this visit against the current (unsaved) routing config"
+                                    @click="replayLog(r)">Replay</button>
+                        </td>
                     </tr>
                 </template>
                 </tbody>
             </table>
         </div>
+
+        <!-- Pagination -->
+        <div class="flex flex-wrap items-center justify-between gap-2 p-3 border-t text-[11px] text-muted-foreground">
+            <div class="flex items-center gap-2">
+                <span x-text="logsRangeLabel"></span>
+                <select class="input h-7 w-auto text-[11px]" aria-label="Rows per page"
+                        x-model="logsTable.perPage" @change="changeLogsPerPage()">
+                    <option value="25">25 / page</option>
+                    <option value="50">50 / page</option>
+                    <option value="100">100 / page</option>
+                    <option value="200">200 / page</option>
+                </select>
+            </div>
+            <div class="flex items-center gap-1">
+                <button type="button" class="btn btn-ghost btn-sm" @click="setLogsPage(1)"
+                        :disabled="logsTable.page <= 1 || logsTable.loading" aria-label="First page">&laquo;</button>
+                <button type="button" class="btn btn-ghost btn-sm" @click="setLogsPage(logsTable.page - 1)"
+                        :disabled="logsTable.page <= 1 || logsTable.loading">Prev</button>
+                <span class="px-2">
+                    Page <span class="font-medium text-foreground" x-text="logsTable.page"></span>
+                    / <span x-text="logsTotalPages"></span>
+                </span>
+                <button type="button" class="btn btn-ghost btn-sm" @click="setLogsPage(logsTable.page + 1)"
+                        :disabled="logsTable.page >= logsTotalPages || logsTable.loading">Next</button>
+                <button type="button" class="btn btn-ghost btn-sm" @click="setLogsPage(logsTotalPages)"
+                        :disabled="logsTable.page >= logsTotalPages || logsTable.loading" aria-label="Last page">&raquo;</button>
+            </div>
+        </div>
     </div>
 </div>
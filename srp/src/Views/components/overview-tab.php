@@ -96,7 +96,7 @@
                 <h3 class="text-sm font-semibold">System Status</h3>
                 <button
                     type="button"
-                    @click="cfg.system_on = !cfg.system_on; save()"
+                    @click="toggleSystem()"
                     class="btn btn-sm"
                     :class="cfg.system_on ? 'btn-primary' : 'btn-outline'"
                     :disabled="isSavingCfg"
@@ -119,7 +119,7 @@
                 <div class="flex justify-between py-2 border-b" x-show="cfg.system_on">
                     <span class="text-muted-foreground">Redirect URLs</span>
                     <span class="font-medium truncate ml-2 max-w-xs"
-                          x-text="Array.isArray(cfg.redirect_url) && cfg.redirect_url.length > 0 ? cfg.redirect_url.length + ' URL(s)' : 'Not set'"></span>
+                          x-text="activeRedirectCount > 0 ? activeRedirectCount + ' active URL(s)' : 'Not set'"></span>
                 </div>
                 <div class="flex justify-between py-2 border-b">
                     <span class="text-muted-foreground">Total Logs</span>
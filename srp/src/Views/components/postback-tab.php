@@ -11,55 +11,11 @@
                         </h3>
                         <p class="text-[11px] text-muted-foreground">
                             Aggregate payout received from networks
-                            <span x-show="statsView === 'weekly'">(weeks start Monday 07:00 UTC+7)</span>
-                            <span x-show="statsView === 'daily'">(last <span x-text="statsPeriod"></span> days)</span>
+                            <span x-show="statsView === 'weekly'">(weeks start Monday 00:00 <span x-text="activeTimezone"></span>)</span>
+                            <span x-show="statsRangeLabel" x-text="'(' + statsRangeLabel + ')'"></span>
                         </p>
                     </div>
-                    <div class="flex items-center gap-2">
-                        <!-- View Selector -->
-                        <div class="flex gap-1 mr-2">
-                            <button type="button"
-                                    @click="changeStatsView('daily')"
-                                    class="btn btn-sm"
-                                    :class="statsView === 'daily' ? 'btn-default' : 'btn-ghost'">
-                                <svg class="h-3 w-3 md:mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
-                                </svg>
-                                <span class="hidden md:inline text-xs">Daily</span>
-                            </button>
-                            <button type="button"
-                                    @click="changeStatsView('weekly')"
-                                    class="btn btn-sm"
-                                    :class="statsView === 'weekly' ? 'btn-default' : 'btn-ghost'">
-                                <svg class="h-3 w-3 md:mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"></path>
-                                </svg>
-                                <span class="hidden md:inline text-xs">Weekly</span>
-                            </button>
-                        </div>
-
-                        <!-- Period Selector -->
-                        <div class="flex gap-1">
-                            <button type="button"
-                                    @click="changeStatsPeriod(7)"
-                                    class="btn btn-sm"
-                                    :class="statsPeriod === 7 ? 'btn-default' : 'btn-ghost'">
-                                <span class="text-xs">7d</span>
-                            </button>
-                            <button type="button"
-                                    @click="changeStatsPeriod(30)"
-                                    class="btn btn-sm"
-                                    :class="statsPeriod === 30 ? 'btn-default' : 'btn-ghost'">
-                                <span class="text-xs">30d</span>
-                            </button>
-                            <button type="button"
-                                    @click="changeStatsPeriod(90)"
-                                    class="btn btn-sm"
-                                    :class="statsPeriod === 90 ? 'btn-default' : 'btn-ghost'">
-                                <span class="text-xs">90d</span>
-                            </button>
-                        </div>
-                    </div>
+                    <?php $pickerShowIcons = true; require __DIR__ . '/ui/stats-period-picker.php'; ?>
                 </div>
             </div>
 
@@ -76,6 +32,8 @@
                         </div>
                         <div class="text-xl font-semibold leading-tight" x-text="formatNumber(statsSummary.total_postbacks)"></div>
                         <p class="text-[10px] text-muted-foreground mt-0.5">Postbacks</p>
+                        <p class="text-[10px] font-medium mt-0.5" x-show="statsPrevious" x-cloak
+                           :class="statsDeltaClass('total_postbacks')" x-text="formatStatsDelta('total_postbacks')"></p>
                     </div>
 
                     <!-- Total Payout -->
@@ -88,6 +46,8 @@
                         </div>
                         <div class="text-xl font-semibold leading-tight text-emerald-600" x-text="'$' + statsSummary.total_payout.toFixed(2)"></div>
                         <p class="text-[10px] text-muted-foreground mt-0.5">Payout</p>
+                        <p class="text-[10px] font-medium mt-0.5" x-show="statsPrevious" x-cloak
+                           :class="statsDeltaClass('total_payout')" x-text="formatStatsDelta('total_payout', true)"></p>
                     </div>
 
                     <!-- Average Per Period -->
@@ -102,6 +62,8 @@
                         </div>
                         <div class="text-xl font-semibold leading-tight" x-text="'$' + statsSummary.avg_daily_payout.toFixed(2)"></div>
                         <p class="text-[10px] text-muted-foreground mt-0.5">Average</p>
+                        <p class="text-[10px] font-medium mt-0.5" x-show="statsPrevious" x-cloak
+                           :class="statsDeltaClass('avg_daily_payout')" x-text="formatStatsDelta('avg_daily_payout', true)"></p>
                     </div>
 
                     <!-- Active Periods -->
@@ -116,8 +78,13 @@
                         </div>
                         <div class="text-xl font-semibold leading-tight" x-text="statsSummary.days_count"></div>
                         <p class="text-[10px] text-muted-foreground mt-0.5">Active</p>
+                        <p class="text-[10px] font-medium mt-0.5" x-show="statsPrevious" x-cloak
+                           :class="statsDeltaClass('days_count')" x-text="formatStatsDelta('days_count')"></p>
                     </div>
                 </div>
+                <p class="mt-2 text-[10px] text-muted-foreground" x-show="statsPrevious" x-cloak>
+                    Compared to previous period <span x-text="statsPreviousLabel"></span>
+                </p>
 
                 <!-- Daily Stats Table -->
                 <div class="mt-4">
@@ -269,19 +236,14 @@
 
                 <div class="space-y-3">
                     <!-- Postback URL Template -->
-                    <div class="space-y-1.5">
-                        <label class="text-xs font-medium leading-none">
-                            Postback URL Template
-                        </label>
-                        <input type="url"
-                               class="input font-mono text-[11px]"
-                               placeholder="https://yourdomain.com/postback.php?country={country}&device={traffic_type}&payout={payout}&status={status}&click_id={click_id}&network={network}"
-                               x-model="cfg.postback_url"
-                               @input.debounce.400ms="savePostback()">
-                        <p class="text-[11px] text-muted-foreground">
-                            Use placeholders: {country}, {traffic_type}, {payout}
-                        </p>
-                    </div>
+                    <?php
+                    $builderTarget = 'postback';
+                    $builderModel = 'cfg.postback_url';
+                    $builderLabel = 'Postback URL Template';
+                    $builderPlaceholder = 'https://yourdomain.com/postback.php?country={country}&device={traffic_type}&payout={payout}';
+                    $builderOnChange = 'savePostback()';
+                    require __DIR__ . '/ui/postback-url-builder.php';
+                    ?>
 
                     <!-- Default Payout -->
                     <div class="space-y-1.5">
@@ -299,18 +261,6 @@
                             Default payout amount for Decision A conversions
                         </p>
                     </div>
-
-                    <!-- Example URL -->
-                    <div class="space-y-1.5">
-                        <label class="text-xs font-medium leading-none">
-                            Example Postback URL
-                        </label>
-                        <div class="p-2 bg-muted rounded border text-[11px] font-mono break-all"
-                             x-text="getPostbackExample()"></div>
-                        <p class="text-[11px] text-muted-foreground">
-                            Preview of how the postback URL will be called
-                        </p>
-                    </div>
                 </div>
 
             </div><!-- End x-show showConfig -->
@@ -346,92 +296,338 @@
                  x-transition:leave-start="opacity-100 transform scale-100"
                  x-transition:leave-end="opacity-0 transform scale-95">
 
-                <div x-show="!cfg.postback_enabled" class="mb-3">
-                    <div class="alert alert-info p-3 rounded-md bg-blue-50 border border-blue-200">
-                        <div class="flex items-start gap-2">
-                            <svg class="h-4 w-4 text-blue-600 mt-0.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-                            </svg>
-                            <div>
-                                <p class="text-xs font-medium text-blue-800">Auto-Enable Mode</p>
-                                <p class="text-xs text-blue-700 mt-1">Configure URL above, then click "Send Test Postback" - it will auto-enable and test</p>
-                            </div>
+                <div class="grid gap-3 md:grid-cols-2 mb-3">
+                    <!-- Target -->
+                    <div class="space-y-1.5 md:col-span-2">
+                        <div class="flex items-center gap-3 text-xs">
+                            <label class="flex items-center gap-1.5">
+                                <input type="radio" value="configured" x-model="postbackComposer.target">
+                                Configured postback URL
+                            </label>
+                            <label class="flex items-center gap-1.5">
+                                <input type="radio" value="custom" x-model="postbackComposer.target">
+                                Ad-hoc URL
+                            </label>
+                        </div>
+                        <code x-show="postbackComposer.target === 'configured'"
+                              class="block break-all rounded bg-muted p-2 font-mono text-[11px]"
+                              x-text="cfg.postback_url || 'No postback URL configured'"></code>
+                        <div x-show="postbackComposer.target === 'custom'">
+                            <input type="url" class="input font-mono text-[11px]" spellcheck="false"
+                                   :class="postbackTemplateErrors(postbackComposer.url, 'forward').length && 'border-destructive'"
+                                   placeholder="https://network.example/postback?cid={click_id}&amount={payout}&status={status}"
+                                   x-model="postbackComposer.url">
+                            <p class="mt-0.5 text-[10px] text-destructive"
+                               x-text="postbackTemplateErrors(postbackComposer.url, 'forward')[0] || ''"></p>
                         </div>
                     </div>
                 </div>
 
-            <div class="grid gap-3 md:grid-cols-3 mb-3">
-                <div class="space-y-1.5">
-                    <label class="text-xs font-medium leading-none">
-                        Country Code
-                    </label>
-                    <input type="text"
-                           class="input font-mono up-text"
-                           placeholder="US"
-                           maxlength="2"
-                           x-model="postbackTest.country">
+                <div class="grid gap-3 grid-cols-2 md:grid-cols-4 mb-3">
+                    <div class="space-y-1.5 col-span-2">
+                        <label class="text-xs font-medium leading-none">Click ID</label>
+                        <input type="text" class="input font-mono text-[11px]" placeholder="auto: test_…" x-model="postbackComposer.click_id">
+                    </div>
+                    <div class="space-y-1.5">
+                        <label class="text-xs font-medium leading-none">Payout</label>
+                        <input type="number" class="input" placeholder="0.00" step="0.01" min="0" x-model="postbackComposer.payout">
+                    </div>
+                    <div class="space-y-1.5">
+                        <label class="text-xs font-medium leading-none">Country</label>
+                        <input type="text" class="input font-mono uppercase" placeholder="US" maxlength="2" x-model="postbackComposer.country">
+                    </div>
+                    <div class="space-y-1.5">
+                        <label class="text-xs font-medium leading-none">Traffic Type</label>
+                        <select class="input" x-model="postbackComposer.traffic_type">
+                            <option value="WAP">Mobile (WAP)</option>
+                            <option value="WEB">Desktop (WEB)</option>
+                            <option value="TABLET">Tablet</option>
+                        </select>
+                    </div>
+                    <div class="space-y-1.5">
+                        <label class="text-xs font-medium leading-none">Status</label>
+                        <input type="text" class="input" placeholder="confirmed" list="postback-status-options" x-model="postbackComposer.status">
+                        <datalist id="postback-status-options">
+                            <option value="confirmed"></option>
+                            <option value="approved"></option>
+                            <option value="pending"></option>
+                            <option value="rejected"></option>
+                        </datalist>
+                    </div>
+                    <div class="space-y-1.5">
+                        <label class="text-xs font-medium leading-none">Network</label>
+                        <input type="text" class="input" placeholder="optional" x-model="postbackComposer.network">
+                    </div>
                 </div>
 
-                <div class="space-y-1.5">
-                    <label class="text-xs font-medium leading-none">
-                        Traffic Type
-                    </label>
-                    <select class="input" x-model="postbackTest.trafficType">
-                        <option value="WAP">Mobile (WAP)</option>
-                        <option value="WEB">Desktop (WEB)</option>
-                        <option value="TABLET">Tablet</option>
-                    </select>
+                <div class="flex items-center justify-between mb-3">
+                    <p class="text-[11px] text-muted-foreground">
+                        Test runs are not written to the outgoing log. The last 10 are kept in this browser.
+                    </p>
+                    <button type="button"
+                            class="btn btn-default btn-sm"
+                            @click="testPostback()"
+                            :disabled="postbackComposer.sending">
+                        <svg x-show="!postbackComposer.sending"
+                             class="h-3.5 w-3.5 mr-1.5"
+                             fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                        </svg>
+                        <svg x-show="postbackComposer.sending"
+                             class="h-3.5 w-3.5 mr-1.5 animate-spin"
+                             fill="none" viewBox="0 0 24 24">
+                            <circle class="opacity-25" cx="12" cy="12" r="10"
+                                    stroke="currentColor" stroke-width="4"></circle>
+                            <path class="opacity-75"
+                                  d="M4 12a8 8 0 0 1 8-8"
+                                  stroke="currentColor" stroke-width="4" stroke-linecap="round"></path>
+                        </svg>
+                        <span x-text="postbackComposer.sending ? 'Sending...' : 'Send Test Postback'"></span>
+                    </button>
                 </div>
 
-                <div class="space-y-1.5">
-                    <label class="text-xs font-medium leading-none">
-                        Payout
-                    </label>
-                    <input type="number"
-                           class="input"
-                           placeholder="0.00"
-                           step="0.01"
-                           x-model="postbackTest.payout">
+                <!-- Test runs -->
+                <div x-show="postbackTestRuns.length" x-cloak class="space-y-3">
+                    <div class="flex items-center justify-between">
+                        <h4 class="text-xs font-semibold">Recent test runs</h4>
+                        <button type="button" class="btn btn-sm btn-ghost text-[11px]" @click="clearPostbackTestRuns()">Clear</button>
+                    </div>
+                    <div class="overflow-x-auto rounded border">
+                        <table class="w-full text-[11px]">
+                            <thead class="border-b bg-muted/40">
+                            <tr>
+                                <th class="h-7 px-2 text-left font-medium text-muted-foreground">Time</th>
+                                <th class="h-7 px-2 text-left font-medium text-muted-foreground">Target</th>
+                                <th class="h-7 px-2 text-left font-medium text-muted-foreground">Params</th>
+                                <th class="h-7 px-2 text-left font-medium text-muted-foreground">Result</th>
+                                <th class="h-7 px-2 text-right font-medium text-muted-foreground">Total</th>
+                                <th class="h-7 px-2"></th>
+                            </tr>
+                            </thead>
+                            <tbody>
+                            <template x-for="run in postbackTestRuns" :key="run.id">
+                                <tr class="border-b cursor-pointer hover:bg-muted/50"
+                                    :class="postbackTestSelected === run.id && 'bg-muted'"
+                                    @click="postbackTestSelected = run.id">
+                                    <td class="p-2 whitespace-nowrap text-muted-foreground" :title="fmtTitle(run.ts)" x-text="fmt(run.ts)"></td>
+                                    <td class="p-2">
+                                        <span class="badge badge-outline text-[10px]" x-text="run.target === 'custom' ? 'Ad-hoc' : 'Configured'"></span>
+                                    </td>
+                                    <td class="p-2 font-mono text-[10px] text-muted-foreground"
+                                        x-text="`${run.params.click_id} · $${run.params.payout} · ${run.params.country} · ${run.params.traffic_type} · ${run.params.status}`"></td>
+                                    <td class="p-2">
+                                        <span class="badge text-[10px]" :class="run.success ? 'badge-default' : 'badge-destructive'"
+                                              x-text="run.error ? 'Error' : 'HTTP ' + run.response.code"></span>
+                                    </td>
+                                    <td class="p-2 text-right" x-text="run.timing.total_ms + ' ms'"></td>
+                                    <td class="p-2 text-right whitespace-nowrap">
+                                        <button type="button" class="btn btn-sm btn-ghost text-[10px]"
+                                                :class="postbackTestCompare === run.id && 'text-blue-600'"
+                                                @click.stop="toggleTestCompare(run.id)"
+                                                x-text="postbackTestCompare === run.id ? 'Comparing' : 'Compare'"></button>
+                                        <button type="button" class="btn btn-sm btn-ghost text-[10px]" @click.stop="reusePostbackTestRun(run)">Reuse</button>
+                                    </td>
+                                </tr>
+                            </template>
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <!-- Detail: satu run, atau dua kolom saat compare -->
+                    <div class="grid gap-3" :class="postbackTestPanels.length > 1 && 'md:grid-cols-2'">
+                        <template x-for="run in postbackTestPanels" :key="run.id">
+                            <div class="space-y-2 rounded border p-3 text-[11px]">
+                                <div class="flex flex-wrap items-center gap-1.5">
+                                    <span class="badge text-[10px]" :class="run.success ? 'badge-default' : 'badge-destructive'"
+                                          x-text="run.success ? 'Success' : 'Failed'"></span>
+                                    <span class="text-muted-foreground" x-text="fmt(run.ts)"></span>
+                                    <span class="text-destructive" x-show="run.error" x-text="run.error"></span>
+                                </div>
+
+                                <div>
+                                    <p class="font-medium">Request</p>
+                                    <code class="block break-all rounded bg-muted p-1.5 font-mono text-[10px]"
+                                          x-text="run.request.method + ' ' + run.request.url"></code>
+                                    <pre class="mt-1 max-h-28 overflow-auto whitespace-pre-wrap break-all rounded bg-muted p-1.5 font-mono text-[10px] text-muted-foreground"
+                                         x-show="run.request.headers.length" x-text="run.request.headers.join('\n')"></pre>
+                                </div>
+
+                                <div>
+                                    <p class="font-medium">
+                                        Response
+                                        <span class="font-normal text-muted-foreground"
+                                              x-text="`HTTP ${run.response.code} · ${run.response.size} bytes` + (run.response.location ? ' · redirect not followed' : '') + (run.response.ip ? ` · ${run.response.ip}` : '')"></span>
+                                    </p>
+                                    <pre class="max-h-28 overflow-auto whitespace-pre-wrap break-all rounded bg-muted p-1.5 font-mono text-[10px] text-muted-foreground"
+                                         x-show="run.response.headers.length"
+                                         x-text="run.response.headers.map(h => h.name + ': ' + h.value).join('\n')"></pre>
+                                    <pre class="mt-1 max-h-48 overflow-auto whitespace-pre-wrap break-all rounded border p-1.5 font-mono text-[10px]"
+                                         x-text="run.response.body || '(empty body)'"></pre>
+                                    <p class="text-[10px] text-muted-foreground" x-show="run.response.truncated">Body truncated to 16 KB.</p>
+                                    <p class="break-all text-[10px] text-muted-foreground" x-show="run.response.location"
+                                       x-text="'Location: ' + run.response.location"></p>
+                                </div>
+
+                                <div>
+                                    <p class="font-medium">Timing</p>
+                                    <div class="grid grid-cols-5 gap-1 text-center">
+                                        <template x-for="[label, key] in [['DNS', 'dns_ms'], ['Connect', 'connect_ms'], ['TLS', 'tls_ms'], ['TTFB', 'ttfb_ms'], ['Total', 'total_ms']]" :key="key">
+                                            <div class="rounded bg-muted p-1">
+                                                <div class="text-[10px] text-muted-foreground" x-text="label"></div>
+                                                <div class="font-medium" x-text="run.timing[key] + ' ms'"></div>
+                                            </div>
+                                        </template>
+                                    </div>
+                                </div>
+                            </div>
+                        </template>
+                    </div>
                 </div>
-            </div>
 
-            <div class="flex items-center justify-between">
+            </div><!-- End x-show showTestPostback -->
+        </div>
+
+        <!-- Signature Tester (HMAC) -->
+        <div class="card p-4" x-data="{ showSignatureTester: false }">
+            <div class="flex items-center justify-between gap-3">
+                <div class="flex-1">
+                    <h3 class="font-semibold tracking-tight text-sm">Signature Tester</h3>
+                    <p class="text-[11px] text-muted-foreground">
+                        Debug why a network's postbacks fail verification, or generate signed sample URLs for partners
+                    </p>
+                </div>
                 <button type="button"
-                        class="btn btn-default btn-sm"
-                        @click="testPostback()"
-                        :disabled="isTestingPostback">
-                    <svg x-show="!isTestingPostback"
-                         class="h-3.5 w-3.5 mr-1.5"
-                         fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 10V3L4 14h7v7l9-11h-7z"></path>
+                        class="btn btn-sm btn-ghost"
+                        @click="showSignatureTester = !showSignatureTester">
+                    <svg x-show="!showSignatureTester" class="h-3.5 w-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
                     </svg>
-                    <svg x-show="isTestingPostback"
-                         class="h-3.5 w-3.5 mr-1.5 animate-spin"
-                         fill="none" viewBox="0 0 24 24">
-                        <circle class="opacity-25" cx="12" cy="12" r="10"
-                                stroke="currentColor" stroke-width="4"></circle>
-                        <path class="opacity-75"
-                              d="M4 12a8 8 0 0 1 8-8"
-                              stroke="currentColor" stroke-width="4" stroke-linecap="round"></path>
+                    <svg x-show="showSignatureTester" class="h-3.5 w-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15l7-7 7 7"></path>
                     </svg>
-                    <span x-text="isTestingPostback ? 'Testing...' : 'Send Test Postback'"></span>
+                    <span class="text-xs" x-text="showSignatureTester ? 'Hide' : 'Show'"></span>
                 </button>
+            </div>
 
-                <template x-if="postbackTestResult">
-                    <div class="text-right text-[11px] space-y-0.5">
-                        <div>
-                            Status:
-                            <span class="badge"
-                                  :class="postbackTestResult.success ? 'badge-default' : 'badge-destructive'"
-                                  x-text="postbackTestResult.success ? 'Success' : 'Failed'">
-                            </span>
+            <div x-show="showSignatureTester" x-cloak class="mt-3 space-y-3">
+                <div class="flex gap-1">
+                    <button type="button" class="btn btn-sm"
+                            :class="signatureTester.mode === 'verify' ? 'btn-default' : 'btn-ghost'"
+                            @click="signatureTester.mode = 'verify'">
+                        <span class="text-xs">Verify received</span>
+                    </button>
+                    <button type="button" class="btn btn-sm"
+                            :class="signatureTester.mode === 'sign' ? 'btn-default' : 'btn-ghost'"
+                            @click="signatureTester.mode = 'sign'">
+                        <span class="text-xs">Generate signed URL</span>
+                    </button>
+                </div>
+
+                <!-- Verify -->
+                <div x-show="signatureTester.mode === 'verify'" class="space-y-2">
+                    <div class="flex items-center justify-between gap-2">
+                        <label class="text-xs font-medium">Raw URL or query string</label>
+                        <select class="input input-sm h-7 w-auto text-[11px]"
+                                :value="signatureTester.sampleId"
+                                @change="loadSignatureSample($event.target.value)">
+                            <option value="">Load from received postback…</option>
+                            <template x-for="row in receivedPostbacks.slice(0, 20)" :key="row.id">
+                                <option :value="String(row.id)"
+                                        x-text="`#${row.id} · ${row.network || 'unknown'} · ${row.click_id || '-'} · signature ${signatureLabel(row.signature_verified).toLowerCase()}`"></option>
+                            </template>
+                        </select>
+                    </div>
+                    <textarea class="input min-h-[64px] font-mono text-[11px]" rows="3" spellcheck="false"
+                              placeholder="https://yourdomain.com/postback-receiver-secure.php?click_id=abc&status=confirmed&payout=1.50&country=US&signature=…"
+                              x-model="signatureTester.input"></textarea>
+                    <div class="grid gap-2 md:grid-cols-2">
+                        <input type="text" class="input input-sm font-mono text-[11px]" spellcheck="false"
+                               placeholder="X-Signature header (if not in the query)"
+                               x-model="signatureTester.headerSignature">
+                        <input type="text" class="input input-sm font-mono text-[11px]" spellcheck="false" autocomplete="off"
+                               placeholder="X-API-Key header (if not in the query)"
+                               x-model="signatureTester.headerApiKey">
+                    </div>
+                    <div class="flex justify-end">
+                        <button type="button" class="btn btn-sm btn-default"
+                                :disabled="!signatureTester.input.trim() || signatureTester.loading"
+                                @click="verifyPostbackSignature()">
+                            <span class="text-xs" x-text="signatureTester.loading ? 'Checking...' : 'Run checks'"></span>
+                        </button>
+                    </div>
+
+                    <template x-if="signatureTester.result">
+                        <div class="space-y-2 rounded border p-3 text-[11px]">
+                            <ul class="space-y-1">
+                                <template x-for="check in signatureTester.result.checks" :key="check.id">
+                                    <li class="flex items-start gap-2">
+                                        <span class="badge text-[10px]"
+                                              :class="{ 'badge-default': check.status === 'pass', 'badge-destructive': check.status === 'fail', 'badge-outline': check.status === 'skip' }"
+                                              x-text="check.status"></span>
+                                        <span class="font-medium" x-text="check.label"></span>
+                                        <span class="text-muted-foreground" x-text="check.message"></span>
+                                    </li>
+                                </template>
+                            </ul>
+                            <div>
+                                <p class="font-medium">Canonical string (signed)</p>
+                                <code class="block break-all rounded bg-muted p-1.5 font-mono text-[10px]" x-text="signatureTester.result.canonical"></code>
+                            </div>
+                            <div class="grid gap-2 md:grid-cols-2">
+                                <div>
+                                    <p class="font-medium">Expected</p>
+                                    <code class="block break-all rounded bg-muted p-1.5 font-mono text-[10px]"
+                                          x-text="signatureTester.result.expected || '(no secret configured)'"></code>
+                                </div>
+                                <div>
+                                    <p class="font-medium">Provided</p>
+                                    <code class="block break-all rounded p-1.5 font-mono text-[10px]"
+                                          :class="signatureTester.result.expected && signatureTester.result.provided !== signatureTester.result.expected ? 'bg-red-50 text-destructive' : 'bg-muted'"
+                                          x-text="signatureTester.result.provided || '(none)'"></code>
+                                </div>
+                            </div>
+                            <p class="text-[10px] text-muted-foreground">IP whitelist is not checked here; it depends on the caller's address.</p>
                         </div>
-                        <div class="text-muted-foreground" x-text="postbackTestResult.message"></div>
+                    </template>
+                </div>
+
+                <!-- Sign -->
+                <div x-show="signatureTester.mode === 'sign'" class="space-y-2">
+                    <input type="url" class="input input-sm font-mono text-[11px]"
+                           placeholder="Receiver URL (default: APP_URL/postback-receiver-secure.php)"
+                           x-model="signatureTester.sign.base_url">
+                    <div class="grid gap-2 grid-cols-2 md:grid-cols-5">
+                        <input type="text" class="input input-sm font-mono text-[11px]" placeholder="click_id" x-model="signatureTester.sign.click_id">
+                        <input type="text" class="input input-sm text-[11px]" placeholder="status" x-model="signatureTester.sign.status">
+                        <input type="number" class="input input-sm text-[11px]" placeholder="payout" step="0.01" min="0" x-model="signatureTester.sign.payout">
+                        <input type="text" class="input input-sm text-[11px] uppercase" placeholder="country" maxlength="2" x-model="signatureTester.sign.country">
+                        <input type="text" class="input input-sm text-[11px]" placeholder="network (optional)" x-model="signatureTester.sign.network">
+                    </div>
+                    <div class="flex justify-end">
+                        <button type="button" class="btn btn-sm btn-default"
+                                :disabled="!signatureTester.sign.click_id.trim() || signatureTester.loading"
+                                @click="generateSignedPostback()">
+                            <span class="text-xs">Generate</span>
+                        </button>
                     </div>
-                </template>
-            </div>
 
-            </div><!-- End x-show showTestPostback -->
+                    <template x-if="signatureTester.signed">
+                        <div class="space-y-2 rounded border p-3 text-[11px]">
+                            <div class="flex items-start justify-between gap-2">
+                                <code class="block flex-1 break-all rounded bg-muted p-1.5 font-mono text-[10px]" x-text="signatureTester.signed.url"></code>
+                                <button type="button" class="btn btn-sm btn-outline text-[11px]"
+                                        @click="copyToClipboard(signatureTester.signed.url, 'Signed URL copied')">Copy</button>
+                            </div>
+                            <p class="text-muted-foreground">
+                                Signed string: <code class="font-mono" x-text="signatureTester.signed.canonical"></code>
+                            </p>
+                            <p class="text-amber-700" x-show="signatureTester.signed.requires_api_key">
+                                POSTBACK_REQUIRE_API_KEY is on: the partner must also send the API key as api_key or X-API-Key.
+                            </p>
+                        </div>
+                    </template>
+                </div>
+            </div>
         </div>
 
         <!-- Recent Postback Logs (Outgoing) -->
@@ -449,6 +645,7 @@
                             </svg>
                             SRP → Networks
                         </span>
+                        <?php $exportDataset = 'postbacks'; $exportLabel = 'Export'; require __DIR__ . '/ui/export-menu.php'; ?>
                         <button type="button"
                                 class="btn btn-sm btn-ghost"
                                 @click="showOutgoing = !showOutgoing">
@@ -506,10 +703,16 @@
                     <template x-for="log in postbackLogs" :key="log.id">
                         <tr class="border-b transition-colors hover:bg-muted/50">
                             <td class="p-2 align-middle">
-                                <span class="text-[11px] text-muted-foreground" x-text="fmt(log.ts)"></span>
+                                <span class="block text-[11px] text-muted-foreground" x-text="fmt(log.ts)" :title="fmtTitle(log.ts)"></span>
+                                <span class="block text-[10px] text-muted-foreground/70" x-text="fmtRelative(log.ts)"></span>
                             </td>
                             <td class="p-2 align-middle">
                                 <span class="badge badge-outline text-[11px]" x-text="log.country_code"></span>
+                                <button type="button" x-show="log.click_id"
+                                        class="block font-mono text-[10px] text-muted-foreground hover:underline"
+                                        title="Open click journey"
+                                        @click="openJourney(log.click_id)"
+                                        x-text="log.click_id"></button>
                             </td>
                             <td class="p-2 align-middle hidden md:table-cell">
                                 <span class="text-[11px]" x-text="log.traffic_type"></span>
@@ -532,6 +735,158 @@
             </div>
         </div>
 
+        <!-- Failed Postbacks (retry queue) -->
+        <div class="card" x-show="failedPostbackTotal > 0 || failedPostbacks.code !== ''" x-cloak>
+            <div class="p-4 border-b">
+                <div class="flex items-center justify-between gap-2">
+                    <div class="flex-1">
+                        <h3 class="font-semibold tracking-tight text-sm">Failed Postbacks</h3>
+                        <p class="text-[11px] text-muted-foreground">
+                            Deliveries that never got a 2xx. Max retries:
+                            <span class="font-medium" x-text="failedPostbacks.maxRetries"></span>
+                        </p>
+                    </div>
+                    <div class="flex items-center gap-2">
+                        <span class="badge badge-destructive text-[11px]" x-text="formatNumber(failedPostbackTotal) + ' failed'"></span>
+                        <button type="button" class="btn btn-sm btn-default"
+                                :disabled="!failedPostbacks.selected.length || failedPostbacks.retrying"
+                                @click="retryPostbacks([...failedPostbacks.selected])">
+                            <span x-text="failedPostbacks.retrying ? 'Retrying...' : `Retry selected (${failedPostbacks.selected.length})`"></span>
+                        </button>
+                        <button type="button" class="btn btn-sm btn-ghost" title="Refresh"
+                                :disabled="failedPostbacks.loading"
+                                @click="loadFailedPostbacks()">
+                            <svg class="h-3.5 w-3.5" :class="failedPostbacks.loading && 'animate-spin'" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Group per status code -->
+                <div class="mt-3 flex flex-wrap gap-1.5">
+                    <button type="button" class="badge text-[11px]"
+                            :class="failedPostbacks.code === '' ? 'badge-default' : 'badge-outline'"
+                            @click="loadFailedPostbacks('')">
+                        All <span class="ml-1 opacity-70" x-text="failedPostbackTotal"></span>
+                    </button>
+                    <template x-for="group in failedPostbacks.groups" :key="String(group.response_code)">
+                        <button type="button" class="badge text-[11px]"
+                                :class="failedPostbacks.code === (!group.response_code ? 'network' : String(group.response_code)) ? 'badge-default' : 'badge-outline'"
+                                :title="`$${Number(group.payout).toFixed(2)} payout · last ${fmt(group.last_ts)} · ${group.exhausted} exhausted`"
+                                @click="loadFailedPostbacks(!group.response_code ? 'network' : String(group.response_code))">
+                            <span x-text="failedCodeLabel(group.response_code)"></span>
+                            <span class="ml-1 opacity-70" x-text="group.count"></span>
+                        </button>
+                    </template>
+                </div>
+            </div>
+
+            <div class="relative overflow-x-auto overflow-y-auto max-h-[420px] scroll-logs">
+                <table class="w-full text-[12px]">
+                    <thead class="border-b bg-white sticky top-0 z-10">
+                    <tr>
+                        <th class="h-8 w-8 px-3 text-left align-middle">
+                            <input type="checkbox" class="h-3.5 w-3.5"
+                                   :checked="allFailedSelected"
+                                   @change="toggleAllFailed()"
+                                   title="Select up to 50">
+                        </th>
+                        <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground">Time</th>
+                        <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground">Country</th>
+                        <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground">Payout</th>
+                        <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground">Response</th>
+                        <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground">Attempts</th>
+                        <th class="h-8 px-3 text-right align-middle font-medium text-muted-foreground"></th>
+                    </tr>
+                    </thead>
+                    <tbody x-show="failedPostbacks.rows.length === 0">
+                        <tr>
+                            <td colspan="7" class="p-3 text-center text-[11px] text-muted-foreground">
+                                No failed postbacks for this status code.
+                            </td>
+                        </tr>
+                    </tbody>
+                    <!-- Satu tbody per postback: baris utama + baris timeline -->
+                    <template x-for="log in failedPostbacks.rows" :key="log.id">
+                        <tbody>
+                        <tr class="border-b transition-colors hover:bg-muted/50">
+                            <td class="p-2 align-middle">
+                                <input type="checkbox" class="h-3.5 w-3.5"
+                                       :checked="failedPostbacks.selected.includes(log.id)"
+                                       @change="toggleFailedSelection(log.id)">
+                            </td>
+                            <td class="p-2 align-middle">
+                                <span class="block text-[11px] text-muted-foreground" x-text="fmt(log.ts)" :title="fmtTitle(log.ts)"></span>
+                                <span class="block text-[10px] text-muted-foreground/70" x-text="fmtRelative(log.last_attempt_at || log.ts)"></span>
+                            </td>
+                            <td class="p-2 align-middle">
+                                <span class="badge badge-outline text-[11px]" x-text="log.country_code"></span>
+                                <button type="button" x-show="log.click_id"
+                                        class="block font-mono text-[10px] text-muted-foreground hover:underline"
+                                        title="Open click journey"
+                                        @click="openJourney(log.click_id)"
+                                        x-text="log.click_id"></button>
+                            </td>
+                            <td class="p-2 align-middle">
+                                <span class="text-[11px] font-medium" x-text="'$' + log.payout"></span>
+                            </td>
+                            <td class="p-2 align-middle">
+                                <span class="badge badge-destructive text-[11px]" x-text="failedCodeLabel(log.response_code)"></span>
+                                <span class="block max-w-[220px] truncate text-[10px] text-muted-foreground" x-text="log.response_body || ''" :title="log.response_body || ''"></span>
+                            </td>
+                            <td class="p-2 align-middle">
+                                <span class="text-[11px]" x-text="log.attempts || 1"></span>
+                                <span class="badge text-[10px] ml-1"
+                                      :class="isRetryExhausted(log) ? 'badge-destructive' : 'badge-outline'"
+                                      x-text="isRetryExhausted(log) ? 'Exhausted' : 'Retryable'"></span>
+                            </td>
+                            <td class="p-2 align-middle text-right whitespace-nowrap">
+                                <button type="button" class="btn btn-sm btn-ghost text-[11px]" @click="toggleAttempts(log.id)">
+                                    <span x-text="failedPostbacks.expanded === log.id ? 'Hide timeline' : 'Timeline'"></span>
+                                </button>
+                                <button type="button" class="btn btn-sm btn-outline text-[11px]"
+                                        :disabled="failedPostbacks.retrying"
+                                        @click="retryPostbacks([log.id])">
+                                    Retry
+                                </button>
+                            </td>
+                        </tr>
+                        <tr x-show="failedPostbacks.expanded === log.id" class="border-b bg-muted/30">
+                            <td></td>
+                            <td colspan="6" class="p-3">
+                                <p class="mb-2 break-all font-mono text-[10px] text-muted-foreground" x-text="log.postback_url"></p>
+                                <template x-if="!failedPostbacks.attempts[log.id]">
+                                    <p class="text-[11px] text-muted-foreground">Loading attempts...</p>
+                                </template>
+                                <ol class="space-y-2 border-l pl-3">
+                                    <template x-for="attempt in failedPostbacks.attempts[log.id] || []" :key="attempt.attempt">
+                                        <li class="relative">
+                                            <span class="absolute -left-[17px] top-1 h-2 w-2 rounded-full"
+                                                  :class="Number(attempt.success) ? 'bg-green-500' : 'bg-destructive'"></span>
+                                            <div class="flex flex-wrap items-center gap-2 text-[11px]">
+                                                <span class="font-medium" x-text="'#' + attempt.attempt"></span>
+                                                <span class="badge text-[10px]"
+                                                      :class="Number(attempt.success) ? 'badge-default' : 'badge-destructive'"
+                                                      x-text="failedCodeLabel(attempt.response_code)"></span>
+                                                <span class="text-muted-foreground" x-text="attempt.latency_ms !== null ? attempt.latency_ms + ' ms' : '— ms'"></span>
+                                                <span class="badge badge-outline text-[10px]" x-text="attempt.trigger_type"></span>
+                                                <span class="text-muted-foreground" x-show="attempt.actor" x-text="'by ' + attempt.actor"></span>
+                                                <span class="text-muted-foreground" x-text="fmt(attempt.ts)" :title="fmtTitle(attempt.ts)"></span>
+                                            </div>
+                                            <pre class="mt-1 max-h-24 overflow-auto whitespace-pre-wrap break-all rounded bg-white p-1.5 font-mono text-[10px] text-muted-foreground"
+                                                 x-show="attempt.response_body" x-text="attempt.response_body"></pre>
+                                        </li>
+                                    </template>
+                                </ol>
+                            </td>
+                        </tr>
+                        </tbody>
+                    </template>
+                </table>
+            </div>
+        </div>
+
         <!-- Received Postbacks (Incoming) -->
         <div class="card">
             <div class="p-4 border-b">
@@ -540,12 +895,15 @@
                         <h3 class="font-semibold tracking-tight text-sm">Incoming Postbacks</h3>
                         <p class="text-[11px] text-muted-foreground">Postbacks received from networks (last 50)</p>
                     </div>
-                    <span class="badge badge-default text-[11px]">
-                        <svg class="h-3 w-3 mr-1 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16l-4-4m0 0l4-4m-4 4h18"></path>
-                        </svg>
-                        Networks → SRP
-                    </span>
+                    <div class="flex items-center gap-2">
+                        <span class="badge badge-default text-[11px]">
+                            <svg class="h-3 w-3 mr-1 inline" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 16l-4-4m0 0l4-4m-4 4h18"></path>
+                            </svg>
+                            Networks → SRP
+                        </span>
+                        <?php $exportDataset = 'received'; $exportLabel = 'Export'; require __DIR__ . '/ui/export-menu.php'; ?>
+                    </div>
                 </div>
             </div>
 
@@ -587,7 +945,8 @@
                     <template x-for="log in receivedPostbacks" :key="log.id">
                         <tr class="border-b transition-colors hover:bg-muted/50">
                             <td class="p-2 align-middle">
-                                <span class="text-[11px] text-muted-foreground" x-text="fmt(log.ts)"></span>
+                                <span class="block text-[11px] text-muted-foreground" x-text="fmt(log.ts)" :title="fmtTitle(log.ts)"></span>
+                                <span class="block text-[10px] text-muted-foreground/70" x-text="fmtRelative(log.ts)"></span>
                             </td>
                             <td class="p-2 align-middle">
                                 <span class="badge badge-outline text-[11px]" x-text="log.network || 'unknown'"></span>
@@ -607,7 +966,14 @@
                                       x-text="log.status || '-'"></span>
                             </td>
                             <td class="p-2 align-middle hidden xl:table-cell">
-                                <span class="text-[11px] font-mono text-muted-foreground" x-text="log.click_id || '-'"></span>
+                                <button type="button" x-show="log.click_id"
+                                        class="text-[11px] font-mono text-muted-foreground hover:text-foreground hover:underline"
+                                        title="Open click journey"
+                                        @click="openJourney(log.click_id)"
+                                        x-text="log.click_id"></button>
+                                <span x-show="!log.click_id" class="text-[11px] text-muted-foreground">-</span>
+                                <span class="badge badge-destructive ml-1 text-[10px]" x-show="Number(log.orphan)"
+                                      title="No traffic log has this click_id (unknown click or log already cleaned up)">Orphan</span>
                             </td>
                         </tr>
                     </template>
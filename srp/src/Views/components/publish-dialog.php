@@ -0,0 +1,51 @@
+<!-- Publish Confirmation Dialog -->
+<!-- Ringkasan field yang berubah (published → draft) sebelum dikirim ke server -->
+<div x-show="publishDialog" x-cloak
+     class="fixed inset-0 z-50 flex items-center justify-center p-4"
+     role="dialog" aria-modal="true" aria-labelledby="publish-dialog-title"
+     @keydown.escape.window="publishDialog = null">
+    <div class="absolute inset-0 bg-black/30" @click="publishDialog = null"></div>
+
+    <template x-if="publishDialog">
+        <div class="relative flex max-h-[80vh] w-full max-w-2xl flex-col rounded-lg bg-white shadow-xl">
+            <div class="border-b p-3">
+                <h3 id="publish-dialog-title" class="text-sm font-semibold"
+                    x-text="publishDialog.scope === 'env' ? 'Publish environment configuration' : 'Publish routing configuration'"></h3>
+                <p class="text-[11px] text-muted-foreground"
+                   x-text="publishDialog.changes.length + ' field' + (publishDialog.changes.length === 1 ? '' : 's') + ' will change' + (publishDialog.scope === 'env' ? '. The dashboard reloads after publishing.' : ' for live traffic immediately.')"></p>
+            </div>
+
+            <div class="flex-1 overflow-y-auto p-3">
+                <table class="w-full text-[11px]">
+                    <thead>
+                    <tr class="text-left text-muted-foreground">
+                        <th class="pb-1 pr-1 font-medium">Field</th>
+                        <th class="pb-1 pr-1 font-medium">Published</th>
+                        <th class="pb-1 font-medium">Draft</th>
+                    </tr>
+                    </thead>
+                    <tbody>
+                    <template x-for="change in publishDialog.changes" :key="change.field">
+                        <tr class="align-top border-t">
+                            <td class="py-1 pr-1 font-mono break-all" x-text="change.field"></td>
+                            <td class="py-1 pr-1 font-mono break-all text-red-700 bg-red-50/60" x-text="formatHistoryValue(change.from)"></td>
+                            <td class="py-1 font-mono break-all text-green-700 bg-green-50/60" x-text="formatHistoryValue(change.to)"></td>
+                        </tr>
+                    </template>
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="flex items-center justify-end gap-1 border-t p-3">
+                <button type="button" class="btn btn-sm btn-ghost" @click="publishDialog = null">
+                    <span class="text-xs">Keep Editing</span>
+                </button>
+                <button type="button" class="btn btn-sm btn-default"
+                        :disabled="isSavingCfg || isSavingEnv"
+                        @click="confirmPublish()">
+                    <span class="text-xs" x-text="(isSavingCfg || isSavingEnv) ? 'Publishing...' : 'Publish'"></span>
+                </button>
+            </div>
+        </div>
+    </template>
+</div>
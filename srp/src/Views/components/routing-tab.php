@@ -1,6 +1,8 @@
 <!-- Routing Configuration Tab -->
 <div x-show="activeTab === 'routing'" x-cloak>
     <div class="space-y-4">
+        <?php $publishScope = 'routing'; require __DIR__ . '/ui/publish-bar.php'; ?>
+
         <!-- Configuration Form -->
         <div class="card p-4">
             <div class="flex items-center justify-between gap-3 mb-4">
@@ -18,7 +20,7 @@
                     </p>
                 </div>
                 <button type="button"
-                        @click="cfg.system_on = !cfg.system_on; save()"
+                        @click="toggleSystem()"
                         class="btn btn-sm"
                         :class="cfg.system_on ? 'btn-default' : 'btn-outline'"
                         :disabled="isSavingCfg"
@@ -51,195 +53,115 @@
                         </div>
                     </template>
 
+                    <!-- Weighted Split Bar -->
+                    <div class="space-y-1" x-show="cfg.redirect_url && cfg.redirect_url.length > 1">
+                        <div class="flex h-2 w-full overflow-hidden rounded-full bg-muted" role="img"
+                             :aria-label="redirectSplit.map(s => s.name + ' ' + s.share.toFixed(1) + '%').join(', ')">
+                            <template x-for="segment in redirectSplit" :key="segment.index">
+                                <div class="h-full transition-all duration-200"
+                                     :style="`width:${segment.share}%;background:${segment.color}`"
+                                     :title="segment.name + ' ' + formatRedirectShare(segment.index)"></div>
+                            </template>
+                        </div>
+                        <div class="text-[11px] text-muted-foreground" x-show="redirectWeightTotal === 0">
+                            All targets are disabled or weighted 0 — Decision A traffic falls back to Decision B.
+                        </div>
+                    </div>
+
                     <div class="space-y-2">
-                        <template x-for="(url, index) in cfg.redirect_url" :key="index">
-                            <div class="flex items-center gap-2">
-                                <input type="url"
-                                       class="input flex-1"
-                                       placeholder="https://example.com"
-                                       :value="url"
-                                       @input="updateRedirectUrl(index, $event.target.value)"
-                                       @input.debounce.400ms="save()">
-                                <button type="button"
-                                        @click="removeRedirectUrl(index)"
-                                        class="btn btn-sm btn-ghost text-destructive hover:bg-destructive/10"
-                                        title="Remove URL">
-                                    <svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
-                                    </svg>
-                                </button>
+                        <template x-for="(target, index) in cfg.redirect_url" :key="index">
+                            <div class="rounded-md border p-2 space-y-2 transition-colors"
+                                 :class="{
+                                     'opacity-60': !target.enabled,
+                                     'border-primary bg-primary/5': redirectDrag.from !== null && redirectDrag.over === index && redirectDrag.from !== index
+                                 }"
+                                 @dragover.prevent="overRedirectDrag(index)"
+                                 @drop.prevent="endRedirectDrag(true)">
+                                <div class="flex items-center gap-2">
+                                    <button type="button"
+                                            class="cursor-grab text-muted-foreground hover:text-foreground"
+                                            draggable="true"
+                                            @dragstart="startRedirectDrag(index, $event)"
+                                            @dragend="endRedirectDrag()"
+                                            @keydown.alt.arrow-up.prevent="moveRedirectTarget(index, index - 1)"
+                                            @keydown.alt.arrow-down.prevent="moveRedirectTarget(index, index + 1)"
+                                            title="Drag to reorder (Alt+↑/↓)"
+                                            aria-label="Reorder URL">
+                                        <svg class="h-4 w-4" fill="currentColor" viewBox="0 0 24 24">
+                                            <circle cx="9" cy="6" r="1.5"/><circle cx="15" cy="6" r="1.5"/>
+                                            <circle cx="9" cy="12" r="1.5"/><circle cx="15" cy="12" r="1.5"/>
+                                            <circle cx="9" cy="18" r="1.5"/><circle cx="15" cy="18" r="1.5"/>
+                                        </svg>
+                                    </button>
+                                    <span class="h-2.5 w-2.5 shrink-0 rounded-full" :style="`background:${redirectColor(index)}`"></span>
+                                    <input type="url"
+                                           class="input flex-1"
+                                           placeholder="https://example.com"
+                                           :value="target.url"
+                                           @input="updateRedirectUrl(index, $event.target.value)">
+                                    <button type="button"
+                                            @click="removeRedirectUrl(index)"
+                                            class="btn btn-sm btn-ghost text-destructive hover:bg-destructive/10"
+                                            title="Remove URL">
+                                        <svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+                                        </svg>
+                                    </button>
+                                </div>
+                                <div class="flex flex-wrap items-center gap-2 pl-6">
+                                    <input type="text"
+                                           class="input h-8 text-[12px] flex-1 min-w-[120px]"
+                                           placeholder="Label (optional)"
+                                           maxlength="60"
+                                           :value="target.label"
+                                           @input="updateRedirectTarget(index, 'label', $event.target.value)">
+                                    <label class="flex items-center gap-1 text-[11px] text-muted-foreground">
+                                        Weight
+                                        <input type="number"
+                                               class="input h-8 w-20 text-[12px]"
+                                               min="0" max="1000" step="1"
+                                               :value="target.weight"
+                                               @input="updateRedirectTarget(index, 'weight', $event.target.value)">
+                                    </label>
+                                    <span class="w-12 text-right text-[11px] font-medium tabular-nums"
+                                          x-text="formatRedirectShare(index)"></span>
+                                    <label class="flex items-center gap-1 text-[11px] text-muted-foreground">
+                                        <input type="checkbox"
+                                               :checked="target.enabled"
+                                               @change="updateRedirectTarget(index, 'enabled', $event.target.checked)">
+                                        Enabled
+                                    </label>
+                                </div>
                             </div>
                         </template>
                     </div>
 
                     <p class="text-[11px] text-muted-foreground">
-                        Must use HTTPS protocol. Decision A will randomly redirect to one of these URLs.
+                        Must use HTTPS protocol. Decision A rotates between enabled URLs in proportion to their weight.
                     </p>
                 </div>
 
-                <!-- Country Filter Mode -->
-                <div class="space-y-1.5">
-                    <label class="text-xs font-medium leading-none">
-                        Country Filter Mode
-                    </label>
-                    <div class="relative">
-                        <select class="input pr-7 appearance-none"
-                                x-model="cfg.country_filter_mode"
-                                @change="save()">
-                            <option value="all">All Countries</option>
-                            <option value="whitelist">Whitelist Only</option>
-                            <option value="blacklist">Blacklist Only</option>
-                        </select>
-                        <span class="pointer-events-none absolute inset-y-0 right-2 flex items-center text-[10px] text-muted-foreground">
-                            <svg class="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
-                                      d="M19 9l-7 7-7-7"></path>
-                            </svg>
-                        </span>
-                    </div>
-                </div>
-
-                <!-- Country List -->
-                <div x-show="cfg.country_filter_mode !== 'all'"
-                     x-transition:enter="transition ease-out duration-200"
-                     x-transition:enter-start="opacity-0 transform scale-95"
-                     x-transition:enter-end="opacity-100 transform scale-100"
-                     class="space-y-1.5">
-                    <label class="text-xs font-medium leading-none">
-                        <span
-                            x-text="cfg.country_filter_mode === 'whitelist' ? 'Allowed Countries' : 'Blocked Countries'"></span>
-                    </label>
-                    <textarea class="textarea font-mono text-[11px] scroll-logs" rows="3" style="height:150px;" 
-                              placeholder="US, GB, ID, AU, CA"
-                              x-model="cfg.country_filter_list"
-                              @input.debounce.400ms="save()"></textarea>
-                    <p class="text-[11px] text-muted-foreground">ISO Alpha-2 codes, comma separated</p>
-                </div>
+                <?php require __DIR__ . '/ui/country-filter-editor.php'; ?>
             </div>
 
             <div class="pt-3 mt-3 border-t">
-                <div class="text-[11px] text-muted-foreground">
-                    Last updated:
-                    <span class="font-medium" x-text="fmt(cfg.updated_at)"></span>
-                </div>
-            </div>
-        </div>
-
-        <!-- Decision Tester -->
-        <div class="card">
-            <div class="p-4 space-y-3">
-                <div class="flex items-center justify-between gap-3">
+                <div class="flex items-center justify-between gap-2 text-[11px] text-muted-foreground">
                     <div>
-                        <h3 class="font-semibold tracking-tight text-sm">Decision Tester</h3>
-                        <p class="text-[11px] text-muted-foreground">
-                            Simulate redirect decision based on current configuration
-                        </p>
+                        Last updated:
+                        <span class="font-medium" x-text="fmt(cfg.updated_at)" :title="fmtTitle(cfg.updated_at)"></span>
+                        <span x-show="cfg.updated_at" x-text="'(' + fmtRelative(cfg.updated_at) + ')'"></span>
                     </div>
-                    <button type="button"
-                            class="btn btn-sm btn-ghost"
-                            @click="testerOpen = !testerOpen">
-                            <svg x-show="!testerOpen" class="h-3.5 w-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
-                            </svg>
-                            <svg x-show="testerOpen" class="h-3.5 w-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15l7-7 7 7"></path>
-                            </svg>
-                        <span class="text-[11px]" x-text="testerOpen ? 'Hide' : 'Show'"></span>
+                    <button type="button" class="btn btn-sm btn-ghost text-[11px]" @click="openHistory('settings')">
+                        History
                     </button>
                 </div>
-
-                <div x-show="testerOpen"
-                                 x-transition:enter="transition ease-out duration-200"
-                 x-transition:enter-start="opacity-0 transform scale-95"
-                 x-transition:enter-end="opacity-100 transform scale-100"
-                 x-transition:leave="transition ease-in duration-150"
-                 x-transition:leave-start="opacity-100 transform scale-100"
-                 x-transition:leave-end="opacity-0 transform scale-95"
-                     class="space-y-3">
-                    <div class="grid gap-3 md:grid-cols-3">
-                        <!-- Country code -->
-                        <div class="space-y-1.5">
-                            <label class="text-xs font-medium leading-none">
-                                Country (ISO Alpha-2)
-                            </label>
-                            <input type="text"
-                                   class="input font-mono up-text text-[11px]"
-                                   placeholder="e.g. ID"
-                                   maxlength="2"
-                                   x-model="testInput.country">
-                            <p class="text-[11px] text-muted-foreground">
-                                Will be uppercased automatically
-                            </p>
-                        </div>
-
-                        <!-- Device -->
-                        <div class="space-y-1.5">
-                            <label class="text-xs font-medium leading-none">
-                                Device
-                            </label>
-                            <div class="relative">
-                                <select class="input pr-7 appearance-none" x-model="testInput.device">
-                                    <option value="mobile">Mobile / WAP</option>
-                                    <option value="desktop">Desktop / WEB</option>
-                                </select>
-                                <span class="pointer-events-none absolute inset-y-0 right-2 flex items-center text-[10px] text-muted-foreground">
-                                    <svg class="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
-                                              d="M19 9l-7 7-7-7"></path>
-                                    </svg>
-                                </span>
-                            </div>
-                            <p class="text-[11px] text-muted-foreground">
-                                Simplified device bucket
-                            </p>
-                        </div>
-
-                        <!-- VPN -->
-                        <div class="space-y-1.5">
-                            <label class="text-xs font-medium leading-none">
-                                VPN / Proxy
-                            </label>
-                            <div class="relative">
-                                <select class="input pr-7 appearance-none" x-model="testInput.vpn">
-                                    <option value="no">No VPN detected</option>
-                                    <option value="yes">VPN / Proxy</option>
-                                </select>
-                                <span class="pointer-events-none absolute inset-y-0 right-2 flex items-center text-[10px] text-muted-foreground">
-                                    <svg class="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
-                                              d="M19 9l-7 7-7-7"></path>
-                                    </svg>
-                                </span>
-                            </div>
-                            <p class="text-[11px] text-muted-foreground">
-                                Assumed detection result
-                            </p>
-                        </div>
-                    </div>
-
-                    <div class="flex items-center justify-between pt-1">
-                        <button type="button"
-                                class="btn btn-default btn-sm"
-                                @click="runTest()">
-                            Run Test
-                        </button>
-
-                        <template x-if="testResult">
-                            <div class="text-right text-[11px] space-y-0.5">
-                                <div>
-                                    Decision:
-                                    <span class="badge"
-                                          :class="testResult.decision === 'A' ? 'badge-default' : 'badge-secondary'"
-                                          x-text="testResult.decision === 'A' ? 'Redirect (A)' : 'Fallback (B)'">
-                                    </span>
-                                </div>
-                                <div class="text-muted-foreground max-w-xs md:max-w-sm"
-                                     x-text="testResult.reason"></div>
-                            </div>
-                        </template>
-                    </div>
-                </div>
             </div>
         </div>
+
+        <!-- Routing Rules -->
+        <?php require __DIR__ . '/ui/routing-rules.php'; ?>
+
+        <!-- Routing Simulator -->
+        <?php require __DIR__ . '/ui/routing-simulator.php'; ?>
     </div>
 </div>
@@ -0,0 +1,34 @@
+<!-- Secret Reveal Dialog -->
+<!-- Konfirmasi ulang password admin sebelum env secret dikirim ke browser (berlaku 5 menit) -->
+<div x-show="secretPrompt" x-cloak
+     class="fixed inset-0 z-50 flex items-center justify-center p-4"
+     role="dialog" aria-modal="true" aria-labelledby="secret-reveal-title"
+     @keydown.escape.window="secretPrompt = null">
+    <div class="absolute inset-0 bg-black/30" @click="secretPrompt = null"></div>
+
+    <template x-if="secretPrompt">
+        <form class="relative w-full max-w-sm space-y-3 rounded-lg bg-white p-4 shadow-xl" @submit.prevent="submitSecretPrompt()">
+            <div>
+                <h3 id="secret-reveal-title" class="text-sm font-semibold">Confirm your password</h3>
+                <p class="text-[11px] text-muted-foreground">
+                    Required to reveal <span class="font-mono" x-text="secretPrompt.key"></span>.
+                    Reveals stay unlocked for 5 minutes.
+                </p>
+            </div>
+            <input type="password" class="input h-8 w-full text-[12px]"
+                   x-model="secretPrompt.password"
+                   x-init="$nextTick(() => $el.focus())"
+                   autocomplete="current-password"
+                   placeholder="Admin password">
+            <p class="text-[11px] text-destructive" x-show="secretPrompt.error" x-text="secretPrompt.error"></p>
+            <div class="flex items-center justify-end gap-1">
+                <button type="button" class="btn btn-sm btn-ghost" @click="secretPrompt = null">
+                    <span class="text-xs">Cancel</span>
+                </button>
+                <button type="submit" class="btn btn-sm btn-default" :disabled="!secretPrompt.password || secretPrompt.busy">
+                    <span class="text-xs" x-text="secretPrompt.busy ? 'Checking...' : 'Reveal'"></span>
+                </button>
+            </div>
+        </form>
+    </template>
+</div>
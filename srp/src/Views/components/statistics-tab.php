@@ -1,6 +1,16 @@
 <!-- Statistics Tab -->
 <div x-show="activeTab === 'statistics'" x-cloak>
     <div class="space-y-4">
+        <!-- Payout Stats Export -->
+        <div class="flex items-center justify-between gap-2">
+            <p class="text-[11px] text-muted-foreground">
+                Payout stats export uses the current
+                <span x-text="statsView === 'weekly' ? 'weekly' : 'daily'"></span> view,
+                <span x-text="statsRangeLabel || 'last ' + statsPeriod + ' days'"></span>.
+            </p>
+            <?php $exportDataset = 'stats'; $exportLabel = 'Export stats'; require __DIR__ . '/ui/export-menu.php'; ?>
+        </div>
+
         <!-- Overall Statistics -->
         <div class="grid gap-3 grid-cols-2 md:grid-cols-4">
             <!-- Total Decisions -->
@@ -54,44 +64,294 @@
             </div>
         </div>
 
-        <!-- Country Breakdown -->
+        <!-- Trends Chart -->
+        <?php
+        // Geometri harus sama dengan CHART_BOX di dashboard.js
+        $chartSeriesKeys = ['clicks', 'decision_a', 'decision_b', 'conversions', 'revenue'];
+        $chartTicks = [0, 0.25, 0.5, 0.75, 1];
+        ?>
         <div class="card">
-            <div class="p-4 border-b">
-                <h3 class="font-semibold tracking-tight text-sm">Top Countries</h3>
-                <p class="text-[11px] text-muted-foreground">Decision breakdown by country (from recent logs)</p>
+            <div class="flex flex-col gap-3 p-4 border-b sm:flex-row sm:items-center sm:justify-between">
+                <div class="space-y-0.5">
+                    <h3 class="font-semibold tracking-tight text-sm">Trends</h3>
+                    <p class="text-[11px] text-muted-foreground">
+                        Clicks, A/B split, conversions and revenue per
+                        <span x-text="statsView === 'weekly' ? 'week' : 'day'"></span>.
+                        Drag on the strip below the chart to zoom.
+                    </p>
+                </div>
+                <?php $pickerShowIcons = false; require __DIR__ . '/ui/stats-period-picker.php'; ?>
             </div>
 
-            <div class="p-4">
-                <template x-if="getCountryStats().length === 0">
-                    <div class="text-center text-[11px] text-muted-foreground py-4">
-                        No traffic data available
-                    </div>
+            <div class="p-4 space-y-3">
+                <!-- Period totals (dengan delta jika compare aktif) -->
+                <div class="grid gap-3 grid-cols-2 md:grid-cols-4">
+                    <?php foreach ([
+                        'total_clicks' => ['Clicks', false],
+                        'decision_a' => ['Decision A', false],
+                        'total_postbacks' => ['Conversions', false],
+                        'total_payout' => ['Revenue', true],
+                    ] as $summaryKey => [$summaryLabel, $summaryMoney]): ?>
+                        <div class="rounded-md border p-3">
+                            <div class="text-[11px] font-medium text-muted-foreground uppercase tracking-wide"><?= $summaryLabel ?></div>
+                            <div class="text-lg font-semibold leading-tight"
+                                 x-text="<?= $summaryMoney
+                                     ? "'\$' + (Number(statsSummary.{$summaryKey}) || 0).toFixed(2)"
+                                     : "formatNumber(statsSummary.{$summaryKey})" ?>"></div>
+                            <p class="text-[10px] font-medium mt-0.5" x-show="statsPrevious" x-cloak
+                               :class="statsDeltaClass('<?= $summaryKey ?>')"
+                               x-text="formatStatsDelta('<?= $summaryKey ?>'<?= $summaryMoney ? ', true' : '' ?>)"></p>
+                        </div>
+                    <?php endforeach; ?>
+                </div>
+                <p class="text-[10px] text-muted-foreground" x-show="statsRangeLabel">
+                    <span x-text="statsRangeLabel"></span>
+                    <span x-show="statsPrevious" x-cloak>
+                        vs <span x-text="statsPreviousLabel"></span>
+                    </span>
+                </p>
+
+                <!-- Series toggles -->
+                <div class="flex flex-wrap items-center gap-1.5">
+                    <template x-for="s in chartSeries" :key="s.key">
+                        <button type="button" class="badge badge-outline text-[11px] gap-1.5"
+                                :class="chartHidden[s.key] ? 'opacity-40' : ''"
+                                :aria-pressed="!chartHidden[s.key]"
+                                @click="toggleChartSeries(s.key)">
+                            <span class="inline-block h-2 w-2 rounded-full" :style="'background:' + s.color"></span>
+                            <span x-text="s.label"></span>
+                        </button>
+                    </template>
+                    <button type="button" class="btn btn-ghost btn-sm ml-auto text-[11px]"
+                            x-show="chartZoom" @click="resetChartZoom()">
+                        Reset zoom (<span x-text="chartZoom ? chartZoom.from + ' – ' + chartZoom.to : ''"></span>)
+                    </button>
+                </div>
+
+                <template x-if="chartAll.length === 0">
+                    <div class="text-center text-[11px] text-muted-foreground py-8"
+                         x-text="statsLoading ? 'Loading...' : 'No data for this period'"></div>
                 </template>
 
-                <template x-if="getCountryStats().length > 0">
-                    <div class="space-y-3">
-                        <template x-for="stat in getCountryStats().slice(0, 10)" :key="stat.country">
-                            <div class="space-y-1">
-                                <div class="flex items-center justify-between text-[11px]">
-                                    <div class="flex items-center gap-2">
-                                        <span class="badge badge-outline" x-text="stat.country"></span>
-                                        <span class="text-muted-foreground" x-text="stat.total + ' requests'"></span>
-                                    </div>
-                                    <div class="flex items-center gap-2">
-                                        <span class="text-emerald-600 font-medium" x-text="stat.decisionA + ' A'"></span>
-                                        <span class="text-amber-600 font-medium" x-text="stat.decisionB + ' B'"></span>
-                                    </div>
-                                </div>
-                                <div class="flex h-2 overflow-hidden rounded-full bg-muted">
-                                    <div class="bg-emerald-500"
-                                         :style="'width: ' + ((stat.decisionA / stat.total) * 100) + '%'"></div>
-                                    <div class="bg-amber-500"
-                                         :style="'width: ' + ((stat.decisionB / stat.total) * 100) + '%'"></div>
+                <div x-show="chartAll.length > 0" :class="statsLoading ? 'opacity-60' : ''">
+                    <!-- Main chart -->
+                    <div class="relative select-none">
+                        <svg viewBox="0 0 600 200" class="w-full h-auto touch-none" role="img"
+                             aria-label="Time-series chart of clicks, conversions and revenue"
+                             @pointermove="chartHoverAt($event)" @pointerleave="chartHover = null">
+                            <?php foreach ($chartTicks as $tick): ?>
+                                <line x1="36" x2="556" y1="<?= 10 + 168 * (1 - $tick) ?>" y2="<?= 10 + 168 * (1 - $tick) ?>"
+                                      stroke="#e5e7eb" stroke-width="1" <?= $tick > 0 ? 'stroke-dasharray="3 3"' : '' ?>></line>
+                            <?php endforeach; ?>
+                            <?php foreach ($chartSeriesKeys as $key): ?>
+                                <path :d="chartPath('<?= $key ?>')" fill="none"
+                                      :stroke="chartSeries.find(s => s.key === '<?= $key ?>').color"
+                                      stroke-width="<?= $key === 'clicks' ? 2 : 1.5 ?>"
+                                      stroke-linejoin="round" stroke-linecap="round"
+                                      <?= $key === 'revenue' ? 'stroke-dasharray="5 3"' : '' ?>></path>
+                            <?php endforeach; ?>
+                            <line x-show="chartHover !== null" y1="10" y2="178"
+                                  :x1="chartHover !== null ? chartX(chartHover) : 0"
+                                  :x2="chartHover !== null ? chartX(chartHover) : 0"
+                                  stroke="#94a3b8" stroke-width="1"></line>
+                            <?php foreach ($chartSeriesKeys as $key): ?>
+                                <circle x-show="chartDot('<?= $key ?>')" r="3" fill="#fff" stroke-width="1.5"
+                                        :stroke="chartSeries.find(s => s.key === '<?= $key ?>').color"
+                                        :cx="chartDot('<?= $key ?>')?.x || 0"
+                                        :cy="chartDot('<?= $key ?>')?.y || 0"></circle>
+                            <?php endforeach; ?>
+                        </svg>
+
+                        <!-- Axis labels (HTML supaya ukuran font tidak ikut scale) -->
+                        <?php foreach ($chartTicks as $tick): ?>
+                            <span class="pointer-events-none absolute left-0 -translate-y-1/2 text-[10px] text-muted-foreground"
+                                  style="top: <?= (10 + 168 * (1 - $tick)) / 2 ?>%"
+                                  x-text="chartTickLabel(<?= $tick ?>, 'count')"></span>
+                            <span class="pointer-events-none absolute right-0 -translate-y-1/2 text-[10px] text-green-700"
+                                  style="top: <?= (10 + 168 * (1 - $tick)) / 2 ?>%"
+                                  x-show="chartHasRevenue"
+                                  x-text="chartTickLabel(<?= $tick ?>, 'revenue')"></span>
+                        <?php endforeach; ?>
+                        <template x-for="l in chartXLabels" :key="l.date">
+                            <span class="pointer-events-none absolute bottom-0 -translate-x-1/2 text-[10px] text-muted-foreground"
+                                  :style="'left: ' + l.left + '%'" x-text="l.label"></span>
+                        </template>
+
+                        <!-- Tooltip -->
+                        <div x-show="chartTooltip" x-cloak
+                             class="pointer-events-none absolute top-2 z-10 min-w-[9rem] rounded-md border bg-white p-2 shadow-md"
+                             :style="chartTooltip ? (chartTooltip.flip
+                                 ? 'right: calc(' + (100 - chartTooltip.left) + '% + 8px)'
+                                 : 'left: calc(' + chartTooltip.left + '% + 8px)') : ''">
+                            <div class="mb-1 text-[11px] font-medium" x-text="chartTooltip?.title"></div>
+                            <template x-for="row in (chartTooltip?.rows || [])" :key="row.key">
+                                <div class="flex items-center justify-between gap-3 text-[11px]">
+                                    <span class="flex items-center gap-1.5 text-muted-foreground">
+                                        <span class="inline-block h-2 w-2 rounded-full" :style="'background:' + row.color"></span>
+                                        <span x-text="row.label"></span>
+                                    </span>
+                                    <span class="font-medium" x-text="row.value"></span>
                                 </div>
-                            </div>
+                            </template>
+                        </div>
+                    </div>
+
+                    <!-- Brush / overview strip -->
+                    <svg viewBox="0 0 600 36" class="mt-2 w-full h-auto cursor-crosshair touch-none select-none rounded border bg-muted/30"
+                         aria-label="Drag to select a date range to zoom"
+                         @pointerdown="startChartBrush($event)"
+                         @pointermove="moveChartBrush($event)"
+                         @pointerup="endChartBrush()"
+                         @pointercancel="chartBrush = null"
+                         @dblclick="resetChartZoom()">
+                        <path :d="chartOverviewPath" fill="none" stroke="#3b82f6" stroke-width="1" opacity="0.7"></path>
+                        <rect x-show="chartBrushRect" y="0" height="36"
+                              :x="chartBrushRect?.x || 0" :width="chartBrushRect?.width || 0"
+                              fill="#3b82f6" fill-opacity="0.15" stroke="#3b82f6" stroke-opacity="0.5"></rect>
+                    </svg>
+                </div>
+            </div>
+        </div>
+
+        <!-- Country Analytics -->
+        <div class="card">
+            <div class="flex flex-col gap-3 p-4 border-b sm:flex-row sm:items-center sm:justify-between">
+                <div class="space-y-0.5">
+                    <h3 class="font-semibold tracking-tight text-sm">Countries</h3>
+                    <p class="text-[11px] text-muted-foreground">
+                        Clicks joined with received conversions per country
+                        <span x-show="statsRangeLabel" x-text="'(' + statsRangeLabel + ')'"></span>
+                    </p>
+                </div>
+                <div class="flex items-center gap-2">
+                    <label class="sr-only" for="country-metric">Map metric</label>
+                    <select id="country-metric" class="input h-8 w-auto text-[12px]" x-model="countryMetric">
+                        <template x-for="(label, key) in countryMetrics" :key="key">
+                            <option :value="key" x-text="label" :selected="key === countryMetric"></option>
                         </template>
+                    </select>
+                    <?php $exportDataset = 'countries'; $exportLabel = 'Export'; require __DIR__ . '/ui/export-menu.php'; ?>
+                </div>
+            </div>
+
+            <div class="p-4 space-y-3" :class="countryStatsLoading ? 'opacity-60' : ''">
+                <!-- World map -->
+                <div class="rounded-md border bg-slate-50/50 p-2">
+                    <?php require __DIR__ . '/ui/world-map.php'; ?>
+                </div>
+                <div class="flex flex-wrap items-center justify-between gap-2 text-[11px] text-muted-foreground">
+                    <div class="min-h-[1rem]">
+                        <template x-if="countryHoverRow">
+                            <span>
+                                <span class="font-medium text-foreground" x-text="countryName(countryHoverRow.country_code)"></span>
+                                <span x-text="'(' + countryHoverRow.country_code + ')'"></span>:
+                                <span x-text="countryMetrics[countryMetric] + ' ' + formatCountryMetric(countryHoverRow, countryMetric)"></span>,
+                                <span x-text="formatCountryMetric(countryHoverRow, 'clicks') + ' clicks'"></span>
+                            </span>
+                        </template>
+                        <span x-show="!countryHoverRow">Hover a tile for details, click to select it.</span>
                     </div>
-                </template>
+                    <div class="flex items-center gap-1.5">
+                        <span>0</span>
+                        <span class="inline-block h-2 w-24 rounded-full"
+                              style="background: linear-gradient(to right, #d1fae5, #047857)"></span>
+                        <span x-text="formatCountryMetric({ [countryMetric]: countryMetricMax }, countryMetric)"></span>
+                    </div>
+                </div>
+
+                <!-- Filters + routing actions -->
+                <div class="flex flex-wrap items-end gap-2">
+                    <div class="space-y-1">
+                        <label class="text-[11px] font-medium text-muted-foreground" for="country-filter">Country</label>
+                        <input id="country-filter" type="search" class="input h-8 w-40 text-[12px]"
+                               placeholder="US or United" x-model.debounce.200ms="countryFilter">
+                    </div>
+                    <div class="space-y-1">
+                        <label class="text-[11px] font-medium text-muted-foreground" for="country-min-clicks">Min clicks</label>
+                        <input id="country-min-clicks" type="number" min="0" class="input h-8 w-24 text-[12px]"
+                               x-model.number="countryMinClicks">
+                    </div>
+                    <div class="ml-auto flex flex-wrap items-center gap-1" x-show="countrySelection.length" x-cloak>
+                        <span class="text-[11px] text-muted-foreground"
+                              x-text="countrySelection.length + ' selected: ' + countrySelection.join(', ')"></span>
+                        <button type="button" class="btn btn-sm btn-default text-[11px]"
+                                @click="addSelectedCountriesToFilter('whitelist')">Add to whitelist</button>
+                        <button type="button" class="btn btn-sm btn-secondary text-[11px]"
+                                @click="addSelectedCountriesToFilter('blacklist')">Add to blacklist</button>
+                        <button type="button" class="btn btn-sm btn-ghost text-[11px]"
+                                @click="countrySelection = []">Clear</button>
+                    </div>
+                </div>
+
+                <!-- Table -->
+                <div class="relative overflow-x-auto overflow-y-auto max-h-[420px] scroll-logs border rounded-md">
+                    <table class="w-full text-[12px]">
+                        <thead class="border-b bg-white sticky top-0 z-10">
+                        <tr>
+                            <th class="h-8 w-8 px-2"><span class="sr-only">Select</span></th>
+                            <?php foreach ([
+                                'country_code' => ['Country', 'text-left'],
+                                'clicks' => ['Clicks', 'text-right'],
+                                'conversions' => ['Conv.', 'text-right'],
+                                'cr' => ['CR %', 'text-right'],
+                                'revenue' => ['Revenue', 'text-right'],
+                                'epc' => ['EPC', 'text-right hidden sm:table-cell'],
+                            ] as $sortKey => [$sortLabel, $sortClass]): ?>
+                                <th class="h-8 px-3 align-middle font-medium text-muted-foreground whitespace-nowrap <?= $sortClass ?>">
+                                    <button type="button" class="hover:text-foreground" @click="setCountrySort('<?= $sortKey ?>')">
+                                        <?= $sortLabel ?> <span x-text="getCountrySortIndicator('<?= $sortKey ?>')"></span>
+                                    </button>
+                                </th>
+                            <?php endforeach; ?>
+                            <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground hidden md:table-cell">A / B</th>
+                            <th class="h-8 px-3 text-left align-middle font-medium text-muted-foreground hidden md:table-cell">Routing</th>
+                        </tr>
+                        </thead>
+                        <tbody class="[&_tr:last-child]:border-0">
+                        <template x-if="countryRows.length === 0">
+                            <tr>
+                                <td colspan="9" class="p-3 text-center text-[11px] text-muted-foreground"
+                                    x-text="countryStatsLoading ? 'Loading...' : (countryStats.length ? 'No countries match these filters.' : 'No traffic data available')"></td>
+                            </tr>
+                        </template>
+                        <template x-for="row in countryRows" :key="row.country_code">
+                            <tr class="border-b transition-colors hover:bg-muted/50"
+                                :class="isCountrySelected(row.country_code) ? 'bg-muted/60' : ''"
+                                @mouseenter="countryHover = row.country_code" @mouseleave="countryHover = null">
+                                <td class="p-2 align-middle text-center">
+                                    <input type="checkbox" class="h-3.5 w-3.5"
+                                           :checked="isCountrySelected(row.country_code)"
+                                           :disabled="row.country_code === 'XX'"
+                                           :aria-label="'Select ' + row.country_code"
+                                           @change="toggleCountrySelection(row.country_code)">
+                                </td>
+                                <td class="p-2 align-middle">
+                                    <span class="badge badge-outline text-[11px]" x-text="row.country_code"></span>
+                                    <span class="ml-1 text-[11px] text-muted-foreground" x-text="countryName(row.country_code)"></span>
+                                </td>
+                                <td class="p-2 align-middle text-right" x-text="formatCountryMetric(row, 'clicks')"></td>
+                                <td class="p-2 align-middle text-right" x-text="formatCountryMetric(row, 'conversions')"></td>
+                                <td class="p-2 align-middle text-right font-medium" x-text="formatCountryMetric(row, 'cr')"></td>
+                                <td class="p-2 align-middle text-right text-emerald-600" x-text="formatCountryMetric(row, 'revenue')"></td>
+                                <td class="p-2 align-middle text-right hidden sm:table-cell" x-text="formatCountryMetric(row, 'epc')"></td>
+                                <td class="p-2 align-middle hidden md:table-cell">
+                                    <div class="flex h-2 w-20 overflow-hidden rounded-full bg-muted" x-show="row.clicks > 0"
+                                         :title="row.decision_a + ' A / ' + row.decision_b + ' B'">
+                                        <div class="bg-emerald-500" :style="'width: ' + (row.decision_a / row.clicks * 100) + '%'"></div>
+                                        <div class="bg-amber-500" :style="'width: ' + (row.decision_b / row.clicks * 100) + '%'"></div>
+                                    </div>
+                                </td>
+                                <td class="p-2 align-middle hidden md:table-cell">
+                                    <span class="badge text-[10px]"
+                                          x-show="countryRoutingStatus(row.country_code)"
+                                          :class="countryRoutingStatus(row.country_code) === 'allowed' ? 'badge-default' : 'badge-secondary'"
+                                          x-text="countryRoutingStatus(row.country_code)"></span>
+                                </td>
+                            </tr>
+                        </template>
+                        </tbody>
+                    </table>
+                </div>
             </div>
         </div>
 
@@ -0,0 +1,130 @@
+<?php
+/**
+ * Country Filter Editor Component
+ *
+ * Mode selector + chip picker untuk ISO alpha-2 codes, dengan preset (Tier-1, EU,
+ * LATAM) dan preview dampak terhadap recent logs. Chip diedit di countryEditor,
+ * applyCountryFilter() memindahkannya ke draft routing (Publish juga otomatis apply).
+ */
+?>
+<div class="space-y-3">
+    <!-- Country Filter Mode -->
+    <div class="space-y-1.5">
+        <label class="text-xs font-medium leading-none" for="country-filter-mode">
+            Country Filter Mode
+        </label>
+        <div class="relative">
+            <select id="country-filter-mode" class="input pr-7 appearance-none"
+                    :value="countryEditor.mode"
+                    @change="setCountryEditorMode($event.target.value)">
+                <option value="all">All Countries</option>
+                <option value="whitelist">Whitelist Only</option>
+                <option value="blacklist">Blacklist Only</option>
+            </select>
+            <span class="pointer-events-none absolute inset-y-0 right-2 flex items-center text-[10px] text-muted-foreground">
+                <svg class="h-3 w-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
+                          d="M19 9l-7 7-7-7"></path>
+                </svg>
+            </span>
+        </div>
+    </div>
+
+    <!-- Country List -->
+    <div x-show="countryEditor.mode !== 'all'"
+         x-transition:enter="transition ease-out duration-200"
+         x-transition:enter-start="opacity-0 transform scale-95"
+         x-transition:enter-end="opacity-100 transform scale-100"
+         class="space-y-1.5">
+        <div class="flex items-center justify-between gap-2">
+            <label class="text-xs font-medium leading-none" for="country-chip-input">
+                <span x-text="countryEditor.mode === 'whitelist' ? 'Allowed Countries' : 'Blocked Countries'"></span>
+                <span class="text-muted-foreground font-normal" x-text="'(' + countryEditor.codes.length + ')'"></span>
+            </label>
+            <div class="flex items-center gap-1">
+                <template x-for="(preset, key) in countryPresets" :key="key">
+                    <button type="button" class="btn btn-ghost btn-sm text-[11px]"
+                            @click="applyCountryPreset(key)"
+                            :title="'Add ' + preset.codes.join(', ')"
+                            x-text="'+ ' + preset.label"></button>
+                </template>
+                <button type="button" class="btn btn-ghost btn-sm text-[11px]"
+                        x-show="countryEditor.codes.length"
+                        @click="clearCountryChips()">Clear</button>
+            </div>
+        </div>
+
+        <div class="rounded-md border p-2 space-y-2">
+            <div class="flex flex-wrap gap-1 max-h-[120px] overflow-y-auto scroll-logs" x-show="countryEditor.codes.length">
+                <template x-for="code in countryEditor.codes" :key="code">
+                    <span class="badge badge-outline gap-1 font-mono text-[11px]" :title="countryName(code)">
+                        <span x-text="code"></span>
+                        <button type="button" class="text-muted-foreground hover:text-foreground"
+                                @click="removeCountryChip(code)"
+                                :aria-label="'Remove ' + code">&times;</button>
+                    </span>
+                </template>
+            </div>
+
+            <div class="relative" x-data="{ suggestOpen: false }" @click.outside="suggestOpen = false">
+                <input id="country-chip-input" x-ref="countryChipInput" type="text" class="input h-8 text-[12px] font-mono"
+                       placeholder="Type a code or country name, e.g. US, Germany"
+                       autocomplete="off"
+                       x-model="countryEditor.input"
+                       @focus="suggestOpen = true"
+                       @input="suggestOpen = true; countryEditor.error = ''"
+                       @keydown.enter.prevent="addCountryChips(); suggestOpen = false"
+                       @keydown.comma.prevent="addCountryChips()"
+                       @keydown.escape="suggestOpen = false"
+                       @keydown.backspace="if (!countryEditor.input && countryEditor.codes.length) removeCountryChip(countryEditor.codes[countryEditor.codes.length - 1])">
+                <div x-show="suggestOpen && countryChipSuggestions.length" x-cloak
+                     class="absolute left-0 right-0 z-20 mt-1 rounded-md border bg-white shadow-md py-1">
+                    <template x-for="code in countryChipSuggestions" :key="code">
+                        <button type="button"
+                                class="flex w-full items-center gap-2 px-2 py-1 text-left text-[12px] hover:bg-muted"
+                                @click="addCountryChips(code); $refs.countryChipInput.focus()">
+                            <span class="font-mono font-medium" x-text="code"></span>
+                            <span class="text-muted-foreground truncate" x-text="countryName(code)"></span>
+                        </button>
+                    </template>
+                </div>
+            </div>
+        </div>
+
+        <p class="text-[11px] text-red-600" x-show="countryEditor.error" x-text="countryEditor.error" role="alert"></p>
+        <p class="text-[11px] text-muted-foreground" x-show="!countryEditor.error">
+            ISO alpha-2 codes. Traffic with unknown country (XX) is never filtered.
+        </p>
+    </div>
+
+    <!-- Impact Preview -->
+    <div class="rounded-md border border-dashed p-2 space-y-1" x-show="countryEditor.dirty" x-cloak>
+        <div class="text-[11px] font-medium">Impact on recent logs</div>
+        <template x-if="countryFilterPreview.total">
+            <div class="space-y-1">
+                <div class="text-[11px] text-muted-foreground">
+                    <span class="text-green-600 font-medium" x-text="countryFilterPreview.allowed"></span> allowed,
+                    <span class="text-red-600 font-medium" x-text="countryFilterPreview.blocked"></span> blocked
+                    of <span x-text="countryFilterPreview.total"></span>
+                    <span x-show="countryFilterPreview.delta !== 0"
+                          :class="countryFilterPreview.delta > 0 ? 'text-green-600' : 'text-red-600'"
+                          x-text="'(' + (countryFilterPreview.delta > 0 ? '+' : '') + countryFilterPreview.delta + ' vs current)'"></span>
+                </div>
+                <div class="flex flex-wrap gap-1" x-show="countryFilterPreview.changed.length">
+                    <template x-for="row in countryFilterPreview.changed" :key="row.code">
+                        <span class="badge badge-outline font-mono text-[10px]"
+                              :class="row.allowed ? 'text-green-600' : 'text-red-600'"
+                              :title="countryName(row.code) + (row.allowed ? ' becomes allowed' : ' becomes blocked')"
+                              x-text="(row.allowed ? '+' : '−') + row.code + ' ' + row.count"></span>
+                    </template>
+                </div>
+            </div>
+        </template>
+        <div class="text-[11px] text-muted-foreground" x-show="!countryFilterPreview.total">No recent logs to preview.</div>
+    </div>
+
+    <div class="flex items-center justify-end gap-1" x-show="countryEditor.dirty" x-cloak>
+        <button type="button" class="btn btn-ghost btn-sm text-[11px]" @click="resetCountryEditor()">Discard</button>
+        <button type="button" class="btn btn-default btn-sm text-[11px]" @click="applyCountryFilter()">Apply to Draft</button>
+    </div>
+</div>
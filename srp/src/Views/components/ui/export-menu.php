@@ -0,0 +1,35 @@
+<?php
+/**
+ * Export Menu Component
+ *
+ * Dropdown button untuk download dataset via export.php (CSV, JSON, NDJSON)
+ *
+ * @param string $exportDataset Dataset name: logs, postbacks, received, stats, countries
+ * @param string $exportLabel Button label
+ */
+
+$exportDataset = $exportDataset ?? 'logs';
+$exportLabel = $exportLabel ?? 'Export';
+$datasetAttr = htmlspecialchars($exportDataset, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8');
+?>
+<div class="relative" x-data="{ exportOpen: false }" @click.outside="exportOpen = false" @keydown.escape="exportOpen = false">
+    <button type="button"
+            class="btn btn-sm btn-ghost"
+            @click="exportOpen = !exportOpen"
+            :aria-expanded="exportOpen"
+            aria-haspopup="menu">
+        <svg class="h-3.5 w-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4"></path>
+        </svg>
+        <span class="text-xs"><?= htmlspecialchars($exportLabel, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8') ?></span>
+    </button>
+    <div x-show="exportOpen" x-cloak x-transition.opacity
+         class="absolute right-0 z-20 mt-1 w-32 rounded-md border bg-white p-1 shadow-md"
+         role="menu">
+        <?php foreach (['csv' => 'CSV', 'json' => 'JSON', 'ndjson' => 'NDJSON'] as $format => $formatLabel): ?>
+            <button type="button" role="menuitem"
+                    class="w-full rounded px-2 py-1.5 text-left text-[12px] hover:bg-muted"
+                    @click="exportOpen = false; exportData('<?= $datasetAttr ?>', '<?= $format ?>')"><?= $formatLabel ?></button>
+        <?php endforeach; ?>
+    </div>
+</div>
@@ -0,0 +1,99 @@
+<?php
+/**
+ * Postback URL Builder Component
+ *
+ * Editor template URL dengan autocomplete macro (ketik "{"), highlight macro yang
+ * tidak dikenal untuk target ini, error validasi dan preview hasil render memakai
+ * sample values atau salah satu incoming postback (receivedPostbacks).
+ *
+ * @param string $builderTarget postback | forward (menentukan macro yang tersedia)
+ * @param string $builderModel Path Alpine yang di-bind, mis. cfg.postback_url
+ * @param string $builderLabel Label field
+ * @param string $builderPlaceholder Placeholder input
+ * @param string $builderOnChange Expression Alpine yang dijalankan (debounced) setelah input, boleh kosong
+ */
+
+$builderTarget = $builderTarget ?? 'postback';
+$builderModel = $builderModel ?? 'cfg.postback_url';
+$builderLabel = $builderLabel ?? 'Postback URL Template';
+$builderPlaceholder = $builderPlaceholder ?? '';
+$builderOnChange = $builderOnChange ?? '';
+$targetJs = htmlspecialchars(json_encode($builderTarget), ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8');
+$modelAttr = htmlspecialchars($builderModel, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8');
+$stateJs = 'postbackBuilder[' . $targetJs . ']';
+?>
+<div class="space-y-1.5" data-postback-builder>
+    <label class="text-xs font-medium leading-none"><?= htmlspecialchars($builderLabel, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8') ?></label>
+
+    <div class="relative" @click.outside="<?= $stateJs ?>.suggest = null">
+        <input type="text"
+               class="input font-mono text-[11px]"
+               :class="postbackTemplateErrors(<?= $modelAttr ?>, <?= $targetJs ?>).length && 'border-destructive'"
+               placeholder="<?= htmlspecialchars($builderPlaceholder, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8') ?>"
+               autocomplete="off" spellcheck="false"
+               role="combobox" :aria-expanded="!!<?= $stateJs ?>.suggest"
+               x-model="<?= $modelAttr ?>"
+               @input="updateMacroSuggestions(<?= $targetJs ?>, $el)"
+               <?php if ($builderOnChange !== ''): ?>@input.debounce.600ms="<?= htmlspecialchars($builderOnChange, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8') ?>"<?php endif; ?>
+               @keydown="macroSuggestKeydown(<?= $targetJs ?>, $event)"
+               @blur.debounce.150ms="<?= $stateJs ?>.suggest = null">
+
+        <!-- Autocomplete macro -->
+        <ul class="absolute left-0 top-full z-20 mt-1 w-72 rounded-md border bg-white py-1 shadow-md"
+            role="listbox"
+            x-show="<?= $stateJs ?>.suggest" x-cloak>
+            <template x-for="(macro, i) in <?= $stateJs ?>.suggest?.items || []" :key="macro.name">
+                <li role="option"
+                    class="flex cursor-pointer items-center justify-between gap-2 px-2 py-1 text-[11px]"
+                    :class="i === <?= $stateJs ?>.index ? 'bg-muted' : 'hover:bg-muted/50'"
+                    :aria-selected="i === <?= $stateJs ?>.index"
+                    @mousedown.prevent="insertPostbackMacro(<?= $targetJs ?>, $el.closest('[data-postback-builder]').querySelector('input'), macro.name)">
+                    <span class="font-mono" x-text="'{' + macro.name + '}'"></span>
+                    <span class="truncate text-[10px] text-muted-foreground" x-text="macro.label"></span>
+                </li>
+            </template>
+        </ul>
+    </div>
+
+    <!-- Highlight: macro dikenal = biru, tidak dikenal = merah -->
+    <div class="break-all rounded border bg-muted/40 p-2 font-mono text-[11px]" x-show="<?= $modelAttr ?>">
+        <template x-for="(token, i) in postbackTemplateTokens(<?= $modelAttr ?>, <?= $targetJs ?>)" :key="i">
+            <span :class="token.macro === null ? '' : (token.known ? 'rounded bg-blue-100 text-blue-700' : 'rounded bg-red-100 text-destructive line-through')"
+                  x-text="token.text"></span>
+        </template>
+    </div>
+
+    <ul class="space-y-0.5" x-show="postbackTemplateErrors(<?= $modelAttr ?>, <?= $targetJs ?>).length" x-cloak>
+        <template x-for="error in postbackTemplateErrors(<?= $modelAttr ?>, <?= $targetJs ?>)" :key="error">
+            <li class="text-[10px] text-destructive" x-text="error"></li>
+        </template>
+    </ul>
+
+    <!-- Macro chips: klik untuk sisipkan di posisi kursor -->
+    <div class="flex flex-wrap items-center gap-1">
+        <span class="text-[10px] text-muted-foreground">Macros:</span>
+        <template x-for="macro in postbackMacros(<?= $targetJs ?>)" :key="macro.name">
+            <button type="button" class="badge badge-outline font-mono text-[10px]"
+                    :title="macro.label"
+                    @mousedown.prevent
+                    @click="insertPostbackMacro(<?= $targetJs ?>, $el.closest('[data-postback-builder]').querySelector('input'), macro.name)"
+                    x-text="'{' + macro.name + '}'"></button>
+        </template>
+    </div>
+
+    <!-- Preview -->
+    <div class="space-y-1 pt-1" x-show="<?= $modelAttr ?>">
+        <div class="flex items-center justify-between gap-2">
+            <span class="text-[11px] font-medium">Preview</span>
+            <select class="input input-sm h-7 w-auto text-[11px]" x-model="<?= $stateJs ?>.sampleId">
+                <option value="">Sample values</option>
+                <template x-for="row in receivedPostbacks.slice(0, 20)" :key="row.id">
+                    <option :value="String(row.id)"
+                            x-text="`#${row.id} · ${row.country_code} · $${row.payout} · ${row.status}${row.click_id ? ' · ' + row.click_id : ''}`"></option>
+                </template>
+            </select>
+        </div>
+        <div class="break-all rounded border bg-muted p-2 font-mono text-[11px]"
+             x-text="postbackTemplatePreview(<?= $modelAttr ?>, <?= $targetJs ?>)"></div>
+    </div>
+</div>
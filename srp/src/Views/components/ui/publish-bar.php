@@ -0,0 +1,32 @@
+<?php
+/**
+ * Publish Bar Component
+ *
+ * Strip draft untuk satu scope: jumlah perubahan yang belum di-publish,
+ * tombol Discard dan Publish (membuka dialog ringkasan perubahan).
+ *
+ * @param string $publishScope routing | env
+ */
+
+$publishScope = $publishScope ?? 'routing';
+$scopeJs = htmlspecialchars(json_encode($publishScope), ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8');
+?>
+<div class="card flex items-center justify-between gap-3 border-amber-300 bg-amber-50 px-4 py-2"
+     x-show="draftChangeCount(<?= $scopeJs ?>) > 0" x-cloak
+     role="status">
+    <div class="flex items-center gap-2 text-[12px] text-amber-800">
+        <span class="h-2 w-2 rounded-full bg-amber-500"></span>
+        <span x-text="draftChangeCount(<?= $scopeJs ?>) + ' unpublished change' + (draftChangeCount(<?= $scopeJs ?>) === 1 ? '' : 's')"></span>
+        <span class="text-[11px] text-amber-700">Live traffic still uses the published version.</span>
+    </div>
+    <div class="flex items-center gap-1">
+        <button type="button" class="btn btn-sm btn-ghost" @click="discardDraft(<?= $scopeJs ?>)">
+            <span class="text-xs">Discard</span>
+        </button>
+        <button type="button" class="btn btn-sm btn-default"
+                :disabled="isSavingCfg || isSavingEnv"
+                @click="openPublish(<?= $scopeJs ?>)">
+            <span class="text-xs">Publish…</span>
+        </button>
+    </div>
+</div>
@@ -0,0 +1,174 @@
+<?php
+/**
+ * Routing Rules Component
+ *
+ * Rule builder berurutan (country × device × user_lp × jadwal → URL pool).
+ * Rule pertama yang cocok menang; Redirect URLs di atas berlaku sebagai fallback.
+ * Rules diedit di cfg.routing_rules sebagai bagian dari draft routing (lihat publish-bar.php).
+ */
+?>
+<div class="card p-4 space-y-3">
+    <div class="flex items-center justify-between gap-3">
+        <div>
+            <div class="flex items-center gap-2">
+                <h3 class="font-semibold tracking-tight text-sm">Routing Rules</h3>
+                <span class="badge badge-outline text-[10px]" x-text="(cfg.routing_rules || []).length"></span>
+                <span class="badge badge-secondary text-[10px]" x-show="routingRulesDirty" x-cloak>Unpublished</span>
+            </div>
+            <p class="text-[11px] text-muted-foreground">
+                Evaluated top to bottom; the first matching rule picks the Decision A URL pool. Schedules use the app timezone.
+            </p>
+        </div>
+        <button type="button" class="btn btn-sm btn-ghost" @click="addRoutingRule()">
+            <span class="text-xs">+ Add Rule</span>
+        </button>
+    </div>
+
+    <div class="text-[11px] text-amber-600" x-show="envConfig.TRACKING_ENABLE_GEO_FILTER === 'false' || envConfig.TRACKING_ENABLE_DEVICE_FILTER === 'false'" x-cloak>
+        <span x-show="envConfig.TRACKING_ENABLE_GEO_FILTER === 'false'">Geo filter is disabled in Environment, rules with country conditions are skipped.</span>
+        <span x-show="envConfig.TRACKING_ENABLE_DEVICE_FILTER === 'false'">Device filter is disabled in Environment, rules with device conditions are skipped.</span>
+    </div>
+
+    <template x-if="!cfg.routing_rules || cfg.routing_rules.length === 0">
+        <div class="text-[11px] text-muted-foreground italic p-3 border border-dashed rounded">
+            No rules yet. All Decision A traffic uses the Redirect URLs above.
+        </div>
+    </template>
+
+    <div class="space-y-2">
+        <template x-for="(rule, index) in cfg.routing_rules" :key="rule.id">
+            <div class="rounded-md border"
+                 :class="{ 'opacity-60': !rule.enabled, 'border-red-300': routingRuleErrors[index]?.length }">
+                <!-- Rule Header -->
+                <div class="flex items-center gap-2 p-2">
+                    <span class="w-5 text-center text-[11px] font-mono text-muted-foreground" x-text="index + 1"></span>
+                    <button type="button" class="flex-1 min-w-0 text-left"
+                            @click="routingRuleOpen = routingRuleOpen === rule.id ? null : rule.id"
+                            :aria-expanded="routingRuleOpen === rule.id">
+                        <div class="text-xs font-medium truncate" x-text="routingRuleName(rule, index)"></div>
+                        <div class="text-[11px] text-muted-foreground truncate" x-text="routingRuleSummary(rule)"></div>
+                    </button>
+                    <label class="flex items-center gap-1 text-[11px] text-muted-foreground">
+                        <input type="checkbox" :checked="rule.enabled"
+                               @change="updateRoutingRule(index, 'enabled', $event.target.checked)">
+                        On
+                    </label>
+                    <button type="button" class="btn btn-sm btn-ghost px-1.5" title="Move up"
+                            :disabled="index === 0" @click="moveRoutingRule(index, index - 1)">↑</button>
+                    <button type="button" class="btn btn-sm btn-ghost px-1.5" title="Move down"
+                            :disabled="index === cfg.routing_rules.length - 1" @click="moveRoutingRule(index, index + 1)">↓</button>
+                    <button type="button" class="btn btn-sm btn-ghost px-1.5" title="Duplicate"
+                            @click="duplicateRoutingRule(index)">⧉</button>
+                    <button type="button" class="btn btn-sm btn-ghost px-1.5 text-destructive hover:bg-destructive/10" title="Delete rule"
+                            @click="removeRoutingRule(index)">&times;</button>
+                </div>
+
+                <!-- Rule Editor -->
+                <div class="border-t p-3 space-y-3" x-show="routingRuleOpen === rule.id" x-cloak>
+                    <div class="grid gap-3 md:grid-cols-2">
+                        <label class="space-y-1">
+                            <span class="text-[11px] font-medium text-muted-foreground">Name</span>
+                            <input type="text" class="input h-8 text-[12px]" maxlength="60"
+                                   :placeholder="'Rule ' + (index + 1)"
+                                   :value="rule.name"
+                                   @input="updateRoutingRule(index, 'name', $event.target.value)">
+                        </label>
+                        <label class="space-y-1">
+                            <span class="text-[11px] font-medium text-muted-foreground">Countries (empty = any)</span>
+                            <input type="text" class="input h-8 text-[12px] font-mono"
+                                   placeholder="US, CA, GB"
+                                   :value="rule.countries.join(', ')"
+                                   @change="updateRoutingRule(index, 'countries', parseCountryList($event.target.value))">
+                        </label>
+                        <div class="space-y-1">
+                            <span class="text-[11px] font-medium text-muted-foreground">Device (none = WAP only)</span>
+                            <div class="flex flex-wrap gap-1">
+                                <template x-for="device in routingDevices" :key="device">
+                                    <button type="button" class="btn btn-sm text-[11px]"
+                                            :class="rule.devices.includes(device) ? 'btn-default' : 'btn-ghost'"
+                                            :aria-pressed="rule.devices.includes(device)"
+                                            @click="toggleRoutingRuleValue(index, 'devices', device)"
+                                            x-text="device"></button>
+                                </template>
+                            </div>
+                        </div>
+                        <label class="space-y-1">
+                            <span class="text-[11px] font-medium text-muted-foreground">Landing pages (user_lp, * = wildcard)</span>
+                            <input type="text" class="input h-8 text-[12px] font-mono"
+                                   placeholder="promo*, offer-a"
+                                   :value="rule.user_lp.join(', ')"
+                                   @change="updateRoutingRule(index, 'user_lp', $event.target.value.split(/[\s,]+/).map(p => p.trim().toLowerCase()).filter(Boolean))">
+                        </label>
+                        <div class="space-y-1">
+                            <span class="text-[11px] font-medium text-muted-foreground">Days (none = every day)</span>
+                            <div class="flex flex-wrap gap-1">
+                                <template x-for="day in routingDays" :key="day.value">
+                                    <button type="button" class="btn btn-sm text-[11px]"
+                                            :class="rule.days.includes(day.value) ? 'btn-default' : 'btn-ghost'"
+                                            :aria-pressed="rule.days.includes(day.value)"
+                                            @click="toggleRoutingRuleValue(index, 'days', day.value)"
+                                            x-text="day.label"></button>
+                                </template>
+                            </div>
+                        </div>
+                        <div class="space-y-1">
+                            <label class="flex items-center gap-1 text-[11px] font-medium text-muted-foreground">
+                                <input type="checkbox" :checked="rule.hours !== null"
+                                       @change="setRoutingRuleHours(index, 'enabled', $event.target.checked)">
+                                Hour window
+                            </label>
+                            <div class="flex items-center gap-1 text-[11px]" x-show="rule.hours !== null">
+                                <input type="number" class="input h-8 w-16 text-[12px]" min="0" max="23"
+                                       :value="rule.hours?.from"
+                                       @change="setRoutingRuleHours(index, 'from', $event.target.value)">
+                                <span class="text-muted-foreground">to</span>
+                                <input type="number" class="input h-8 w-16 text-[12px]" min="0" max="24"
+                                       :value="rule.hours?.to"
+                                       @change="setRoutingRuleHours(index, 'to', $event.target.value)">
+                                <span class="text-muted-foreground">h (22 to 6 crosses midnight)</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Destination Pool -->
+                    <div class="space-y-1.5">
+                        <div class="flex items-center justify-between">
+                            <span class="text-[11px] font-medium text-muted-foreground">Destination URLs (weighted)</span>
+                            <button type="button" class="text-xs text-primary hover:text-primary/80"
+                                    @click="addRoutingRuleTarget(index)">+ Add URL</button>
+                        </div>
+                        <template x-for="(target, targetIndex) in rule.targets" :key="targetIndex">
+                            <div class="flex items-center gap-2">
+                                <input type="url" class="input h-8 text-[12px] flex-1"
+                                       placeholder="https://offer.example.com"
+                                       :value="target.url"
+                                       @input="updateRoutingRuleTarget(index, targetIndex, 'url', $event.target.value)">
+                                <input type="number" class="input h-8 w-20 text-[12px]" min="0" max="1000" step="1"
+                                       title="Weight"
+                                       :value="target.weight"
+                                       @input="updateRoutingRuleTarget(index, targetIndex, 'weight', $event.target.value)">
+                                <input type="checkbox" title="Enabled" :checked="target.enabled"
+                                       @change="updateRoutingRuleTarget(index, targetIndex, 'enabled', $event.target.checked)">
+                                <button type="button" class="btn btn-sm btn-ghost px-1.5 text-destructive hover:bg-destructive/10"
+                                        title="Remove URL"
+                                        @click="removeRoutingRuleTarget(index, targetIndex)">&times;</button>
+                            </div>
+                        </template>
+                    </div>
+
+                    <ul class="space-y-0.5 text-[11px] text-red-600" x-show="routingRuleErrors[index]?.length" role="alert">
+                        <template x-for="error in routingRuleErrors[index] || []" :key="error">
+                            <li x-text="error"></li>
+                        </template>
+                    </ul>
+                </div>
+            </div>
+        </template>
+
+        <div class="flex items-center gap-2 rounded-md border border-dashed p-2 text-[11px] text-muted-foreground"
+             x-show="cfg.routing_rules && cfg.routing_rules.length">
+            <span class="w-5 text-center font-mono">∗</span>
+            <span>Fallback: no rule matched → WAP traffic uses the Redirect URLs above, everything else goes to Decision B.</span>
+        </div>
+    </div>
+</div>
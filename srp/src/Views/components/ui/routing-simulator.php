@@ -0,0 +1,157 @@
+<?php
+/**
+ * Routing Simulator Component
+ *
+ * "What would happen" tester: visitor sintetis (atau row logs yang di-replay)
+ * dijalankan terhadap cfg yang sedang diedit, termasuk draft yang belum disimpan.
+ * Logika ada di simulateRouting() (dashboard.js), mirror dari DecisionController.
+ */
+?>
+<div class="card" id="routing-simulator">
+    <div class="p-4 space-y-3">
+        <div class="flex items-center justify-between gap-3">
+            <div>
+                <h3 class="font-semibold tracking-tight text-sm">Routing Simulator</h3>
+                <p class="text-[11px] text-muted-foreground">
+                    See which decision and URL the current, unsaved configuration would produce, and why
+                </p>
+            </div>
+            <button type="button"
+                    class="btn btn-sm btn-ghost"
+                    @click="testerOpen = !testerOpen"
+                    :aria-expanded="testerOpen">
+                <svg x-show="!testerOpen" class="h-3.5 w-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"></path>
+                </svg>
+                <svg x-show="testerOpen" class="h-3.5 w-3.5 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 15l7-7 7 7"></path>
+                </svg>
+                <span class="text-[11px]" x-text="testerOpen ? 'Hide' : 'Show'"></span>
+            </button>
+        </div>
+
+        <div x-show="testerOpen"
+             x-transition:enter="transition ease-out duration-200"
+             x-transition:enter-start="opacity-0 transform scale-95"
+             x-transition:enter-end="opacity-100 transform scale-100"
+             class="space-y-3">
+            <!-- Replay Banner -->
+            <div class="flex items-center justify-between gap-2 rounded-md border border-dashed px-2 py-1.5 text-[11px]"
+                 x-show="testReplay" x-cloak>
+                <span>
+                    Replaying log <span class="font-mono" x-text="'#' + testReplay?.id"></span>
+                    from <span x-text="fmt(testReplay?.ts)"></span> —
+                    logged as
+                    <span class="badge text-[10px]"
+                          :class="testReplay?.decision === 'A' ? 'badge-default' : 'badge-secondary'"
+                          x-text="testReplay?.decision === 'A' ? 'Redirect (A)' : 'Fallback (B)'"></span>
+                </span>
+                <button type="button" class="btn btn-ghost btn-sm text-[11px]" @click="clearTestReplay()">Clear</button>
+            </div>
+
+            <form class="grid gap-3 md:grid-cols-3" @submit.prevent="runTest()">
+                <label class="space-y-1">
+                    <span class="text-[11px] font-medium text-muted-foreground">IP address</span>
+                    <input type="text" class="input h-8 text-[12px] font-mono" placeholder="203.0.113.10"
+                           x-model="testInput.ip">
+                </label>
+                <label class="space-y-1">
+                    <span class="text-[11px] font-medium text-muted-foreground">Country (ISO alpha-2)</span>
+                    <input type="text" class="input h-8 text-[12px] font-mono up-text" placeholder="e.g. ID" maxlength="10"
+                           x-model="testInput.country">
+                </label>
+                <label class="space-y-1">
+                    <span class="text-[11px] font-medium text-muted-foreground">VPN / Proxy</span>
+                    <select class="input h-8 text-[12px]" x-model="testInput.vpn">
+                        <option value="no">No VPN detected</option>
+                        <option value="yes">VPN / Proxy</option>
+                    </select>
+                </label>
+                <label class="space-y-1 md:col-span-2">
+                    <span class="text-[11px] font-medium text-muted-foreground">
+                        User agent
+                        <span class="font-normal">→ <span class="font-mono" x-text="testDevice"></span></span>
+                    </span>
+                    <input type="text" class="input h-8 text-[12px]" list="routing-simulator-ua"
+                           placeholder="mobile, desktop or a full UA string"
+                           x-model="testInput.ua">
+                    <datalist id="routing-simulator-ua">
+                        <option value="mobile"></option>
+                        <option value="desktop"></option>
+                        <option value="tablet"></option>
+                        <option value="Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Mobile Safari/537.36"></option>
+                        <option value="Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1"></option>
+                        <option value="Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36"></option>
+                        <option value="Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)"></option>
+                    </datalist>
+                </label>
+                <label class="space-y-1">
+                    <span class="text-[11px] font-medium text-muted-foreground">Landing page (user_lp)</span>
+                    <input type="text" class="input h-8 text-[12px] font-mono" placeholder="promo-a"
+                           x-model="testInput.lp">
+                </label>
+                <label class="space-y-1">
+                    <span class="text-[11px] font-medium text-muted-foreground">Click ID</span>
+                    <input type="text" class="input h-8 text-[12px] font-mono" placeholder="abc123"
+                           x-model="testInput.click_id">
+                </label>
+                <label class="space-y-1">
+                    <span class="text-[11px] font-medium text-muted-foreground">Time (empty = now)</span>
+                    <input type="datetime-local" class="input h-8 text-[12px]"
+                           x-model="testInput.at">
+                </label>
+                <div class="flex items-end">
+                    <button type="submit" class="btn btn-default btn-sm">Run Simulation</button>
+                </div>
+            </form>
+
+            <template x-if="testResult">
+                <div class="rounded-md border p-3 space-y-3">
+                    <div class="flex flex-wrap items-center gap-2 text-[11px]">
+                        <span class="badge"
+                              :class="testResult.decision === 'A' ? 'badge-default' : 'badge-secondary'"
+                              x-text="testResult.decision === 'A' ? 'Redirect (A)' : 'Fallback (B)'"></span>
+                        <span class="text-muted-foreground">
+                            <span class="font-mono" x-text="testResult.country"></span> ·
+                            <span class="font-mono" x-text="testResult.device"></span>
+                            <span x-show="testResult.ruleIndex !== -1"
+                                  x-text="'· ' + routingRuleName(cfg.routing_rules[testResult.ruleIndex] || {}, testResult.ruleIndex)"></span>
+                        </span>
+                        <span class="text-amber-600"
+                              x-show="testReplay && testReplay.decision !== testResult.decision"
+                              x-text="'Differs from logged decision (' + testReplay?.decision + ')'"></span>
+                    </div>
+
+                    <div class="space-y-1">
+                        <div class="text-[11px] font-medium">Target</div>
+                        <code class="block break-all rounded bg-muted px-2 py-1 font-mono text-[11px]" x-text="testResult.target"></code>
+                        <div class="space-y-0.5" x-show="testResult.pool.length > 1">
+                            <div class="text-[11px] text-muted-foreground">Picked at random from the weighted pool:</div>
+                            <template x-for="entry in testResult.pool" :key="entry.url">
+                                <div class="flex items-center justify-between gap-2 text-[11px]">
+                                    <span class="truncate font-mono" x-text="entry.label ? entry.label + ' — ' + entry.url : entry.url"></span>
+                                    <span class="tabular-nums text-muted-foreground" x-text="entry.share.toFixed(1) + '%'"></span>
+                                </div>
+                            </template>
+                        </div>
+                    </div>
+
+                    <div class="space-y-1">
+                        <div class="text-[11px] font-medium">Why</div>
+                        <ol class="space-y-0.5 text-[11px]">
+                            <template x-for="(item, i) in testResult.steps" :key="i">
+                                <li class="flex gap-2">
+                                    <span class="w-4 shrink-0 text-center"
+                                          :class="item.ok === true ? 'text-green-600' : (item.ok === false ? 'text-red-600' : 'text-muted-foreground')"
+                                          x-text="item.ok === true ? '✓' : (item.ok === false ? '✗' : '·')"></span>
+                                    <span class="w-28 shrink-0 font-medium truncate" x-text="item.label"></span>
+                                    <span class="text-muted-foreground" x-text="item.detail"></span>
+                                </li>
+                            </template>
+                        </ol>
+                    </div>
+                </div>
+            </template>
+        </div>
+    </div>
+</div>
@@ -0,0 +1,62 @@
+<?php
+/**
+ * Secret Field Component
+ *
+ * Input untuk env secret yang dimuat ter-mask (EnvConfig::SECRET_MASK). Nilai asli
+ * hanya diambil lewat revealSecret() dengan re-auth; Rotate membuat nilai baru
+ * di browser (crypto.getRandomValues) dan masuk ke draft env.
+ *
+ * @param string $secretKey Env key, mis. API_KEY_INTERNAL
+ * @param string $secretLabel Label field
+ * @param string $secretPlaceholder Placeholder saat secret kosong
+ * @param bool $secretRotate Tampilkan tombol Rotate (untuk secret yang dibuat sendiri, bukan dari vendor)
+ */
+
+$secretKey = $secretKey ?? '';
+$secretLabel = $secretLabel ?? $secretKey;
+$secretPlaceholder = $secretPlaceholder ?? '';
+$secretRotate = $secretRotate ?? true;
+$keyJs = htmlspecialchars(json_encode($secretKey), ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8');
+$keyAttr = htmlspecialchars($secretKey, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8');
+?>
+<div>
+    <div class="mb-1 flex items-center justify-between gap-2">
+        <label class="block text-[10px] font-medium"><?= htmlspecialchars($secretLabel, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8') ?></label>
+        <span class="text-[10px] text-muted-foreground" x-text="secretRotatedLabel(<?= $keyJs ?>)"></span>
+    </div>
+    <div class="flex gap-1">
+        <input :type="revealedSecrets[<?= $keyJs ?>] ? 'text' : 'password'"
+               class="input input-sm flex-1 font-mono text-[10px]"
+               x-model="envConfig.<?= $keyAttr ?>"
+               :class="envErrors.<?= $keyAttr ?> && 'border-destructive'"
+               :readonly="isSecretMasked(<?= $keyJs ?>)"
+               autocomplete="off" spellcheck="false"
+               placeholder="<?= htmlspecialchars($secretPlaceholder, ENT_QUOTES | ENT_SUBSTITUTE | ENT_HTML5, 'UTF-8') ?>">
+        <button type="button" class="btn btn-sm btn-ghost"
+                @click="toggleSecret(<?= $keyJs ?>)"
+                :title="revealedSecrets[<?= $keyJs ?>] ? 'Hide' : 'Reveal (asks for your password)'">
+            <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path x-show="!revealedSecrets[<?= $keyJs ?>]" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z"></path>
+                <path x-show="revealedSecrets[<?= $keyJs ?>]" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13.875 18.825A10.05 10.05 0 0112 19c-4.478 0-8.268-2.943-9.543-7a9.97 9.97 0 011.563-3.029m5.858.908a3 3 0 114.243 4.243M9.878 9.878l4.242 4.242M9.88 9.88l-3.29-3.29m7.532 7.532l3.29 3.29M3 3l3.59 3.59m0 0A9.953 9.953 0 0112 5c4.478 0 8.268 2.943 9.543 7a10.025 10.025 0 01-4.132 5.411m0 0L21 21"></path>
+            </svg>
+        </button>
+        <button type="button" class="btn btn-sm btn-ghost"
+                x-show="isSecretMasked(<?= $keyJs ?>)"
+                @click="replaceSecret(<?= $keyJs ?>, $el.parentElement.querySelector('input'))"
+                title="Enter a new value">
+            <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536M9 13l6.232-6.232a2.5 2.5 0 013.536 3.536L12.536 16.536 9 17l.464-3.536z"></path>
+            </svg>
+        </button>
+        <?php if ($secretRotate): ?>
+        <button type="button" class="btn btn-sm btn-ghost"
+                @click="rotateSecret(<?= $keyJs ?>)"
+                title="Rotate: generate a new random value">
+            <svg class="h-3.5 w-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+            </svg>
+        </button>
+        <?php endif; ?>
+    </div>
+    <p class="mt-0.5 text-[10px] text-destructive" x-show="envErrors.<?= $keyAttr ?>" x-text="envErrors.<?= $keyAttr ?>" x-cloak></p>
+</div>
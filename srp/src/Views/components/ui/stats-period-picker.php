@@ -0,0 +1,100 @@
+<?php
+/**
+ * Stats Period Picker Component
+ *
+ * View selector (daily/weekly), preset period (7/30/90 hari), custom from/to range
+ * dan toggle "compare to previous period". State ada di dashboard component
+ * (statsView, statsPeriod, statsRange, statsCompare), jadi semua picker tetap sinkron.
+ *
+ * @param bool $pickerShowIcons Tampilkan icon di tombol Daily/Weekly
+ */
+
+$pickerShowIcons = $pickerShowIcons ?? false;
+?>
+<div class="flex flex-wrap items-center gap-2">
+    <!-- View Selector -->
+    <div class="flex gap-1">
+        <button type="button"
+                @click="changeStatsView('daily')"
+                class="btn btn-sm"
+                :class="statsView !== 'weekly' ? 'btn-default' : 'btn-ghost'">
+            <?php if ($pickerShowIcons): ?>
+                <svg class="h-3 w-3 md:mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
+                </svg>
+                <span class="hidden md:inline text-xs">Daily</span>
+            <?php else: ?>
+                <span class="text-xs">Daily</span>
+            <?php endif; ?>
+        </button>
+        <button type="button"
+                @click="changeStatsView('weekly')"
+                class="btn btn-sm"
+                :class="statsView === 'weekly' ? 'btn-default' : 'btn-ghost'">
+            <?php if ($pickerShowIcons): ?>
+                <svg class="h-3 w-3 md:mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z"></path>
+                </svg>
+                <span class="hidden md:inline text-xs">Weekly</span>
+            <?php else: ?>
+                <span class="text-xs">Weekly</span>
+            <?php endif; ?>
+        </button>
+    </div>
+
+    <!-- Period Selector -->
+    <div class="flex gap-1">
+        <?php foreach ([7, 30, 90] as $pickerDays): ?>
+            <button type="button"
+                    @click="changeStatsPeriod(<?= $pickerDays ?>)"
+                    class="btn btn-sm"
+                    :class="statsPeriod === <?= $pickerDays ?> && !hasStatsRange ? 'btn-default' : 'btn-ghost'">
+                <span class="text-xs"><?= $pickerDays ?>d</span>
+            </button>
+        <?php endforeach; ?>
+
+        <!-- Custom Range -->
+        <div class="relative" x-data="{ rangeOpen: false }" @click.outside="rangeOpen = false" @keydown.escape="rangeOpen = false">
+            <button type="button"
+                    class="btn btn-sm"
+                    :class="hasStatsRange ? 'btn-default' : 'btn-ghost'"
+                    @click="rangeOpen = !rangeOpen; if (rangeOpen) openStatsRange()"
+                    :aria-expanded="rangeOpen"
+                    aria-haspopup="dialog">
+                <span class="text-xs" x-text="hasStatsRange ? statsRange.from + ' – ' + statsRange.to : 'Custom'"></span>
+            </button>
+            <form x-show="rangeOpen" x-cloak x-transition.opacity
+                  class="absolute right-0 z-20 mt-1 w-60 space-y-2 rounded-md border bg-white p-3 shadow-md"
+                  role="dialog" aria-label="Custom date range"
+                  @submit.prevent="if (applyStatsRange()) rangeOpen = false">
+                <div class="grid grid-cols-2 gap-2">
+                    <label class="space-y-1">
+                        <span class="text-[11px] font-medium text-muted-foreground">From</span>
+                        <input type="date" class="input h-8 text-[12px]" required
+                               x-model="statsRangeInput.from" :max="statsRangeInput.to || undefined">
+                    </label>
+                    <label class="space-y-1">
+                        <span class="text-[11px] font-medium text-muted-foreground">To</span>
+                        <input type="date" class="input h-8 text-[12px]" required
+                               x-model="statsRangeInput.to" :min="statsRangeInput.from || undefined">
+                    </label>
+                </div>
+                <div class="flex items-center justify-end gap-1">
+                    <button type="button" class="btn btn-ghost btn-sm text-[11px]"
+                            x-show="hasStatsRange" @click="clearStatsRange(); rangeOpen = false">Clear</button>
+                    <button type="submit" class="btn btn-default btn-sm text-[11px]">Apply</button>
+                </div>
+            </form>
+        </div>
+    </div>
+
+    <!-- Compare Toggle -->
+    <button type="button"
+            class="btn btn-sm"
+            :class="statsCompare ? 'btn-default' : 'btn-ghost'"
+            :aria-pressed="statsCompare"
+            @click="toggleStatsCompare()"
+            title="Compare to previous period">
+        <span class="text-xs">Compare</span>
+    </button>
+</div>
@@ -0,0 +1,62 @@
+<?php
+/**
+ * World Tile Map Component
+ *
+ * Offline choropleth: setiap negara adalah satu tile di grid 72x24 (sel ~5 derajat),
+ * posisi diturunkan dari centroid lalu digeser ke sel kosong terdekat. Semua negara
+ * mendapat ukuran sama, jadi negara kecil tetap terlihat dan bisa diklik.
+ *
+ * Warna, hover dan selection dibaca dari dashboard component:
+ * countryFill(code), countryHover, isCountrySelected(code), toggleCountrySelection(code).
+ */
+
+$worldTiles = [
+    'AE' => [47, 9], 'AF' => [48, 8], 'AG' => [23, 11], 'AL' => [41, 7], 'AM' => [44, 6], 'AO' => [39, 17],
+    'AR' => [23, 21], 'AT' => [38, 5], 'AU' => [62, 19], 'AZ' => [45, 6], 'BA' => [40, 7], 'BB' => [24, 12],
+    'BD' => [53, 10], 'BE' => [36, 4], 'BF' => [35, 12], 'BG' => [42, 6], 'BH' => [46, 9], 'BI' => [41, 15],
+    'BJ' => [36, 13], 'BN' => [58, 14], 'BO' => [22, 18], 'BR' => [24, 16], 'BS' => [20, 10], 'BT' => [54, 9],
+    'BW' => [40, 19], 'BY' => [41, 4], 'BZ' => [18, 11], 'CA' => [16, 2], 'CD' => [40, 15], 'CF' => [40, 13],
+    'CG' => [38, 15], 'CH' => [37, 6], 'CI' => [34, 13], 'CL' => [21, 21], 'CM' => [38, 13], 'CN' => [56, 7],
+    'CO' => [21, 14], 'CR' => [19, 12], 'CU' => [19, 10], 'CV' => [31, 11], 'CY' => [42, 7], 'CZ' => [39, 5],
+    'DE' => [38, 4], 'DJ' => [44, 12], 'DK' => [37, 3], 'DM' => [23, 12], 'DO' => [21, 11], 'DZ' => [36, 9],
+    'EC' => [20, 15], 'EE' => [41, 2], 'EG' => [41, 9], 'EH' => [33, 9], 'ER' => [43, 11], 'ES' => [35, 6],
+    'ET' => [43, 13], 'FI' => [41, 1], 'FJ' => [71, 18], 'FM' => [67, 13], 'FR' => [36, 5], 'GA' => [37, 15],
+    'GB' => [35, 4], 'GD' => [23, 13], 'GE' => [44, 7], 'GH' => [35, 13], 'GL' => [27, 0], 'GM' => [32, 12],
+    'GN' => [33, 12], 'GQ' => [38, 14], 'GR' => [39, 8], 'GT' => [17, 11], 'GW' => [32, 13], 'GY' => [24, 13],
+    'HK' => [58, 10], 'HN' => [19, 11], 'HR' => [39, 7], 'HT' => [21, 10], 'HU' => [39, 6], 'ID' => [59, 15],
+    'IE' => [34, 4], 'IL' => [42, 8], 'IN' => [51, 10], 'IQ' => [44, 8], 'IR' => [46, 8], 'IS' => [32, 1],
+    'IT' => [38, 6], 'JM' => [20, 11], 'JO' => [43, 8], 'JP' => [63, 7], 'KE' => [43, 14], 'KG' => [50, 6],
+    'KH' => [56, 12], 'KI' => [70, 14], 'KM' => [44, 17], 'KN' => [22, 11], 'KP' => [61, 6], 'KR' => [61, 7],
+    'KW' => [45, 9], 'KZ' => [49, 5], 'LA' => [56, 11], 'LB' => [43, 9], 'LC' => [24, 11], 'LK' => [52, 13],
+    'LR' => [33, 13], 'LS' => [41, 20], 'LT' => [40, 3], 'LU' => [37, 5], 'LV' => [41, 3], 'LY' => [39, 9],
+    'MA' => [34, 8], 'MD' => [42, 5], 'ME' => [38, 7], 'MG' => [45, 18], 'MH' => [70, 13], 'MK' => [40, 8],
+    'ML' => [35, 11], 'MM' => [55, 10], 'MN' => [56, 5], 'MR' => [33, 10], 'MT' => [38, 8], 'MU' => [47, 19],
+    'MV' => [50, 14], 'MW' => [42, 17], 'MX' => [15, 10], 'MY' => [56, 14], 'MZ' => [43, 18], 'NA' => [39, 19],
+    'NC' => [69, 19], 'NE' => [37, 11], 'NG' => [37, 13], 'NI' => [18, 13], 'NL' => [37, 4], 'NO' => [37, 2],
+    'NP' => [52, 9], 'NR' => [69, 15], 'NZ' => [70, 23], 'OM' => [47, 10], 'PA' => [19, 13], 'PE' => [20, 16],
+    'PF' => [6, 18], 'PG' => [64, 16], 'PH' => [60, 12], 'PK' => [49, 8], 'PL' => [39, 4], 'PR' => [22, 10],
+    'PS' => [42, 9], 'PT' => [34, 7], 'PW' => [62, 13], 'PY' => [24, 19], 'QA' => [46, 10], 'RE' => [46, 19],
+    'RO' => [40, 4], 'RS' => [41, 6], 'RU' => [53, 2], 'RW' => [42, 15], 'SA' => [44, 10], 'SB' => [68, 16],
+    'SC' => [47, 15], 'SD' => [42, 11], 'SE' => [38, 2], 'SG' => [57, 14], 'SI' => [40, 6], 'SK' => [40, 5],
+    'SL' => [34, 12], 'SN' => [33, 11], 'SO' => [45, 13], 'SR' => [24, 14], 'SS' => [42, 13], 'ST' => [37, 14],
+    'SV' => [18, 12], 'SY' => [43, 6], 'SZ' => [42, 20], 'TD' => [39, 11], 'TG' => [36, 12], 'TH' => [55, 11],
+    'TJ' => [50, 7], 'TL' => [61, 16], 'TM' => [47, 7], 'TN' => [37, 8], 'TO' => [0, 19], 'TR' => [43, 7],
+    'TT' => [22, 13], 'TV' => [71, 16], 'TW' => [60, 10], 'TZ' => [42, 16], 'UA' => [42, 4], 'UG' => [42, 14],
+    'US' => [16, 7], 'UY' => [24, 21], 'UZ' => [48, 6], 'VC' => [22, 12], 'VE' => [22, 14], 'VN' => [57, 11],
+    'VU' => [69, 18], 'WS' => [1, 17], 'XK' => [41, 5], 'YE' => [45, 11], 'ZA' => [40, 20], 'ZM' => [41, 17],
+    'ZW' => [41, 18],
+];
+$tileSize = 10;
+?>
+<svg viewBox="0 0 720 240" class="w-full h-auto select-none" role="group" aria-label="World map of country metrics">
+    <?php foreach ($worldTiles as $code => [$col, $row]): ?>
+        <rect x="<?= $col * $tileSize ?>" y="<?= $row * $tileSize ?>" width="9" height="9" rx="1.5"
+              class="cursor-pointer transition-colors"
+              :fill="countryFill('<?= $code ?>')"
+              :stroke="isCountrySelected('<?= $code ?>') ? '#0f172a' : (countryHover === '<?= $code ?>' ? '#64748b' : 'none')"
+              stroke-width="1.2"
+              @mouseenter="countryHover = '<?= $code ?>'"
+              @mouseleave="countryHover = null"
+              @click="toggleCountrySelection('<?= $code ?>')"><title><?= $code ?></title></rect>
+    <?php endforeach; ?>
+</svg>
@@ -11,6 +11,13 @@ require __DIR__ . '/components/header.php';
 <main class="flex-1 w-full">
     <?php require __DIR__ . '/components/dashboard-content.php'; ?>
 </main>
+
+<?php require __DIR__ . '/components/history-drawer.php'; ?>
+<?php require __DIR__ . '/components/journey-drawer.php'; ?>
+<?php require __DIR__ . '/components/alerts-drawer.php'; ?>
+<?php require __DIR__ . '/components/publish-dialog.php'; ?>
+<?php require __DIR__ . '/components/env-import-dialog.php'; ?>
+<?php require __DIR__ . '/components/secret-reveal-dialog.php'; ?>
 </div>
 
 <!-- Load external JavaScript file -->
@@ -0,0 +1,38 @@
+<?php
+declare(strict_types=1);
+
+use SRP\Utils\HttpClient;
+
+// Semua URL di sini ditolak sebelum curl dijalankan, jadi tidak ada request keluar
+const SSRF_BLOCKED_URLS = [
+    'http://127.0.0.1/',
+    'http://127.0.0.1:8080/admin',
+    'http://10.0.0.1/',
+    'http://172.16.5.4/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://0.0.0.0/',
+    'http://[::1]/',
+    'http://[fe80::1]/',
+    'http://[fd00::1]/',
+    'http://localhost/',
+    'http://2130706433/',
+    'http://does-not-exist.invalid/',
+];
+
+test('inspect menolak host internal dan yang tidak bisa di-resolve', function (): void {
+    foreach (SSRF_BLOCKED_URLS as $url) {
+        $result = HttpClient::inspect($url, [], 1);
+
+        assertSame('Host must resolve to a public IP address', $result['error'], $url);
+        assertSame(0, $result['response']['code'], $url);
+        assertSame('', $result['response']['location'], $url);
+        assertSame(0, $result['timing']['total_ms'], $url);
+    }
+});
+
+test('inspect hanya menerima http dan https', function (): void {
+    foreach (['ftp://8.8.8.8/', 'file:///etc/passwd', 'gopher://8.8.8.8:70/', '//8.8.8.8/', 'not a url'] as $url) {
+        assertSame('Host must resolve to a public IP address', HttpClient::inspect($url, [], 1)['error'], $url);
+    }
+});
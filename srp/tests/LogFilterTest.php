@@ -0,0 +1,66 @@
+<?php
+declare(strict_types=1);
+
+use SRP\Models\LogFilter;
+
+/**
+ * @param array<int, array<string, mixed>> $terms
+ * @return array<int, array{field: string, values: array<int, mixed>, negate: bool}>
+ */
+function parseLogTerms(array $terms, string $tz = 'UTC'): array
+{
+    return LogFilter::fromQuery(['terms' => json_encode($terms), 'tz' => $tz])['terms'] ?? [];
+}
+
+test('terms dinormalisasi per field', function (): void {
+    $terms = parseLogTerms([
+        ['field' => 'cc', 'values' => ['id', ' us '], 'negate' => false],
+        ['field' => 'decision', 'values' => ['A'], 'negate' => true],
+        ['field' => 'lp', 'values' => ['  promo  ']],
+    ]);
+
+    assertSame(['field' => 'cc', 'values' => ['ID', 'US'], 'negate' => false], $terms[0]);
+    assertSame(['field' => 'decision', 'values' => ['A'], 'negate' => true], $terms[1]);
+    assertSame(['field' => 'lp', 'values' => ['promo'], 'negate' => false], $terms[2]);
+});
+
+test('term ip menjadi range biner', function (): void {
+    $terms = parseLogTerms([['field' => 'ip', 'values' => ['10.0.0.0/8']]]);
+
+    assertSame(inet_pton('10.0.0.0'), $terms[0]['values'][0]['start']);
+    assertSame(inet_pton('10.255.255.255'), $terms[0]['values'][0]['end']);
+});
+
+test('term teks yang kosong setelah sanitasi dibuang', function (): void {
+    assertSame([], parseLogTerms([['field' => 'text', 'values' => ['   ']]]));
+});
+
+test('after:/before: adalah awal hari di timezone dashboard', function (): void {
+    assertSame([1704042000], parseLogTerms([['field' => 'after', 'values' => ['2024-01-01']]], 'Asia/Jakarta')[0]['values']);
+    // 10 Maret 2024 masih EST (-5), 11 Maret sudah EDT (-4)
+    assertSame([1710046800], parseLogTerms([['field' => 'before', 'values' => ['2024-03-10']]], 'America/New_York')[0]['values']);
+    assertSame([1710129600], parseLogTerms([['field' => 'before', 'values' => ['2024-03-11']]], 'America/New_York')[0]['values']);
+});
+
+test('date_from/date_to memakai timezone yang sama, date_to inclusive', function (): void {
+    $filters = LogFilter::fromQuery(['date_from' => '2024-01-01', 'date_to' => '2024-01-02', 'tz' => 'Asia/Jakarta']);
+
+    assertSame(1704042000, $filters['date_from']);
+    assertSame(1704214800, $filters['date_to']);
+});
+
+test('query yang tidak valid ditolak', function (): void {
+    assertThrows(InvalidArgumentException::class, fn () => LogFilter::fromQuery(['terms' => 'not json']), 'Invalid search query');
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms([['field' => 'cc', 'values' => []]]), 'Invalid search query');
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms(array_fill(0, 21, ['field' => 'lp', 'values' => ['a']])), 'Invalid search query');
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms([['field' => 'cc', 'values' => ['XYZ']]]), 'Invalid country code: XYZ');
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms([['field' => 'decision', 'values' => ['C']]]), 'Invalid decision');
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms([['field' => 'ip', 'values' => ['10.0.0.0/33']]]), 'Invalid IP or CIDR');
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms([['field' => 'after', 'values' => ['2024-02-30']]]), 'Invalid after date');
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms([['field' => 'after', 'values' => ['2024-01-01'], 'negate' => true]]), 'Invalid after date');
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms([['field' => 'os', 'values' => ['android']]]), 'Unknown search field');
+});
+
+test('timezone yang tidak dikenal ditolak', function (): void {
+    assertThrows(InvalidArgumentException::class, fn () => parseLogTerms([['field' => 'lp', 'values' => ['a']]], 'Mars/Base'), 'Unknown timezone');
+});
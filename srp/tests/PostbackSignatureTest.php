@@ -0,0 +1,125 @@
+<?php
+declare(strict_types=1);
+
+use SRP\Utils\PostbackSignature;
+
+/**
+ * Jalankan diagnose() dengan secret tertentu dan API key check dimatikan
+ *
+ * @return array<string, mixed>
+ */
+function diagnosePostback(string $raw, string $secret = 's3cret'): array
+{
+    $_ENV['POSTBACK_HMAC_SECRET'] = $secret;
+    $_ENV['POSTBACK_REQUIRE_API_KEY'] = 'false';
+
+    try {
+        return PostbackSignature::diagnose($raw);
+    } finally {
+        unset($_ENV['POSTBACK_HMAC_SECRET'], $_ENV['POSTBACK_REQUIRE_API_KEY']);
+    }
+}
+
+/**
+ * @param array<string, mixed> $result Hasil diagnose()
+ * @return array{id: string, label: string, status: string, message: string}
+ */
+function postbackCheck(array $result, string $id): array
+{
+    foreach ($result['checks'] as $check) {
+        if ($check['id'] === $id) {
+            return $check;
+        }
+    }
+
+    throw new AssertionFailed("no {$id} check");
+}
+
+test('extract memakai alias dan default receiver', function (): void {
+    assertSame(
+        ['click_id' => 'abc', 'status' => 'confirmed', 'payout' => 2.5, 'country' => 'ID'],
+        PostbackSignature::extract(['cid' => ' abc ', 'amount' => '2.5', 'geo' => 'id'])
+    );
+    assertSame(
+        ['click_id' => '', 'status' => 'confirmed', 'payout' => 0.0, 'country' => 'XX'],
+        PostbackSignature::extract([])
+    );
+    // Alias pertama yang terisi menang
+    assertSame('first', PostbackSignature::extract(['click_id' => 'first', 'cid' => 'second'])['click_id']);
+    assertSame('second', PostbackSignature::extract(['click_id' => '', 'cid' => 'second'])['click_id']);
+});
+
+test('canonical string urut per key dan payout sebagai float', function (): void {
+    $fields = PostbackSignature::extract(['click_id' => 'abc', 'payout' => '1.50', 'status' => 'approved', 'country' => 'us']);
+
+    assertSame('click_id=abc&country=US&payout=1.5&status=approved', PostbackSignature::canonical($fields));
+});
+
+test('sign menghasilkan HMAC-SHA256 hex lowercase dan verify menerimanya', function (): void {
+    $fields = PostbackSignature::extract(['click_id' => 'abc', 'payout' => '1.5', 'country' => 'US']);
+    $signature = PostbackSignature::sign($fields, 's3cret');
+
+    assertSame(hash_hmac('sha256', 'click_id=abc&country=US&payout=1.5&status=confirmed', 's3cret'), $signature);
+    assertTrue(PostbackSignature::verify($fields, $signature, 's3cret'), 'valid signature rejected');
+    assertTrue(!PostbackSignature::verify($fields, $signature, 'other'), 'wrong secret accepted');
+    assertTrue(!PostbackSignature::verify($fields, strtoupper($signature), 's3cret'), 'uppercase hex accepted');
+});
+
+test('verify selalu gagal tanpa secret', function (): void {
+    $fields = PostbackSignature::extract(['click_id' => 'abc']);
+
+    assertTrue(!PostbackSignature::verify($fields, PostbackSignature::sign($fields, ''), ''), 'empty secret accepted');
+});
+
+test('parseQuery menerima URL, query string dan format log receiver', function (): void {
+    $expected = ['click_id' => 'abc', 'payout' => '1'];
+
+    assertSame($expected, PostbackSignature::parseQuery('https://postback.example.com/postback?click_id=abc&payout=1#frag'));
+    assertSame($expected, PostbackSignature::parseQuery('  click_id=abc&payout=1 '));
+    assertSame($expected, PostbackSignature::parseQuery('METHOD=GET | click_id=abc&payout=1'));
+});
+
+test('diagnose lulus untuk signature yang benar', function (): void {
+    $signature = PostbackSignature::sign(PostbackSignature::extract(['click_id' => 'abc', 'payout' => '1.5']), 's3cret');
+    $result = diagnosePostback('click_id=abc&payout=1.5&signature=' . $signature);
+
+    assertTrue($result['ok'], 'diagnose not ok');
+    assertSame('pass', postbackCheck($result, 'signature')['status']);
+    assertSame('skip', postbackCheck($result, 'api_key')['status']);
+});
+
+test('diagnose melewati signature jika secret kosong', function (): void {
+    $result = diagnosePostback('click_id=abc', '');
+
+    assertSame(null, $result['expected']);
+    assertSame('skip', postbackCheck($result, 'signature')['status']);
+});
+
+test('diagnose menjelaskan penyebab mismatch yang umum', function (): void {
+    $fields = PostbackSignature::extract(['click_id' => 'abc', 'payout' => '1.5']);
+    $upper = strtoupper(PostbackSignature::sign($fields, 's3cret'));
+    assertSame(
+        'Signature is uppercase hex; expected lowercase',
+        postbackCheck(diagnosePostback('click_id=abc&payout=1.5&signature=' . $upper), 'signature')['message']
+    );
+
+    $all = hash_hmac('sha256', http_build_query(['click_id' => 'abc', 'payout' => '1.5', 'sub' => 'x']), 's3cret');
+    assertTrue(str_contains(
+        postbackCheck(diagnosePostback('click_id=abc&payout=1.5&sub=x&signature=' . $all), 'signature')['message'],
+        'Network signed all query parameters'
+    ), 'all-params signature not detected');
+
+    // Network menandatangani payout apa adanya ("1.50"), receiver memakai float ("1.5")
+    $raw = hash_hmac('sha256', 'click_id=abc&country=XX&payout=1.50&status=confirmed', 's3cret');
+    assertTrue(str_contains(
+        postbackCheck(diagnosePostback('click_id=abc&payout=1.50&sub=x&signature=' . $raw), 'signature')['message'],
+        'payout "1.50" is signed as "1.5"'
+    ), 'payout formatting not detected');
+});
+
+test('diagnose gagal tanpa click_id', function (): void {
+    $result = diagnosePostback('payout=1', '');
+
+    assertSame('fail', postbackCheck($result, 'click_id')['status']);
+    assertTrue(!$result['ok'], 'diagnose ok without click_id');
+});
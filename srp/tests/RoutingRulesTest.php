@@ -0,0 +1,143 @@
+<?php
+declare(strict_types=1);
+
+use SRP\Models\RoutingRules;
+
+$_ENV['APP_TIMEZONE'] = 'Asia/Jakarta';
+
+/**
+ * Rule yang sudah dinormalisasi (bentuk hasil RoutingRules::validate)
+ *
+ * @param array<string, mixed> $overrides
+ * @return array<string, mixed>
+ */
+function routingRule(array $overrides = []): array
+{
+    return array_merge([
+        'id' => 'r1',
+        'name' => '',
+        'enabled' => true,
+        'countries' => [],
+        'devices' => [],
+        'user_lp' => [],
+        'days' => [],
+        'hours' => null,
+        'targets' => [['url' => 'https://example.com/', 'weight' => 1, 'enabled' => true, 'label' => '']],
+    ], $overrides);
+}
+
+/**
+ * @param array<string, mixed> $overrides
+ * @return array{country: ?string, device: ?string, wap: bool, user_lp: string, ts: int}
+ */
+function routingContext(array $overrides = []): array
+{
+    return array_merge([
+        'country' => 'ID',
+        'device' => 'WAP',
+        'wap' => true,
+        'user_lp' => 'promo',
+        'ts' => jakartaTs('2024-01-01 12:00'),
+    ], $overrides);
+}
+
+function jakartaTs(string $local): int
+{
+    return (new DateTimeImmutable($local, new DateTimeZone('Asia/Jakarta')))->getTimestamp();
+}
+
+test('rule tanpa kondisi device hanya cocok untuk WAP', function (): void {
+    $rules = [routingRule()];
+
+    assertSame('r1', RoutingRules::match($rules, routingContext())['id'] ?? null);
+    assertSame(null, RoutingRules::match($rules, routingContext(['device' => 'WEB', 'wap' => false])));
+    assertSame(null, RoutingRules::match($rules, routingContext(['device' => 'BOT', 'wap' => false])));
+});
+
+test('rule tanpa kondisi device tetap WAP only walau device filter mati', function (): void {
+    $rules = [routingRule()];
+
+    assertSame('r1', RoutingRules::match($rules, routingContext(['device' => null, 'wap' => true]))['id'] ?? null);
+    assertSame(null, RoutingRules::match($rules, routingContext(['device' => null, 'wap' => false])));
+});
+
+test('kondisi device eksplisit', function (): void {
+    $rules = [routingRule(['devices' => ['WEB', 'TABLET']])];
+
+    assertSame('r1', RoutingRules::match($rules, routingContext(['device' => 'WEB', 'wap' => false]))['id'] ?? null);
+    assertSame(null, RoutingRules::match($rules, routingContext()));
+});
+
+test('kondisi yang tidak bisa dinilai membuat rule di-skip', function (): void {
+    $rules = [
+        routingRule(['id' => 'geo', 'countries' => ['ID']]),
+        routingRule(['id' => 'dev', 'devices' => ['WAP']]),
+        routingRule(['id' => 'fallback']),
+    ];
+
+    assertSame('fallback', RoutingRules::match($rules, routingContext(['country' => null, 'device' => null]))['id'] ?? null);
+    assertSame('geo', RoutingRules::match($rules, routingContext())['id'] ?? null);
+});
+
+test('rule pertama yang cocok menang dan rule disabled dilewati', function (): void {
+    $rules = [
+        routingRule(['id' => 'off', 'enabled' => false]),
+        routingRule(['id' => 'us', 'countries' => ['US']]),
+        routingRule(['id' => 'id-a', 'countries' => ['ID']]),
+        routingRule(['id' => 'id-b', 'countries' => ['ID']]),
+    ];
+
+    assertSame('id-a', RoutingRules::match($rules, routingContext())['id'] ?? null);
+});
+
+test('pola user_lp dengan wildcard, case-insensitive', function (): void {
+    $rules = [routingRule(['user_lp' => ['promo-*', 'home']])];
+
+    assertSame('r1', RoutingRules::match($rules, routingContext(['user_lp' => 'Promo-Summer']))['id'] ?? null);
+    assertSame('r1', RoutingRules::match($rules, routingContext(['user_lp' => 'home']))['id'] ?? null);
+    assertSame(null, RoutingRules::match($rules, routingContext(['user_lp' => 'homepage']))['id'] ?? null);
+});
+
+test('jadwal dinilai di APP_TIMEZONE, termasuk window lewat tengah malam', function (): void {
+    // Senin 22:00-06:00 WIB
+    $rules = [routingRule(['days' => [1], 'hours' => ['from' => 22, 'to' => 6]])];
+
+    // Senin 23:30 WIB = Senin 16:30 UTC (di luar window jika dinilai di UTC)
+    assertSame('r1', RoutingRules::match($rules, routingContext(['ts' => jakartaTs('2024-01-01 23:30')]))['id'] ?? null);
+    assertSame('r1', RoutingRules::match($rules, routingContext(['ts' => jakartaTs('2024-01-01 05:59')]))['id'] ?? null);
+    assertSame(null, RoutingRules::match($rules, routingContext(['ts' => jakartaTs('2024-01-01 06:00')])));
+    // Selasa 01:00 WIB: jam masuk window tapi hari bukan Senin
+    assertSame(null, RoutingRules::match($rules, routingContext(['ts' => jakartaTs('2024-01-02 01:00')])));
+});
+
+test('validate menormalisasi rule', function (): void {
+    $rules = RoutingRules::validate([[
+        'id' => 'night',
+        'enabled' => false,
+        'countries' => ['id', ' us ', 'ID'],
+        'devices' => ['wap'],
+        'user_lp' => ['Promo-*'],
+        'days' => ['7', 1, 1],
+        'hours' => ['from' => '22', 'to' => '6'],
+        'targets' => [],
+    ]]);
+
+    assertSame(['ID', 'US'], $rules[0]['countries']);
+    assertSame(['WAP'], $rules[0]['devices']);
+    assertSame(['promo-*'], $rules[0]['user_lp']);
+    assertSame([1, 7], $rules[0]['days']);
+    assertSame(['from' => 22, 'to' => 6], $rules[0]['hours']);
+});
+
+test('validate menolak input yang salah dengan nomor rule', function (): void {
+    $base = ['id' => 'ok', 'enabled' => false, 'targets' => []];
+
+    assertThrows(InvalidArgumentException::class, fn () => RoutingRules::validate([$base, ['id' => 'Bad Id'] + $base]), 'Rule 2: invalid id');
+    assertThrows(InvalidArgumentException::class, fn () => RoutingRules::validate([['countries' => ['USA']] + $base]), 'invalid country code USA');
+    assertThrows(InvalidArgumentException::class, fn () => RoutingRules::validate([['devices' => ['PHONE']] + $base]), 'invalid device PHONE');
+    assertThrows(InvalidArgumentException::class, fn () => RoutingRules::validate([['days' => [0]] + $base]), 'days must be');
+    assertThrows(InvalidArgumentException::class, fn () => RoutingRules::validate([['hours' => ['from' => 5, 'to' => 5]] + $base]), 'hours must be');
+    assertThrows(InvalidArgumentException::class, fn () => RoutingRules::validate([['user_lp' => ['a/b']] + $base]), 'invalid user_lp pattern');
+    assertThrows(InvalidArgumentException::class, fn () => RoutingRules::validate([$base, $base]), 'Rule 2: duplicate id ok');
+    assertThrows(InvalidArgumentException::class, fn () => RoutingRules::validate([['enabled' => true] + $base]), 'needs at least one enabled destination URL');
+});
@@ -0,0 +1,71 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Bootstrap untuk check PHP (tanpa PHPUnit)
+ *
+ * Hanya autoloader SRP\ -> srp/src; ErrorHandler dan .env sengaja tidak
+ * dimuat supaya hasil check tidak bergantung pada server. Nilai env yang
+ * dibutuhkan test di-set lewat $_ENV di masing-masing file.
+ */
+
+spl_autoload_register(function (string $class): void {
+    $prefix = 'SRP\\';
+    if (strncmp($prefix, $class, strlen($prefix)) !== 0) {
+        return;
+    }
+
+    $file = dirname(__DIR__) . '/src/' . str_replace('\\', '/', substr($class, strlen($prefix))) . '.php';
+    if (file_exists($file)) {
+        require $file;
+    }
+});
+
+date_default_timezone_set('UTC');
+
+final class AssertionFailed extends Exception
+{
+}
+
+/** @var array<int, array{name: string, fn: callable}> */
+$GLOBALS['srpTests'] = [];
+
+function test(string $name, callable $fn): void
+{
+    $GLOBALS['srpTests'][] = ['name' => $name, 'fn' => $fn];
+}
+
+function assertSame(mixed $expected, mixed $actual, string $message = ''): void
+{
+    if ($expected !== $actual) {
+        throw new AssertionFailed(trim($message . ' expected ' . var_export($expected, true) . ', got ' . var_export($actual, true)));
+    }
+}
+
+function assertTrue(bool $condition, string $message = 'expected true'): void
+{
+    if (!$condition) {
+        throw new AssertionFailed($message);
+    }
+}
+
+/**
+ * @param class-string<Throwable> $class
+ * @param string $contains Potongan pesan exception yang diharapkan (opsional)
+ */
+function assertThrows(string $class, callable $fn, string $contains = ''): void
+{
+    try {
+        $fn();
+    } catch (Throwable $e) {
+        if (!$e instanceof $class) {
+            throw new AssertionFailed('expected ' . $class . ', got ' . get_class($e) . ': ' . $e->getMessage());
+        }
+        if ($contains !== '' && !str_contains($e->getMessage(), $contains)) {
+            throw new AssertionFailed("expected message containing \"{$contains}\", got \"{$e->getMessage()}\"");
+        }
+        return;
+    }
+
+    throw new AssertionFailed('expected ' . $class . ' to be thrown');
+}
@@ -0,0 +1,45 @@
+<?php
+declare(strict_types=1);
+
+/**
+ * Runner check PHP untuk SRP
+ *
+ * Jalankan dari root repo:
+ *   php srp/tests/run.php            (semua *Test.php)
+ *   php srp/tests/run.php Routing    (hanya file yang namanya mengandung "Routing")
+ *
+ * Exit code 1 jika ada check yang gagal.
+ */
+
+require __DIR__ . '/bootstrap.php';
+
+$filter = $argv[1] ?? '';
+$files = glob(__DIR__ . '/*Test.php') ?: [];
+sort($files);
+
+$passed = 0;
+$failed = 0;
+
+foreach ($files as $file) {
+    if ($filter !== '' && !str_contains(basename($file), $filter)) {
+        continue;
+    }
+
+    $GLOBALS['srpTests'] = [];
+    require $file;
+
+    echo '▶ ' . basename($file, '.php') . "\n";
+    foreach ($GLOBALS['srpTests'] as $case) {
+        try {
+            ($case['fn'])();
+            $passed++;
+            echo "  ✓ {$case['name']}\n";
+        } catch (Throwable $e) {
+            $failed++;
+            echo "  ✗ {$case['name']}\n    " . get_class($e) . ': ' . $e->getMessage() . "\n";
+        }
+    }
+}
+
+echo "\n{$passed} passed, {$failed} failed\n";
+exit($failed > 0 ? 1 : 0);